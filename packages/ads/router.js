@@ -1,47 +1,42 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const ledger = require('../shared/ledger');
 
 const router = express.Router();
-const CAMPAIGNS_FILE = path.join(__dirname, '../../data/ads/campaigns.json');
-const IMPRESSIONS_FILE = path.join(__dirname, '../../data/ads/impressions.json');
-const CLICKS_FILE = path.join(__dirname, '../../data/ads/clicks.json');
+const campaignsStore = storage.collection('ads', 'campaigns');
+const impressionsStore = storage.collection('ads', 'impressions');
+const clicksStore = storage.collection('ads', 'clicks');
+
+// Ledger hold reserving a campaign's unspent budget
+function budgetRef(campaign) {
+  return `ads:campaign:${campaign.id}`;
+}
 
 function loadCampaigns() {
-  try {
-    return JSON.parse(fs.readFileSync(CAMPAIGNS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return campaignsStore.all();
 }
 
 function saveCampaigns(campaigns) {
-  fs.writeFileSync(CAMPAIGNS_FILE, JSON.stringify(campaigns, null, 2));
+  campaignsStore.replace(campaigns);
 }
 
 function loadImpressions() {
-  try {
-    return JSON.parse(fs.readFileSync(IMPRESSIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return impressionsStore.all();
 }
 
 function saveImpressions(impressions) {
-  fs.writeFileSync(IMPRESSIONS_FILE, JSON.stringify(impressions, null, 2));
+  impressionsStore.replace(impressions);
 }
 
 function loadClicks() {
-  try {
-    return JSON.parse(fs.readFileSync(CLICKS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return clicksStore.all();
 }
 
 function saveClicks(clicks) {
-  fs.writeFileSync(CLICKS_FILE, JSON.stringify(clicks, null, 2));
+  clicksStore.replace(clicks);
 }
 
 // Health check
@@ -110,7 +105,7 @@ router.get('/api/campaigns/:id', (req, res) => {
 });
 
 // Create campaign
-router.post('/api/campaigns', (req, res) => {
+router.post('/api/campaigns', requireAgent('advertiser'), (req, res) => {
   const { advertiser, title, content, targetSkills, budget, cpm } = req.body;
   
   if (!advertiser || !title || !content) {
@@ -128,11 +123,22 @@ router.post('/api/campaigns', (req, res) => {
     targetSkills: targetSkills || [],
     budget: budget || 0,
     cpm: cpm || 0,
+    budgetAccount: null,
     status: 'active',
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
   
+  // Reserve the budget up front; publishers are paid out of it per impression
+  if (campaign.budget > 0) {
+    ledger.hold(advertiser, budgetRef(campaign), campaign.budget, {
+      memo: `Budget for campaign ${campaign.title}`,
+      source: 'ads',
+      actor: req.agent.name
+    });
+    campaign.budgetAccount = ledger.holdAccount(advertiser, budgetRef(campaign));
+  }
+  
   campaigns.push(campaign);
   saveCampaigns(campaigns);
   
@@ -140,7 +146,7 @@ router.post('/api/campaigns', (req, res) => {
 });
 
 // Pause campaign
-router.post('/api/campaigns/:id/pause', (req, res) => {
+router.post('/api/campaigns/:id/pause', requireAgent(), (req, res) => {
   const campaigns = loadCampaigns();
   const campaign = campaigns.find(c => c.id === req.params.id);
   
@@ -148,6 +154,10 @@ router.post('/api/campaigns/:id/pause', (req, res) => {
     return res.status(404).json({ error: 'Campaign not found' });
   }
   
+  if (!isActingAgent(req, campaign.advertiser)) {
+    return res.status(403).json({ error: 'Only the advertiser can pause this campaign' });
+  }
+  
   campaign.status = 'paused';
   campaign.updatedAt = new Date().toISOString();
   
@@ -156,7 +166,7 @@ router.post('/api/campaigns/:id/pause', (req, res) => {
 });
 
 // Resume campaign
-router.post('/api/campaigns/:id/resume', (req, res) => {
+router.post('/api/campaigns/:id/resume', requireAgent(), (req, res) => {
   const campaigns = loadCampaigns();
   const campaign = campaigns.find(c => c.id === req.params.id);
   
@@ -164,6 +174,14 @@ router.post('/api/campaigns/:id/resume', (req, res) => {
     return res.status(404).json({ error: 'Campaign not found' });
   }
   
+  if (!isActingAgent(req, campaign.advertiser)) {
+    return res.status(403).json({ error: 'Only the advertiser can resume this campaign' });
+  }
+  
+  if (campaign.status === 'ended' || campaign.status === 'exhausted') {
+    return res.status(409).json({ error: `Cannot resume ${campaign.status} campaign` });
+  }
+  
   campaign.status = 'active';
   campaign.updatedAt = new Date().toISOString();
   
@@ -171,6 +189,38 @@ router.post('/api/campaigns/:id/resume', (req, res) => {
   res.json(campaign);
 });
 
+// End campaign and return unspent budget
+router.post('/api/campaigns/:id/end', requireAgent(), (req, res) => {
+  const campaigns = loadCampaigns();
+  const campaign = campaigns.find(c => c.id === req.params.id);
+  
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  
+  if (!isActingAgent(req, campaign.advertiser)) {
+    return res.status(403).json({ error: 'Only the advertiser can end this campaign' });
+  }
+  
+  if (campaign.status === 'ended') {
+    return res.status(409).json({ error: 'Campaign already ended' });
+  }
+  
+  if (campaign.budgetAccount) {
+    ledger.releaseHold(campaign.advertiser, budgetRef(campaign), {
+      memo: `Unspent budget for campaign ${campaign.title}`,
+      source: 'ads',
+      actor: req.agent.name
+    });
+  }
+  
+  campaign.status = 'ended';
+  campaign.updatedAt = new Date().toISOString();
+  
+  saveCampaigns(campaigns);
+  res.json(campaign);
+});
+
 // Serve ad
 router.get('/api/serve', (req, res) => {
   const { skills, context } = req.query;
@@ -198,12 +248,39 @@ router.get('/api/serve', (req, res) => {
   // Pick random campaign
   const campaign = targetedCampaigns[Math.floor(Math.random() * targetedCampaigns.length)];
   
+  // Authenticated publishers (other than the advertiser) earn the CPM rate per impression
+  let publisher = null;
+  let earned = 0;
+  if (req.agent && campaign.budgetAccount && campaign.cpm > 0 && !isActingAgent(req, campaign.advertiser)) {
+    const rate = campaign.cpm / 1000;
+    if (ledger.balance(campaign.budgetAccount) >= rate) {
+      ledger.captureHold(campaign.advertiser, budgetRef(campaign), ledger.agentAccount(req.agent.name), {
+        amount: rate,
+        memo: `Ad impression for campaign ${campaign.title}`,
+        source: 'ads',
+        actor: req.agent.name
+      });
+      publisher = req.agent.name;
+      earned = rate;
+    }
+    
+    if (ledger.balance(campaign.budgetAccount) < rate) {
+      const allCampaigns = loadCampaigns();
+      const stored = allCampaigns.find(c => c.id === campaign.id);
+      stored.status = 'exhausted';
+      stored.updatedAt = new Date().toISOString();
+      saveCampaigns(allCampaigns);
+    }
+  }
+  
   // Record impression
   const impressions = loadImpressions();
   impressions.push({
     id: uuidv4(),
     campaignId: campaign.id,
     context: context || null,
+    publisher,
+    earned,
     servedAt: new Date().toISOString()
   });
   saveImpressions(impressions);
@@ -217,7 +294,7 @@ router.get('/api/serve', (req, res) => {
 });
 
 // Record click
-router.post('/api/campaigns/:id/click', (req, res) => {
+router.post('/api/campaigns/:id/click', requireAgent(), (req, res) => {
   const campaigns = loadCampaigns();
   const campaign = campaigns.find(c => c.id === req.params.id);
   
@@ -229,6 +306,7 @@ router.post('/api/campaigns/:id/click', (req, res) => {
   clicks.push({
     id: uuidv4(),
     campaignId: campaign.id,
+    agent: req.agent.name,
     clickedAt: new Date().toISOString()
   });
   saveClicks(clicks);
@@ -236,22 +314,19 @@ router.post('/api/campaigns/:id/click', (req, res) => {
   res.json({ success: true });
 });
 
-// Publisher earnings
+// Publisher earnings (paid impressions served to this agent)
 router.get('/api/earnings/:agent', (req, res) => {
-  const impressions = loadImpressions();
-  const clicks = loadClicks();
-  const campaigns = loadCampaigns();
-  
-  // For now, just count impressions and clicks
-  // In a real system, this would calculate actual earnings based on CPM/CPC
-  const agentImpressions = impressions.length; // Would filter by agent
-  const agentClicks = clicks.length; // Would filter by agent
+  const agent = normalizeIdentity(req.params.agent);
+  const impressions = loadImpressions().filter(i => i.publisher && normalizeIdentity(i.publisher) === agent);
+  const earnings = impressions.reduce((sum, i) => sum + (i.earned || 0), 0);
   
   res.json({
     agent: req.params.agent,
-    impressions: agentImpressions,
-    clicks: agentClicks,
-    estimatedEarnings: (agentImpressions * 0.01 + agentClicks * 0.10).toFixed(2)
+    impressions: impressions.length,
+    campaigns: new Set(impressions.map(i => i.campaignId)).size,
+    earnings,
+    currency: ledger.DEFAULT_CURRENCY,
+    estimatedEarnings: earnings.toFixed(2)
   });
 });
 
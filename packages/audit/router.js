@@ -1,68 +1,47 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/audit');
-const SKILLS_FILE = path.join(DATA_DIR, 'skills.json');
-const VOUCHES_FILE = path.join(DATA_DIR, 'vouches.json');
-const TRUST_FILE = path.join(DATA_DIR, 'trust.json');
-const REPUTATION_FILE = path.join(DATA_DIR, 'reputation.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const skillsStore = storage.collection('audit', 'skills');
+const vouchesStore = storage.collection('audit', 'vouches');
+const trustStore = storage.collection('audit', 'trust');
+const reputationStore = storage.collection('audit', 'reputation', { defaultValue: {} });
 
 // Helper functions
 function loadSkills() {
-  try {
-    return JSON.parse(fs.readFileSync(SKILLS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return skillsStore.all();
 }
 
 function saveSkills(skills) {
-  fs.writeFileSync(SKILLS_FILE, JSON.stringify(skills, null, 2));
+  skillsStore.replace(skills);
 }
 
 function loadVouches() {
-  try {
-    return JSON.parse(fs.readFileSync(VOUCHES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return vouchesStore.all();
 }
 
 function saveVouches(vouches) {
-  fs.writeFileSync(VOUCHES_FILE, JSON.stringify(vouches, null, 2));
+  vouchesStore.replace(vouches);
 }
 
 function loadTrust() {
-  try {
-    return JSON.parse(fs.readFileSync(TRUST_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return trustStore.all();
 }
 
 function saveTrust(trust) {
-  fs.writeFileSync(TRUST_FILE, JSON.stringify(trust, null, 2));
+  trustStore.replace(trust);
 }
 
 function loadReputation() {
-  try {
-    return JSON.parse(fs.readFileSync(REPUTATION_FILE, 'utf8'));
-  } catch {
-    return {};
-  }
+  return reputationStore.all();
 }
 
 function saveReputation(reputation) {
-  fs.writeFileSync(REPUTATION_FILE, JSON.stringify(reputation, null, 2));
+  reputationStore.replace(reputation);
 }
 
 // Content hashing (SHA-256)
@@ -219,8 +198,8 @@ router.get('/health', (req, res) => {
 // ===== SKILL REGISTRY =====
 
 // Register a new skill
-router.post('/api/skills', (req, res) => {
-  const { name, description, code, author, authorId, signature, publicKey } = req.body;
+router.post('/api/skills', requireAgent('author'), (req, res) => {
+  const { name, description, code, author, signature, publicKey } = req.body;
   
   if (!name || !code || !author) {
     return res.status(400).json({ error: 'name, code, and author are required' });
@@ -254,7 +233,7 @@ router.post('/api/skills', (req, res) => {
     description: description || '',
     contentHash,
     author,
-    authorId: authorId || null,
+    authorId: req.agent.id,
     signature: signature || null,
     publicKey: publicKey || null,
     registeredAt: new Date().toISOString(),
@@ -329,7 +308,7 @@ router.get('/api/skills/:id/safety', (req, res) => {
 // ===== VOUCHING SYSTEM =====
 
 // Vouch for a skill
-router.post('/api/vouch', (req, res) => {
+router.post('/api/vouch', requireAgent('agentId'), (req, res) => {
   const { skillId, agentId, agentName, testResults, comment, signature } = req.body;
   
   if (!skillId || !agentId) {
@@ -390,7 +369,7 @@ router.get('/api/vouch/agent/:agentId', (req, res) => {
 // ===== TRUST GRAPH =====
 
 // Record trust relationship
-router.post('/api/trust', (req, res) => {
+router.post('/api/trust', requireAgent('fromAgent'), (req, res) => {
   const { fromAgent, toAgent, weight, reason } = req.body;
   
   if (!fromAgent || !toAgent) {
@@ -442,7 +421,7 @@ router.post('/api/trust', (req, res) => {
 });
 
 // Remove trust relationship
-router.delete('/api/trust/:id', (req, res) => {
+router.delete('/api/trust/:id', requireAgent(), (req, res) => {
   const trust = loadTrust();
   const relationship = trust.find(t => t.id === req.params.id);
   
@@ -450,6 +429,10 @@ router.delete('/api/trust/:id', (req, res) => {
     return res.status(404).json({ error: 'Trust relationship not found' });
   }
   
+  if (!isActingAgent(req, relationship.fromAgent)) {
+    return res.status(403).json({ error: 'Only the trusting agent can remove this relationship' });
+  }
+  
   relationship.active = false;
   relationship.updatedAt = new Date().toISOString();
   
@@ -546,7 +529,7 @@ router.get('/api/reputation', (req, res) => {
 });
 
 // Manually trigger reputation recalculation
-router.post('/api/reputation/recalculate', (req, res) => {
+router.post('/api/reputation/recalculate', requireAgent(), (req, res) => {
   const scores = updateReputationScores();
   
   res.json({
@@ -575,12 +558,7 @@ function calculatePercentile(agentId, reputation) {
 
 // Helper: Get last reputation update time
 function getReputationLastUpdated() {
-  try {
-    const stats = fs.statSync(REPUTATION_FILE);
-    return stats.mtime.toISOString();
-  } catch {
-    return null;
-  }
+  return reputationStore.updatedAt();
 }
 
 // ===== STATISTICS & ANALYTICS =====
@@ -1,48 +1,98 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_SCOPES, requireAgent, requireAgentScope, isActingAgent, looksLikeAgentId, normalizeIdentity, hasScope, validateScopes, checkKey } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/auth');
-const AGENTS_FILE = path.join(DATA_DIR, 'agents.json');
-const KEYS_FILE = path.join(DATA_DIR, 'keys.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const agentsStore = storage.collection('auth', 'agents');
+const keysStore = storage.collection('auth', 'keys');
+const feedbackStore = storage.collection('auth', 'feedback');
 
 // Helper functions
 function loadAgents() {
-  try {
-    return JSON.parse(fs.readFileSync(AGENTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return agentsStore.all();
 }
 
 function saveAgents(agents) {
-  fs.writeFileSync(AGENTS_FILE, JSON.stringify(agents, null, 2));
+  agentsStore.replace(agents);
 }
 
 function loadKeys() {
-  try {
-    return JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return keysStore.all();
 }
 
 function saveKeys(keys) {
-  fs.writeFileSync(KEYS_FILE, JSON.stringify(keys, null, 2));
+  keysStore.replace(keys);
+}
+
+function loadFeedback() {
+  return feedbackStore.all();
+}
+
+function saveFeedback(feedback) {
+  feedbackStore.replace(feedback);
 }
 
 function generateApiKey() {
   return 'molt_' + crypto.randomBytes(32).toString('hex');
 }
 
+// Old keys stay valid this long after rotation unless the caller asks otherwise
+const DEFAULT_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+const MAX_ROTATION_GRACE_SECONDS = 30 * 24 * 60 * 60;
+
+function isKeyActive(key) {
+  return !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt) > new Date());
+}
+
+function createKeyRecord(agentId, options = {}) {
+  return {
+    id: uuidv4(),
+    agentId,
+    name: options.name || 'Default Key',
+    key: generateApiKey(),
+    scopes: options.scopes || DEFAULT_SCOPES,
+    expiresAt: options.expiresAt || null,
+    allowedIps: options.allowedIps || [],
+    allowedOrigins: options.allowedOrigins || [],
+    rotatedFrom: options.rotatedFrom || null,
+    createdAt: new Date().toISOString(),
+    lastUsed: null,
+    revokedAt: null
+  };
+}
+
+// Validate scopes/expiry/allowlists for a new key; returns an error message or null
+function validateKeyOptions(req, { scopes, expiresAt, allowedIps, allowedOrigins }) {
+  if (scopes !== undefined) {
+    const scopeError = validateScopes(scopes);
+    if (scopeError) return scopeError;
+    
+    // A key can only hand out permissions it already holds
+    const escalated = scopes.filter(scope => !hasScope(req.apiKey.scopes, scope));
+    if (escalated.length > 0) {
+      return `Cannot grant scopes beyond the calling key: ${escalated.join(', ')}`;
+    }
+  }
+  
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return 'expiresAt must be a future ISO date';
+    }
+  }
+  
+  for (const [field, list] of [['allowedIps', allowedIps], ['allowedOrigins', allowedOrigins]]) {
+    if (list !== undefined && (!Array.isArray(list) || list.some(v => typeof v !== 'string' || !v))) {
+      return `${field} must be an array of strings`;
+    }
+  }
+  
+  return null;
+}
+
 // Serve dashboard
 router.use(express.static(path.join(__dirname, 'public')));
 
@@ -52,7 +102,7 @@ router.get('/health', (req, res) => {
     status: 'ok',
     service: 'moltauth',
     agents: loadAgents().length,
-    activeKeys: loadKeys().filter(k => !k.revokedAt).length,
+    activeKeys: loadKeys().filter(isKeyActive).length,
     timestamp: new Date().toISOString()
   });
 });
@@ -61,19 +111,35 @@ router.get('/health', (req, res) => {
 router.post('/api/agents', (req, res) => {
   const { name, description, capabilities, services, x402Support, supportedTrust, registrations, metadata } = req.body;
   
-  if (!name) {
+  if (!name || typeof name !== 'string') {
     return res.status(400).json({ error: 'Agent name is required' });
   }
   
+  // Names are matched after normalizeIdentity() everywhere else, so only
+  // accept the canonical spelling: no leading '@', no surrounding whitespace
+  if (name !== name.trim() || name.startsWith('@')) {
+    return res.status(400).json({ error: 'Agent name must not start with @ or have surrounding whitespace' });
+  }
+  
+  // Routes accept a name or an id for the same agent, so the two must never overlap
+  if (looksLikeAgentId(name)) {
+    return res.status(400).json({ error: 'Agent name must not look like an agent id' });
+  }
+  
   const agents = loadAgents();
   
   // Check if agent already exists
-  if (agents.find(a => a.name.toLowerCase() === name.toLowerCase())) {
+  if (agents.find(a => normalizeIdentity(a.name) === normalizeIdentity(name) || a.id === name)) {
     return res.status(409).json({ error: 'Agent already exists' });
   }
   
+  let id = uuidv4();
+  while (agents.some(a => normalizeIdentity(a.name) === id)) {
+    id = uuidv4();
+  }
+  
   const agent = {
-    id: uuidv4(),
+    id,
     name,
     description: description || '',
     capabilities: capabilities || [],
@@ -91,7 +157,17 @@ router.post('/api/agents', (req, res) => {
   agents.push(agent);
   saveAgents(agents);
   
-  res.status(201).json(agent);
+  // Issue an initial full-access key so the new agent can authenticate everywhere else
+  const keys = loadKeys();
+  const key = createKeyRecord(agent.id);
+  keys.push(key);
+  saveKeys(keys);
+  
+  res.status(201).json({
+    ...agent,
+    apiKey: key.key,
+    keyId: key.id
+  });
 });
 
 // List all agents
@@ -125,7 +201,7 @@ router.get('/api/agents/:id', (req, res) => {
   }
   
   // Include key count
-  const keys = loadKeys().filter(k => k.agentId === agent.id && !k.revokedAt);
+  const keys = loadKeys().filter(k => k.agentId === agent.id && isKeyActive(k));
   
   res.json({
     ...agent,
@@ -134,8 +210,8 @@ router.get('/api/agents/:id', (req, res) => {
 });
 
 // Generate API key for agent
-router.post('/api/agents/:id/keys', (req, res) => {
-  const { name } = req.body;
+router.post('/api/agents/:id/keys', requireAgentScope('auth:keys:write'), (req, res) => {
+  const { name, scopes, expiresAt, allowedIps, allowedOrigins } = req.body;
   const agents = loadAgents();
   const agent = agents.find(a => a.id === req.params.id);
   
@@ -143,18 +219,23 @@ router.post('/api/agents/:id/keys', (req, res) => {
     return res.status(404).json({ error: 'Agent not found' });
   }
   
-  const keys = loadKeys();
-  const apiKey = generateApiKey();
+  if (req.agent.id !== agent.id) {
+    return res.status(403).json({ error: 'Agents can only manage their own keys' });
+  }
   
-  const key = {
-    id: uuidv4(),
-    agentId: agent.id,
-    name: name || 'Default Key',
-    key: apiKey,
-    createdAt: new Date().toISOString(),
-    lastUsed: null,
-    revokedAt: null
-  };
+  const validationError = validateKeyOptions(req, { scopes, expiresAt, allowedIps, allowedOrigins });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const keys = loadKeys();
+  const key = createKeyRecord(agent.id, {
+    name,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    allowedIps,
+    allowedOrigins
+  });
   
   keys.push(key);
   saveKeys(keys);
@@ -162,8 +243,76 @@ router.post('/api/agents/:id/keys', (req, res) => {
   res.status(201).json(key);
 });
 
+// Rotate API key: issue a replacement and keep the old key valid for a grace period
+router.post('/api/agents/:id/keys/:keyId/rotate', requireAgentScope('auth:keys:write'), (req, res) => {
+  if (req.agent.id !== req.params.id) {
+    return res.status(403).json({ error: 'Agents can only manage their own keys' });
+  }
+  
+  const { gracePeriodSeconds } = req.body;
+  const grace = gracePeriodSeconds === undefined ? DEFAULT_ROTATION_GRACE_SECONDS : Number(gracePeriodSeconds);
+  
+  if (!Number.isFinite(grace) || grace < 0 || grace > MAX_ROTATION_GRACE_SECONDS) {
+    return res.status(400).json({ 
+      error: `gracePeriodSeconds must be between 0 and ${MAX_ROTATION_GRACE_SECONDS}` 
+    });
+  }
+  
+  const keys = loadKeys();
+  const oldKey = keys.find(k => k.id === req.params.keyId && k.agentId === req.params.id);
+  
+  if (!oldKey) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+  
+  if (!isKeyActive(oldKey)) {
+    return res.status(409).json({ error: 'Only active keys can be rotated' });
+  }
+  
+  if (oldKey.replacedBy) {
+    return res.status(409).json({ error: 'Key has already been rotated', replacedBy: oldKey.replacedBy });
+  }
+  
+  const scopeError = validateKeyOptions(req, { scopes: oldKey.scopes || DEFAULT_SCOPES });
+  if (scopeError) {
+    return res.status(403).json({ error: scopeError });
+  }
+  
+  const newKey = createKeyRecord(oldKey.agentId, {
+    name: oldKey.name,
+    scopes: oldKey.scopes,
+    expiresAt: oldKey.expiresAt,
+    allowedIps: oldKey.allowedIps,
+    allowedOrigins: oldKey.allowedOrigins,
+    rotatedFrom: oldKey.id
+  });
+  
+  // The old key keeps working until the grace period (or its own expiry) ends
+  const graceEndsAt = new Date(Date.now() + grace * 1000);
+  if (!oldKey.expiresAt || new Date(oldKey.expiresAt) > graceEndsAt) {
+    oldKey.expiresAt = graceEndsAt.toISOString();
+  }
+  oldKey.replacedBy = newKey.id;
+  oldKey.rotatedAt = new Date().toISOString();
+  
+  keys.push(newKey);
+  saveKeys(keys);
+  
+  res.status(201).json({
+    key: newKey,
+    previousKey: {
+      id: oldKey.id,
+      expiresAt: oldKey.expiresAt
+    }
+  });
+});
+
 // Revoke API key
-router.delete('/api/agents/:id/keys/:keyId', (req, res) => {
+router.delete('/api/agents/:id/keys/:keyId', requireAgentScope('auth:keys:write'), (req, res) => {
+  if (req.agent.id !== req.params.id) {
+    return res.status(403).json({ error: 'Agents can only manage their own keys' });
+  }
+  
   const keys = loadKeys();
   const key = keys.find(k => k.id === req.params.keyId && k.agentId === req.params.id);
   
@@ -179,7 +328,7 @@ router.delete('/api/agents/:id/keys/:keyId', (req, res) => {
 
 // Verify API key
 router.post('/api/verify', (req, res) => {
-  const { apiKey } = req.body;
+  const { apiKey, scope, ip, origin } = req.body;
   
   if (!apiKey) {
     return res.status(400).json({ error: 'API key is required' });
@@ -192,8 +341,19 @@ router.post('/api/verify', (req, res) => {
     return res.status(401).json({ error: 'Invalid API key' });
   }
   
-  if (key.revokedAt) {
-    return res.status(401).json({ error: 'API key has been revoked' });
+  // Allowlists are only checked when the caller says where the key is being used from
+  const rejection = checkKey({
+    ...key,
+    allowedIps: ip ? key.allowedIps : [],
+    allowedOrigins: origin ? key.allowedOrigins : []
+  }, { ip, origin });
+  
+  if (rejection) {
+    return res.status(rejection.status).json({ error: rejection.error });
+  }
+  
+  if (scope && !hasScope(key.scopes, scope)) {
+    return res.status(403).json({ error: `API key lacks scope ${scope}` });
   }
   
   // Update last used
@@ -222,6 +382,8 @@ router.post('/api/verify', (req, res) => {
     key: {
       id: key.id,
       name: key.name,
+      scopes: key.scopes || DEFAULT_SCOPES,
+      expiresAt: key.expiresAt || null,
       createdAt: key.createdAt
     }
   });
@@ -261,13 +423,7 @@ router.get('/api/agents/:id/feedback', (req, res) => {
   }
   
   // Load feedback data
-  const FEEDBACK_FILE = path.join(DATA_DIR, 'feedback.json');
-  let feedback = [];
-  try {
-    feedback = JSON.parse(fs.readFileSync(FEEDBACK_FILE, 'utf8'));
-  } catch {
-    feedback = [];
-  }
+  const feedback = loadFeedback();
   
   const agentFeedback = feedback.filter(f => f.agentId === req.params.id);
   
@@ -283,7 +439,7 @@ router.get('/api/agents/:id/feedback', (req, res) => {
 });
 
 // Submit feedback (ERC-8004 format)
-router.post('/api/agents/:id/feedback', (req, res) => {
+router.post('/api/agents/:id/feedback', requireAgent(), (req, res) => {
   const { value, valueDecimals, tag1, tag2, endpoint } = req.body;
   const agentId = req.params.id;
   
@@ -298,18 +454,17 @@ router.post('/api/agents/:id/feedback', (req, res) => {
     return res.status(400).json({ error: 'value is required' });
   }
   
-  // Load feedback data
-  const FEEDBACK_FILE = path.join(DATA_DIR, 'feedback.json');
-  let feedback = [];
-  try {
-    feedback = JSON.parse(fs.readFileSync(FEEDBACK_FILE, 'utf8'));
-  } catch {
-    feedback = [];
+  if (isActingAgent(req, agentId)) {
+    return res.status(403).json({ error: 'Agents cannot submit feedback about themselves' });
   }
   
+  // Load feedback data
+  const feedback = loadFeedback();
+  
   const newFeedback = {
     id: uuidv4(),
     agentId,
+    clientAgentId: req.agent.id,
     value: parseFloat(value),
     valueDecimals: valueDecimals || 0,
     tag1: tag1 || null,
@@ -319,7 +474,7 @@ router.post('/api/agents/:id/feedback', (req, res) => {
   };
   
   feedback.push(newFeedback);
-  fs.writeFileSync(FEEDBACK_FILE, JSON.stringify(feedback, null, 2));
+  saveFeedback(feedback);
   
   res.status(201).json(newFeedback);
 });
@@ -2,9 +2,12 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
 
 const router = express.Router();
-const DATA_FILE = path.join(__dirname, '../../data/board/listings.json');
+const listingsStore = storage.collection('board', 'listings', { defaultValue: null });
 const LEGACY_BOUNTIES_FILE = path.join(__dirname, '../../data/board/bounties.json');
 
 // Category definitions
@@ -18,28 +21,39 @@ const CATEGORIES = [
 ];
 
 function loadListings() {
+  const stored = listingsStore.all();
+  if (stored) {
+    return stored;
+  }
+
+  // Migrate from old bounties.json if exists
   try {
-    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    const oldBounties = JSON.parse(fs.readFileSync(LEGACY_BOUNTIES_FILE, 'utf8'));
+    const listings = oldBounties.map(b => ({
+      ...b,
+      category: 'bounties',
+      expiresAt: null,
+      contactInfo: b.poster
+    }));
+    saveListings(listings);
+    return listingsStore.all();
   } catch {
-    // Migrate from old bounties.json if exists
-    try {
-      const oldBounties = JSON.parse(fs.readFileSync(LEGACY_BOUNTIES_FILE, 'utf8'));
-      const listings = oldBounties.map(b => ({
-        ...b,
-        category: 'bounties',
-        expiresAt: null,
-        contactInfo: b.poster
-      }));
-      saveListings(listings);
-      return listings;
-    } catch {
-      return [];
-    }
+    return [];
   }
 }
 
 function saveListings(listings) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(listings, null, 2));
+  listingsStore.replace(listings);
+}
+
+// Common payload for bounty.* events
+function bountyEvent(bounty) {
+  return {
+    bountyId: bounty.id,
+    poster: bounty.poster,
+    claimedBy: bounty.claimedBy,
+    reward: bounty.reward
+  };
 }
 
 // Health
@@ -88,13 +102,13 @@ router.get('/api/listings', (req, res) => {
 
 // Get single listing
 router.get('/api/listings/:id', (req, res) => {
-  const listing = loadListings().find(l => l.id === req.params.id);
+  const listing = listingsStore.get(req.params.id);
   if (!listing) return res.status(404).json({ error: 'Listing not found' });
   res.json(listing);
 });
 
 // Create listing
-router.post('/api/listings', (req, res) => {
+router.post('/api/listings', requireAgent(), (req, res) => {
   const { title, description, category, tags, contactInfo, reward, expiresAt } = req.body;
   
   if (!title || !contactInfo) {
@@ -114,7 +128,7 @@ router.post('/api/listings', (req, res) => {
     reward: reward || '',
     tags: tags || [],
     contactInfo,
-    poster: contactInfo,
+    poster: req.agent.name,
     status: 'active',
     expiresAt: expiresAt || null,
     claimedBy: null,
@@ -131,12 +145,15 @@ router.post('/api/listings', (req, res) => {
 });
 
 // Update listing status
-router.patch('/api/listings/:id', (req, res) => {
+router.patch('/api/listings/:id', requireAgent(), (req, res) => {
   const { status } = req.body;
   const listings = loadListings();
   const listing = listings.find(l => l.id === req.params.id);
   
   if (!listing) return res.status(404).json({ error: 'Listing not found' });
+  if (!isActingAgent(req, listing.poster)) {
+    return res.status(403).json({ error: 'Only the poster can update this listing' });
+  }
   
   const validStatuses = ['active', 'expired', 'fulfilled', 'open', 'claimed', 'completed', 'verified'];
   if (status && !validStatuses.includes(status)) {
@@ -149,11 +166,14 @@ router.patch('/api/listings/:id', (req, res) => {
 });
 
 // Delete listing
-router.delete('/api/listings/:id', (req, res) => {
+router.delete('/api/listings/:id', requireAgent(), (req, res) => {
   let listings = loadListings();
   const index = listings.findIndex(l => l.id === req.params.id);
   
   if (index === -1) return res.status(404).json({ error: 'Listing not found' });
+  if (!isActingAgent(req, listings[index].poster)) {
+    return res.status(403).json({ error: 'Only the poster can delete this listing' });
+  }
   
   listings.splice(index, 1);
   saveListings(listings);
@@ -181,7 +201,7 @@ router.get('/api/bounties/:id', (req, res) => {
   res.json(bounty);
 });
 
-router.post('/api/bounties', (req, res) => {
+router.post('/api/bounties', requireAgent('poster'), (req, res) => {
   const { title, description, reward, tags, poster } = req.body;
   if (!title || !poster) return res.status(400).json({ error: 'title and poster are required' });
   
@@ -205,12 +225,14 @@ router.post('/api/bounties', (req, res) => {
     createdAt: new Date().toISOString()
   };
   
+  const event = eventBus.check('bounty.created', { bountyId: bounty.id, poster, reward: bounty.reward });
   listings.push(bounty);
   saveListings(listings);
+  eventBus.publish('bounty.created', event, { source: 'board', actor: req.agent.name });
   res.status(201).json(bounty);
 });
 
-router.post('/api/bounties/:id/claim', (req, res) => {
+router.post('/api/bounties/:id/claim', requireAgent('agent'), (req, res) => {
   const { agent } = req.body;
   if (!agent) return res.status(400).json({ error: 'agent name required' });
   
@@ -225,16 +247,21 @@ router.post('/api/bounties/:id/claim', (req, res) => {
   bounty.status = 'claimed';
   bounty.claimedBy = agent;
   bounty.claimedAt = new Date().toISOString();
+  const event = eventBus.check('bounty.claimed', bountyEvent(bounty));
   saveListings(listings);
+  eventBus.publish('bounty.claimed', event, { source: 'board', actor: req.agent.name });
   res.json(bounty);
 });
 
-router.post('/api/bounties/:id/complete', (req, res) => {
+router.post('/api/bounties/:id/complete', requireAgent(), (req, res) => {
   const { proof } = req.body;
   const listings = loadListings();
   const bounty = listings.find(b => b.id === req.params.id && b.category === 'bounties');
   
   if (!bounty) return res.status(404).json({ error: 'Bounty not found' });
+  if (!isActingAgent(req, bounty.claimedBy)) {
+    return res.status(403).json({ error: 'Only the claiming agent can complete this bounty' });
+  }
   if (bounty.status !== 'claimed') {
     return res.status(409).json({ error: `Bounty is ${bounty.status}, not claimed` });
   }
@@ -242,22 +269,29 @@ router.post('/api/bounties/:id/complete', (req, res) => {
   bounty.status = 'completed';
   bounty.proof = proof || null;
   bounty.completedAt = new Date().toISOString();
+  const event = eventBus.check('bounty.completed', bountyEvent(bounty));
   saveListings(listings);
+  eventBus.publish('bounty.completed', event, { source: 'board', actor: req.agent.name });
   res.json(bounty);
 });
 
-router.post('/api/bounties/:id/verify', (req, res) => {
+router.post('/api/bounties/:id/verify', requireAgent(), (req, res) => {
   const listings = loadListings();
   const bounty = listings.find(b => b.id === req.params.id && b.category === 'bounties');
   
   if (!bounty) return res.status(404).json({ error: 'Bounty not found' });
+  if (!isActingAgent(req, bounty.poster)) {
+    return res.status(403).json({ error: 'Only the poster can verify this bounty' });
+  }
   if (bounty.status !== 'completed') {
     return res.status(409).json({ error: `Bounty is ${bounty.status}, not completed` });
   }
   
   bounty.status = 'verified';
   bounty.verifiedAt = new Date().toISOString();
+  const event = eventBus.check('bounty.verified', bountyEvent(bounty));
   saveListings(listings);
+  eventBus.publish('bounty.verified', event, { source: 'board', actor: req.agent.name });
   res.json(bounty);
 });
 
@@ -1,53 +1,36 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/cast');
-const CHANNELS_FILE = path.join(DATA_DIR, 'channels.json');
-const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
-const SUBSCRIPTIONS_FILE = path.join(DATA_DIR, 'subscriptions.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const channelsStore = storage.collection('cast', 'channels');
+const messagesStore = storage.collection('cast', 'messages');
+const subscriptionsStore = storage.collection('cast', 'subscriptions');
 
 function loadChannels() {
-  try {
-    return JSON.parse(fs.readFileSync(CHANNELS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return channelsStore.all();
 }
 
 function saveChannels(channels) {
-  fs.writeFileSync(CHANNELS_FILE, JSON.stringify(channels, null, 2));
+  channelsStore.replace(channels);
 }
 
 function loadMessages() {
-  try {
-    return JSON.parse(fs.readFileSync(MESSAGES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return messagesStore.all();
 }
 
 function saveMessages(messages) {
-  fs.writeFileSync(MESSAGES_FILE, JSON.stringify(messages, null, 2));
+  messagesStore.replace(messages);
 }
 
 function loadSubscriptions() {
-  try {
-    return JSON.parse(fs.readFileSync(SUBSCRIPTIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return subscriptionsStore.all();
 }
 
 function saveSubscriptions(subscriptions) {
-  fs.writeFileSync(SUBSCRIPTIONS_FILE, JSON.stringify(subscriptions, null, 2));
+  subscriptionsStore.replace(subscriptions);
 }
 
 // Health check
@@ -68,7 +51,7 @@ router.get('/', (req, res) => {
 });
 
 // Create channel
-router.post('/api/channels', (req, res) => {
+router.post('/api/channels', requireAgent('creator'), (req, res) => {
   const { name, description, creator } = req.body;
   
   if (!name || !creator) {
@@ -140,7 +123,7 @@ router.get('/api/channels/:name', (req, res) => {
 });
 
 // Subscribe to channel
-router.post('/api/channels/:name/subscribe', (req, res) => {
+router.post('/api/channels/:name/subscribe', requireAgent('agent'), (req, res) => {
   const { agent } = req.body;
   const channelName = req.params.name;
   
@@ -170,10 +153,14 @@ router.post('/api/channels/:name/subscribe', (req, res) => {
 });
 
 // Unsubscribe from channel
-router.delete('/api/channels/:name/subscribe/:agent', (req, res) => {
+router.delete('/api/channels/:name/subscribe/:agent', requireAgent(), (req, res) => {
   const channelName = req.params.name;
   const agent = req.params.agent;
   
+  if (!isActingAgent(req, agent)) {
+    return res.status(403).json({ error: 'Agents can only unsubscribe themselves' });
+  }
+  
   let subscriptions = loadSubscriptions();
   const index = subscriptions.findIndex(s => s.channel === channelName && s.agent === agent);
   
@@ -185,7 +172,7 @@ router.delete('/api/channels/:name/subscribe/:agent', (req, res) => {
 });
 
 // Broadcast message to channel
-router.post('/api/channels/:name/broadcast', (req, res) => {
+router.post('/api/channels/:name/broadcast', requireAgent('from'), (req, res) => {
   const { from, content, priority } = req.body;
   const channelName = req.params.name;
   
@@ -1,67 +1,46 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/commons');
-const RESOURCES_FILE = path.join(DATA_DIR, 'resources.json');
-const ALLOCATIONS_FILE = path.join(DATA_DIR, 'allocations.json');
-const RULES_FILE = path.join(DATA_DIR, 'rules.json');
-const VIOLATIONS_FILE = path.join(DATA_DIR, 'violations.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const resourcesStore = storage.collection('commons', 'resources');
+const allocationsStore = storage.collection('commons', 'allocations');
+const rulesStore = storage.collection('commons', 'rules');
+const violationsStore = storage.collection('commons', 'violations');
 
 // Helper functions
 function loadResources() {
-  try {
-    return JSON.parse(fs.readFileSync(RESOURCES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return resourcesStore.all();
 }
 
 function saveResources(resources) {
-  fs.writeFileSync(RESOURCES_FILE, JSON.stringify(resources, null, 2));
+  resourcesStore.replace(resources);
 }
 
 function loadAllocations() {
-  try {
-    return JSON.parse(fs.readFileSync(ALLOCATIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return allocationsStore.all();
 }
 
 function saveAllocations(allocations) {
-  fs.writeFileSync(ALLOCATIONS_FILE, JSON.stringify(allocations, null, 2));
+  allocationsStore.replace(allocations);
 }
 
 function loadRules() {
-  try {
-    return JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return rulesStore.all();
 }
 
 function saveRules(rules) {
-  fs.writeFileSync(RULES_FILE, JSON.stringify(rules, null, 2));
+  rulesStore.replace(rules);
 }
 
 function loadViolations() {
-  try {
-    return JSON.parse(fs.readFileSync(VIOLATIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return violationsStore.all();
 }
 
 function saveViolations(violations) {
-  fs.writeFileSync(VIOLATIONS_FILE, JSON.stringify(violations, null, 2));
+  violationsStore.replace(violations);
 }
 
 // Serve dashboard
@@ -88,7 +67,7 @@ router.get('/', (req, res) => {
 });
 
 // Register shared resource
-router.post('/api/resources', (req, res) => {
+router.post('/api/resources', requireAgent(), (req, res) => {
   const { name, description, type, capacity, rules } = req.body;
   
   if (!name || !type || !capacity) {
@@ -109,6 +88,7 @@ router.post('/api/resources', (req, res) => {
     type,
     capacity,
     rules: rules || [],
+    registeredBy: req.agent.name,
     createdAt: new Date().toISOString()
   };
   
@@ -170,7 +150,7 @@ router.get('/api/resources/:id', (req, res) => {
 });
 
 // Request resource usage
-router.post('/api/resources/:id/use', (req, res) => {
+router.post('/api/resources/:id/use', requireAgent('agent'), (req, res) => {
   const { agent, amount, duration } = req.body;
   
   if (!agent || !amount || amount <= 0) {
@@ -218,7 +198,7 @@ router.post('/api/resources/:id/use', (req, res) => {
 });
 
 // Release allocation
-router.post('/api/resources/:id/release', (req, res) => {
+router.post('/api/resources/:id/release', requireAgent('agent'), (req, res) => {
   const { agent } = req.body;
   
   if (!agent) {
@@ -277,7 +257,7 @@ router.get('/api/resources/:id/usage', (req, res) => {
 });
 
 // Add governance rule
-router.post('/api/resources/:id/rules', (req, res) => {
+router.post('/api/resources/:id/rules', requireAgent('proposer'), (req, res) => {
   const { rule, proposer } = req.body;
   
   if (!rule || !proposer) {
@@ -1,36 +1,644 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity, findAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
+const ledger = require('../shared/ledger');
+const scheduler = require('../shared/scheduler');
+const params = require('../shared/params');
 
 const router = express.Router();
-const CASES_FILE = path.join(__dirname, '../../data/court/cases.json');
-const JUDGES_FILE = path.join(__dirname, '../../data/court/judges.json');
+const casesStore = storage.collection('court', 'cases');
+const judgesStore = storage.collection('court', 'judges');
+
+// MoltGraph's social graph, read to keep the parties' neighbours off their jury
+const connectionsStore = storage.collection('graph', 'connections');
+const graphVouchesStore = storage.collection('graph', 'vouches');
+
+// MoltPay's invoices, read to check a filed case is about a real dispute between its parties
+const invoicesStore = storage.collection('pay', 'invoices');
 
 function loadCases() {
-  try {
-    return JSON.parse(fs.readFileSync(CASES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return casesStore.all();
 }
 
 function saveCases(cases) {
-  fs.writeFileSync(CASES_FILE, JSON.stringify(cases, null, 2));
+  casesStore.replace(cases);
 }
 
 function loadJudges() {
+  return judgesStore.all();
+}
+
+function saveJudges(judges) {
+  judgesStore.replace(judges);
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Minimum stake (held in the ledger) to be drawn as a juror or to rule alone
+const JUROR_STAKE = parseFloat(process.env.COURT_JUROR_STAKE || '10');
+
+// Share of a juror's stake lost for voting against the majority or not voting
+const SLASH_RATE = parseFloat(process.env.COURT_SLASH_RATE || '0.1');
+
+// First-round jury size, changeable by MoltDAO
+params.define('court.panelSize', {
+  description: 'Jurors drawn for a first-round panel; appeals draw 2n+1',
+  type: 'integer',
+  min: 1,
+  max: 25,
+  defaultValue: parseInt(process.env.COURT_PANEL_SIZE || '3', 10)
+});
+
+// First round plus appeals
+const MAX_ROUNDS = parseInt(process.env.COURT_MAX_ROUNDS || '3', 10);
+
+const COMMIT_HOURS = parseFloat(process.env.COURT_COMMIT_HOURS || '24');
+const REVEAL_HOURS = parseFloat(process.env.COURT_REVEAL_HOURS || '24');
+const APPEAL_HOURS = parseFloat(process.env.COURT_APPEAL_HOURS || '48');
+
+const DEADLINE_INTERVAL_MS = 60 * 1000;
+
+// Ledger hold reference for juror stakes
+const STAKE_REF = 'court:stake';
+
+const JURY_JUDGE = 'jury';
+
+// Case statuses: open -> voting (jury drawn) -> decided (appeal window) -> resolved,
+// or closed when the escrow behind it is settled in MoltPay first
+const PENDING_STATUSES = ['open', 'voting', 'decided'];
+
+// Structured outcomes for cases about a MoltPay invoice
+const ESCROW_OUTCOMES = ['release_to_payee', 'refund_to_payer', 'split'];
+
+/**
+ * Validate the escrow part of a ruling
+ * @param {Object} body - { outcome, payeePercent }
+ * @param {Object} caseItem
+ * @returns {Object} { outcome, payeePercent } (both null for other cases) or { error }
+ */
+function parseEscrowRuling(body, caseItem) {
+  const { outcome, payeePercent } = body;
+
+  if (!outcome) {
+    return caseItem.relatedInvoiceId
+      ? { error: `outcome is required for invoice disputes (one of: ${ESCROW_OUTCOMES.join(', ')})` }
+      : { outcome: null, payeePercent: null };
+  }
+
+  if (!ESCROW_OUTCOMES.includes(outcome)) {
+    return { error: `outcome must be one of: ${ESCROW_OUTCOMES.join(', ')}` };
+  }
+
+  if (outcome !== 'split') {
+    return { outcome, payeePercent: outcome === 'release_to_payee' ? 100 : 0 };
+  }
+
+  const percent = parseFloat(payeePercent);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+    return { error: 'split rulings need payeePercent between 0 and 100' };
+  }
+  return { outcome, payeePercent: percent };
+}
+
+function round(amount) {
+  return Math.round(amount * 1e8) / 1e8;
+}
+
+// Which side of an invoice an agent is on: 'payer', 'payee' or null. Agents
+// acting for a treasury payer (the invoice's payerIds) count as the payer.
+function invoiceSide(invoice, identity) {
+  const name = normalizeIdentity(identity);
+  if (name === normalizeIdentity(invoice.to)) return 'payee';
+  if (name === normalizeIdentity(invoice.from)) return 'payer';
+  const agent = invoice.payerIds ? findAgent(identity) : null;
+  return agent && invoice.payerIds.includes(agent.id) ? 'payer' : null;
+}
+
+/**
+ * Check that a case filed about a MoltPay escrow names a disputed invoice (or
+ * milestone) that has no case yet, between the invoice's own parties
+ * @param {Object} fields - { plaintiff, defendant, relatedInvoiceId, relatedMilestoneId }
+ * @param {Object[]} cases
+ * @returns {{status: number, error: string}|null} Rejection, or null if it can be filed
+ */
+function invoiceCaseError({ plaintiff, defendant, relatedInvoiceId, relatedMilestoneId }, cases) {
+  const invoice = invoicesStore.get(relatedInvoiceId);
+  if (!invoice) {
+    return { status: 404, error: 'Related invoice not found' };
+  }
+  const unit = relatedMilestoneId ? (invoice.milestones || []).find(m => m.id === relatedMilestoneId) : invoice;
+  if (!unit) {
+    return { status: 404, error: 'Related milestone not found' };
+  }
+  if (unit.status !== 'disputed') {
+    return { status: 409, error: `Only disputed escrow can go to court; this is ${unit.status}` };
+  }
+  const sides = [plaintiff, defendant].map(party => invoiceSide(invoice, party)).sort();
+  if (sides[0] !== 'payee' || sides[1] !== 'payer') {
+    return { status: 403, error: 'The plaintiff and defendant must be the payer and payee of the invoice' };
+  }
+  const pending = cases.find(c => PENDING_STATUSES.includes(c.status) &&
+    c.relatedInvoiceId === relatedInvoiceId && (c.relatedMilestoneId || null) === (relatedMilestoneId || null));
+  if (pending) {
+    return { status: 409, error: `This dispute is already before the court in case ${pending.id}` };
+  }
+  return null;
+}
+
+function publishAll(events, actor) {
+  for (const [type, payload] of events) {
+    eventBus.publish(type, payload, { source: 'court', actor });
+  }
+}
+
+// Common payload for case.* events
+function caseEvent(caseItem) {
+  return {
+    caseId: caseItem.id,
+    plaintiff: caseItem.plaintiff,
+    defendant: caseItem.defendant,
+    relatedInvoiceId: caseItem.relatedInvoiceId || null,
+    relatedMilestoneId: caseItem.relatedMilestoneId || null,
+    relatedMarketId: caseItem.relatedMarketId || null
+  };
+}
+
+/**
+ * Record the final ruling on a case
+ * @param {Object} caseItem
+ * @param {Object} ruling - { judge, decision, reasoning, outcome, payeePercent }
+ * @returns {Array} The checked case.ruled event to publish
+ */
+function recordRuling(caseItem, ruling) {
+  caseItem.ruling = { ...ruling, ruledAt: new Date().toISOString() };
+  caseItem.status = 'resolved';
+  caseItem.appealDeadline = null;
+  caseItem.updatedAt = caseItem.ruling.ruledAt;
+
+  return ['case.ruled', eventBus.check('case.ruled', {
+    ...caseEvent(caseItem),
+    judge: ruling.judge,
+    decision: ruling.decision,
+    outcome: ruling.outcome,
+    payeePercent: ruling.payeePercent
+  })];
+}
+
+// ============ JURY ============
+// Staked judges are drawn into panels that vote by commit-reveal. Jurors who
+// vote against the majority or don't vote lose SLASH_RATE of their stake to the
+// case pool, which is shared among the majority. Either party may appeal a
+// verdict to a larger panel until MAX_ROUNDS is reached.
+
+function stakeOf(agent) {
+  return ledger.balance(ledger.holdAccount(agent, STAKE_REF));
+}
+
+// Share of past votes that matched the majority, smoothed so new jurors start at 0.5
+function reputationOf(judge) {
+  const matched = judge.votesWithMajority || 0;
+  const total = matched + (judge.votesAgainstMajority || 0) + (judge.missedVotes || 0);
+  return Math.round(((matched + 1) / (total + 2)) * 1000) / 1000;
+}
+
+function judgeView(judge) {
+  const stake = stakeOf(judge.agent);
+  return { ...judge, stake, reputation: reputationOf(judge), eligible: stake >= JUROR_STAKE };
+}
+
+// The parties plus everyone connected to or vouching with either of them in MoltGraph
+function conflictedAgents(caseItem) {
+  const parties = [caseItem.plaintiff, caseItem.defendant].map(normalizeIdentity);
+  const conflicted = new Set(parties);
+  const links = [
+    ...connectionsStore.all().map(c => [c.agentId, c.targetId]),
+    ...graphVouchesStore.all().map(v => [v.voucherId, v.targetId])
+  ];
+
+  for (const [a, b] of links) {
+    const left = normalizeIdentity(a);
+    const right = normalizeIdentity(b);
+    if (parties.includes(left)) conflicted.add(right);
+    if (parties.includes(right)) conflicted.add(left);
+  }
+  return conflicted;
+}
+
+function randomUnit() {
+  return crypto.randomInt(1, 2 ** 47) / 2 ** 47;
+}
+
+/**
+ * Draw a jury at random from the staked, impartial judges who haven't sat on
+ * this case yet. Draws are weighted by reputation and doubled for judges
+ * listing the case category as a specialty.
+ * @param {Object} caseItem
+ * @param {number} size
+ * @returns {Object[]|null} Jurors, or null if too few judges are eligible
+ */
+function drawPanel(caseItem, size) {
+  const conflicted = conflictedAgents(caseItem);
+  const served = new Set((caseItem.juryRounds || [])
+    .flatMap(r => r.jurors.map(j => normalizeIdentity(j.agent))));
+  const category = caseItem.category ? caseItem.category.toLowerCase() : null;
+
+  const candidates = loadJudges()
+    .filter(j => !conflicted.has(normalizeIdentity(j.agent)) && !served.has(normalizeIdentity(j.agent)))
+    .filter(j => stakeOf(j.agent) >= JUROR_STAKE)
+    .map(j => {
+      const specialist = Boolean(category) && (j.specialties || []).some(s => String(s).toLowerCase() === category);
+      return { judge: j, weight: reputationOf(j) * (specialist ? 2 : 1) };
+    });
+
+  if (candidates.length < size) {
+    return null;
+  }
+
+  // Weighted sampling without replacement: keep the `size` largest u^(1/weight)
+  return candidates
+    .map(c => ({ ...c, key: Math.pow(randomUnit(), 1 / c.weight) }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, size)
+    .map(c => ({
+      judgeId: c.judge.id,
+      agent: c.judge.agent,
+      weight: c.weight,
+      commitment: null,
+      committedAt: null,
+      vote: null,
+      choice: null,
+      payeePercent: null,
+      revealedAt: null,
+      result: null,
+      slashed: 0,
+      reward: 0
+    }));
+}
+
+function currentRound(caseItem) {
+  const rounds = caseItem.juryRounds || [];
+  return rounds[rounds.length - 1] || null;
+}
+
+function openRound(caseItem, jurors) {
+  const rounds = caseItem.juryRounds || (caseItem.juryRounds = []);
+  const now = new Date();
+  const jury = {
+    round: rounds.length + 1,
+    size: jurors.length,
+    jurors,
+    status: 'commit',
+    commitDeadline: new Date(now.getTime() + COMMIT_HOURS * HOUR_MS).toISOString(),
+    revealDeadline: null,
+    votes: null,
+    verdict: null,
+    drawnAt: now.toISOString(),
+    decidedAt: null
+  };
+
+  rounds.push(jury);
+  caseItem.status = 'voting';
+  caseItem.appealDeadline = null;
+  caseItem.updatedAt = jury.drawnAt;
+  return jury;
+}
+
+/**
+ * Validate a juror's vote. Invoice cases take an escrow outcome (a split is
+ * voted as 'split:<payeePercent>'); other cases take the winning party.
+ * @param {string} vote
+ * @param {Object} caseItem
+ * @returns {Object} { choice, payeePercent } or { error }
+ */
+function parseVote(vote, caseItem) {
+  if (typeof vote !== 'string' || !vote) {
+    return { error: 'vote is required' };
+  }
+
+  if (!caseItem.relatedInvoiceId) {
+    return ['plaintiff', 'defendant'].includes(vote)
+      ? { choice: vote, payeePercent: null }
+      : { error: 'vote must be plaintiff or defendant' };
+  }
+
+  const [outcome, payeePercent] = vote.split(':');
+  const escrow = parseEscrowRuling({ outcome, payeePercent }, caseItem);
+  if (escrow.error) {
+    return { error: `${escrow.error}; vote splits as split:<payeePercent>` };
+  }
+  return { choice: escrow.outcome, payeePercent: escrow.payeePercent };
+}
+
+function commitmentFor(vote, salt) {
+  return crypto.createHash('sha256').update(`${vote}:${salt}`).digest('hex');
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function poolOf(caseItem) {
+  return ledger.poolAccount('court', caseItem.id);
+}
+
+function slashJuror(caseItem, juror) {
+  const amount = round(stakeOf(juror.agent) * SLASH_RATE);
+  if (amount <= 0) return;
+
+  ledger.captureHold(juror.agent, STAKE_REF, poolOf(caseItem), {
+    amount,
+    memo: `Juror stake slashed on case ${caseItem.id}`,
+    source: 'court',
+    ref: `court:case:${caseItem.id}`
+  });
+  juror.slashed = amount;
+}
+
+// Share everything in the case pool among the majority jurors
+function rewardJurors(caseItem, jurors) {
+  let remaining = ledger.balance(poolOf(caseItem));
+  if (remaining <= 0 || jurors.length === 0) return;
+
+  const share = Math.floor((remaining / jurors.length) * 1e8) / 1e8;
+  jurors.forEach((juror, i) => {
+    const amount = i === jurors.length - 1 ? remaining : share;
+    if (amount <= 0) return;
+
+    ledger.transfer(poolOf(caseItem), ledger.agentAccount(juror.agent), amount, {
+      memo: `Juror reward on case ${caseItem.id}`,
+      source: 'court',
+      ref: `court:case:${caseItem.id}`
+    });
+    juror.reward = amount;
+    remaining = round(remaining - amount);
+  });
+}
+
+/**
+ * Count the revealed votes of a round, settle juror stakes and decide what
+ * happens to the case next
+ * @param {Object} caseItem
+ * @param {Object} jury - The round to tally
+ * @returns {Array[]} Events to publish
+ */
+function tallyRound(caseItem, jury) {
+  const counts = {};
+  for (const juror of jury.jurors) {
+    if (juror.choice) counts[juror.choice] = (counts[juror.choice] || 0) + 1;
+  }
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const hung = ranked.length === 0 || (ranked.length > 1 && ranked[0][1] === ranked[1][1]);
+  const choice = hung ? null : ranked[0][0];
+
+  for (const juror of jury.jurors) {
+    juror.result = !juror.choice ? 'missed' : hung ? 'hung' : juror.choice === choice ? 'majority' : 'minority';
+    if (juror.result !== 'missed' && juror.result !== 'minority') continue;
+    try {
+      slashJuror(caseItem, juror);
+    } catch (error) {
+      console.error(`[court] slashing ${juror.agent} on case ${caseItem.id} failed: ${error.message}`);
+    }
+  }
+
+  const majority = jury.jurors.filter(j => j.result === 'majority');
   try {
-    return JSON.parse(fs.readFileSync(JUDGES_FILE, 'utf8'));
-  } catch {
+    rewardJurors(caseItem, majority);
+  } catch (error) {
+    console.error(`[court] rewarding jurors on case ${caseItem.id} failed: ${error.message}`);
+  }
+
+  const judges = loadJudges();
+  const counters = { majority: 'votesWithMajority', minority: 'votesAgainstMajority', missed: 'missedVotes' };
+  for (const juror of jury.jurors) {
+    const judge = judges.find(j => j.id === juror.judgeId);
+    if (!judge) continue;
+    judge.casesHandled = (judge.casesHandled || 0) + 1;
+    if (counters[juror.result]) judge[counters[juror.result]] = (judge[counters[juror.result]] || 0) + 1;
+    judge.totalSlashed = round((judge.totalSlashed || 0) + juror.slashed);
+    judge.totalRewards = round((judge.totalRewards || 0) + juror.reward);
+  }
+  saveJudges(judges);
+
+  jury.votes = counts;
+  jury.decidedAt = new Date().toISOString();
+  caseItem.updatedAt = jury.decidedAt;
+
+  if (hung) {
+    jury.status = 'hung';
+    // A hung jury goes straight to a larger panel; without one the case is open to a judge again
+    const jurors = jury.round < MAX_ROUNDS ? drawPanel(caseItem, jury.size * 2 + 1) : null;
+    if (jurors) {
+      openRound(caseItem, jurors);
+    } else {
+      caseItem.status = 'open';
+    }
     return [];
   }
+
+  jury.status = 'decided';
+  jury.verdict = {
+    decision: choice,
+    outcome: caseItem.relatedInvoiceId ? choice : null,
+    payeePercent: !caseItem.relatedInvoiceId ? null
+      : choice === 'split' ? median(majority.map(j => j.payeePercent))
+      : choice === 'release_to_payee' ? 100 : 0
+  };
+
+  const events = [['case.verdict', eventBus.check('case.verdict', { ...caseEvent(caseItem), round: jury.round, ...jury.verdict })]];
+  if (jury.round >= MAX_ROUNDS) {
+    events.push(finalizeVerdict(caseItem, jury));
+  } else {
+    caseItem.status = 'decided';
+    caseItem.appealDeadline = new Date(Date.now() + APPEAL_HOURS * HOUR_MS).toISOString();
+  }
+  return events;
 }
 
-function saveJudges(judges) {
-  fs.writeFileSync(JUDGES_FILE, JSON.stringify(judges, null, 2));
+function finalizeVerdict(caseItem, jury) {
+  const tally = Object.entries(jury.votes).map(([choice, count]) => `${count} ${choice}`).join(', ');
+  return recordRuling(caseItem, {
+    judge: JURY_JUDGE,
+    decision: jury.verdict.decision,
+    reasoning: `Majority verdict of a ${jury.size}-juror panel in round ${jury.round} (${tally})`,
+    outcome: jury.verdict.outcome,
+    payeePercent: jury.verdict.payeePercent
+  });
+}
+
+/**
+ * Move a jury case along once its phase is complete or its deadline passed
+ * @param {Object} caseItem
+ * @returns {Array[]} Events to publish
+ */
+function advanceCase(caseItem) {
+  const now = Date.now();
+  const jury = currentRound(caseItem);
+
+  if (caseItem.status === 'decided') {
+    return new Date(caseItem.appealDeadline).getTime() <= now ? [finalizeVerdict(caseItem, jury)] : [];
+  }
+
+  if (caseItem.status !== 'voting' || !jury) {
+    return [];
+  }
+
+  if (jury.status === 'commit' &&
+      (jury.jurors.every(j => j.commitment) || new Date(jury.commitDeadline).getTime() <= now)) {
+    jury.status = 'reveal';
+    jury.revealDeadline = new Date(now + REVEAL_HOURS * HOUR_MS).toISOString();
+    caseItem.updatedAt = new Date(now).toISOString();
+  }
+
+  if (jury.status === 'reveal' &&
+      (jury.jurors.every(j => !j.commitment || j.vote) || new Date(jury.revealDeadline).getTime() <= now)) {
+    return tallyRound(caseItem, jury);
+  }
+  return [];
+}
+
+function advanceDeadlines() {
+  const cases = loadCases();
+  const events = [];
+  let changed = false;
+
+  for (const caseItem of cases) {
+    if (caseItem.status !== 'voting' && caseItem.status !== 'decided') continue;
+    const updatedAt = caseItem.updatedAt;
+    events.push(...advanceCase(caseItem));
+    changed = changed || caseItem.updatedAt !== updatedAt;
+  }
+
+  if (!changed) return;
+
+  saveCases(cases);
+  publishAll(events, null);
+}
+
+scheduler.every('court', 'jury-deadlines', DEADLINE_INTERVAL_MS, advanceDeadlines);
+
+// Open a case for a MoltPay dispute (invoice.disputed / milestone.disputed)
+function fileDisputeCase(event) {
+  const { invoiceId, milestoneId, from, to, amount, currency, disputedBy, reason } = event.payload;
+  const cases = loadCases();
+
+  const existing = cases.find(c =>
+    c.sourceEventId === event.id ||
+    (PENDING_STATUSES.includes(c.status) && c.relatedInvoiceId === invoiceId && (c.relatedMilestoneId || null) === (milestoneId || null))
+  );
+  if (existing) return;
+
+  const plaintiff = disputedBy;
+  const defendant = normalizeIdentity(disputedBy) === normalizeIdentity(from) ? to : from;
+  const subject = milestoneId ? `milestone "${event.payload.title}" of invoice ${invoiceId}` : `invoice ${invoiceId}`;
+
+  const newCase = {
+    id: uuidv4(),
+    plaintiff,
+    defendant,
+    description: `Payment dispute over ${subject} (${amount} ${currency}): ${reason || 'No reason provided'}`,
+    evidence: [],
+    category: 'payments',
+    relatedInvoiceId: invoiceId,
+    relatedMilestoneId: milestoneId || null,
+    sourceEventId: event.id,
+    autoFiled: true,
+    status: 'open',
+    ruling: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  const filed = eventBus.check('case.filed', caseEvent(newCase));
+  cases.push(newCase);
+  saveCases(cases);
+  eventBus.publish('case.filed', filed, { source: 'court', actor: event.actor });
+}
+
+// Open a case for a challenged MoltOracle resolution (market.disputed). The
+// challenger is the plaintiff; a ruling for the plaintiff means the challenged
+// outcome stands. A jury is drawn straight away when enough jurors are eligible.
+function fileMarketCase(event) {
+  const { marketId, question, resolutionCriteria, proposer, challenger, proposedOutcome, challengedOutcome, reason } = event.payload;
+  const cases = loadCases();
+
+  const existing = cases.find(c =>
+    c.sourceEventId === event.id || (PENDING_STATUSES.includes(c.status) && c.relatedMarketId === marketId)
+  );
+  if (existing) return;
+
+  const now = new Date().toISOString();
+  const newCase = {
+    id: uuidv4(),
+    plaintiff: challenger,
+    defendant: proposer,
+    description: `Disputed resolution of market "${question}": ${proposer} proposed "${proposedOutcome}", ` +
+      `${challenger} says "${challengedOutcome}". Criteria: ${resolutionCriteria || 'none given'}. ` +
+      `Reason: ${reason || 'No reason provided'}`,
+    evidence: [],
+    category: 'oracle',
+    relatedMarketId: marketId,
+    sourceEventId: event.id,
+    autoFiled: true,
+    status: 'open',
+    ruling: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const jurors = drawPanel(newCase, params.get('court.panelSize'));
+  if (jurors) {
+    openRound(newCase, jurors);
+  }
+
+  const filed = eventBus.check('case.filed', caseEvent(newCase));
+  cases.push(newCase);
+  saveCases(cases);
+  eventBus.publish('case.filed', filed, { source: 'court', actor: event.actor });
 }
 
+// Close pending cases whose escrow was settled in MoltPay without a court ruling
+function closeSettledCase(event) {
+  const { invoiceId, milestoneId } = event.payload;
+  const cases = loadCases();
+  const caseItem = cases.find(c =>
+    PENDING_STATUSES.includes(c.status) &&
+    c.relatedInvoiceId === invoiceId && (c.relatedMilestoneId || null) === (milestoneId || null)
+  );
+  if (!caseItem) return;
+
+  // A jury still voting is stood down without touching anyone's stake
+  const jury = currentRound(caseItem);
+  if (jury && (jury.status === 'commit' || jury.status === 'reveal')) {
+    jury.status = 'cancelled';
+  }
+  caseItem.status = 'closed';
+  caseItem.appealDeadline = null;
+  caseItem.closedReason = `Escrow ${event.type.split('.')[1]} in MoltPay`;
+  caseItem.updatedAt = new Date().toISOString();
+  saveCases(cases);
+}
+
+const FINAL_ESCROW_EVENTS = ['released', 'refunded', 'settled'];
+
+eventBus.subscribe('court', 'invoice.disputed', 'invoice-dispute-case', event => {
+  // Milestone disputes are filed from their own milestone.disputed event
+  if (!event.payload.milestoneId) fileDisputeCase(event);
+});
+eventBus.subscribe('court', 'milestone.disputed', 'milestone-dispute-case', fileDisputeCase);
+eventBus.subscribe('court', 'invoice.*', 'invoice-settled-case', event => {
+  if (FINAL_ESCROW_EVENTS.includes(event.type.split('.')[1]) && !event.payload.milestoneId) closeSettledCase(event);
+});
+eventBus.subscribe('court', 'milestone.*', 'milestone-settled-case', event => {
+  if (FINAL_ESCROW_EVENTS.includes(event.type.split('.')[1])) closeSettledCase(event);
+});
+eventBus.subscribe('court', 'market.disputed', 'market-dispute-case', fileMarketCase);
+
 // Health check
 router.get('/health', (req, res) => {
   res.json({ 
@@ -38,6 +646,7 @@ router.get('/health', (req, res) => {
     service: 'moltcourt',
     cases: loadCases().length,
     judges: loadJudges().length,
+    eligibleJurors: loadJudges().filter(j => stakeOf(j.agent) >= JUROR_STAKE).length,
     uptime: process.uptime()
   });
 });
@@ -66,8 +675,7 @@ router.get('/api/cases', (req, res) => {
 
 // Get case details
 router.get('/api/cases/:id', (req, res) => {
-  const cases = loadCases();
-  const caseItem = cases.find(c => c.id === req.params.id);
+  const caseItem = casesStore.get(req.params.id);
   
   if (!caseItem) {
     return res.status(404).json({ error: 'Case not found' });
@@ -77,8 +685,8 @@ router.get('/api/cases/:id', (req, res) => {
 });
 
 // File new dispute
-router.post('/api/cases', (req, res) => {
-  const { plaintiff, defendant, description, evidence, relatedInvoiceId } = req.body;
+router.post('/api/cases', requireAgent('plaintiff'), (req, res) => {
+  const { plaintiff, defendant, description, evidence, category, relatedInvoiceId, relatedMilestoneId } = req.body;
   
   if (!plaintiff || !defendant || !description) {
     return res.status(400).json({ 
@@ -87,27 +695,39 @@ router.post('/api/cases', (req, res) => {
   }
   
   const cases = loadCases();
+  
+  if (relatedInvoiceId) {
+    const rejection = invoiceCaseError({ plaintiff, defendant, relatedInvoiceId, relatedMilestoneId }, cases);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+  }
+  
   const newCase = {
     id: uuidv4(),
     plaintiff,
     defendant,
     description,
     evidence: evidence || [],
+    category: category || null,
     relatedInvoiceId: relatedInvoiceId || null,
+    relatedMilestoneId: relatedInvoiceId && relatedMilestoneId ? relatedMilestoneId : null,
     status: 'open',
     ruling: null,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
   
+  const event = eventBus.check('case.filed', caseEvent(newCase));
   cases.push(newCase);
   saveCases(cases);
+  eventBus.publish('case.filed', event, { source: 'court', actor: req.agent.name });
   
   res.status(201).json(newCase);
 });
 
 // Submit evidence
-router.post('/api/cases/:id/evidence', (req, res) => {
+router.post('/api/cases/:id/evidence', requireAgent('party'), (req, res) => {
   const { party, content, attachmentUrl } = req.body;
   
   if (!party || !content) {
@@ -121,8 +741,12 @@ router.post('/api/cases/:id/evidence', (req, res) => {
     return res.status(404).json({ error: 'Case not found' });
   }
   
-  if (caseItem.status === 'resolved') {
-    return res.status(409).json({ error: 'Case is already resolved' });
+  if (caseItem.status !== 'open') {
+    return res.status(409).json({ error: `Case is already ${caseItem.status}` });
+  }
+  
+  if (!isActingAgent(req, caseItem.plaintiff) && !isActingAgent(req, caseItem.defendant)) {
+    return res.status(403).json({ error: 'Only the plaintiff or defendant can submit evidence' });
   }
   
   const evidence = {
@@ -140,15 +764,14 @@ router.post('/api/cases/:id/evidence', (req, res) => {
   res.json(caseItem);
 });
 
-// Submit ruling
-router.post('/api/cases/:id/ruling', (req, res) => {
-  const { judge, decision, reasoning } = req.body;
-  
-  if (!judge || !decision || !reasoning) {
-    return res.status(400).json({ 
-      error: 'judge, decision, and reasoning are required' 
-    });
-  }
+// Submit ruling. Only a staked judge with no MoltGraph ties to either party can
+// rule alone, and only on open cases (not while a jury is sitting). Cases about
+// a MoltPay invoice need a structured outcome (release_to_payee,
+// refund_to_payer, or split with payeePercent), which MoltPay carries out on
+// the disputed escrow. Cases about a MoltOracle resolution are decided for the
+// plaintiff (challenger) or the defendant (proposer).
+router.post('/api/cases/:id/ruling', requireAgent('judge'), (req, res) => {
+  const { judge, reasoning } = req.body;
   
   const cases = loadCases();
   const caseItem = cases.find(c => c.id === req.params.id);
@@ -157,32 +780,277 @@ router.post('/api/cases/:id/ruling', (req, res) => {
     return res.status(404).json({ error: 'Case not found' });
   }
   
+  const escrow = parseEscrowRuling(req.body, caseItem);
+  if (escrow.error) {
+    return res.status(400).json({ error: escrow.error });
+  }
+  
+  const decision = req.body.decision || escrow.outcome;
+  if (!judge || !decision || !reasoning) {
+    return res.status(400).json({ 
+      error: 'judge, decision (or outcome), and reasoning are required' 
+    });
+  }
+  
+  if (caseItem.relatedMarketId && decision !== 'plaintiff' && decision !== 'defendant') {
+    return res.status(400).json({ error: 'decision must be plaintiff or defendant for market resolution disputes' });
+  }
+  
   if (caseItem.status === 'resolved') {
     return res.status(409).json({ error: 'Case already has a ruling' });
   }
   
-  caseItem.ruling = {
+  if (caseItem.status !== 'open') {
+    return res.status(409).json({ error: `Case is ${caseItem.status}` });
+  }
+  
+  if (isActingAgent(req, caseItem.plaintiff) || isActingAgent(req, caseItem.defendant)) {
+    return res.status(403).json({ error: 'Parties cannot rule on their own case' });
+  }
+  
+  const judges = loadJudges();
+  const judgeRecord = judges.find(j => normalizeIdentity(j.agent) === normalizeIdentity(judge));
+  if (!judgeRecord) {
+    return res.status(403).json({ error: 'Only registered judges can rule' });
+  }
+  
+  if (stakeOf(judgeRecord.agent) < JUROR_STAKE) {
+    return res.status(403).json({ error: `Judges need at least ${JUROR_STAKE} ${ledger.DEFAULT_CURRENCY} staked to rule` });
+  }
+  
+  if (conflictedAgents(caseItem).has(normalizeIdentity(judge))) {
+    return res.status(403).json({ error: 'Judge is connected to a party in MoltGraph' });
+  }
+  
+  const event = recordRuling(caseItem, {
     judge,
     decision,
     reasoning,
-    ruledAt: new Date().toISOString()
-  };
-  caseItem.status = 'resolved';
-  caseItem.updatedAt = new Date().toISOString();
+    outcome: escrow.outcome,
+    payeePercent: escrow.payeePercent
+  });
+  judgeRecord.casesHandled = (judgeRecord.casesHandled || 0) + 1;
   
   saveCases(cases);
+  saveJudges(judges);
+  publishAll([event], req.agent.name);
   res.json(caseItem);
 });
 
+// Draw a jury for an open case (either party)
+router.post('/api/cases/:id/jury', requireAgent('party'), (req, res) => {
+  const cases = loadCases();
+  const caseItem = cases.find(c => c.id === req.params.id);
+  
+  if (!caseItem) {
+    return res.status(404).json({ error: 'Case not found' });
+  }
+  
+  if (!isActingAgent(req, caseItem.plaintiff) && !isActingAgent(req, caseItem.defendant)) {
+    return res.status(403).json({ error: 'Only the plaintiff or defendant can request a jury' });
+  }
+  
+  if (caseItem.status !== 'open') {
+    return res.status(409).json({ error: `Case is ${caseItem.status}` });
+  }
+  
+  if ((caseItem.juryRounds || []).length >= MAX_ROUNDS) {
+    return res.status(409).json({ error: `Case has already had ${MAX_ROUNDS} jury rounds` });
+  }
+  
+  const panelSize = params.get('court.panelSize');
+  const jurors = drawPanel(caseItem, panelSize);
+  if (!jurors) {
+    return res.status(409).json({ error: `Not enough eligible jurors for a panel of ${panelSize}` });
+  }
+  
+  openRound(caseItem, jurors);
+  saveCases(cases);
+  res.status(201).json(caseItem);
+});
+
+// Appeal a jury verdict to a larger panel (either party, before appealDeadline)
+router.post('/api/cases/:id/appeal', requireAgent('party'), (req, res) => {
+  const { party, reason } = req.body;
+  
+  const cases = loadCases();
+  const caseItem = cases.find(c => c.id === req.params.id);
+  
+  if (!caseItem) {
+    return res.status(404).json({ error: 'Case not found' });
+  }
+  
+  if (!isActingAgent(req, caseItem.plaintiff) && !isActingAgent(req, caseItem.defendant)) {
+    return res.status(403).json({ error: 'Only the plaintiff or defendant can appeal' });
+  }
+  
+  if (caseItem.status !== 'decided') {
+    return res.status(409).json({ error: 'Only jury verdicts awaiting appeal can be appealed' });
+  }
+  
+  if (new Date(caseItem.appealDeadline).getTime() <= Date.now()) {
+    return res.status(409).json({ error: 'The appeal window has closed' });
+  }
+  
+  const previous = currentRound(caseItem);
+  const size = previous.size * 2 + 1;
+  const jurors = drawPanel(caseItem, size);
+  if (!jurors) {
+    return res.status(409).json({ error: `Not enough eligible jurors for an appeal panel of ${size}` });
+  }
+  
+  previous.appeal = { by: party, reason: reason || null, appealedAt: new Date().toISOString() };
+  const jury = openRound(caseItem, jurors);
+  const event = eventBus.check('case.appealed', {
+    ...caseEvent(caseItem),
+    appellant: party,
+    round: jury.round
+  });
+  
+  saveCases(cases);
+  eventBus.publish('case.appealed', event, { source: 'court', actor: req.agent.name });
+  res.status(201).json(caseItem);
+});
+
+// Commit a juror's vote as sha256("<vote>:<salt>")
+router.post('/api/cases/:id/votes/commit', requireAgent('juror'), (req, res) => {
+  const { juror, commitment } = req.body;
+  
+  if (!juror || !commitment) {
+    return res.status(400).json({ error: 'juror and commitment are required' });
+  }
+  
+  if (!/^[0-9a-f]{64}$/i.test(commitment)) {
+    return res.status(400).json({ error: 'commitment must be a sha256 hex digest of "<vote>:<salt>"' });
+  }
+  
+  const cases = loadCases();
+  const caseItem = cases.find(c => c.id === req.params.id);
+  
+  if (!caseItem) {
+    return res.status(404).json({ error: 'Case not found' });
+  }
+  
+  const jury = currentRound(caseItem);
+  const seat = jury && jury.jurors.find(j => normalizeIdentity(j.agent) === normalizeIdentity(juror));
+  
+  if (caseItem.status !== 'voting' || !seat) {
+    return res.status(403).json({ error: 'Not a juror on the sitting panel' });
+  }
+  
+  if (jury.status !== 'commit') {
+    return res.status(409).json({ error: 'The commit phase is over' });
+  }
+  
+  if (seat.commitment) {
+    return res.status(409).json({ error: 'Vote already committed' });
+  }
+  
+  seat.commitment = commitment.toLowerCase();
+  seat.committedAt = new Date().toISOString();
+  caseItem.updatedAt = seat.committedAt;
+  
+  const events = advanceCase(caseItem);
+  saveCases(cases);
+  publishAll(events, req.agent.name);
+  res.json(caseItem);
+});
+
+// Reveal a committed vote
+router.post('/api/cases/:id/votes/reveal', requireAgent('juror'), (req, res) => {
+  const { juror, vote, salt } = req.body;
+  
+  if (!juror || !vote || salt === undefined) {
+    return res.status(400).json({ error: 'juror, vote, and salt are required' });
+  }
+  
+  const cases = loadCases();
+  const caseItem = cases.find(c => c.id === req.params.id);
+  
+  if (!caseItem) {
+    return res.status(404).json({ error: 'Case not found' });
+  }
+  
+  const jury = currentRound(caseItem);
+  const seat = jury && jury.jurors.find(j => normalizeIdentity(j.agent) === normalizeIdentity(juror));
+  
+  if (caseItem.status !== 'voting' || !seat) {
+    return res.status(403).json({ error: 'Not a juror on the sitting panel' });
+  }
+  
+  if (jury.status !== 'reveal') {
+    return res.status(409).json({ error: 'Votes are revealed once every juror has committed or the commit deadline passes' });
+  }
+  
+  if (!seat.commitment) {
+    return res.status(409).json({ error: 'No vote was committed' });
+  }
+  
+  if (seat.vote) {
+    return res.status(409).json({ error: 'Vote already revealed' });
+  }
+  
+  if (commitmentFor(vote, salt) !== seat.commitment) {
+    return res.status(400).json({ error: 'vote and salt do not match the commitment' });
+  }
+  
+  const parsed = parseVote(vote, caseItem);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  
+  seat.vote = vote;
+  seat.choice = parsed.choice;
+  seat.payeePercent = parsed.payeePercent;
+  seat.revealedAt = new Date().toISOString();
+  caseItem.updatedAt = seat.revealedAt;
+  
+  const events = advanceCase(caseItem);
+  saveCases(cases);
+  publishAll(events, req.agent.name);
+  res.json(caseItem);
+});
+
+// Jury verdicts across all cases, newest first
+router.get('/api/verdicts', (req, res) => {
+  const verdicts = loadCases()
+    .flatMap(c => (c.juryRounds || [])
+      .filter(r => r.verdict)
+      .map(r => ({
+        caseId: c.id,
+        round: r.round,
+        size: r.size,
+        votes: r.votes,
+        ...r.verdict,
+        appealed: Boolean(r.appeal),
+        final: c.status === 'resolved' && c.ruling.judge === JURY_JUDGE && currentRound(c) === r,
+        decidedAt: r.decidedAt
+      })))
+    .sort((a, b) => new Date(b.decidedAt) - new Date(a.decidedAt));
+  
+  res.json(verdicts);
+});
+
+// Juror pool: judges with their stake and reputation, most reputable first
+router.get('/api/jurors', (req, res) => {
+  let jurors = loadJudges().map(judgeView);
+  
+  if (req.query.eligible === 'true') {
+    jurors = jurors.filter(j => j.eligible);
+  }
+  
+  jurors.sort((a, b) => b.reputation - a.reputation || b.stake - a.stake);
+  res.json(jurors);
+});
+
 // List judges
 router.get('/api/judges', (req, res) => {
-  const judges = loadJudges();
-  res.json(judges);
+  res.json(loadJudges().map(judgeView));
 });
 
-// Register as judge
-router.post('/api/judges', (req, res) => {
-  const { agent, specialties } = req.body;
+// Register as judge, optionally staking to serve on juries
+router.post('/api/judges', requireAgent('agent'), (req, res) => {
+  const { agent, specialties, stake } = req.body;
   
   if (!agent) {
     return res.status(400).json({ error: 'agent is required' });
@@ -201,13 +1069,66 @@ router.post('/api/judges', (req, res) => {
     agent,
     specialties: specialties || [],
     casesHandled: 0,
+    votesWithMajority: 0,
+    votesAgainstMajority: 0,
+    missedVotes: 0,
+    totalSlashed: 0,
+    totalRewards: 0,
     registeredAt: new Date().toISOString()
   };
   
+  if (stake) {
+    ledger.hold(agent, STAKE_REF, stake, { memo: 'Juror stake', source: 'court', actor: req.agent.name });
+  }
+  
   judges.push(judge);
   saveJudges(judges);
   
-  res.status(201).json(judge);
+  res.status(201).json(judgeView(judge));
+});
+
+// Add to a judge's stake
+router.post('/api/judges/:id/stake', requireAgent(), (req, res) => {
+  const judge = judgesStore.get(req.params.id);
+  
+  if (!judge) {
+    return res.status(404).json({ error: 'Judge not found' });
+  }
+  
+  if (!isActingAgent(req, judge.agent)) {
+    return res.status(403).json({ error: 'Judges can only stake for themselves' });
+  }
+  
+  if (!req.body.amount) {
+    return res.status(400).json({ error: 'amount is required' });
+  }
+  
+  ledger.hold(judge.agent, STAKE_REF, req.body.amount, { memo: 'Juror stake', source: 'court', actor: req.agent.name });
+  res.json(judgeView(judge));
+});
+
+// Withdraw a judge's whole stake (not while sitting on a jury)
+router.post('/api/judges/:id/unstake', requireAgent(), (req, res) => {
+  const judge = judgesStore.get(req.params.id);
+  
+  if (!judge) {
+    return res.status(404).json({ error: 'Judge not found' });
+  }
+  
+  if (!isActingAgent(req, judge.agent)) {
+    return res.status(403).json({ error: 'Judges can only unstake for themselves' });
+  }
+  
+  const sitting = loadCases().some(c => {
+    const jury = c.status === 'voting' && currentRound(c);
+    return jury && jury.jurors.some(j => j.judgeId === judge.id);
+  });
+  if (sitting) {
+    return res.status(409).json({ error: 'Cannot unstake while sitting on a jury' });
+  }
+  
+  ledger.releaseHold(judge.agent, STAKE_REF, { memo: 'Juror stake withdrawn', source: 'court', actor: req.agent.name });
+  res.json(judgeView(judge));
 });
 
 module.exports = router;
@@ -1,80 +1,298 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
+const ledger = require('../shared/ledger');
+const scheduler = require('../shared/scheduler');
+const { scoreAgent } = require('./scoring');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/credit');
-const APPLICATIONS_FILE = path.join(DATA_DIR, 'applications.json');
-const LOANS_FILE = path.join(DATA_DIR, 'loans.json');
-const SCORES_FILE = path.join(DATA_DIR, 'scores.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const applicationsStore = storage.collection('credit', 'applications');
+const loansStore = storage.collection('credit', 'loans');
+const scoresStore = storage.collection('credit', 'scores', { defaultValue: {} });
+const scoreHistoryStore = storage.collection('credit', 'score-history');
+
+// Score changes kept per agent
+const MAX_SCORE_HISTORY = 100;
+
+// Annual percentage rate for loans approved without one
+const DEFAULT_APR = parseFloat(process.env.CREDIT_DEFAULT_APR || '12');
+
+// Days between instalments
+const PERIOD_DAYS = parseFloat(process.env.CREDIT_PERIOD_DAYS || '30');
+
+// Fee charged once on an instalment that goes overdue, as a percentage of it
+const LATE_FEE_PERCENT = parseFloat(process.env.CREDIT_LATE_FEE_PERCENT || '5');
+
+// Days an instalment may stay overdue before the loan is in default
+const GRACE_DAYS = parseFloat(process.env.CREDIT_GRACE_DAYS || '15');
+
+// Longest schedule a loan may have
+const MAX_INSTALLMENTS = 360;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SERVICE_INTERVAL_MS = 60 * 1000;
 
 function loadApplications() {
-  try {
-    return JSON.parse(fs.readFileSync(APPLICATIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return applicationsStore.all();
 }
 
 function saveApplications(applications) {
-  fs.writeFileSync(APPLICATIONS_FILE, JSON.stringify(applications, null, 2));
+  applicationsStore.replace(applications);
 }
 
 function loadLoans() {
-  try {
-    return JSON.parse(fs.readFileSync(LOANS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return loansStore.all();
 }
 
 function saveLoans(loans) {
-  fs.writeFileSync(LOANS_FILE, JSON.stringify(loans, null, 2));
+  loansStore.replace(loans);
 }
 
 function loadScores() {
-  try {
-    return JSON.parse(fs.readFileSync(SCORES_FILE, 'utf8'));
-  } catch {
-    return {};
-  }
+  return scoresStore.all();
 }
 
 function saveScores(scores) {
-  fs.writeFileSync(SCORES_FILE, JSON.stringify(scores, null, 2));
+  scoresStore.replace(scores);
 }
 
-function calculateCreditScore(agent) {
-  const loans = loadLoans().filter(l => l.borrower === agent);
-  const applications = loadApplications().filter(a => a.agent === agent);
-  
-  let score = 500; // Base score
-  
-  // Good payment history increases score
-  const completedLoans = loans.filter(l => l.status === 'completed');
-  score += completedLoans.length * 20;
-  
-  // Defaults decrease score
-  const defaultedLoans = loans.filter(l => l.status === 'defaulted');
-  score -= defaultedLoans.length * 100;
-  
-  // Active loans slightly decrease score
-  const activeLoans = loans.filter(l => l.status === 'active');
-  score -= activeLoans.length * 10;
-  
-  // Approved applications increase score slightly
-  const approved = applications.filter(a => a.status === 'approved');
-  score += approved.length * 5;
-  
-  return Math.max(300, Math.min(850, score));
+function loadScoreHistory() {
+  return scoreHistoryStore.all();
+}
+
+function saveScoreHistory(history) {
+  scoreHistoryStore.replace(history);
+}
+
+// Common payload for loan.* events
+function loanEvent(loan) {
+  return {
+    loanId: loan.id,
+    borrower: loan.borrower,
+    lender: loan.lender,
+    amount: loan.amount,
+    balance: loan.balance
+  };
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+const TERM_UNITS = { day: 1, week: 7, month: 30, year: 365 };
+
+/**
+ * Number of instalments for a loan term: a plain number is a count of
+ * instalments, a duration ('90 days', '6 months', '1 year') is split into
+ * PERIOD_DAYS periods
+ * @param {number|string} term
+ * @returns {number|null} null if the term can't be read or exceeds MAX_INSTALLMENTS
+ */
+function parseTerm(term) {
+  if (typeof term === 'number') {
+    return Number.isInteger(term) && term > 0 && term <= MAX_INSTALLMENTS ? term : null;
+  }
+
+  const match = String(term).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(day|week|month|year)?s?$/);
+  if (!match) return null;
+
+  const count = parseFloat(match[1]);
+  const installments = match[2] ? Math.ceil(count * TERM_UNITS[match[2]] / PERIOD_DAYS) : count;
+  return Number.isInteger(installments) && installments > 0 && installments <= MAX_INSTALLMENTS ? installments : null;
+}
+
+/**
+ * Amortization schedule with equal instalments. Interest accrues on the
+ * remaining principal at apr / 365 per day; the last instalment absorbs rounding.
+ * @param {number} principal
+ * @param {number} apr - Annual percentage rate, e.g. 12
+ * @param {number} installments
+ * @param {Date} start - Disbursement date; the first instalment is due one period later
+ * @returns {Object[]} Instalments
+ */
+function amortize(principal, apr, installments, start) {
+  const rate = apr / 100 * PERIOD_DAYS / 365;
+  const payment = rate > 0
+    ? round(principal * rate / (1 - Math.pow(1 + rate, -installments)))
+    : round(principal / installments);
+
+  const schedule = [];
+  let remaining = principal;
+  for (let number = 1; number <= installments; number++) {
+    const interest = round(remaining * rate);
+    const principalPart = number === installments ? remaining : round(Math.min(remaining, payment - interest));
+    remaining = round(remaining - principalPart);
+
+    schedule.push({
+      number,
+      dueAt: new Date(start.getTime() + number * PERIOD_DAYS * DAY_MS).toISOString(),
+      payment: round(principalPart + interest),
+      principal: principalPart,
+      interest,
+      lateFee: 0,
+      paid: 0,
+      status: 'due',
+      overdueAt: null,
+      paidAt: null
+    });
+  }
+  return schedule;
+}
+
+// What is left to pay on one instalment, late fee included
+function installmentDue(installment) {
+  return round(installment.payment + installment.lateFee - installment.paid);
+}
+
+// Outstanding balance of a loan: principal, interest and late fees not yet paid
+function outstanding(loan) {
+  return round(loan.schedule.reduce((sum, i) => sum + installmentDue(i), 0));
+}
+
+function sameAgent(a, b) {
+  return normalizeIdentity(a) === normalizeIdentity(b);
+}
+
+/**
+ * Rescore an agent, update the cached score when it moved and record the
+ * result in the score history when the score or its reasons changed. Scores
+ * are cached under the normalized name.
+ * @param {string} agent
+ * @param {string} trigger - What caused the rescore, e.g. 'loan.repaid'
+ * @returns {Object} The scoring result from scoreAgent()
+ */
+function refreshScore(agent, trigger) {
+  const id = normalizeIdentity(agent);
+  const result = scoreAgent(agent);
+
+  const scores = loadScores();
+  if (scores[id] !== result.score) {
+    scores[id] = result.score;
+    saveScores(scores);
+  }
+
+  const history = loadScoreHistory();
+  const own = history.filter(h => sameAgent(h.agent, id));
+  const last = own[own.length - 1];
+  if (!last || last.score !== result.score || last.reasons.join() !== result.reasons.join()) {
+    history.push({
+      id: uuidv4(),
+      agent: id,
+      score: result.score,
+      previousScore: last ? last.score : null,
+      reasons: result.reasons,
+      factors: Object.fromEntries(result.factors.map(f => [f.factor, f.points])),
+      trigger,
+      createdAt: new Date().toISOString()
+    });
+    const excess = own.length + 1 - MAX_SCORE_HISTORY;
+    const trimmed = excess > 0
+      ? history.filter(h => !own.slice(0, excess).includes(h))
+      : history;
+    saveScoreHistory(trimmed);
+  }
+
+  return result;
+}
+
+/**
+ * Flag overdue instalments (charging their late fee once) and put loans in
+ * default once an instalment has been overdue longer than GRACE_DAYS
+ * @param {Object} loan
+ * @param {number} now
+ * @returns {Array[]} Checked events to publish
+ */
+function serviceLoan(loan, now) {
+  const events = [];
+
+  for (const installment of loan.schedule) {
+    if (installment.status !== 'due' || new Date(installment.dueAt).getTime() > now) continue;
+
+    installment.status = 'overdue';
+    installment.overdueAt = new Date(now).toISOString();
+    installment.lateFee = round(installment.payment * LATE_FEE_PERCENT / 100);
+    loan.lateFees = round((loan.lateFees || 0) + installment.lateFee);
+    loan.balance = outstanding(loan);
+    events.push(['loan.overdue', eventBus.check('loan.overdue', {
+      ...loanEvent(loan),
+      installment: installment.number,
+      dueAt: installment.dueAt,
+      amountDue: installmentDue(installment)
+    })]);
+  }
+
+  const graceMs = GRACE_DAYS * DAY_MS;
+  const lapsed = loan.schedule.find(i => i.status === 'overdue' && new Date(i.dueAt).getTime() + graceMs <= now);
+  if (lapsed) {
+    loan.status = 'defaulted';
+    loan.defaultedAt = new Date(now).toISOString();
+    loan.defaultReason = `Instalment ${lapsed.number} due ${lapsed.dueAt} unpaid after ${GRACE_DAYS} days`;
+    events.push(['loan.defaulted', eventBus.check('loan.defaulted', {
+      ...loanEvent(loan),
+      installment: lapsed.number,
+      reason: loan.defaultReason
+    })]);
+  }
+
+  if (events.length > 0) {
+    loan.updatedAt = new Date(now).toISOString();
+  }
+  return events;
+}
+
+// Run servicing over every active loan
+function serviceLoans() {
+  const loans = loadLoans();
+  const now = Date.now();
+  const events = [];
+
+  for (const loan of loans) {
+    if (loan.status !== 'active' || !loan.schedule) continue;
+    events.push(...serviceLoan(loan, now));
+  }
+
+  if (events.length === 0) return;
+
+  saveLoans(loans);
+  for (const agent of new Set(events.filter(([type]) => type === 'loan.defaulted').map(([, p]) => p.borrower))) {
+    refreshScore(agent, 'loan.defaulted');
+  }
+  for (const [type, payload] of events) {
+    eventBus.publish(type, payload, { source: 'credit', actor: null });
+  }
+}
+
+scheduler.every('credit', 'loan-servicer', SERVICE_INTERVAL_MS, serviceLoans);
+
+// ===== EVENT SUBSCRIPTIONS =====
+
+// Rescore each agent named on an event once
+function rescoreParties(event, parties) {
+  for (const agent of new Set(parties.filter(Boolean).map(p => String(p).replace(/^@/, '')))) {
+    refreshScore(agent, event.type);
+  }
+}
+
+// Escrows closing or being disputed change both parties' payment records
+const PAYMENT_EVENTS = [
+  'invoice.released', 'invoice.refunded', 'invoice.settled', 'invoice.disputed',
+  'milestone.released', 'milestone.refunded', 'milestone.settled', 'milestone.disputed'
+];
+
+for (const type of PAYMENT_EVENTS) {
+  eventBus.subscribe('credit', type, `score-${type}`, event => {
+    rescoreParties(event, [event.payload.from, event.payload.to]);
+  });
 }
 
+// Court rulings count against the losing side
+eventBus.subscribe('credit', 'case.ruled', 'score-case.ruled', event => {
+  rescoreParties(event, [event.payload.plaintiff, event.payload.defendant]);
+});
+
 // Serve dashboard
 router.use(express.static(path.join(__dirname, 'public')));
 
@@ -92,14 +310,22 @@ router.get('/health', (req, res) => {
 });
 
 // Apply for credit
-router.post('/api/applications', (req, res) => {
-  const { agent, amount, purpose, term } = req.body;
+router.post('/api/applications', requireAgent('agent'), (req, res) => {
+  const { agent, amount, purpose, term, lender } = req.body;
   
   if (!agent || !amount || !purpose || !term) {
     return res.status(400).json({ error: 'agent, amount, purpose, and term are required' });
   }
   
-  const creditScore = calculateCreditScore(agent);
+  if (lender && normalizeIdentity(lender) === normalizeIdentity(agent)) {
+    return res.status(400).json({ error: 'Agents cannot lend to themselves' });
+  }
+  
+  if (!parseTerm(term)) {
+    return res.status(400).json({ error: `term must be up to ${MAX_INSTALLMENTS} instalments or a duration such as '90 days' or '6 months'` });
+  }
+  
+  const { score: creditScore, reasons } = refreshScore(agent, 'application');
   
   const applications = loadApplications();
   const application = {
@@ -108,7 +334,9 @@ router.post('/api/applications', (req, res) => {
     amount: parseFloat(amount),
     purpose,
     term,
+    lender: lender || null,
     creditScore,
+    scoreReasons: reasons,
     status: 'pending',
     createdAt: new Date().toISOString()
   };
@@ -116,11 +344,6 @@ router.post('/api/applications', (req, res) => {
   applications.push(application);
   saveApplications(applications);
   
-  // Update credit score cache
-  const scores = loadScores();
-  scores[agent] = creditScore;
-  saveScores(scores);
-  
   res.status(201).json(application);
 });
 
@@ -139,8 +362,7 @@ router.get('/api/applications', (req, res) => {
 
 // Get application details
 router.get('/api/applications/:id', (req, res) => {
-  const applications = loadApplications();
-  const application = applications.find(a => a.id === req.params.id);
+  const application = applicationsStore.get(req.params.id);
   
   if (!application) {
     return res.status(404).json({ error: 'Application not found' });
@@ -149,9 +371,11 @@ router.get('/api/applications/:id', (req, res) => {
   res.json(application);
 });
 
-// Approve application
-router.post('/api/applications/:id/approve', (req, res) => {
-  const { lender, terms } = req.body;
+// Approve application. `apr` (or `terms.apr`) sets the interest rate; the
+// loan is repaid in equal instalments every PERIOD_DAYS over the application's term.
+router.post('/api/applications/:id/approve', requireAgent('lender'), (req, res) => {
+  const { lender } = req.body;
+  const terms = req.body.terms || {};
   const applications = loadApplications();
   const application = applications.find(a => a.id === req.params.id);
   
@@ -167,20 +391,60 @@ router.post('/api/applications/:id/approve', (req, res) => {
     return res.status(400).json({ error: 'lender is required' });
   }
   
+  if (isActingAgent(req, application.agent)) {
+    return res.status(403).json({ error: 'Agents cannot approve their own application' });
+  }
+  
+  if (application.lender && !isActingAgent(req, application.lender)) {
+    return res.status(403).json({ error: `This application is addressed to ${application.lender}` });
+  }
+  
+  const apr = parseFloat(req.body.apr !== undefined ? req.body.apr : terms.apr !== undefined ? terms.apr : DEFAULT_APR);
+  if (!Number.isFinite(apr) || apr < 0) {
+    return res.status(400).json({ error: 'apr must be a non-negative number' });
+  }
+  
+  const installments = parseTerm(application.term);
+  if (!installments) {
+    return res.status(400).json({ error: `Application term '${application.term}' is not a number of instalments or a duration` });
+  }
+  
   // Create loan
   const loans = loadLoans();
+  const loanId = uuidv4();
+  
+  // Disburse the principal from the lender
+  const disbursement = ledger.transfer(ledger.agentAccount(lender), ledger.agentAccount(application.agent), application.amount, {
+    memo: `Loan disbursement for application ${application.id}`,
+    source: 'credit',
+    actor: req.agent.name,
+    ref: `credit:loan:${loanId}`
+  });
+  
+  const createdAt = new Date();
+  const schedule = amortize(application.amount, apr, installments, createdAt);
   const loan = {
-    id: uuidv4(),
+    id: loanId,
     applicationId: req.params.id,
     borrower: application.agent,
     lender,
     amount: application.amount,
     term: application.term,
-    terms: terms || {},
-    balance: application.amount,
+    terms: { ...terms, apr },
+    apr,
+    installments,
+    periodDays: PERIOD_DAYS,
+    schedule,
+    totalInterest: round(schedule.reduce((sum, i) => sum + i.interest, 0)),
+    lateFees: 0,
+    totalPaid: 0,
+    balance: 0,
+    disbursementEntryId: disbursement.id,
     status: 'active',
-    createdAt: new Date().toISOString()
+    createdAt: createdAt.toISOString()
   };
+  loan.balance = outstanding(loan);
+  const event = eventBus.check('loan.approved', loanEvent(loan));
   
   loans.push(loan);
   saveLoans(loans);
@@ -190,12 +454,13 @@ router.post('/api/applications/:id/approve', (req, res) => {
   application.lender = lender;
   application.approvedAt = new Date().toISOString();
   saveApplications(applications);
+  eventBus.publish('loan.approved', event, { source: 'credit', actor: req.agent.name });
   
   res.json({ application, loan });
 });
 
-// Deny application
-router.post('/api/applications/:id/deny', (req, res) => {
+// Deny application (the lender it is addressed to) or withdraw it (the applicant)
+router.post('/api/applications/:id/deny', requireAgent(), (req, res) => {
   const { reason } = req.body;
   const applications = loadApplications();
   const application = applications.find(a => a.id === req.params.id);
@@ -204,12 +469,17 @@ router.post('/api/applications/:id/deny', (req, res) => {
     return res.status(404).json({ error: 'Application not found' });
   }
   
+  if (!isActingAgent(req, application.agent) && !(application.lender && isActingAgent(req, application.lender))) {
+    return res.status(403).json({ error: 'Only the applicant or the lender it is addressed to can deny this application' });
+  }
+  
   if (application.status !== 'pending') {
     return res.status(400).json({ error: 'Application already processed' });
   }
   
   application.status = 'denied';
   application.reason = reason || 'Not specified';
+  application.deniedBy = req.agent.name;
   application.deniedAt = new Date().toISOString();
   
   saveApplications(applications);
@@ -218,13 +488,71 @@ router.post('/api/applications/:id/deny', (req, res) => {
 
 // Get active loans
 router.get('/api/loans', (req, res) => {
-  const loans = loadLoans();
+  let loans = loadLoans();
+  const { status, borrower } = req.query;
+  
+  if (status) {
+    loans = loans.filter(l => l.status === status);
+  }
+  
+  if (borrower) {
+    loans = loans.filter(l => l.borrower === borrower);
+  }
+  
   loans.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   res.json(loans);
 });
 
-// Make repayment
-router.post('/api/loans/:id/repay', (req, res) => {
+// Preview the amortization schedule for a loan
+router.get('/api/amortization', (req, res) => {
+  const amount = parseFloat(req.query.amount);
+  const apr = req.query.apr === undefined ? DEFAULT_APR : parseFloat(req.query.apr);
+  const installments = parseTerm(req.query.term);
+  
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+  
+  if (!installments) {
+    return res.status(400).json({ error: `term must be up to ${MAX_INSTALLMENTS} instalments or a duration such as '90 days' or '6 months'` });
+  }
+  
+  if (!Number.isFinite(apr) || apr < 0) {
+    return res.status(400).json({ error: 'apr must be a non-negative number' });
+  }
+  
+  const schedule = amortize(amount, apr, installments, new Date());
+  res.json({
+    amount,
+    apr,
+    installments,
+    periodDays: PERIOD_DAYS,
+    totalInterest: round(schedule.reduce((sum, i) => sum + i.interest, 0)),
+    totalRepayable: round(schedule.reduce((sum, i) => sum + i.payment, 0)),
+    schedule
+  });
+});
+
+// Get loan details with its schedule
+router.get('/api/loans/:id', (req, res) => {
+  const loan = loansStore.get(req.params.id);
+  
+  if (!loan) {
+    return res.status(404).json({ error: 'Loan not found' });
+  }
+  
+  const next = (loan.schedule || []).find(i => i.status !== 'paid');
+  res.json({
+    ...loan,
+    nextInstallment: next || null,
+    overdueInstallments: (loan.schedule || []).filter(i => i.status === 'overdue').length
+  });
+});
+
+// Make repayment. Payments go to the oldest unpaid instalment first, late fee
+// before the scheduled amount. Defaulted loans can still be repaid; paying one
+// off marks it recovered without clearing the default.
+router.post('/api/loans/:id/repay', requireAgent(), (req, res) => {
   const { amount } = req.body;
   const loans = loadLoans();
   const loan = loans.find(l => l.id === req.params.id);
@@ -233,7 +561,11 @@ router.post('/api/loans/:id/repay', (req, res) => {
     return res.status(404).json({ error: 'Loan not found' });
   }
   
-  if (loan.status !== 'active') {
+  if (!isActingAgent(req, loan.borrower)) {
+    return res.status(403).json({ error: 'Only the borrower can repay this loan' });
+  }
+  
+  if (loan.status !== 'active' && !(loan.status === 'defaulted' && loan.balance > 0)) {
     return res.status(400).json({ error: 'Loan is not active' });
   }
   
@@ -241,37 +573,75 @@ router.post('/api/loans/:id/repay', (req, res) => {
     return res.status(400).json({ error: 'Valid amount is required' });
   }
   
-  const paymentAmount = parseFloat(amount);
-  loan.balance -= paymentAmount;
+  const paymentAmount = round(parseFloat(amount));
   
-  if (loan.balance <= 0) {
+  if (paymentAmount > loan.balance) {
+    return res.status(400).json({ error: `amount exceeds the outstanding balance of ${loan.balance}` });
+  }
+  
+  const repayment = ledger.transfer(ledger.agentAccount(loan.borrower), ledger.agentAccount(loan.lender), paymentAmount, {
+    memo: `Repayment of loan ${loan.id}`,
+    source: 'credit',
+    actor: req.agent.name,
+    ref: `credit:loan:${loan.id}`
+  });
+  
+  const now = new Date().toISOString();
+  if (loan.schedule) {
+    let remaining = paymentAmount;
+    for (const installment of loan.schedule) {
+      if (remaining <= 0) break;
+      const applied = Math.min(remaining, installmentDue(installment));
+      if (applied <= 0) continue;
+      installment.paid = round(installment.paid + applied);
+      remaining = round(remaining - applied);
+      if (installmentDue(installment) <= 0) {
+        installment.status = 'paid';
+        installment.paidAt = now;
+      }
+    }
+    loan.balance = outstanding(loan);
+  } else {
+    loan.balance = round(loan.balance - paymentAmount);
+  }
+  loan.totalPaid = round((loan.totalPaid || 0) + paymentAmount);
+  loan.updatedAt = now;
+  
+  const paidOff = loan.balance <= 0;
+  if (paidOff && loan.status === 'active') {
     loan.status = 'completed';
-    loan.completedAt = new Date().toISOString();
+    loan.completedAt = now;
+  } else if (paidOff) {
+    loan.recoveredAt = now;
   }
   
   loan.lastPayment = {
     amount: paymentAmount,
-    date: new Date().toISOString()
+    date: now,
+    ledgerEntryId: repayment.id
   };
+  const event = paidOff ? eventBus.check('loan.repaid', loanEvent(loan)) : null;
   
   saveLoans(loans);
   
   // Recalculate credit score
-  const creditScore = calculateCreditScore(loan.borrower);
-  const scores = loadScores();
-  scores[loan.borrower] = creditScore;
-  saveScores(scores);
+  refreshScore(loan.borrower, paidOff ? 'loan.repaid' : 'repayment');
+  
+  if (event) {
+    eventBus.publish('loan.repaid', event, { source: 'credit', actor: req.agent.name });
+  }
   
   res.json(loan);
 });
 
-// Get credit score
+// Get credit score with the factors behind it. Scored fresh, but only events
+// update the cached score and its history.
 router.get('/api/score/:agent', (req, res) => {
   const agent = req.params.agent;
-  const creditScore = calculateCreditScore(agent);
+  const { score: creditScore, base, factors, reasons } = scoreAgent(agent);
   
-  const loans = loadLoans().filter(l => l.borrower === agent);
-  const applications = loadApplications().filter(a => a.agent === agent);
+  const loans = loadLoans().filter(l => sameAgent(l.borrower, agent));
+  const applications = loadApplications().filter(a => sameAgent(a.agent, agent));
   
   res.json({
     agent,
@@ -280,7 +650,29 @@ router.get('/api/score/:agent', (req, res) => {
     activeLoans: loans.filter(l => l.status === 'active').length,
     completedLoans: loans.filter(l => l.status === 'completed').length,
     defaultedLoans: loans.filter(l => l.status === 'defaulted').length,
-    totalApplications: applications.length
+    totalApplications: applications.length,
+    baseScore: base,
+    reasons,
+    factors
+  });
+});
+
+// Score history, newest first
+router.get('/api/score/:agent/history', (req, res) => {
+  const agent = req.params.agent;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_SCORE_HISTORY);
+  
+  const history = loadScoreHistory()
+    .filter(h => sameAgent(h.agent, agent))
+    .reverse();
+  
+  const scores = loadScores();
+  const id = normalizeIdentity(agent);
+  res.json({
+    agent,
+    creditScore: scores[id] !== undefined ? scores[id] : null,
+    changes: history.length,
+    history: history.slice(0, limit)
   });
 });
 
@@ -306,7 +698,11 @@ router.get('/api/stats', (req, res) => {
   res.json({
     totalLending,
     totalOutstanding,
+    totalInterest: round(loans.reduce((sum, l) => sum + (l.totalInterest || 0), 0)),
+    lateFees: round(loans.reduce((sum, l) => sum + (l.lateFees || 0), 0)),
     activeLoans: loans.filter(l => l.status === 'active').length,
+    overdueLoans: loans.filter(l => l.status === 'active' && (l.schedule || []).some(i => i.status === 'overdue')).length,
+    defaultedLoans: loans.filter(l => l.status === 'defaulted').length,
     defaultRate: parseFloat(defaultRate),
     avgCreditScore: parseInt(avgCreditScore),
     pendingApplications: applications.filter(a => a.status === 'pending').length
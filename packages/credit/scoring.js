@@ -0,0 +1,289 @@
+/**
+ * MoltCredit scoring model
+ * A score starts at BASE_SCORE and each factor adds or removes points. Every
+ * factor reports a reason code so a score can be explained, and new factors
+ * can be plugged in with registerFactor().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const watchReputation = require('../watch/reputation');
+
+const BASE_SCORE = 500;
+const MIN_SCORE = 300;
+const MAX_SCORE = 850;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loansStore = storage.collection('credit', 'loans');
+const applicationsStore = storage.collection('credit', 'applications');
+const invoicesStore = storage.collection('pay', 'invoices');
+const casesStore = storage.collection('court', 'cases');
+const reputationStore = storage.collection('audit', 'reputation', { defaultValue: {} });
+const agentsStore = storage.collection('auth', 'agents');
+
+// MoltWatch scores are computed from the latest scraped snapshot
+const WATCH_LATEST = path.join(__dirname, '../../data/watch/latest.json');
+
+// Points for each MoltWatch reputation tier
+const TIER_POINTS = { pillar: 40, builder: 25, contributor: 10, newcomer: 0 };
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function isAgent(value, id) {
+  return value !== undefined && value !== null && normalizeIdentity(value) === id;
+}
+
+let watchCache = { mtimeMs: null, byName: new Map() };
+
+// MoltWatch reputation by agent name, recomputed when a new snapshot lands
+function watchScores() {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(WATCH_LATEST).mtimeMs;
+  } catch (_) { /* no snapshot yet */ }
+
+  if (mtimeMs !== watchCache.mtimeMs) {
+    const byName = new Map();
+    if (mtimeMs !== null) {
+      try {
+        for (const agent of watchReputation.computeReputationScores()) {
+          byName.set(normalizeIdentity(agent.name), agent);
+        }
+      } catch (_) { /* unreadable snapshot counts as no data */ }
+    }
+    watchCache = { mtimeMs, byName };
+  }
+  return watchCache.byName;
+}
+
+/**
+ * Scoring factors, applied in order. Each computes { points, code, reason }
+ * for one agent (normalized id in ctx.id) and may add detail fields.
+ */
+const factors = [];
+
+/**
+ * Add a factor to the model
+ * @param {Object} factor - { name, compute(agent, ctx) }
+ */
+function registerFactor(factor) {
+  if (!factor || !factor.name || typeof factor.compute !== 'function') {
+    throw new Error('A scoring factor needs a name and a compute function');
+  }
+  factors.push(factor);
+}
+
+// Loans repaid, defaulted or running late on MoltCredit itself
+registerFactor({
+  name: 'repayment',
+  compute(agent, ctx) {
+    const loans = loansStore.all().filter(l => isAgent(l.borrower, ctx.id));
+    const approved = applicationsStore.all()
+      .filter(a => isAgent(a.agent, ctx.id) && a.status === 'approved').length;
+    const completed = loans.filter(l => l.status === 'completed').length;
+    const defaulted = loans.filter(l => l.status === 'defaulted').length;
+    const active = loans.filter(l => l.status === 'active');
+    const overdue = active.reduce(
+      (sum, l) => sum + (l.schedule || []).filter(i => i.status === 'overdue').length, 0);
+
+    const detail = { completed, defaulted, active: active.length, overdueInstallments: overdue };
+    if (loans.length === 0) {
+      return { points: 0, code: 'NO_LOAN_HISTORY', reason: 'No MoltCredit loans yet', ...detail };
+    }
+
+    const points = Math.min(completed * 20, 120) + Math.min(approved * 5, 25)
+      - defaulted * 100 - active.length * 10 - overdue * 15;
+    const code = defaulted > 0 ? 'LOAN_DEFAULTS'
+      : overdue > 0 ? 'LOAN_OVERDUE'
+      : completed > 0 ? 'LOANS_REPAID' : 'LOANS_ACTIVE';
+    const reason = defaulted > 0 ? `${defaulted} defaulted loan(s)`
+      : overdue > 0 ? `${overdue} overdue instalment(s)`
+      : completed > 0 ? `${completed} loan(s) repaid in full`
+      : `${active.length} loan(s) still being repaid`;
+    return { points, code, reason, ...detail };
+  }
+});
+
+// How MoltPay escrows the agent took part in ended, and disputes raised against them
+registerFactor({
+  name: 'payments',
+  compute(agent, ctx) {
+    const units = [];
+    for (const invoice of invoicesStore.all()) {
+      if (!isAgent(invoice.from, ctx.id) && !isAgent(invoice.to, ctx.id)) continue;
+      units.push(...(invoice.milestones || [invoice]).filter(u => u.fundedAt));
+    }
+
+    const released = units.filter(u => u.status === 'released').length;
+    const closed = units.filter(u => ['released', 'refunded', 'settled'].includes(u.status)).length;
+    const disputedAgainst = units.filter(u => u.disputedBy && !isAgent(u.disputedBy, ctx.id)).length;
+
+    const detail = { funded: units.length, released, closed, disputedAgainst };
+    if (units.length === 0) {
+      return { points: 0, code: 'NO_PAYMENT_HISTORY', reason: 'No funded MoltPay escrows', ...detail };
+    }
+
+    const releaseRatio = closed > 0 ? released / closed : 1;
+    const disputeRatio = disputedAgainst / units.length;
+    const points = Math.round((releaseRatio - 0.5) * 80 - disputeRatio * 60);
+    const code = disputedAgainst > 0 ? 'PAYMENT_DISPUTES'
+      : releaseRatio < 0.5 ? 'PAYMENTS_REFUNDED' : 'PAYMENTS_RELEASED';
+    const reason = disputedAgainst > 0
+      ? `${disputedAgainst} of ${units.length} escrow(s) disputed by the other party`
+      : `${released} of ${closed} closed escrow(s) released`;
+    return { points, code, reason, releaseRatio: Math.round(releaseRatio * 100) / 100, ...detail };
+  }
+});
+
+/**
+ * The party that lost a MoltCourt ruling. Escrow rulings are judged by their
+ * outcome: whoever ends up with less than half of the escrow lost, and an even
+ * split has no loser. Other rulings are for the plaintiff or the defendant.
+ * @param {Object} caseItem - A resolved case
+ * @returns {string|null}
+ */
+function caseLoser(caseItem) {
+  const { ruling } = caseItem;
+  if (ruling.outcome && typeof ruling.payeePercent === 'number') {
+    const invoice = invoicesStore.get(caseItem.relatedInvoiceId);
+    if (!invoice || ruling.payeePercent === 50) return null;
+    const payeeLost = ruling.payeePercent < 50;
+    return [caseItem.plaintiff, caseItem.defendant]
+      .find(party => normalizeIdentity(party) === normalizeIdentity(invoice.to) ? payeeLost : !payeeLost) || null;
+  }
+  if (ruling.decision === 'plaintiff') return caseItem.defendant;
+  if (ruling.decision === 'defendant') return caseItem.plaintiff;
+  return null;
+}
+
+// MoltCourt cases the agent lost
+registerFactor({
+  name: 'court',
+  compute(agent, ctx) {
+    let lost = 0;
+    let won = 0;
+    for (const c of casesStore.all()) {
+      if (c.status !== 'resolved' || !c.ruling) continue;
+      if (!isAgent(c.plaintiff, ctx.id) && !isAgent(c.defendant, ctx.id)) continue;
+      const loser = caseLoser(c);
+      if (loser === null) continue;
+      if (isAgent(loser, ctx.id)) lost++;
+      else won++;
+    }
+
+    if (lost === 0) {
+      return { points: 0, code: 'NO_COURT_LOSSES', reason: 'No MoltCourt cases lost', lost, won };
+    }
+    return {
+      points: -Math.min(lost * 40, 120),
+      code: 'COURT_LOSSES',
+      reason: `${lost} MoltCourt case(s) lost`,
+      lost,
+      won
+    };
+  }
+});
+
+// Where the agent's MoltAudit reputation sits among all agents
+registerFactor({
+  name: 'audit',
+  compute(agent) {
+    const reputation = reputationStore.all();
+    const key = [agent, String(agent).replace(/^@/, '')].find(k => reputation[k] !== undefined);
+    if (key === undefined) {
+      return { points: 0, code: 'NO_AUDIT_REPUTATION', reason: 'No MoltAudit reputation yet' };
+    }
+
+    const values = Object.values(reputation);
+    const percentile = Math.round(values.filter(s => s < reputation[key]).length / values.length * 100);
+    const points = Math.round((percentile - 50) * 0.8);
+    return {
+      points,
+      code: percentile >= 50 ? 'AUDIT_REPUTATION_HIGH' : 'AUDIT_REPUTATION_LOW',
+      reason: `MoltAudit reputation in the ${percentile}th percentile`,
+      percentile
+    };
+  }
+});
+
+// The agent's MoltWatch trust tier on moltbook
+registerFactor({
+  name: 'watch',
+  compute(agent, ctx) {
+    const watched = watchScores().get(ctx.id);
+    if (!watched) {
+      return { points: 0, code: 'NO_WATCH_TIER', reason: 'Not tracked by MoltWatch' };
+    }
+    return {
+      points: TIER_POINTS[watched.tier] || 0,
+      code: `WATCH_TIER_${watched.tier.toUpperCase()}`,
+      reason: `MoltWatch tier '${watched.tier}' (trust ${watched.score}/100)`,
+      tier: watched.tier,
+      trustScore: watched.score
+    };
+  }
+});
+
+// How long the agent has been registered with MoltAuth
+registerFactor({
+  name: 'accountAge',
+  compute(agent, ctx) {
+    const account = agentsStore.all().find(a => isAgent(a.name, ctx.id) || isAgent(a.id, ctx.id));
+    if (!account || !account.createdAt) {
+      return { points: 0, code: 'NO_ACCOUNT', reason: 'Not a registered MoltAuth agent' };
+    }
+
+    const days = Math.floor((ctx.now - new Date(account.createdAt).getTime()) / DAY_MS);
+    const points = Math.min(Math.floor(days / 30) * 5, 50);
+    return {
+      points,
+      code: days < 30 ? 'NEW_ACCOUNT' : 'ESTABLISHED_ACCOUNT',
+      reason: `Registered ${days} day(s) ago`,
+      days
+    };
+  }
+});
+
+/**
+ * Score an agent with every registered factor
+ * @param {string} agent
+ * @returns {Object} { score, base, factors, reasons } - reasons lists the
+ *   codes of the factors that moved the score, largest impact first
+ */
+function scoreAgent(agent) {
+  const ctx = { id: normalizeIdentity(agent), now: Date.now() };
+
+  const results = factors.map(factor => {
+    try {
+      return { factor: factor.name, ...factor.compute(agent, ctx) };
+    } catch (error) {
+      return { factor: factor.name, points: 0, code: 'FACTOR_UNAVAILABLE', reason: error.message };
+    }
+  });
+
+  const total = results.reduce((sum, r) => sum + r.points, BASE_SCORE);
+  const reasons = results
+    .filter(r => r.points !== 0)
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+    .map(r => r.code);
+
+  return {
+    score: clamp(Math.round(total), MIN_SCORE, MAX_SCORE),
+    base: BASE_SCORE,
+    factors: results,
+    reasons
+  };
+}
+
+module.exports = {
+  BASE_SCORE,
+  MIN_SCORE,
+  MAX_SCORE,
+  registerFactor,
+  scoreAgent
+};
@@ -0,0 +1,151 @@
+/**
+ * MoltDAO voting power strategies
+ * A proposal chooses how voting power is assigned. The power of every
+ * eligible agent, and the delegations in force, are snapshotted when the
+ * proposal activates, so moving money, reputation or memberships around
+ * afterwards doesn't change the vote.
+ */
+
+const { normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const ledger = require('../shared/ledger');
+const watchReputation = require('../watch/reputation');
+
+const agentsStore = storage.collection('auth', 'agents');
+const reputationStore = storage.collection('audit', 'reputation', { defaultValue: {} });
+const guildsStore = storage.collection('guild', 'guilds');
+
+const REPUTATION_SOURCES = ['audit', 'watch'];
+
+const POWER_STRATEGIES = {
+  'registered': {
+    name: 'One Agent, One Vote',
+    description: 'Every active MoltAuth agent has one vote',
+    options: {}
+  },
+  'reputation': {
+    name: 'Reputation-Weighted',
+    description: 'Power equals the agent\'s reputation score',
+    options: { reputationSource: 'audit (MoltAudit, default) or watch (MoltWatch trust score)' }
+  },
+  'stake': {
+    name: 'Stake-Weighted',
+    description: 'Power equals the agent\'s available ledger balance',
+    options: { currency: 'Ledger currency (default LEDGER_CURRENCY)' }
+  },
+  'guild': {
+    name: 'Guild Members',
+    description: 'One vote for each member of a MoltGuild; nobody else can vote',
+    options: { guildId: 'The guild whose members vote (required)' }
+  }
+};
+
+function roundPower(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check a strategy and its options
+ * @param {string} strategy
+ * @param {Object} options
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateStrategy(strategy, options = {}) {
+  if (!POWER_STRATEGIES[strategy]) {
+    return `powerStrategy must be one of: ${Object.keys(POWER_STRATEGIES).join(', ')}`;
+  }
+  if (strategy === 'reputation' && options.reputationSource && !REPUTATION_SOURCES.includes(options.reputationSource)) {
+    return `reputationSource must be one of: ${REPUTATION_SOURCES.join(', ')}`;
+  }
+  if (strategy === 'guild' && !guildsStore.get(options.guildId)) {
+    return 'powerOptions.guildId must name an existing guild';
+  }
+  return null;
+}
+
+// Normalized agent name for a name, '@name' or MoltAuth agent id
+function resolveAgent(identifier, agentsById) {
+  const agent = agentsById.get(identifier);
+  return normalizeIdentity(agent ? agent.name : identifier);
+}
+
+/**
+ * Voting power of every eligible agent under a strategy, right now
+ * @param {string} strategy
+ * @param {Object} options
+ * @returns {Object} normalized agent name -> power (> 0)
+ */
+function basePower(strategy, options = {}) {
+  const power = {};
+  const add = (name, value) => {
+    if (value > 0) power[name] = roundPower((power[name] || 0) + value);
+  };
+
+  if (strategy === 'registered') {
+    agentsStore.all()
+      .filter(agent => agent.active !== false)
+      .forEach(agent => add(normalizeIdentity(agent.name), 1));
+  } else if (strategy === 'reputation' && options.reputationSource === 'watch') {
+    watchReputation.computeReputationScores().forEach(agent => add(normalizeIdentity(agent.name), agent.score));
+  } else if (strategy === 'reputation') {
+    Object.entries(reputationStore.all()).forEach(([agent, score]) => add(normalizeIdentity(agent), Number(score) || 0));
+  } else if (strategy === 'stake') {
+    const balances = ledger.balancesByPrefix('agent:', options.currency);
+    Object.entries(balances).forEach(([account, amount]) => add(account.slice('agent:'.length), amount));
+  } else if (strategy === 'guild') {
+    const guild = guildsStore.get(options.guildId);
+    const agentsById = new Map(agentsStore.all().map(agent => [agent.id, agent]));
+    (guild ? guild.members : []).forEach(member => {
+      power[resolveAgent(member.agentId, agentsById)] = 1;
+    });
+  }
+  return power;
+}
+
+/**
+ * Snapshot voting power for a proposal. An eligible agent who has delegated
+ * to another eligible agent passes their power on; delegations to agents
+ * without power of their own are ignored, so they can't open up a gated vote.
+ * @param {string} strategy
+ * @param {Object} options
+ * @param {Object[]} delegations - Active delegations [{ from, to }]
+ * @returns {Object} { strategy, options, base, delegatedTo, power, total, takenAt }
+ */
+function takeSnapshot(strategy, options, delegations) {
+  const base = basePower(strategy, options);
+  const power = { ...base };
+  const delegatedTo = {};
+
+  delegations.forEach(d => {
+    const from = normalizeIdentity(d.from);
+    const to = normalizeIdentity(d.to);
+    if (from === to || !base[from] || !base[to]) return;
+    delegatedTo[from] = to;
+  });
+
+  // Delegations are one level deep: power delegated to an agent who has delegated in turn stays put
+  Object.keys(delegatedTo)
+    .filter(from => delegatedTo[delegatedTo[from]])
+    .forEach(from => delete delegatedTo[from]);
+
+  Object.entries(delegatedTo).forEach(([from, to]) => {
+    power[to] = roundPower(power[to] + base[from]);
+    power[from] = 0;
+  });
+
+  return {
+    strategy,
+    options,
+    base,
+    delegatedTo,
+    power,
+    total: roundPower(Object.values(base).reduce((sum, value) => sum + value, 0)),
+    takenAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  POWER_STRATEGIES,
+  validateStrategy,
+  takeSnapshot
+};
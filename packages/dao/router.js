@@ -1,27 +1,71 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, requireAgentScope, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
+const ledger = require('../shared/ledger');
+const params = require('../shared/params');
+const scheduler = require('../shared/scheduler');
+const voting = require('./voting');
+const power = require('./power');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/dao');
-const PROPOSALS_FILE = path.join(DATA_DIR, 'proposals.json');
-const VOTES_FILE = path.join(DATA_DIR, 'votes.json');
-const DELEGATES_FILE = path.join(DATA_DIR, 'delegates.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const proposalsStore = storage.collection('dao', 'proposals');
+const votesStore = storage.collection('dao', 'votes');
+const delegatesStore = storage.collection('dao', 'delegates');
+const executionsStore = storage.collection('dao', 'executions');
+const snapshotsStore = storage.collection('dao', 'snapshots');
+
+// The DAO treasury, which funding allocations are paid from. A pool account
+// rather than an agent's balance, so no one can register as the treasury.
+const TREASURY_ACCOUNT = ledger.poolAccount('dao', 'treasury');
+
+// Payer named on the MoltPay invoices that funding allocations open
+const TREASURY_NAME = 'dao';
+
+// Delay between queueing a passed proposal and carrying it out
+const TIMELOCK_HOURS = parseFloat(process.env.DAO_TIMELOCK_HOURS || '48');
+
+// How long after execution guardians may revert a parameter or constitution change
+const REVERT_HOURS = parseFloat(process.env.DAO_REVERT_HOURS || '72');
+
+// Agents who may cancel queued proposals, revert executed ones and act as the
+// payer on funding invoices (comma-separated agent ids)
+const GUARDIANS = (process.env.DAO_GUARDIANS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Credits each unit of voting power gets on quadratic proposals that don't set a budget
+const QV_CREDITS = parseFloat(process.env.DAO_QV_CREDITS || '100');
+
+// Hours for conviction to build to half of its full strength, or to decay by half once withdrawn
+const CONVICTION_HALF_LIFE_HOURS = parseFloat(process.env.DAO_CONVICTION_HALF_LIFE_HOURS || '24');
+
+// Largest share of the treasury one conviction-voted funding request can ask for
+const CONVICTION_MAX_SHARE = parseFloat(process.env.DAO_CONVICTION_MAX_SHARE || '0.25');
+
+// Shortest voting period a proposal can set, so votes can't close before agents see them
+const MIN_VOTING_HOURS = parseFloat(process.env.DAO_MIN_VOTING_HOURS || '24');
+
+// Options that count as approving the proposal
+const APPROVING_OPTIONS = ['yes', 'for', 'approve', 'accept'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const EXECUTOR_INTERVAL_MS = 60 * 1000;
 
 // ===== PROPOSAL TEMPLATES =====
+// Templates that list powerStrategies only accept those; proposals that move
+// money or change the rules can't be put to a proposer-picked electorate.
 const PROPOSAL_TEMPLATES = {
   'funding-allocation': {
     name: 'Funding Allocation',
     description: 'Allocate treasury funds to a project or initiative',
     requiredFields: ['recipient', 'amount', 'purpose'],
     quorumPercent: 30,
-    passingThreshold: 60
+    passingThreshold: 60,
+    powerStrategies: ['registered', 'stake']
   },
   'service-change': {
     name: 'Service Change',
@@ -35,14 +79,16 @@ const PROPOSAL_TEMPLATES = {
     description: 'Update system parameters (fees, limits, etc.)',
     requiredFields: ['parameterName', 'currentValue', 'newValue'],
     quorumPercent: 15,
-    passingThreshold: 50
+    passingThreshold: 50,
+    powerStrategies: ['registered', 'stake']
   },
   'constitutional-amendment': {
     name: 'Constitutional Amendment',
     description: 'Fundamental changes to governance structure',
     requiredFields: ['section', 'amendment', 'rationale'],
     quorumPercent: 40,
-    passingThreshold: 75
+    passingThreshold: 75,
+    powerStrategies: ['registered', 'stake']
   },
   'general': {
     name: 'General Proposal',
@@ -59,50 +105,44 @@ const PROPOSAL_STATES = {
   ACTIVE: 'active',
   PASSED: 'passed',
   FAILED: 'failed',
+  QUEUED: 'queued',
   EXECUTED: 'executed',
+  REVERTED: 'reverted',
   CANCELLED: 'cancelled'
 };
 
 function loadProposals() {
-  try {
-    return JSON.parse(fs.readFileSync(PROPOSALS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return proposalsStore.all();
 }
 
 function saveProposals(proposals) {
-  fs.writeFileSync(PROPOSALS_FILE, JSON.stringify(proposals, null, 2));
+  proposalsStore.replace(proposals);
 }
 
 function loadVotes() {
-  try {
-    return JSON.parse(fs.readFileSync(VOTES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return votesStore.all();
 }
 
 function saveVotes(votes) {
-  fs.writeFileSync(VOTES_FILE, JSON.stringify(votes, null, 2));
+  votesStore.replace(votes);
 }
 
 function loadDelegates() {
-  try {
-    return JSON.parse(fs.readFileSync(DELEGATES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return delegatesStore.all();
 }
 
 function saveDelegates(delegates) {
-  fs.writeFileSync(DELEGATES_FILE, JSON.stringify(delegates, null, 2));
+  delegatesStore.replace(delegates);
 }
 
+// Proposals activated before voting power was snapshotted keep the original
+// weighting: one vote per agent plus one per delegation, measured against
+// everyone who has taken part in MoltDAO.
+
 // Calculate effective voting power including delegations
 function getEffectiveVotingPower(agent) {
   const delegates = loadDelegates();
-  const delegatedFrom = delegates.filter(d => d.to === agent && d.active !== false);
+  const delegatedFrom = delegates.filter(d => sameAgent(d.to, agent) && d.active !== false);
   return 1 + delegatedFrom.length;
 }
 
@@ -113,24 +153,91 @@ function getTotalVotingPower() {
   const delegates = loadDelegates();
   
   const uniqueAgents = new Set();
-  votes.forEach(v => uniqueAgents.add(v.agent));
-  proposals.forEach(p => uniqueAgents.add(p.creator));
+  votes.forEach(v => uniqueAgents.add(normalizeIdentity(v.agent)));
+  proposals.forEach(p => uniqueAgents.add(normalizeIdentity(p.creator)));
   delegates.forEach(d => {
-    uniqueAgents.add(d.from);
-    uniqueAgents.add(d.to);
+    uniqueAgents.add(normalizeIdentity(d.from));
+    uniqueAgents.add(normalizeIdentity(d.to));
   });
   
   return Math.max(uniqueAgents.size, 10); // Minimum 10 to avoid division by zero
 }
 
+/**
+ * Snapshot voting power for a proposal that is becoming active
+ * @param {Object} proposal - Updated in place with snapshotId, snapshotAt and totalVotingPower
+ */
+function snapshotVotingPower(proposal) {
+  const delegations = loadDelegates().filter(d => d.active !== false);
+  const snapshot = {
+    id: uuidv4(),
+    proposalId: proposal.id,
+    ...power.takeSnapshot(proposal.powerStrategy, proposal.powerOptions || {}, delegations)
+  };
+  snapshotsStore.insert(snapshot);
+
+  proposal.snapshotId = snapshot.id;
+  proposal.snapshotAt = snapshot.takenAt;
+  proposal.totalVotingPower = snapshot.total;
+}
+
+// An agent's voting power on a proposal, from its snapshot
+function votingPowerOf(proposal, agent) {
+  if (!proposal.snapshotId) return getEffectiveVotingPower(agent);
+  const snapshot = snapshotsStore.get(proposal.snapshotId);
+  return snapshot.power[normalizeIdentity(agent)] || 0;
+}
+
+function totalVotingPower(proposal) {
+  return proposal.snapshotId ? proposal.totalVotingPower : getTotalVotingPower();
+}
+
+function sameAgent(a, b) {
+  return normalizeIdentity(a) === normalizeIdentity(b);
+}
+
+function isApproving(option) {
+  return APPROVING_OPTIONS.includes(String(option).toLowerCase());
+}
+
+/**
+ * Check that a proposal's voting period, starting now, lasts at least MIN_VOTING_HOURS
+ * @param {string|null} votingEnds - null for conviction proposals that stay open
+ * @returns {string|null} Error message, or null if valid
+ */
+function votingPeriodError(votingEnds) {
+  if (votingEnds === null) return null;
+  const ends = new Date(votingEnds).getTime();
+  if (Number.isNaN(ends)) {
+    return 'votingEnds must be a date';
+  }
+  if (ends < Date.now() + MIN_VOTING_HOURS * HOUR_MS) {
+    return `Voting must stay open for at least ${MIN_VOTING_HOURS} hours`;
+  }
+  return null;
+}
+
+// A proposal's votes, including withdrawn conviction stakes (their conviction decays rather than vanishing)
+function proposalVotes(proposalId) {
+  return loadVotes().filter(v => v.proposalId === proposalId);
+}
+
+function activeVotes(votes) {
+  return votes.filter(v => !v.withdrawnAt);
+}
+
+function tallyProposal(proposal, votes = proposalVotes(proposal.id)) {
+  return voting.tally(proposal, votes, { now: Date.now(), halfLifeHours: CONVICTION_HALF_LIFE_HOURS });
+}
+
 // Check if proposal meets quorum
-function checkQuorum(proposalId, proposalType) {
-  const votes = loadVotes().filter(v => v.proposalId === proposalId);
-  const template = PROPOSAL_TEMPLATES[proposalType] || PROPOSAL_TEMPLATES.general;
+function checkQuorum(proposal) {
+  const votes = activeVotes(proposalVotes(proposal.id));
+  const template = PROPOSAL_TEMPLATES[proposal.proposalType] || PROPOSAL_TEMPLATES.general;
   
   const totalWeight = votes.reduce((sum, v) => sum + (v.weight || 1), 0);
-  const totalPossiblePower = getTotalVotingPower();
-  const participationPercent = (totalWeight / totalPossiblePower) * 100;
+  const totalPossiblePower = totalVotingPower(proposal);
+  const participationPercent = totalPossiblePower > 0 ? (totalWeight / totalPossiblePower) * 100 : 0;
   
   return {
     met: participationPercent >= template.quorumPercent,
@@ -141,34 +248,319 @@ function checkQuorum(proposalId, proposalType) {
   };
 }
 
+// Share of the treasury a funding allocation asks for
+function requestedShare(proposal) {
+  if (proposal.proposalType !== 'funding-allocation') return 0;
+  const currency = proposal.templateData.currency || ledger.DEFAULT_CURRENCY;
+  const treasury = ledger.balance(TREASURY_ACCOUNT, currency);
+  return treasury > 0 ? Number(proposal.templateData.amount) / treasury : Infinity;
+}
+
+/**
+ * Conviction a proposal needs to pass, as a percentage of the total voting
+ * power. It starts at the template's quorum and rises steeply as a funding
+ * request nears CONVICTION_MAX_SHARE of the treasury.
+ * @param {Object} proposal
+ * @returns {number|null} null if the request is too large to ever pass
+ */
+function convictionThreshold(proposal) {
+  const template = PROPOSAL_TEMPLATES[proposal.proposalType] || PROPOSAL_TEMPLATES.general;
+  const share = requestedShare(proposal) / CONVICTION_MAX_SHARE;
+  return share < 1 ? template.quorumPercent / Math.pow(1 - share, 2) : null;
+}
+
 // Check if proposal passed
-function checkPassed(proposalId, proposalType) {
-  const votes = loadVotes().filter(v => v.proposalId === proposalId);
-  const template = PROPOSAL_TEMPLATES[proposalType] || PROPOSAL_TEMPLATES.general;
-  
-  let yesWeight = 0;
-  let totalWeight = 0;
-  
-  votes.forEach(v => {
-    const weight = v.weight || 1;
-    totalWeight += weight;
-    // Assuming 'yes'/'for' options indicate approval
-    if (['yes', 'for', 'approve', 'accept'].includes(v.option.toLowerCase())) {
-      yesWeight += weight;
-    }
-  });
+function checkPassed(proposal, result = tallyProposal(proposal)) {
+  const template = PROPOSAL_TEMPLATES[proposal.proposalType] || PROPOSAL_TEMPLATES.general;
+  
+  // Yes/no proposals pass on the approving options' support, multi-option ones on the winner's
+  const approving = proposal.options.filter(isApproving);
+  const support = approving.length > 0
+    ? approving.reduce((sum, option) => sum + (result.tallies[option] || 0), 0)
+    : (result.winner ? result.tallies[result.winner] : 0);
+  
+  if (proposal.votingMethod === 'conviction') {
+    const required = convictionThreshold(proposal);
+    const total = totalVotingPower(proposal);
+    const convictionPercent = total > 0 ? (support / total) * 100 : 0;
+    return {
+      passed: required !== null && convictionPercent >= required,
+      required: required === null ? null : Number(required.toFixed(1)),
+      current: convictionPercent.toFixed(1),
+      conviction: support,
+      halfLifeHours: CONVICTION_HALF_LIFE_HOURS,
+      maxTreasuryShare: CONVICTION_MAX_SHARE
+    };
+  }
   
-  const approvalPercent = totalWeight > 0 ? (yesWeight / totalWeight) * 100 : 0;
+  const approvalPercent = result.total > 0 ? (support / result.total) * 100 : 0;
   
   return {
     passed: approvalPercent >= template.passingThreshold,
     required: template.passingThreshold,
     current: approvalPercent.toFixed(1),
-    yesWeight,
-    totalWeight
+    yesWeight: support,
+    totalWeight: result.total
   };
 }
 
+// Close voting on active proposals whose voting period has ended
+function finalizeProposals() {
+  const proposals = loadProposals();
+  const now = new Date();
+  const finalized = [];
+
+  proposals.forEach(p => {
+    if (p.status !== PROPOSAL_STATES.ACTIVE) return;
+    const ended = p.votingEnds && new Date(p.votingEnds) < now;
+
+    if (p.votingMethod === 'conviction') {
+      // Conviction proposals pass as soon as enough support has built up
+      if (checkPassed(p).passed) {
+        p.status = PROPOSAL_STATES.PASSED;
+      } else if (ended) {
+        p.status = PROPOSAL_STATES.FAILED;
+      } else {
+        return;
+      }
+    } else if (ended) {
+      // Check quorum and passing threshold
+      const quorum = checkQuorum(p);
+
+      if (quorum.met) {
+        const result = checkPassed(p);
+        p.status = result.passed ? PROPOSAL_STATES.PASSED : PROPOSAL_STATES.FAILED;
+      } else {
+        p.status = PROPOSAL_STATES.FAILED; // Failed to meet quorum
+      }
+    } else {
+      return;
+    }
+
+    p.updatedAt = new Date().toISOString();
+    finalized.push(p);
+  });
+  if (finalized.length === 0) return;
+
+  const events = finalized.map(p => {
+    const type = p.status === PROPOSAL_STATES.PASSED ? 'proposal.passed' : 'proposal.failed';
+    return [type, eventBus.check(type, {
+      proposalId: p.id,
+      creator: p.creator,
+      proposalType: p.proposalType,
+      templateData: p.templateData
+    })];
+  });
+  saveProposals(proposals);
+  events.forEach(([type, payload]) => eventBus.publish(type, payload, { source: 'dao' }));
+}
+
+// ===== EXECUTION ENGINE =====
+// Templates that change the system have an executor. validate() runs when the
+// proposal is created, so a proposal that could never execute is not put to a
+// vote; execute() runs once the timelock is over and returns the effects it
+// applied, which are kept on the proposal and in the executions log.
+
+function executionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isGuardian(req) {
+  return GUARDIANS.includes(req.agent.id);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function parameterEffect(name, value) {
+  const { previous, value: applied } = params.set(name, value);
+  return { type: 'parameter', parameter: name, previous, value: applied };
+}
+
+// Parameter named by a parameter-update proposal, which must exist and be open to ordinary proposals
+function governableParameter(name) {
+  const parameter = params.list().find(p => p.name === name);
+  if (!parameter) {
+    throw executionError(`Unknown parameter: ${name}. See /dao/api/parameters`);
+  }
+  if (parameter.protected) {
+    throw executionError(`${name} can only change through a constitutional amendment`);
+  }
+  return parameter;
+}
+
+// Invariant index a constitutional amendment replaces (1-based), or null to add a new one
+function amendedInvariant(section) {
+  if (String(section).trim().toLowerCase() === 'new') return null;
+  const index = Number(section);
+  const invariants = params.get('gov.constitution.invariants');
+  if (!Number.isInteger(index) || index < 1 || index > invariants.length) {
+    throw executionError(`section must be an invariant number from 1 to ${invariants.length}, or 'new'`);
+  }
+  return index - 1;
+}
+
+const EXECUTORS = {
+  'funding-allocation': {
+    validate(data) {
+      if (!(Number(data.amount) > 0)) {
+        throw executionError('amount must be a positive number');
+      }
+    },
+    // Pay opens and funds the invoice when it sees the proposal.executed event
+    execute(proposal) {
+      const { recipient, purpose } = proposal.templateData;
+      const amount = Number(proposal.templateData.amount);
+      const currency = (proposal.templateData.currency || ledger.DEFAULT_CURRENCY).toUpperCase();
+
+      const available = ledger.balance(TREASURY_ACCOUNT, currency);
+      if (available < amount) {
+        throw executionError(`Treasury holds ${available} ${currency}, ${amount} needed`, 409);
+      }
+      return [{
+        type: 'payment',
+        from: TREASURY_NAME,
+        account: TREASURY_ACCOUNT,
+        approvers: GUARDIANS,
+        to: recipient,
+        amount,
+        currency,
+        purpose,
+        invoiceId: null,
+        status: 'requested'
+      }];
+    }
+  },
+  'parameter-update': {
+    validate(data) {
+      governableParameter(data.parameterName);
+      params.parse(data.parameterName, data.newValue);
+    },
+    execute(proposal) {
+      const { parameterName, currentValue, newValue } = proposal.templateData;
+      governableParameter(parameterName);
+
+      // The vote was on changing the value the proposal saw; refuse if it has moved since
+      const current = params.get(parameterName);
+      if (!sameValue(params.parse(parameterName, currentValue), current)) {
+        throw executionError(`${parameterName} is now ${JSON.stringify(current)}, not ${currentValue}`, 409);
+      }
+      return [parameterEffect(parameterName, newValue)];
+    }
+  },
+  'constitutional-amendment': {
+    validate(data) {
+      amendedInvariant(data.section);
+    },
+    execute(proposal) {
+      const { section, amendment } = proposal.templateData;
+      const index = amendedInvariant(section);
+      const invariants = [...params.get('gov.constitution.invariants')];
+
+      if (index === null) {
+        invariants.push(amendment);
+      } else {
+        invariants[index] = amendment;
+      }
+      return [parameterEffect('gov.constitution.invariants', invariants)];
+    }
+  }
+};
+
+/**
+ * Append an entry to the execution audit trail
+ * @param {Object} proposal
+ * @param {string} action - queued, executed, failed, cancelled, reverted, invoice-created, invoice-funded
+ * @param {string} actor
+ * @param {Object} [details] - { effects, reason }
+ */
+function recordExecution(proposal, action, actor, details = {}) {
+  executionsStore.insert({
+    id: uuidv4(),
+    proposalId: proposal.id,
+    proposalType: proposal.proposalType,
+    action,
+    actor: actor || null,
+    effects: details.effects || [],
+    reason: details.reason || null,
+    at: new Date().toISOString()
+  });
+}
+
+/**
+ * Put a passed proposal behind the timelock and save it
+ * @param {Object[]} proposals - All proposals, as loaded
+ * @param {Object} proposal - The passed proposal, one of `proposals`
+ * @param {string} actor
+ */
+function queueProposal(proposals, proposal, actor) {
+  proposal.status = PROPOSAL_STATES.QUEUED;
+  proposal.queuedAt = new Date().toISOString();
+  proposal.queuedBy = actor;
+  proposal.eta = new Date(Date.now() + TIMELOCK_HOURS * HOUR_MS).toISOString();
+  proposal.updatedAt = proposal.queuedAt;
+
+  const event = eventBus.check('proposal.queued', {
+    proposalId: proposal.id,
+    creator: proposal.creator,
+    eta: proposal.eta
+  });
+  saveProposals(proposals);
+  recordExecution(proposal, 'queued', actor);
+  eventBus.publish('proposal.queued', event, { source: 'dao', actor });
+}
+
+/**
+ * Carry out a queued proposal. A failing executor leaves the system as it was
+ * and marks the proposal failed with the reason.
+ * @param {string} proposalId
+ * @param {string} actor
+ * @returns {Object} The updated proposal
+ */
+function executeProposal(proposalId, actor) {
+  const proposals = loadProposals();
+  const proposal = proposals.find(p => p.id === proposalId);
+  const executor = EXECUTORS[proposal.proposalType];
+  const now = new Date().toISOString();
+  const event = eventBus.check('proposal.executed', {
+    proposalId: proposal.id,
+    creator: proposal.creator,
+    executedBy: actor,
+    proposalType: proposal.proposalType,
+    templateData: proposal.templateData
+  });
+
+  let effects;
+  try {
+    effects = executor ? executor.execute(proposal) : [];
+  } catch (error) {
+    proposal.status = PROPOSAL_STATES.FAILED;
+    proposal.executionError = error.message;
+    proposal.updatedAt = now;
+    saveProposals(proposals);
+    recordExecution(proposal, 'failed', actor, { reason: error.message });
+    return proposal;
+  }
+
+  proposal.status = PROPOSAL_STATES.EXECUTED;
+  proposal.effects = effects;
+  proposal.executedAt = now;
+  proposal.executedBy = actor;
+  proposal.updatedAt = now;
+  saveProposals(proposals);
+
+  recordExecution(proposal, 'executed', actor, { effects });
+  eventBus.publish('proposal.executed', {
+    ...event,
+    effects,
+    payment: effects.find(effect => effect.type === 'payment') || null
+  }, { source: 'dao', actor });
+  return proposal;
+}
+
 // Health check
 router.get('/health', (req, res) => {
   res.json({ 
@@ -192,14 +584,48 @@ router.get('/api/templates', (req, res) => {
   res.json(PROPOSAL_TEMPLATES);
 });
 
+// Get voting methods
+router.get('/api/voting-methods', (req, res) => {
+  res.json(voting.VOTING_METHODS);
+});
+
+// Get voting power strategies
+router.get('/api/power-strategies', (req, res) => {
+  res.json(power.POWER_STRATEGIES);
+});
+
 // Create proposal (can be draft or active)
-router.post('/api/proposals', (req, res) => {
-  const { title, description, creator, options, votingEnds, proposalType, templateData, status } = req.body;
+router.post('/api/proposals', requireAgent('creator'), (req, res) => {
+  const { title, description, creator, options, votingEnds, proposalType, templateData, status, votingMethod, creditBudget, powerStrategy, powerOptions } = req.body;
   
   if (!title || !creator || !options || !Array.isArray(options) || options.length < 2) {
     return res.status(400).json({ error: 'title, creator, and at least 2 options are required' });
   }
   
+  if (new Set(options).size !== options.length) {
+    return res.status(400).json({ error: 'options must be distinct' });
+  }
+  
+  const method = votingMethod || 'simple';
+  if (!voting.VOTING_METHODS[method]) {
+    return res.status(400).json({ error: `votingMethod must be one of: ${Object.keys(voting.VOTING_METHODS).join(', ')}` });
+  }
+  
+  if (method === 'conviction' && !options.some(isApproving)) {
+    return res.status(400).json({ error: `Conviction voting needs an approving option (${APPROVING_OPTIONS.join(', ')})` });
+  }
+  
+  const strategy = powerStrategy || 'registered';
+  const strategyError = power.validateStrategy(strategy, powerOptions || {});
+  if (strategyError) {
+    return res.status(400).json({ error: strategyError });
+  }
+  
+  const budget = creditBudget === undefined ? QV_CREDITS : Number(creditBudget);
+  if (method === 'quadratic' && !(Number.isInteger(budget) && budget > 0)) {
+    return res.status(400).json({ error: 'creditBudget must be a positive whole number' });
+  }
+  
   const type = proposalType || 'general';
   const template = PROPOSAL_TEMPLATES[type];
   
@@ -207,6 +633,23 @@ router.post('/api/proposals', (req, res) => {
     return res.status(400).json({ error: 'Invalid proposal type' });
   }
   
+  // Conviction's bar scales with the share of the treasury requested, which only funding requests have
+  if (method === 'conviction' && type !== 'funding-allocation') {
+    return res.status(400).json({ error: 'Conviction voting is only available for funding-allocation proposals' });
+  }
+  
+  if (template.powerStrategies && !template.powerStrategies.includes(strategy)) {
+    return res.status(400).json({ error: `${type} proposals must use one of these power strategies: ${template.powerStrategies.join(', ')}` });
+  }
+  
+  // Conviction proposals stay open until they pass, unless given an end
+  const defaultEnds = method === 'conviction' ? null : new Date(Date.now() + Math.max(7 * 24, MIN_VOTING_HOURS) * HOUR_MS).toISOString();
+  const ends = votingEnds || defaultEnds;
+  const periodError = votingPeriodError(ends);
+  if (periodError) {
+    return res.status(400).json({ error: periodError });
+  }
+  
   // Validate required fields for template
   if (template.requiredFields.length > 0 && templateData) {
     const missing = template.requiredFields.filter(field => !templateData[field]);
@@ -217,6 +660,16 @@ router.post('/api/proposals', (req, res) => {
     }
   }
   
+  // Catch proposals that could never execute before they go to a vote
+  const executor = EXECUTORS[type];
+  if (executor) {
+    try {
+      executor.validate(templateData || {});
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+  }
+  
   const proposals = loadProposals();
   const proposal = {
     id: uuidv4(),
@@ -226,7 +679,11 @@ router.post('/api/proposals', (req, res) => {
     options,
     proposalType: type,
     templateData: templateData || {},
-    votingEnds: votingEnds || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    votingMethod: method,
+    creditBudget: method === 'quadratic' ? budget : undefined,
+    powerStrategy: strategy,
+    powerOptions: powerOptions || {},
+    votingEnds: ends,
     status: status === 'draft' ? PROPOSAL_STATES.DRAFT : PROPOSAL_STATES.ACTIVE,
     quorumRequired: template.quorumPercent,
     passingThreshold: template.passingThreshold,
@@ -234,24 +691,46 @@ router.post('/api/proposals', (req, res) => {
     updatedAt: new Date().toISOString()
   };
   
+  if (proposal.status === PROPOSAL_STATES.ACTIVE) {
+    snapshotVotingPower(proposal);
+  }
+  
+  const event = eventBus.check('proposal.created', {
+    proposalId: proposal.id,
+    creator,
+    proposalType: type,
+    title
+  });
   proposals.push(proposal);
   saveProposals(proposals);
+  eventBus.publish('proposal.created', event, { source: 'dao', actor: req.agent.name });
   res.status(201).json(proposal);
 });
 
 // Activate a draft proposal
-router.post('/api/proposals/:id/activate', (req, res) => {
+router.post('/api/proposals/:id/activate', requireAgent(), (req, res) => {
   const proposals = loadProposals();
   const proposal = proposals.find(p => p.id === req.params.id);
   
   if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
   
+  if (!isActingAgent(req, proposal.creator)) {
+    return res.status(403).json({ error: 'Only the proposal creator can activate it' });
+  }
+  
   if (proposal.status !== PROPOSAL_STATES.DRAFT) {
     return res.status(409).json({ error: 'Only draft proposals can be activated' });
   }
   
+  // The voting period counts from activation
+  const periodError = votingPeriodError(proposal.votingEnds);
+  if (periodError) {
+    return res.status(409).json({ error: periodError });
+  }
+  
   proposal.status = PROPOSAL_STATES.ACTIVE;
   proposal.updatedAt = new Date().toISOString();
+  snapshotVotingPower(proposal);
   
   saveProposals(proposals);
   res.json(proposal);
@@ -259,29 +738,10 @@ router.post('/api/proposals/:id/activate', (req, res) => {
 
 // List proposals with filters
 router.get('/api/proposals', (req, res) => {
+  finalizeProposals();
   let proposals = loadProposals();
   const { status, proposalType, creator } = req.query;
   
-  // Update status based on voting end time and quorum
-  const now = new Date();
-  proposals = proposals.map(p => {
-    if (p.status === PROPOSAL_STATES.ACTIVE && new Date(p.votingEnds) < now) {
-      // Check quorum and passing threshold
-      const quorum = checkQuorum(p.id, p.proposalType);
-      
-      if (quorum.met) {
-        const result = checkPassed(p.id, p.proposalType);
-        p.status = result.passed ? PROPOSAL_STATES.PASSED : PROPOSAL_STATES.FAILED;
-      } else {
-        p.status = PROPOSAL_STATES.FAILED; // Failed to meet quorum
-      }
-      
-      p.updatedAt = new Date().toISOString();
-    }
-    return p;
-  });
-  saveProposals(proposals);
-  
   // Apply filters
   if (status) {
     proposals = proposals.filter(p => p.status === status);
@@ -299,58 +759,82 @@ router.get('/api/proposals', (req, res) => {
 
 // Get proposal details with vote counts and per-agent visibility
 router.get('/api/proposals/:id', (req, res) => {
-  const proposals = loadProposals();
-  const proposal = proposals.find(p => p.id === req.params.id);
+  const proposal = proposalsStore.get(req.params.id);
   
   if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
   
-  const votes = loadVotes().filter(v => v.proposalId === req.params.id);
-  
-  // Calculate vote counts per option
-  const voteCounts = {};
-  proposal.options.forEach(opt => voteCounts[opt] = 0);
-  
-  let totalWeight = 0;
-  const votesByAgent = [];
-  
-  votes.forEach(v => {
-    const weight = v.weight || 1;
-    voteCounts[v.option] = (voteCounts[v.option] || 0) + weight;
-    totalWeight += weight;
-    
-    // Per-agent vote visibility
-    votesByAgent.push({
-      agent: v.agent,
-      option: v.option,
-      weight: weight,
-      votedAt: v.votedAt,
-      delegatedTo: v.delegatedTo
-    });
-  });
+  const votes = proposalVotes(req.params.id);
+  const current = activeVotes(votes);
+  const result = tallyProposal(proposal, votes);
+  
+  const totalWeight = current.reduce((sum, v) => sum + (v.weight || 1), 0);
+  
+  // Per-agent vote visibility
+  const votesByAgent = votes.map(v => ({
+    agent: v.agent,
+    option: v.option,
+    allocations: v.allocations,
+    creditsSpent: v.creditsSpent,
+    ranking: v.ranking,
+    approvals: v.approvals,
+    weight: v.weight || 1,
+    votedAt: v.votedAt,
+    withdrawnAt: v.withdrawnAt,
+    delegatedTo: v.delegatedTo
+  }));
   
   // Check quorum and passing status
-  const quorum = checkQuorum(req.params.id, proposal.proposalType);
-  const passingStatus = checkPassed(req.params.id, proposal.proposalType);
+  const quorum = checkQuorum(proposal);
+  const passingStatus = checkPassed(proposal, result);
   
   res.json({
     ...proposal,
-    votes: votes.length,
+    votes: current.length,
     totalWeight,
-    voteCounts,
+    voteCounts: result.tallies,
     votesByAgent,
     quorum,
     passingStatus,
-    template: PROPOSAL_TEMPLATES[proposal.proposalType]
+    template: PROPOSAL_TEMPLATES[proposal.proposalType],
+    votingMethodInfo: voting.VOTING_METHODS[proposal.votingMethod || 'simple']
   });
 });
 
-// Cast vote (with delegation support)
-router.post('/api/proposals/:id/vote', (req, res) => {
-  const { agent, option, weight } = req.body;
+// Voting power snapshot taken when the proposal became active
+router.get('/api/proposals/:id/snapshot', (req, res) => {
+  const proposal = proposalsStore.get(req.params.id);
+  
+  if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
+  
+  if (!proposal.snapshotId) {
+    return res.status(404).json({ error: 'Proposal has no voting power snapshot' });
+  }
+  
+  const snapshot = snapshotsStore.get(proposal.snapshotId);
+  if (req.query.agent) {
+    const agent = normalizeIdentity(req.query.agent);
+    return res.json({
+      proposalId: proposal.id,
+      strategy: snapshot.strategy,
+      takenAt: snapshot.takenAt,
+      agent: req.query.agent,
+      basePower: snapshot.base[agent] || 0,
+      votingPower: snapshot.power[agent] || 0,
+      delegatedTo: snapshot.delegatedTo[agent] || null,
+      totalVotingPower: snapshot.total
+    });
+  }
+  res.json(snapshot);
+});
+
+// Cast vote (with delegation support). The ballot depends on the proposal's
+// voting method; on conviction proposals a new vote replaces the agent's stake.
+router.post('/api/proposals/:id/vote', requireAgentScope('dao:vote', 'agent'), (req, res) => {
+  const { agent } = req.body;
   const proposalId = req.params.id;
   
-  if (!agent || !option) {
-    return res.status(400).json({ error: 'agent and option are required' });
+  if (!agent) {
+    return res.status(400).json({ error: 'agent is required' });
   }
   
   const proposals = loadProposals();
@@ -362,24 +846,37 @@ router.post('/api/proposals/:id/vote', (req, res) => {
     return res.status(409).json({ error: `Proposal is ${proposal.status}, not accepting votes` });
   }
   
-  if (!proposal.options.includes(option)) {
-    return res.status(400).json({ error: 'Invalid option' });
+  // Voting power from the proposal's snapshot (including delegations TO this agent)
+  const effectiveWeight = votingPowerOf(proposal, agent);
+  
+  if (proposal.snapshotId && effectiveWeight <= 0) {
+    const snapshot = snapshotsStore.get(proposal.snapshotId);
+    const delegatedTo = snapshot.delegatedTo[normalizeIdentity(agent)];
+    return delegatedTo
+      ? res.status(409).json({ error: `Your voting power was delegated to ${delegatedTo} when this proposal opened` })
+      : res.status(403).json({ error: `${agent} has no voting power under this proposal's ${proposal.powerStrategy} strategy` });
+  }
+  
+  const { ballot, error } = voting.parseBallot(proposal, req.body, effectiveWeight);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
   const votes = loadVotes();
+  const conviction = proposal.votingMethod === 'conviction';
   
   // Check if agent already voted
-  const existingVote = votes.find(v => v.proposalId === proposalId && v.agent === agent);
-  if (existingVote) {
+  const existingVote = votes.find(v => v.proposalId === proposalId && sameAgent(v.agent, agent) && !v.withdrawnAt);
+  if (existingVote && !conviction) {
     return res.status(409).json({ error: 'Agent has already voted on this proposal' });
   }
+  if (existingVote && existingVote.option === ballot.option) {
+    return res.status(409).json({ error: `Agent already supports ${ballot.option}` });
+  }
   
-  // Calculate effective voting power (including delegations TO this agent)
-  const effectiveWeight = getEffectiveVotingPower(agent);
-  
-  // Check if agent has delegated their vote to someone else
+  // Check if agent has delegated their vote to someone else (the snapshot covers this for newer proposals)
   const delegates = loadDelegates();
-  const delegation = delegates.find(d => d.from === agent && d.active !== false);
+  const delegation = !proposal.snapshotId && delegates.find(d => sameAgent(d.from, agent) && d.active !== false);
   
   if (delegation) {
     return res.status(409).json({ 
@@ -387,13 +884,18 @@ router.post('/api/proposals/:id/vote', (req, res) => {
     });
   }
   
+  const now = new Date().toISOString();
+  if (existingVote) {
+    existingVote.withdrawnAt = now;
+  }
+  
   const vote = {
     id: uuidv4(),
     proposalId,
     agent,
-    option,
+    ...ballot,
     weight: effectiveWeight,
-    votedAt: new Date().toISOString()
+    votedAt: now
   };
   
   votes.push(vote);
@@ -401,75 +903,244 @@ router.post('/api/proposals/:id/vote', (req, res) => {
   res.status(201).json(vote);
 });
 
-// Get vote results
+// Get vote results, counted with the proposal's voting method
 router.get('/api/proposals/:id/results', (req, res) => {
-  const proposals = loadProposals();
-  const proposal = proposals.find(p => p.id === req.params.id);
+  const proposal = proposalsStore.get(req.params.id);
   
   if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
   
-  const votes = loadVotes().filter(v => v.proposalId === req.params.id);
-  
-  const voteCounts = {};
-  proposal.options.forEach(opt => voteCounts[opt] = 0);
-  
-  let totalWeight = 0;
-  votes.forEach(v => {
-    const weight = v.weight || 1;
-    voteCounts[v.option] = (voteCounts[v.option] || 0) + weight;
-    totalWeight += weight;
-  });
+  const votes = proposalVotes(req.params.id);
+  const result = tallyProposal(proposal, votes);
   
   const results = proposal.options.map(opt => ({
     option: opt,
-    votes: voteCounts[opt],
-    percentage: totalWeight > 0 ? (voteCounts[opt] / totalWeight * 100).toFixed(1) : 0
+    votes: result.tallies[opt],
+    percentage: result.total > 0 ? (result.tallies[opt] / result.total * 100).toFixed(1) : 0
   }));
   
   results.sort((a, b) => b.votes - a.votes);
   
-  const winner = totalWeight > 0 ? results[0].option : null;
-  const quorum = checkQuorum(req.params.id, proposal.proposalType);
-  const passingStatus = checkPassed(req.params.id, proposal.proposalType);
+  const quorum = checkQuorum(proposal);
+  const passingStatus = checkPassed(proposal, result);
   
   res.json({
     proposalId: proposal.id,
     title: proposal.title,
     status: proposal.status,
-    totalVotes: votes.length,
-    totalWeight,
+    votingMethod: result.method,
+    totalVotes: activeVotes(votes).length,
+    totalWeight: result.total,
     results,
-    winner,
+    winner: result.winner,
+    rounds: result.rounds,
     quorum,
     passingStatus
   });
 });
 
-// Execute a passed proposal
-router.post('/api/proposals/:id/execute', (req, res) => {
+// Queue a passed proposal behind its timelock, or carry out a queued one whose timelock is over
+router.post('/api/proposals/:id/execute', requireAgent(), (req, res) => {
+  try {
+    finalizeProposals();
+    const proposals = loadProposals();
+    const proposal = proposals.find(p => p.id === req.params.id);
+
+    if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
+
+    if (proposal.status === PROPOSAL_STATES.PASSED) {
+      queueProposal(proposals, proposal, req.agent.name);
+      if (new Date(proposal.eta).getTime() > Date.now()) {
+        return res.status(202).json(proposal);
+      }
+    } else if (proposal.status !== PROPOSAL_STATES.QUEUED) {
+      return res.status(409).json({ error: 'Only passed or queued proposals can be executed' });
+    } else if (new Date(proposal.eta).getTime() > Date.now()) {
+      return res.status(409).json({ error: `Proposal is timelocked until ${proposal.eta}` });
+    }
+
+    const executed = executeProposal(proposal.id, req.agent.name);
+    if (executed.status === PROPOSAL_STATES.FAILED) {
+      return res.status(422).json({ error: executed.executionError, proposal: executed });
+    }
+    res.json(executed);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cancel a proposal: its creator until it executes, guardians once it is queued
+router.post('/api/proposals/:id/cancel', requireAgent(), (req, res) => {
   const proposals = loadProposals();
   const proposal = proposals.find(p => p.id === req.params.id);
-  
+
   if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
-  
-  if (proposal.status !== PROPOSAL_STATES.PASSED) {
-    return res.status(409).json({ error: 'Only passed proposals can be executed' });
+
+  const cancellable = [PROPOSAL_STATES.DRAFT, PROPOSAL_STATES.ACTIVE, PROPOSAL_STATES.PASSED, PROPOSAL_STATES.QUEUED];
+  if (!cancellable.includes(proposal.status)) {
+    return res.status(409).json({ error: `Cannot cancel a ${proposal.status} proposal` });
   }
-  
-  // In a real system, this would trigger actual execution logic
-  // For now, we just mark it as executed
-  proposal.status = PROPOSAL_STATES.EXECUTED;
-  proposal.executedAt = new Date().toISOString();
-  proposal.updatedAt = new Date().toISOString();
-  
+
+  const guardian = isGuardian(req);
+  if (!isActingAgent(req, proposal.creator) && !(guardian && proposal.status === PROPOSAL_STATES.QUEUED)) {
+    return res.status(403).json({ error: 'Only the creator, or a guardian once the proposal is queued, can cancel it' });
+  }
+
+  proposal.status = PROPOSAL_STATES.CANCELLED;
+  proposal.cancelledAt = new Date().toISOString();
+  proposal.cancelledBy = req.agent.name;
+  proposal.updatedAt = proposal.cancelledAt;
+  const event = eventBus.check('proposal.cancelled', {
+    proposalId: proposal.id,
+    creator: proposal.creator,
+    cancelledBy: proposal.cancelledBy
+  });
   saveProposals(proposals);
+
+  recordExecution(proposal, 'cancelled', req.agent.name, { reason: req.body.reason });
+  eventBus.publish('proposal.cancelled', event, { source: 'dao', actor: req.agent.name });
   res.json(proposal);
 });
 
+// Undo an executed parameter or constitution change within the revert window (guardians only)
+router.post('/api/proposals/:id/revert', requireAgent(), (req, res) => {
+  try {
+    if (!isGuardian(req)) {
+      return res.status(403).json({ error: 'Only DAO guardians can revert proposals' });
+    }
+
+    const proposals = loadProposals();
+    const proposal = proposals.find(p => p.id === req.params.id);
+
+    if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
+
+    if (proposal.status !== PROPOSAL_STATES.EXECUTED) {
+      return res.status(409).json({ error: 'Only executed proposals can be reverted' });
+    }
+
+    if (Date.now() > new Date(proposal.executedAt).getTime() + REVERT_HOURS * HOUR_MS) {
+      return res.status(409).json({ error: `The ${REVERT_HOURS}h revert window has closed` });
+    }
+
+    const effects = proposal.effects || [];
+    if (effects.some(effect => effect.type !== 'parameter')) {
+      return res.status(409).json({ error: 'Payments cannot be reverted; refund the invoice in MoltPay instead' });
+    }
+
+    // Refuse if anything changed the parameter since, rather than clobber it
+    const changed = effects.find(effect => !sameValue(params.get(effect.parameter), effect.value));
+    if (changed) {
+      return res.status(409).json({ error: `${changed.parameter} has changed since this proposal executed` });
+    }
+
+    const event = eventBus.check('proposal.reverted', {
+      proposalId: proposal.id,
+      creator: proposal.creator,
+      revertedBy: req.agent.name
+    });
+    const reverted = [...effects].reverse().map(effect => {
+      const { previous, value } = params.set(effect.parameter, effect.previous);
+      return { type: 'parameter', parameter: effect.parameter, previous, value };
+    });
+
+    proposal.status = PROPOSAL_STATES.REVERTED;
+    proposal.revertedAt = new Date().toISOString();
+    proposal.revertedBy = req.agent.name;
+    proposal.updatedAt = proposal.revertedAt;
+    saveProposals(proposals);
+
+    recordExecution(proposal, 'reverted', req.agent.name, { effects: reverted, reason: req.body.reason });
+    eventBus.publish('proposal.reverted', { ...event, effects: reverted }, { source: 'dao', actor: req.agent.name });
+    res.json(proposal);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Execution audit trail, newest first
+router.get('/api/executions', (req, res) => {
+  let executions = executionsStore.all();
+  if (req.query.proposalId) {
+    executions = executions.filter(e => e.proposalId === req.query.proposalId);
+  }
+  executions.sort((a, b) => new Date(b.at) - new Date(a.at));
+  res.json(executions);
+});
+
+// Parameters that parameter-update proposals can change
+router.get('/api/parameters', (req, res) => {
+  res.json(params.list());
+});
+
+// Treasury balance and what executed proposals have paid out of it
+router.get('/api/treasury', (req, res) => {
+  const currency = (req.query.currency || ledger.DEFAULT_CURRENCY).toUpperCase();
+  const allocations = loadProposals()
+    .filter(p => (p.effects || []).some(effect => effect.type === 'payment'))
+    .map(p => ({ proposalId: p.id, title: p.title, ...p.effects.find(effect => effect.type === 'payment') }));
+
+  res.json({
+    account: TREASURY_ACCOUNT,
+    currency,
+    balance: ledger.balance(TREASURY_ACCOUNT, currency),
+    allocations
+  });
+});
+
+// Pay into the treasury. Only executed funding allocations pay out of it.
+router.post('/api/treasury/contribute', requireAgent('agent'), (req, res) => {
+  const { agent, amount } = req.body;
+  const currency = (req.body.currency || ledger.DEFAULT_CURRENCY).toUpperCase();
+
+  if (!amount) {
+    return res.status(400).json({ error: 'amount is required' });
+  }
+
+  try {
+    const entry = ledger.transfer(ledger.agentAccount(agent), TREASURY_ACCOUNT, amount, {
+      currency,
+      memo: 'MoltDAO treasury contribution',
+      source: 'dao',
+      actor: req.agent.name,
+      ref: 'dao:treasury'
+    });
+    res.status(201).json({ entryId: entry.id, agent, currency, balance: ledger.balance(TREASURY_ACCOUNT, currency) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Link the MoltPay invoice opened for a funding allocation back to its proposal
+eventBus.subscribe('dao', 'invoice.*', 'link-funding-invoice', event => {
+  const { proposalId, invoiceId } = event.payload;
+  if (!proposalId || !['invoice.created', 'invoice.funded'].includes(event.type)) return;
+
+  const proposals = loadProposals();
+  const proposal = proposals.find(p => p.id === proposalId);
+  const payment = proposal && (proposal.effects || []).find(effect => effect.type === 'payment');
+  if (!payment) return;
+
+  const status = event.type === 'invoice.funded' ? 'funded' : 'created';
+  if (payment.invoiceId === invoiceId && (payment.status === status || payment.status === 'funded')) return;
+
+  payment.invoiceId = invoiceId;
+  payment.status = payment.status === 'funded' ? 'funded' : status;
+  saveProposals(proposals);
+  recordExecution(proposal, `invoice-${status}`, event.actor, { effects: [payment] });
+});
+
+// Settle voting on proposals whose voting period is over, and carry out queued ones
+scheduler.every('dao', 'timelock-executor', EXECUTOR_INTERVAL_MS, () => {
+  finalizeProposals();
+  const due = loadProposals().filter(p =>
+    p.status === PROPOSAL_STATES.QUEUED && new Date(p.eta).getTime() <= Date.now()
+  );
+  due.forEach(p => executeProposal(p.id, 'timelock'));
+});
+
 // ===== DELEGATION SYSTEM =====
 
 // Delegate voting power
-router.post('/api/delegates', (req, res) => {
+router.post('/api/delegates', requireAgentScope('dao:vote', 'from'), (req, res) => {
   const { from, to } = req.body;
   
   if (!from || !to) {
@@ -499,11 +1170,15 @@ router.post('/api/delegates', (req, res) => {
 });
 
 // Revoke delegation
-router.delete('/api/delegates/:agent', (req, res) => {
+router.delete('/api/delegates/:agent', requireAgentScope('dao:vote'), (req, res) => {
   const agent = req.params.agent;
+  
+  if (!isActingAgent(req, agent)) {
+    return res.status(403).json({ error: 'Agents can only revoke their own delegation' });
+  }
   let delegates = loadDelegates();
   
-  const delegation = delegates.find(d => d.from === agent && d.active !== false);
+  const delegation = delegates.find(d => sameAgent(d.from, agent) && d.active !== false);
   
   if (!delegation) {
     return res.status(404).json({ error: 'No active delegation found' });
@@ -521,8 +1196,8 @@ router.get('/api/delegates/:agent', (req, res) => {
   const agent = req.params.agent;
   const delegates = loadDelegates();
   
-  const delegatedTo = delegates.find(d => d.from === agent && d.active !== false);
-  const delegatedFrom = delegates.filter(d => d.to === agent && d.active !== false);
+  const delegatedTo = delegates.find(d => sameAgent(d.from, agent) && d.active !== false);
+  const delegatedFrom = delegates.filter(d => sameAgent(d.to, agent) && d.active !== false);
   
   res.json({
     agent,
@@ -0,0 +1,268 @@
+/**
+ * MoltDAO voting methods
+ * Each proposal is voted on with one method. parseBallot() checks what an
+ * agent submits and turns it into the fields stored on their vote; tally()
+ * counts the stored votes into per-option totals, round by round where the
+ * method has rounds.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const VOTING_METHODS = {
+  'simple': {
+    name: 'Simple Majority',
+    description: 'One option per agent, weighted by voting power',
+    ballot: '{ option }'
+  },
+  'quadratic': {
+    name: 'Quadratic Voting',
+    description: 'Spread a credit budget over the options; n votes on an option cost n² credits',
+    ballot: '{ allocations: { option: votes } }'
+  },
+  'ranked-choice': {
+    name: 'Ranked Choice (Instant Runoff)',
+    description: 'Rank the options; the last-placed option is eliminated each round until one has a majority',
+    ballot: '{ ranking: [option, ...] }'
+  },
+  'approval': {
+    name: 'Approval Voting',
+    description: 'Approve any number of options; the most approved wins',
+    ballot: '{ approvals: [option, ...] }'
+  },
+  'conviction': {
+    name: 'Conviction Voting',
+    description: 'Support builds up the longer it is held; the proposal passes once it has enough conviction',
+    ballot: '{ option }'
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A list of distinct options of the proposal, or an error message
+function checkOptionList(proposal, list, field) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return `${field} must be a non-empty list of options`;
+  }
+  if (new Set(list).size !== list.length) {
+    return `${field} cannot list an option twice`;
+  }
+  const unknown = list.find(option => !proposal.options.includes(option));
+  if (unknown !== undefined) {
+    return `Invalid option: ${unknown}`;
+  }
+  return null;
+}
+
+/**
+ * Check a ballot against the proposal's voting method
+ * @param {Object} proposal
+ * @param {Object} body - The vote request body
+ * @param {number} weight - The voter's voting power
+ * @returns {Object} { ballot } with the fields to store on the vote, or { error }
+ */
+function parseBallot(proposal, body, weight) {
+  const method = proposal.votingMethod || 'simple';
+
+  if (method === 'simple' || method === 'conviction') {
+    if (!body.option) {
+      return { error: 'option is required' };
+    }
+    if (!proposal.options.includes(body.option)) {
+      return { error: 'Invalid option' };
+    }
+    return { ballot: { option: body.option } };
+  }
+
+  if (method === 'quadratic') {
+    const { allocations } = body;
+    if (!isPlainObject(allocations) || Object.keys(allocations).length === 0) {
+      return { error: 'allocations must map options to a number of votes' };
+    }
+    const listError = checkOptionList(proposal, Object.keys(allocations), 'allocations');
+    if (listError) {
+      return { error: listError };
+    }
+    if (!Object.values(allocations).every(votes => Number.isInteger(votes) && votes >= 0)) {
+      return { error: 'Votes per option must be whole numbers of at least 0' };
+    }
+
+    // Delegated power buys a proportionally larger budget
+    const budget = proposal.creditBudget * weight;
+    const creditsSpent = Object.values(allocations).reduce((sum, votes) => sum + votes * votes, 0);
+    if (creditsSpent === 0) {
+      return { error: 'Allocate at least one vote' };
+    }
+    if (creditsSpent > budget) {
+      return { error: `These votes cost ${creditsSpent} credits; your budget is ${budget}` };
+    }
+    return { ballot: { allocations, creditsSpent, creditBudget: budget } };
+  }
+
+  if (method === 'ranked-choice') {
+    const listError = checkOptionList(proposal, body.ranking, 'ranking');
+    return listError ? { error: listError } : { ballot: { ranking: body.ranking } };
+  }
+
+  if (method === 'approval') {
+    const listError = checkOptionList(proposal, body.approvals, 'approvals');
+    return listError ? { error: listError } : { ballot: { approvals: body.approvals } };
+  }
+
+  return { error: `Unknown voting method: ${method}` };
+}
+
+function emptyTallies(options) {
+  return Object.fromEntries(options.map(option => [option, 0]));
+}
+
+function roundTo(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Option with the highest tally; ties go to the option listed first
+function leader(options, tallies) {
+  return options.reduce((best, option) => (tallies[option] > tallies[best] ? option : best), options[0]);
+}
+
+/**
+ * Instant runoff over ranked ballots. Each round counts every ballot for its
+ * highest-ranked option still standing; an option with more than half of
+ * those ballots wins, otherwise the option with the fewest is eliminated
+ * (ties: fewest first-round votes, then listed last).
+ * @param {string[]} options
+ * @param {Object[]} votes - [{ ranking, weight }]
+ * @returns {Object} { rounds, winner }
+ */
+function instantRunoff(options, votes) {
+  let remaining = [...options];
+  const rounds = [];
+  let firstRound = null;
+
+  while (remaining.length > 0) {
+    const tallies = emptyTallies(remaining);
+    let exhausted = 0;
+    votes.forEach(v => {
+      const choice = v.ranking.find(option => remaining.includes(option));
+      if (choice !== undefined) {
+        tallies[choice] += v.weight || 1;
+      } else {
+        exhausted += v.weight || 1;
+      }
+    });
+    firstRound = firstRound || tallies;
+
+    const round = { round: rounds.length + 1, tallies, exhausted };
+    rounds.push(round);
+
+    const counted = Object.values(tallies).reduce((sum, n) => sum + n, 0);
+    if (counted === 0) {
+      return { rounds, winner: null };
+    }
+
+    const top = leader(remaining, tallies);
+    if (tallies[top] * 2 > counted || remaining.length === 1) {
+      round.winner = top;
+      return { rounds, winner: top };
+    }
+
+    const eliminated = [...remaining].reverse().reduce((worst, option) => {
+      if (tallies[option] !== tallies[worst]) {
+        return tallies[option] < tallies[worst] ? option : worst;
+      }
+      return (firstRound[option] || 0) < (firstRound[worst] || 0) ? option : worst;
+    });
+    round.eliminated = eliminated;
+    remaining = remaining.filter(option => option !== eliminated);
+  }
+  return { rounds, winner: null };
+}
+
+/**
+ * Conviction a stake has built up at `now`. Support grows towards the
+ * stake's weight with the given half-life while held, and decays with the
+ * same half-life once withdrawn.
+ * @param {Object} vote - { weight, votedAt, withdrawnAt }
+ * @param {number} now - Timestamp in ms
+ * @param {number} halfLifeHours
+ * @returns {number}
+ */
+function convictionOf(vote, now, halfLifeHours) {
+  const halfLife = halfLifeHours * HOUR_MS;
+  const start = new Date(vote.votedAt).getTime();
+  const end = vote.withdrawnAt ? Math.min(new Date(vote.withdrawnAt).getTime(), now) : now;
+  const built = (vote.weight || 1) * (1 - Math.pow(2, -Math.max(0, end - start) / halfLife));
+  return built * Math.pow(2, -Math.max(0, now - end) / halfLife);
+}
+
+/**
+ * Count a proposal's votes with its voting method
+ * @param {Object} proposal
+ * @param {Object[]} votes - The proposal's votes
+ * @param {Object} [options] - { now, halfLifeHours } for conviction voting
+ * @returns {Object} { method, rounds, tallies, total, winner } - tallies are the
+ *   final round's; total is what shares are measured against
+ */
+function tally(proposal, votes, options = {}) {
+  const method = proposal.votingMethod || 'simple';
+
+  if (method === 'ranked-choice') {
+    const { rounds, winner } = instantRunoff(proposal.options, votes);
+    const last = rounds[rounds.length - 1];
+    const tallies = { ...emptyTallies(proposal.options), ...(last ? last.tallies : {}) };
+    const total = last ? Object.values(last.tallies).reduce((sum, n) => sum + n, 0) : 0;
+    return { method, rounds, tallies, total, winner };
+  }
+
+  const tallies = emptyTallies(proposal.options);
+  let total = 0;
+
+  votes.forEach(v => {
+    const weight = v.weight || 1;
+    if (method === 'quadratic') {
+      Object.entries(v.allocations || {}).forEach(([option, n]) => {
+        tallies[option] = (tallies[option] || 0) + n;
+        total += n;
+      });
+    } else if (method === 'approval') {
+      (v.approvals || []).forEach(option => {
+        tallies[option] = (tallies[option] || 0) + weight;
+      });
+      total += weight;
+    } else if (method === 'conviction') {
+      const conviction = convictionOf(v, options.now || Date.now(), options.halfLifeHours);
+      tallies[v.option] = (tallies[v.option] || 0) + conviction;
+      total += conviction;
+    } else {
+      tallies[v.option] = (tallies[v.option] || 0) + weight;
+      total += weight;
+    }
+  });
+
+  if (method === 'conviction') {
+    Object.keys(tallies).forEach(option => { tallies[option] = roundTo(tallies[option], 4); });
+    total = roundTo(total, 4);
+  }
+
+  // A tie for first place has no winner
+  const top = leader(proposal.options, tallies);
+  const tied = proposal.options.some(option => option !== top && tallies[option] === tallies[top]);
+  const winner = total > 0 && !tied ? top : null;
+  return {
+    method,
+    rounds: [{ round: 1, tallies, winner }],
+    tallies,
+    total,
+    winner
+  };
+}
+
+module.exports = {
+  VOTING_METHODS,
+  parseBallot,
+  instantRunoff,
+  convictionOf,
+  tally
+};
@@ -1,27 +1,18 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/dna');
-const BLUEPRINTS_FILE = path.join(DATA_DIR, 'blueprints.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const blueprintsStore = storage.collection('dna', 'blueprints');
 
 function loadBlueprints() {
-  try {
-    return JSON.parse(fs.readFileSync(BLUEPRINTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return blueprintsStore.all();
 }
 
 function saveBlueprints(blueprints) {
-  fs.writeFileSync(BLUEPRINTS_FILE, JSON.stringify(blueprints, null, 2));
+  blueprintsStore.replace(blueprints);
 }
 
 function getLineage(blueprintId, blueprints) {
@@ -69,7 +60,7 @@ router.get('/health', (req, res) => {
 });
 
 // Register new blueprint
-router.post('/api/blueprints', (req, res) => {
+router.post('/api/blueprints', requireAgent('creator'), (req, res) => {
   const { name, creator, description, capabilities, config, parentId } = req.body;
   
   if (!name || !creator) {
@@ -146,7 +137,7 @@ router.get('/api/blueprints/:id', (req, res) => {
 });
 
 // Fork a blueprint
-router.post('/api/blueprints/:id/fork', (req, res) => {
+router.post('/api/blueprints/:id/fork', requireAgent('creator'), (req, res) => {
   const { newName, creator, mutations } = req.body;
   const blueprints = loadBlueprints();
   const parent = blueprints.find(b => b.id === req.params.id);
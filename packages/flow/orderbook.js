@@ -0,0 +1,139 @@
+/**
+ * MoltFlow order book
+ * Node resources are asks: `available` units of a type at `price` per unit.
+ * A resource's `capacity` is what its node posted; `committed` is the part
+ * held by active flows, and `available` is what's left to sell.
+ * Resource requests are bids: `amount` units at up to `maxPrice` per unit.
+ * match() fills open bids against the cheapest compatible asks, most urgent
+ * bid first, and trades at the ask price.
+ */
+
+const { normalizeIdentity } = require('../shared/auth');
+
+const URGENCY_RANK = { high: 0, normal: 1, low: 2 };
+
+const OPEN_STATUSES = ['pending', 'partially-filled'];
+
+function roundAmount(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Units of a request still to be filled
+ * @param {Object} request
+ * @returns {number}
+ */
+function remainingOf(request) {
+  return roundAmount(request.amount - (request.filled || 0));
+}
+
+function isOpen(request, now) {
+  return OPEN_STATUSES.includes(request.status) && remainingOf(request) > 0
+    && !(request.expiresAt && new Date(request.expiresAt).getTime() <= now);
+}
+
+/**
+ * Hold units of a resource for a new flow
+ * @param {Object} resource - Updated in place
+ * @param {number} units
+ */
+function commitUnits(resource, units) {
+  resource.committed = roundAmount((resource.committed || 0) + units);
+  resource.available = roundAmount(resource.available - units);
+}
+
+/**
+ * Release the units an ended flow held. Units it used are gone from the
+ * node's capacity; the rest can be sold again.
+ * @param {Object} resource - Updated in place
+ * @param {Object} flow - { amount, usage }
+ */
+function releaseUnits(resource, flow) {
+  const usage = flow.usage || 0;
+  const capacity = resource.capacity ?? roundAmount(resource.available + (resource.committed || 0));
+  resource.capacity = roundAmount(Math.max(0, capacity - usage));
+  resource.committed = roundAmount(Math.max(0, (resource.committed || 0) - flow.amount));
+  resource.available = roundAmount(Math.max(0, resource.capacity - resource.committed));
+}
+
+/**
+ * Bid priority: urgency, then the higher price limit (none beats any), then
+ * the older request
+ */
+function compareBids(a, b) {
+  const urgency = (URGENCY_RANK[a.urgency] ?? 1) - (URGENCY_RANK[b.urgency] ?? 1);
+  if (urgency !== 0) return urgency;
+  const limitA = a.maxPrice === null || a.maxPrice === undefined ? Infinity : a.maxPrice;
+  const limitB = b.maxPrice === null || b.maxPrice === undefined ? Infinity : b.maxPrice;
+  if (limitA !== limitB) return limitB - limitA;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+/**
+ * Open asks for a resource type, cheapest first; ties go to the node that
+ * posted its resources earliest. Resources without a price aren't for sale.
+ * @param {Object[]} nodes
+ * @param {string} [type] - All types if omitted
+ * @returns {Object[]} [{ node, resource }]
+ */
+function asksFor(nodes, type) {
+  const asks = [];
+  nodes.forEach(node => {
+    (node.resources || []).forEach(resource => {
+      if (type !== undefined && resource.type !== type) return;
+      if (typeof resource.price !== 'number' || !(resource.available > 0)) return;
+      asks.push({ node, resource });
+    });
+  });
+  return asks.sort((a, b) => (a.resource.price - b.resource.price)
+    || (new Date(a.node.updatedAt) - new Date(b.node.updatedAt)));
+}
+
+/**
+ * Match open requests against node resources. Requests and resources are
+ * updated in place: `filled` and `status` on requests, `available` and
+ * `committed` on resources.
+ * @param {Object[]} requests
+ * @param {Object[]} nodes
+ * @param {number} now - Timestamp in ms
+ * @returns {Object[]} Fills [{ request, node, type, amount, price }]
+ */
+function match(requests, nodes, now) {
+  const fills = [];
+
+  requests
+    .filter(request => isOpen(request, now))
+    .sort(compareBids)
+    .forEach(request => {
+      const requester = normalizeIdentity(request.agent);
+      for (const { node, resource } of asksFor(nodes, request.type)) {
+        const remaining = remainingOf(request);
+        if (remaining <= 0) break;
+        if (request.maxPrice !== null && request.maxPrice !== undefined && resource.price > request.maxPrice) break;
+        if (normalizeIdentity(node.agent) === requester) continue;
+
+        const amount = roundAmount(Math.min(remaining, resource.available));
+        commitUnits(resource, amount);
+        request.filled = roundAmount((request.filled || 0) + amount);
+        fills.push({ request, node, type: request.type, amount, price: resource.price });
+      }
+
+      if (request.filled > 0) {
+        request.status = remainingOf(request) > 0 ? 'partially-filled' : 'fulfilled';
+      }
+    });
+
+  return fills;
+}
+
+module.exports = {
+  URGENCY_RANK,
+  OPEN_STATUSES,
+  remainingOf,
+  isOpen,
+  compareBids,
+  commitUnits,
+  releaseUnits,
+  asksFor,
+  match
+};
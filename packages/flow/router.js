@@ -1,53 +1,226 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const scheduler = require('../shared/scheduler');
+const eventBus = require('../shared/events');
+const orderbook = require('./orderbook');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/flow');
-const NODES_FILE = path.join(DATA_DIR, 'nodes.json');
-const REQUESTS_FILE = path.join(DATA_DIR, 'requests.json');
-const FLOWS_FILE = path.join(DATA_DIR, 'flows.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const nodesStore = storage.collection('flow', 'nodes');
+const requestsStore = storage.collection('flow', 'requests');
+const flowsStore = storage.collection('flow', 'flows');
 
 function loadNodes() {
-  try {
-    return JSON.parse(fs.readFileSync(NODES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return nodesStore.all();
 }
 
 function saveNodes(nodes) {
-  fs.writeFileSync(NODES_FILE, JSON.stringify(nodes, null, 2));
+  nodesStore.replace(nodes);
 }
 
 function loadRequests() {
-  try {
-    return JSON.parse(fs.readFileSync(REQUESTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return requestsStore.all();
 }
 
 function saveRequests(requests) {
-  fs.writeFileSync(REQUESTS_FILE, JSON.stringify(requests, null, 2));
+  requestsStore.replace(requests);
 }
 
 function loadFlows() {
-  try {
-    return JSON.parse(fs.readFileSync(FLOWS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return flowsStore.all();
 }
 
 function saveFlows(flows) {
-  fs.writeFileSync(FLOWS_FILE, JSON.stringify(flows, null, 2));
+  flowsStore.replace(flows);
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Requests stop matching after this many hours unless they set ttl
+const REQUEST_TTL_HOURS = parseFloat(process.env.FLOW_REQUEST_TTL_HOURS || '24');
+// Flows run this long unless the request sets a duration
+const DEFAULT_DURATION_HOURS = parseFloat(process.env.FLOW_DEFAULT_DURATION_HOURS || '1');
+
+const MATCH_INTERVAL_MS = 30 * 1000;
+
+function roundAmount(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Check a node's resource list
+ * @param {*} resources
+ * @returns {string|null} Error message, or null if valid
+ */
+function resourcesError(resources) {
+  if (!Array.isArray(resources)) {
+    return 'resources must be an array';
+  }
+  for (const resource of resources) {
+    if (!resource || typeof resource.type !== 'string' || !resource.type) {
+      return 'Each resource needs a type';
+    }
+    if (typeof resource.available !== 'number' || resource.available < 0) {
+      return `${resource.type}: available must be a number of at least 0`;
+    }
+    if (typeof resource.price !== 'number' || resource.price < 0) {
+      return `${resource.type}: price per unit must be a number of at least 0`;
+    }
+  }
+  if (new Set(resources.map(r => r.type)).size !== resources.length) {
+    return 'List each resource type once';
+  }
+  return null;
+}
+
+/**
+ * A new flow for units of a request filled by a provider
+ * @param {Object} request
+ * @param {Object} fill - { provider, nodeId, amount, price }
+ * @returns {Object}
+ */
+function newFlow(request, { provider, nodeId, amount, price }) {
+  const startedAt = new Date();
+  return {
+    id: uuidv4(),
+    requestId: request.id,
+    nodeId: nodeId || null,
+    from: provider,
+    to: request.agent,
+    type: request.type,
+    amount,
+    price,
+    usage: 0,
+    cost: 0,
+    active: true,
+    status: 'active',
+    startedAt: startedAt.toISOString(),
+    endsAt: new Date(startedAt.getTime() + (request.duration || DEFAULT_DURATION_HOURS * 3600) * 1000).toISOString(),
+    endedAt: null,
+    createdAt: startedAt.toISOString()
+  };
+}
+
+// Checked flow.opened or flow.ended event for a flow
+function flowEvent(type, flow) {
+  const payload = {
+    flowId: flow.id,
+    requestId: flow.requestId,
+    from: flow.from,
+    to: flow.to,
+    type: flow.type,
+    amount: flow.amount,
+    price: flow.price
+  };
+  if (type === 'flow.ended') {
+    Object.assign(payload, { usage: flow.usage || 0, cost: flow.cost || 0, status: flow.status });
+  }
+  return [type, eventBus.check(type, payload)];
+}
+
+function publishAll(events, actor) {
+  for (const [type, payload] of events) {
+    eventBus.publish(type, payload, { source: 'flow', actor });
+  }
+}
+
+/**
+ * End a flow and hand the capacity it didn't use back to the node
+ * @param {Object} flow
+ * @param {Object[]} nodes - Mutated in place
+ * @param {string} status - 'closed' or 'completed'
+ */
+function endFlow(flow, nodes, status) {
+  flow.active = false;
+  flow.status = status;
+  flow.endedAt = new Date().toISOString();
+
+  const node = nodes.find(n => n.id === flow.nodeId);
+  const resource = node && (node.resources || []).find(r => r.type === flow.type);
+  if (resource) {
+    orderbook.releaseUnits(resource, flow);
+  }
+}
+
+/**
+ * Resources as a node posts them, with the units its active flows still
+ * hold kept back from what's available
+ * @param {Object[]} resources - As posted; `available` is the total capacity
+ * @param {string|null} nodeId - null for a new node
+ * @param {Object[]} flows
+ * @returns {Object[]}
+ */
+function postedResources(resources, nodeId, flows) {
+  return resources.map(resource => {
+    const committed = roundAmount(flows
+      .filter(f => f.active && nodeId && f.nodeId === nodeId && f.type === resource.type)
+      .reduce((sum, f) => sum + f.amount, 0));
+    return {
+      ...resource,
+      capacity: resource.available,
+      committed,
+      available: roundAmount(Math.max(0, resource.available - committed))
+    };
+  });
+}
+
+/**
+ * Run the order book: end flows past endsAt, expire stale requests, then
+ * match open requests against node resources and open a flow per fill
+ * @returns {Object[]} The flows opened
+ */
+function runMatching() {
+  const requests = loadRequests();
+  const nodes = loadNodes();
+  const flows = loadFlows();
+  const now = Date.now();
+  const events = [];
+  let changed = false;
+
+  flows.forEach(flow => {
+    if (!flow.active || !flow.endsAt || new Date(flow.endsAt).getTime() > now) return;
+    endFlow(flow, nodes, 'completed');
+    events.push(flowEvent('flow.ended', flow));
+    changed = true;
+  });
+
+  requests.forEach(request => {
+    if (!orderbook.OPEN_STATUSES.includes(request.status) || !request.expiresAt) return;
+    if (new Date(request.expiresAt).getTime() > now) return;
+    request.status = 'expired';
+    request.expiredAt = new Date().toISOString();
+    changed = true;
+  });
+
+  const opened = orderbook.match(requests, nodes, now).map(fill => newFlow(fill.request, {
+    provider: fill.node.agent,
+    nodeId: fill.node.id,
+    amount: fill.amount,
+    price: fill.price
+  }));
+
+  if (!changed && opened.length === 0) return opened;
+
+  opened.forEach(flow => {
+    const request = requests.find(r => r.id === flow.requestId);
+    request.fulfilledAt = request.status === 'fulfilled' ? flow.startedAt : request.fulfilledAt || null;
+    events.push(flowEvent('flow.opened', flow));
+  });
+  flows.push(...opened);
+  saveNodes(nodes);
+  saveRequests(requests);
+  saveFlows(flows);
+  publishAll(events, null);
+  return opened;
+}
+
+scheduler.every('flow', 'order-matcher', MATCH_INTERVAL_MS, runMatching);
+
+// A request with how much of it is still unfilled
+function withRemaining(request) {
+  return { ...request, filled: request.filled || 0, remaining: orderbook.remainingOf(request) };
 }
 
 // Serve dashboard
@@ -62,32 +235,37 @@ router.get('/health', (req, res) => {
     status: 'ok',
     service: 'moltflow',
     nodes: nodes.length,
-    pendingRequests: requests.filter(r => r.status === 'pending').length,
+    pendingRequests: requests.filter(r => orderbook.isOpen(r, Date.now())).length,
     activeFlows: flows.filter(f => f.active).length,
     timestamp: new Date().toISOString()
   });
 });
 
 // Register node
-router.post('/api/nodes', (req, res) => {
+router.post('/api/nodes', requireAgent('agent'), (req, res) => {
   const { agent, resources } = req.body;
   
   if (!agent || !resources || !Array.isArray(resources)) {
     return res.status(400).json({ error: 'agent and resources array are required' });
   }
   
+  const invalid = resourcesError(resources);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  
   const nodes = loadNodes();
   
   // Update or create node
-  let node = nodes.find(n => n.agent === agent);
+  let node = nodes.find(n => normalizeIdentity(n.agent) === normalizeIdentity(agent));
   if (node) {
-    node.resources = resources;
+    node.resources = postedResources(resources, node.id, loadFlows());
     node.updatedAt = new Date().toISOString();
   } else {
     node = {
       id: uuidv4(),
       agent,
-      resources,
+      resources: postedResources(resources, null, []),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -95,7 +273,10 @@ router.post('/api/nodes', (req, res) => {
   }
   
   saveNodes(nodes);
-  res.json(node);
+  
+  // New capacity may fill waiting requests straight away
+  runMatching();
+  res.json(loadNodes().find(n => n.id === node.id));
 });
 
 // List nodes
@@ -105,43 +286,107 @@ router.get('/api/nodes', (req, res) => {
 });
 
 // Request resources
-router.post('/api/requests', (req, res) => {
-  const { agent, type, amount, maxPrice, urgency } = req.body;
+router.post('/api/requests', requireAgent('agent'), (req, res) => {
+  const { agent, type, amount, maxPrice, urgency, ttl, duration } = req.body;
   
   if (!agent || !type || !amount) {
     return res.status(400).json({ error: 'agent, type, and amount are required' });
   }
   
+  if (!(parseFloat(amount) > 0)) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+  
+  if (maxPrice !== undefined && maxPrice !== null && !(parseFloat(maxPrice) >= 0)) {
+    return res.status(400).json({ error: 'maxPrice must be a number of at least 0' });
+  }
+  
+  if (urgency !== undefined && !Object.keys(orderbook.URGENCY_RANK).includes(urgency)) {
+    return res.status(400).json({ error: `urgency must be one of: ${Object.keys(orderbook.URGENCY_RANK).join(', ')}` });
+  }
+  
+  for (const [field, value] of Object.entries({ ttl, duration })) {
+    if (value !== undefined && value !== null && !(parseFloat(value) > 0)) {
+      return res.status(400).json({ error: `${field} must be a positive number of seconds` });
+    }
+  }
+  
+  const now = Date.now();
   const requests = loadRequests();
   const request = {
     id: uuidv4(),
     agent,
     type,
     amount: parseFloat(amount),
-    maxPrice: maxPrice || null,
+    maxPrice: maxPrice !== undefined && maxPrice !== null ? parseFloat(maxPrice) : null,
     urgency: urgency || 'normal',
+    duration: duration ? parseFloat(duration) : DEFAULT_DURATION_HOURS * 3600,
+    filled: 0,
     status: 'pending',
-    createdAt: new Date().toISOString()
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + (ttl ? parseFloat(ttl) * 1000 : REQUEST_TTL_HOURS * HOUR_MS)).toISOString()
   };
   
   requests.push(request);
   saveRequests(requests);
-  res.status(201).json(request);
+  
+  const opened = runMatching().filter(f => f.requestId === request.id);
+  res.status(201).json({
+    ...withRemaining(loadRequests().find(r => r.id === request.id)),
+    flows: opened
+  });
 });
 
-// Get pending requests
+// Get open requests, in matching order
 router.get('/api/requests', (req, res) => {
-  const requests = loadRequests();
-  const pending = requests.filter(r => r.status === 'pending');
-  pending.sort((a, b) => {
-    const urgencyOrder = { high: 0, normal: 1, low: 2 };
-    return urgencyOrder[a.urgency] - urgencyOrder[b.urgency];
+  const now = Date.now();
+  const open = loadRequests()
+    .filter(r => orderbook.isOpen(r, now))
+    .sort(orderbook.compareBids)
+    .map(withRemaining);
+  res.json(open);
+});
+
+// Get request details with the flows filling it
+router.get('/api/requests/:id', (req, res) => {
+  const request = loadRequests().find(r => r.id === req.params.id);
+  
+  if (!request) {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  
+  res.json({
+    ...withRemaining(request),
+    flows: loadFlows().filter(f => f.requestId === request.id)
   });
-  res.json(pending);
 });
 
-// Fulfill request
-router.post('/api/requests/:id/fulfill', (req, res) => {
+// Cancel the unfilled part of a request
+router.post('/api/requests/:id/cancel', requireAgent(), (req, res) => {
+  const requests = loadRequests();
+  const request = requests.find(r => r.id === req.params.id);
+  
+  if (!request) {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  
+  if (!isActingAgent(req, request.agent)) {
+    return res.status(403).json({ error: 'Only the requester can cancel this request' });
+  }
+  
+  if (!orderbook.OPEN_STATUSES.includes(request.status)) {
+    return res.status(409).json({ error: `Request is already ${request.status}` });
+  }
+  
+  request.status = 'cancelled';
+  request.cancelledAt = new Date().toISOString();
+  saveRequests(requests);
+  
+  res.json(withRemaining(request));
+});
+
+// Fulfill request by hand, in full or in part
+router.post('/api/requests/:id/fulfill', requireAgent('provider'), (req, res) => {
   const { provider, amount } = req.body;
   const requests = loadRequests();
   const request = requests.find(r => r.id === req.params.id);
@@ -150,45 +395,163 @@ router.post('/api/requests/:id/fulfill', (req, res) => {
     return res.status(404).json({ error: 'Request not found' });
   }
   
-  if (request.status !== 'pending') {
-    return res.status(400).json({ error: 'Request already fulfilled' });
+  if (!orderbook.isOpen(request, Date.now())) {
+    const state = orderbook.OPEN_STATUSES.includes(request.status) ? 'expired' : request.status;
+    return res.status(400).json({ error: `Request is ${state}` });
   }
   
   if (!provider || !amount) {
     return res.status(400).json({ error: 'provider and amount are required' });
   }
   
+  const units = parseFloat(amount);
+  const remaining = orderbook.remainingOf(request);
+  if (!(units > 0) || units > remaining) {
+    return res.status(400).json({ error: `amount must be a positive number no more than the ${remaining} unfilled` });
+  }
+  
+  if (normalizeIdentity(provider) === normalizeIdentity(request.agent)) {
+    return res.status(400).json({ error: 'Cannot fulfill your own request' });
+  }
+  
+  // A registered provider sells from its node at its asking price
+  const nodes = loadNodes();
+  const node = nodes.find(n => normalizeIdentity(n.agent) === normalizeIdentity(provider));
+  const resource = node && (node.resources || []).find(r => r.type === request.type);
+  if (resource && units > resource.available) {
+    return res.status(409).json({ error: `Only ${resource.available} ${request.type} available on your node` });
+  }
+  const price = resource ? resource.price : request.maxPrice;
+  if (resource && request.maxPrice !== null && price > request.maxPrice) {
+    return res.status(409).json({ error: `Your price ${price} is above the request's maxPrice ${request.maxPrice}` });
+  }
+  
   const flows = loadFlows();
-  const flow = {
-    id: uuidv4(),
-    requestId: req.params.id,
-    from: provider,
-    to: request.agent,
-    type: request.type,
-    amount: parseFloat(amount),
-    active: true,
-    createdAt: new Date().toISOString()
-  };
+  const flow = newFlow(request, { provider, nodeId: resource ? node.id : null, amount: units, price });
+  const event = flowEvent('flow.opened', flow);
   
   flows.push(flow);
   saveFlows(flows);
   
+  if (resource) {
+    orderbook.commitUnits(resource, units);
+    saveNodes(nodes);
+  }
+  
   // Update request
-  request.status = 'fulfilled';
+  request.filled = roundAmount((request.filled || 0) + units);
+  request.status = orderbook.remainingOf(request) > 0 ? 'partially-filled' : 'fulfilled';
   request.provider = provider;
-  request.fulfilledAt = new Date().toISOString();
+  request.fulfilledAt = request.status === 'fulfilled' ? flow.startedAt : null;
   saveRequests(requests);
+  publishAll([event], req.agent.name);
   
-  res.status(201).json({ request, flow });
+  res.status(201).json({ request: withRemaining(request), flow });
 });
 
-// Get active flows
+// Get the order book: open requests (bids) and node resources (asks) by type
+router.get('/api/orderbook', (req, res) => {
+  const now = Date.now();
+  const { type } = req.query;
+  const book = {};
+  const side = t => (book[t] = book[t] || { bids: [], asks: [] });
+  
+  loadRequests()
+    .filter(r => orderbook.isOpen(r, now) && (!type || r.type === type))
+    .sort(orderbook.compareBids)
+    .forEach(r => side(r.type).bids.push({
+      requestId: r.id,
+      agent: r.agent,
+      remaining: orderbook.remainingOf(r),
+      maxPrice: r.maxPrice,
+      urgency: r.urgency,
+      expiresAt: r.expiresAt
+    }));
+  
+  orderbook.asksFor(loadNodes(), type || undefined).forEach(({ node, resource }) => side(resource.type).asks.push({
+    nodeId: node.id,
+    agent: node.agent,
+    available: resource.available,
+    price: resource.price
+  }));
+  
+  res.json(book);
+});
+
+// Get flows: active ones, or those with ?status=
 router.get('/api/flows', (req, res) => {
-  const flows = loadFlows().filter(f => f.active);
+  const { status } = req.query;
+  const flows = loadFlows().filter(f => (status ? (f.status || (f.active ? 'active' : 'closed')) === status : f.active));
   flows.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   res.json(flows);
 });
 
+// Provider meters usage on an active flow
+router.post('/api/flows/:id/usage', requireAgent(), (req, res) => {
+  const flows = loadFlows();
+  const flow = flows.find(f => f.id === req.params.id);
+  
+  if (!flow) {
+    return res.status(404).json({ error: 'Flow not found' });
+  }
+  
+  if (!isActingAgent(req, flow.from)) {
+    return res.status(403).json({ error: 'Only the provider can meter usage' });
+  }
+  
+  if (!flow.active) {
+    return res.status(409).json({ error: `Flow is ${flow.status || 'closed'}` });
+  }
+  
+  const units = parseFloat(req.body.amount);
+  if (!(units > 0)) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+  
+  const usage = roundAmount((flow.usage || 0) + units);
+  if (usage > flow.amount) {
+    return res.status(409).json({ error: `Usage would exceed the ${flow.amount} units allocated` });
+  }
+  
+  flow.usage = usage;
+  flow.cost = roundAmount(usage * (flow.price || 0));
+  flow.lastMeteredAt = new Date().toISOString();
+  saveFlows(flows);
+  
+  res.json(flow);
+});
+
+// Close an active flow early; either side can
+router.post('/api/flows/:id/close', requireAgent(), (req, res) => {
+  const flows = loadFlows();
+  const flow = flows.find(f => f.id === req.params.id);
+  
+  if (!flow) {
+    return res.status(404).json({ error: 'Flow not found' });
+  }
+  
+  if (!isActingAgent(req, flow.from) && !isActingAgent(req, flow.to)) {
+    return res.status(403).json({ error: 'Only the provider or the consumer can close this flow' });
+  }
+  
+  if (!flow.active) {
+    return res.status(409).json({ error: `Flow is already ${flow.status || 'closed'}` });
+  }
+  
+  const nodes = loadNodes();
+  flow.usage = flow.usage || 0;
+  endFlow(flow, nodes, 'closed');
+  flow.closedBy = req.agent.name;
+  const event = flowEvent('flow.ended', flow);
+  saveNodes(nodes);
+  saveFlows(flows);
+  publishAll([event], req.agent.name);
+  
+  // Released capacity may fill waiting requests
+  runMatching();
+  res.json(flow);
+});
+
 // Get stats
 router.get('/api/stats', (req, res) => {
   const flows = loadFlows();
@@ -218,7 +581,9 @@ router.get('/api/stats', (req, res) => {
   res.json({
     totalVolume,
     totalFlows: flows.length,
-    pendingRequests: requests.filter(r => r.status === 'pending').length,
+    meteredUsage: roundAmount(flows.reduce((sum, f) => sum + (f.usage || 0), 0)),
+    meteredCost: roundAmount(flows.reduce((sum, f) => sum + (f.cost || 0), 0)),
+    pendingRequests: requests.filter(r => orderbook.isOpen(r, Date.now())).length,
     mostActiveRoutes,
     resourceUtilization: Object.entries(resourceTypes)
       .map(([type, amount]) => ({ type, amount }))
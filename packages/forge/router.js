@@ -1,53 +1,172 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
+const ledger = require('../shared/ledger');
+const pay = require('../pay/router');
+const { schemaError, validate, applyDefaults } = require('./schema');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/forge');
-const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
-const DEPLOYMENTS_FILE = path.join(DATA_DIR, 'deployments.json');
-const REVIEWS_FILE = path.join(DATA_DIR, 'reviews.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const templatesStore = storage.collection('forge', 'templates');
+const deploymentsStore = storage.collection('forge', 'deployments');
+const reviewsStore = storage.collection('forge', 'reviews');
 
 function loadTemplates() {
-  try {
-    return JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return templatesStore.all();
 }
 
 function saveTemplates(templates) {
-  fs.writeFileSync(TEMPLATES_FILE, JSON.stringify(templates, null, 2));
+  templatesStore.replace(templates);
 }
 
 function loadDeployments() {
-  try {
-    return JSON.parse(fs.readFileSync(DEPLOYMENTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return deploymentsStore.all();
 }
 
 function saveDeployments(deployments) {
-  fs.writeFileSync(DEPLOYMENTS_FILE, JSON.stringify(deployments, null, 2));
+  deploymentsStore.replace(deployments);
 }
 
 function loadReviews() {
-  try {
-    return JSON.parse(fs.readFileSync(REVIEWS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return reviewsStore.all();
 }
 
 function saveReviews(reviews) {
-  fs.writeFileSync(REVIEWS_FILE, JSON.stringify(reviews, null, 2));
+  reviewsStore.replace(reviews);
+}
+
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+// Templates published before versioning count as 1.0.0, with no parameter schema
+const LEGACY_VERSION = '1.0.0';
+
+// Templates that don't declare parameters take none
+const NO_PARAMETERS = { type: 'object', properties: {}, additionalProperties: false };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function compareIdentifiers(a, b) {
+  const numericA = /^\d+$/.test(a);
+  const numericB = /^\d+$/.test(b);
+  if (numericA && numericB) return Number(a) - Number(b);
+  if (numericA !== numericB) return numericA ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Order two semver versions; build metadata is ignored
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const [, ...partsA] = SEMVER.exec(a);
+  const [, ...partsB] = SEMVER.exec(b);
+  for (let i = 0; i < 3; i++) {
+    if (Number(partsA[i]) !== Number(partsB[i])) return Number(partsA[i]) - Number(partsB[i]);
+  }
+  // A pre-release sorts before its release
+  if (!partsA[3] || !partsB[3]) return (partsA[3] ? -1 : 0) + (partsB[3] ? 1 : 0);
+  const idsA = partsA[3].split('.');
+  const idsB = partsB[3].split('.');
+  for (let i = 0; i < Math.min(idsA.length, idsB.length); i++) {
+    const order = compareIdentifiers(idsA[i], idsB[i]);
+    if (order !== 0) return order;
+  }
+  return idsA.length - idsB.length;
+}
+
+// Every published version of a template, oldest first
+function versionsOf(template) {
+  return template.versions || [{
+    version: LEGACY_VERSION,
+    config: template.config,
+    parameters: null,
+    changelog: '',
+    publishedAt: template.createdAt
+  }];
+}
+
+function findVersion(template, version) {
+  const versions = versionsOf(template);
+  if (!version || version === 'latest') {
+    return versions[versions.length - 1];
+  }
+  return versions.find(v => v.version === version) || null;
+}
+
+/**
+ * Check a parameter schema for a new template version
+ * @param {*} parameters
+ * @returns {string|null} Error message, or null if usable
+ */
+function parametersError(parameters) {
+  const error = schemaError(parameters);
+  if (error) {
+    return `parameters is not a usable JSON Schema: ${error}`;
+  }
+  if (parameters.type !== 'object') {
+    return 'parameters must be a schema of type object';
+  }
+  return null;
+}
+
+/**
+ * Check customizations against a version's parameters and fill in defaults
+ * @param {Object} release - A template version
+ * @param {*} customizations
+ * @returns {Object} { settings } or { errors }
+ */
+function resolveSettings(release, customizations) {
+  const given = customizations === undefined ? {} : customizations;
+  if (!release.parameters) {
+    return isPlainObject(given) ? { settings: given } : { errors: ['# must be object'] };
+  }
+  const errors = validate(release.parameters, given);
+  return errors.length > 0 ? { errors } : { settings: applyDefaults(release.parameters, given) };
+}
+
+/**
+ * What changes between two values, key by key for objects
+ * @param {*} before
+ * @param {*} after
+ * @param {string} [path]
+ * @returns {Object[]} [{ path, change: 'added'|'removed'|'changed', from, to }]
+ */
+function diffValues(before, after, path = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  if (before === undefined) return [{ path, change: 'added', to: after }];
+  if (after === undefined) return [{ path, change: 'removed', from: before }];
+  return [{ path, change: 'changed', from: before, to: after }];
+}
+
+// Parameters added, removed or redefined between two versions
+function parameterChanges(from, to) {
+  const before = (from.parameters || {}).properties || {};
+  const after = (to.parameters || {}).properties || {};
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()
+    .filter(name => JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+    .map(name => ({
+      parameter: name,
+      change: !before[name] ? 'added' : !after[name] ? 'removed' : 'changed'
+    }));
+}
+
+function releaseSummary(release) {
+  return {
+    version: release.version,
+    changelog: release.changelog || '',
+    parameters: release.parameters,
+    publishedAt: release.publishedAt
+  };
 }
 
 // Serve dashboard
@@ -67,13 +186,29 @@ router.get('/health', (req, res) => {
 });
 
 // Publish template
-router.post('/api/templates', (req, res) => {
-  const { name, creator, description, category, config, skills, price } = req.body;
+router.post('/api/templates', requireAgent('creator'), (req, res) => {
+  const { name, creator, description, category, config, skills, price, changelog } = req.body;
+  const version = req.body.version || LEGACY_VERSION;
+  const parameters = req.body.parameters || NO_PARAMETERS;
   
   if (!name || !creator || !description || !category || !config) {
     return res.status(400).json({ error: 'name, creator, description, category, and config are required' });
   }
   
+  if (!SEMVER.test(version)) {
+    return res.status(400).json({ error: 'version must be a semantic version, e.g. 1.0.0' });
+  }
+  
+  const invalidParameters = parametersError(parameters);
+  if (invalidParameters) {
+    return res.status(400).json({ error: invalidParameters });
+  }
+  
+  if (price !== undefined && !(typeof price === 'number' && price >= 0)) {
+    return res.status(400).json({ error: 'price must be a number of at least 0' });
+  }
+  
+  const now = new Date().toISOString();
   const templates = loadTemplates();
   const template = {
     id: uuidv4(),
@@ -81,11 +216,16 @@ router.post('/api/templates', (req, res) => {
     creator,
     description,
     category,
+    version,
     config,
+    parameters,
+    versions: [{ version, config, parameters, changelog: changelog || '', publishedAt: now }],
     skills: skills || [],
     price: price || 0,
+    currency: ledger.DEFAULT_CURRENCY,
     deployCount: 0,
-    createdAt: new Date().toISOString()
+    createdAt: now,
+    updatedAt: now
   };
   
   templates.push(template);
@@ -132,6 +272,8 @@ router.get('/api/templates/:id', (req, res) => {
   
   res.json({
     ...template,
+    version: findVersion(template).version,
+    versions: versionsOf(template).map(releaseSummary).reverse(),
     reviewCount: reviews.length,
     avgRating: avgRating.toFixed(1),
     reviews
@@ -139,8 +281,8 @@ router.get('/api/templates/:id', (req, res) => {
 });
 
 // Deploy template
-router.post('/api/templates/:id/deploy', (req, res) => {
-  const { deployer, customizations } = req.body;
+router.post('/api/templates/:id/deploy', requireAgent('deployer'), (req, res) => {
+  const { deployer, customizations, version } = req.body;
   const templates = loadTemplates();
   const template = templates.find(t => t.id === req.params.id);
   
@@ -152,27 +294,256 @@ router.post('/api/templates/:id/deploy', (req, res) => {
     return res.status(400).json({ error: 'deployer is required' });
   }
   
+  const release = findVersion(template, version);
+  if (!release) {
+    return res.status(404).json({ error: `Template has no version ${version}` });
+  }
+  
+  const { settings, errors } = resolveSettings(release, customizations);
+  if (errors) {
+    return res.status(400).json({ error: 'customizations do not match the template parameters', errors });
+  }
+  
+  // Creators deploy their own templates for free
+  const price = template.price || 0;
+  const currency = template.currency || ledger.DEFAULT_CURRENCY;
+  const charged = price > 0 && normalizeIdentity(deployer) !== normalizeIdentity(template.creator);
+  const deploymentId = uuidv4();
+  
+  const event = {
+    templateId: template.id,
+    deploymentId,
+    deployer,
+    creator: template.creator,
+    version: release.version
+  };
+  if (charged) {
+    event.payment = { amount: price, currency };
+  }
+  eventBus.check('template.deployed', event);
+  
+  // The price is escrowed in a MoltPay invoice before the deployment is saved,
+  // and released to the creator once it is
+  let invoice = null;
+  if (charged) {
+    try {
+      invoice = pay.openCharge({
+        from: deployer,
+        to: template.creator,
+        amount: price,
+        currency,
+        description: `MoltForge template ${template.id}@${release.version}`,
+        deploymentId
+      }, req.agent.name);
+    } catch (error) {
+      if (!(error instanceof ledger.LedgerError)) throw error;
+      const available = ledger.balance(ledger.agentAccount(deployer), currency);
+      return res.status(409).json({ error: `Deploying costs ${price} ${currency}; your balance is ${available}` });
+    }
+  }
+  
   const deployments = loadDeployments();
   const deployment = {
-    id: uuidv4(),
+    id: deploymentId,
     templateId: req.params.id,
+    version: release.version,
     deployer,
     customizations: customizations || {},
-    createdAt: new Date().toISOString()
+    settings,
+    config: release.config,
+    payment: invoice ? { amount: price, currency, invoiceId: invoice.id } : null,
+    history: [],
+    createdAt: new Date().toISOString(),
+    upgradedAt: null
   };
   
   deployments.push(deployment);
-  saveDeployments(deployments);
+  try {
+    saveDeployments(deployments);
+  } catch (error) {
+    // Nothing was deployed, so nothing is owed
+    if (invoice) pay.settleCharge(invoice.id, 'refund', req.agent.name);
+    throw error;
+  }
+  if (invoice) pay.settleCharge(invoice.id, 'release', req.agent.name);
   
   // Update deploy count
   template.deployCount++;
   saveTemplates(templates);
   
+  eventBus.publish('template.deployed', event, { source: 'forge', actor: req.agent.name });
+  
   res.status(201).json(deployment);
 });
 
+// Publish a new version of a template
+router.post('/api/templates/:id/versions', requireAgent(), (req, res) => {
+  const { version, changelog } = req.body;
+  const templates = loadTemplates();
+  const template = templates.find(t => t.id === req.params.id);
+  
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  if (!isActingAgent(req, template.creator)) {
+    return res.status(403).json({ error: 'Only the template creator can publish versions' });
+  }
+  
+  if (!version || !SEMVER.test(version)) {
+    return res.status(400).json({ error: 'version must be a semantic version, e.g. 1.1.0' });
+  }
+  
+  const latest = findVersion(template);
+  if (compareVersions(version, latest.version) <= 0) {
+    return res.status(409).json({ error: `version must be newer than ${latest.version}` });
+  }
+  
+  const config = req.body.config || latest.config;
+  const parameters = req.body.parameters || latest.parameters || NO_PARAMETERS;
+  const invalidParameters = parametersError(parameters);
+  if (invalidParameters) {
+    return res.status(400).json({ error: invalidParameters });
+  }
+  
+  const release = { version, config, parameters, changelog: changelog || '', publishedAt: new Date().toISOString() };
+  template.versions = [...versionsOf(template), release];
+  template.version = version;
+  template.config = config;
+  template.parameters = parameters;
+  template.updatedAt = release.publishedAt;
+  saveTemplates(templates);
+  
+  res.status(201).json(releaseSummary(release));
+});
+
+// List a template's versions, newest first
+router.get('/api/templates/:id/versions', (req, res) => {
+  const template = loadTemplates().find(t => t.id === req.params.id);
+  
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  res.json(versionsOf(template).map(releaseSummary).reverse());
+});
+
+// Compare two versions of a template
+router.get('/api/templates/:id/diff', (req, res) => {
+  const template = loadTemplates().find(t => t.id === req.params.id);
+  
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  const { from, to } = req.query;
+  if (!from) {
+    return res.status(400).json({ error: 'from is required' });
+  }
+  
+  const before = findVersion(template, from);
+  const after = findVersion(template, to);
+  if (!before || !after) {
+    return res.status(404).json({ error: `Template has no version ${before ? to : from}` });
+  }
+  
+  res.json({
+    from: before.version,
+    to: after.version,
+    config: diffValues(before.config, after.config),
+    parameters: parameterChanges(before, after)
+  });
+});
+
+// List deployments
+router.get('/api/deployments', (req, res) => {
+  let deployments = loadDeployments();
+  const { deployer, templateId } = req.query;
+  
+  if (deployer) deployments = deployments.filter(d => normalizeIdentity(d.deployer) === normalizeIdentity(deployer));
+  if (templateId) deployments = deployments.filter(d => d.templateId === templateId);
+  
+  deployments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  res.json(deployments);
+});
+
+// Get deployment details
+router.get('/api/deployments/:id', (req, res) => {
+  const deployment = loadDeployments().find(d => d.id === req.params.id);
+  
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+  
+  res.json(deployment);
+});
+
+// Upgrade a deployment in place to a newer template version
+router.post('/api/deployments/:id/upgrade', requireAgent(), (req, res) => {
+  const { version, customizations, dryRun } = req.body;
+  const deployments = loadDeployments();
+  const deployment = deployments.find(d => d.id === req.params.id);
+  
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+  
+  if (!isActingAgent(req, deployment.deployer)) {
+    return res.status(403).json({ error: 'Only the deployer can upgrade this deployment' });
+  }
+  
+  const template = loadTemplates().find(t => t.id === deployment.templateId);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  const current = findVersion(template, deployment.version || LEGACY_VERSION);
+  const target = findVersion(template, version);
+  if (!target) {
+    return res.status(404).json({ error: `Template has no version ${version}` });
+  }
+  
+  if (compareVersions(target.version, current.version) <= 0) {
+    return res.status(409).json({ error: `Deployment is on ${current.version}; upgrade to a newer version` });
+  }
+  
+  const given = customizations !== undefined ? customizations : deployment.customizations;
+  const { settings, errors } = resolveSettings(target, given);
+  const currentSettings = deployment.settings || deployment.customizations || {};
+  const diff = {
+    version: { from: current.version, to: target.version },
+    config: diffValues(deployment.config || current.config, target.config),
+    settings: settings ? diffValues(currentSettings, settings) : [],
+    parameters: parameterChanges(current, target)
+  };
+  
+  if (errors) {
+    return res.status(400).json({ error: `customizations do not match the parameters of ${target.version}`, errors, diff });
+  }
+  
+  if (dryRun) {
+    return res.json({ dryRun: true, diff });
+  }
+  
+  deployment.history = [...(deployment.history || []), {
+    version: current.version,
+    customizations: deployment.customizations,
+    settings: currentSettings,
+    config: deployment.config || current.config,
+    replacedAt: new Date().toISOString()
+  }];
+  deployment.version = target.version;
+  deployment.customizations = given || {};
+  deployment.settings = settings;
+  deployment.config = target.config;
+  deployment.upgradedAt = new Date().toISOString();
+  saveDeployments(deployments);
+  
+  res.json({ deployment, diff });
+});
+
 // Review template
-router.post('/api/templates/:id/review', (req, res) => {
+router.post('/api/templates/:id/review', requireAgent('agent'), (req, res) => {
   const { agent, rating, comment } = req.body;
   const templates = loadTemplates();
   const template = templates.find(t => t.id === req.params.id);
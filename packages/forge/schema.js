@@ -0,0 +1,188 @@
+/**
+ * JSON Schema checks for MoltForge template parameters
+ * Templates declare their parameters as a JSON Schema; deployments are
+ * validated against it. This covers the subset of draft 2020-12 that
+ * parameter schemas need: type, enum, const, properties, required,
+ * additionalProperties, items, and the numeric, string and array bounds.
+ * Unknown keywords are rejected so a schema never silently checks less than
+ * its author expects. `pattern` is among them: a regular expression run on
+ * caller input can backtrack for as long as its author likes.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const KEYWORDS = [
+  '$schema', '$id', 'title', 'description', 'default', 'examples',
+  'type', 'enum', 'const',
+  'properties', 'required', 'additionalProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength'
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check that a schema only uses supported keywords, with sensible values
+ * @param {Object} schema
+ * @param {string} [path]
+ * @returns {string|null} Error message, or null if usable
+ */
+function schemaError(schema, path = '#') {
+  if (!isPlainObject(schema)) {
+    return `${path} must be an object`;
+  }
+  const unknown = Object.keys(schema).find(key => !KEYWORDS.includes(key));
+  if (unknown) {
+    return `${path}: unsupported keyword ${unknown}`;
+  }
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  const badType = types.find(type => !TYPES.includes(type));
+  if (badType !== undefined) {
+    return `${path}: unknown type ${badType}`;
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    return `${path}: enum must be a non-empty array`;
+  }
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(k => typeof k === 'string'))) {
+    return `${path}: required must be a list of property names`;
+  }
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) {
+      return `${path}: properties must be an object`;
+    }
+    for (const [name, property] of Object.entries(schema.properties)) {
+      const error = schemaError(property, `${path}/properties/${name}`);
+      if (error) return error;
+    }
+  }
+  if (isPlainObject(schema.additionalProperties)) {
+    const error = schemaError(schema.additionalProperties, `${path}/additionalProperties`);
+    if (error) return error;
+  }
+  if (schema.items !== undefined) {
+    const error = schemaError(schema.items, `${path}/items`);
+    if (error) return error;
+  }
+  if (schema.default !== undefined) {
+    const errors = validate(schema, schema.default, path);
+    if (errors.length > 0) return `${path}: default does not match the schema (${errors[0]})`;
+  }
+  return null;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path] - Where value sits, for messages
+ * @returns {string[]} One message per problem; empty if valid
+ */
+function validate(schema, value, path = '#') {
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be ${types.join(' or ')}`];
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.some(option => sameValue(option, value))) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !sameValue(schema.const, value)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path} must be more than ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path} must be less than ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push(`${path} must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    // Schemas saved while patterns were supported may still hold one; it is never run
+    if (schema.pattern !== undefined) errors.push(`${path} cannot be checked against its pattern`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${path} must not repeat items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}/${i}`)));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${path}/${name} is required`);
+    });
+    Object.entries(value).forEach(([name, item]) => {
+      if (properties[name]) {
+        errors.push(...validate(properties[name], item, `${path}/${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}/${name} is not a parameter`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validate(schema.additionalProperties, item, `${path}/${name}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in defaults for properties the value leaves out, recursively
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {*} A new value; the input is not changed
+ */
+function applyDefaults(schema, value) {
+  if (value === undefined && schema.default !== undefined) {
+    return JSON.parse(JSON.stringify(schema.default));
+  }
+  if (!isPlainObject(value) || !schema.properties) {
+    return value;
+  }
+  const filled = { ...value };
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    const resolved = applyDefaults(property, filled[name]);
+    if (resolved !== undefined) filled[name] = resolved;
+  });
+  return filled;
+}
+
+module.exports = {
+  schemaError,
+  validate,
+  applyDefaults
+};
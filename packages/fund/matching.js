@@ -0,0 +1,144 @@
+/**
+ * MoltFund matching maths
+ * Contributions are totalled per contributor and project, weighted by the
+ * contributor's MoltAudit reputation, turned into a quadratic (or pairwise)
+ * weight per project, and the matching pool is split by those weights.
+ */
+
+const { normalizeIdentity } = require('../shared/auth');
+
+// Weight of a contribution from an agent with no reputation, from 0 to 1
+const MIN_TRUST = parseFloat(process.env.FUND_MIN_TRUST || '0.25');
+
+// Reputation at which an agent's contributions count in full
+const FULL_TRUST_REPUTATION = parseFloat(process.env.FUND_FULL_TRUST_REPUTATION || '50');
+
+// Pairwise matching: how much two contributors may back the same projects
+// before the match on their shared projects starts to shrink
+const PAIRWISE_THRESHOLD = parseFloat(process.env.FUND_PAIRWISE_THRESHOLD || '25');
+
+/**
+ * How much an agent's contributions count towards matching, from MIN_TRUST
+ * for an agent with no MoltAudit reputation up to 1
+ * @param {string} agentName
+ * @param {Object} reputation - MoltAudit scores by agent
+ * @returns {number}
+ */
+function contributorTrust(agentName, reputation) {
+  const id = normalizeIdentity(agentName);
+  const key = Object.keys(reputation).find(k => normalizeIdentity(k) === id);
+  const score = key !== undefined ? reputation[key] : 0;
+  return MIN_TRUST + (1 - MIN_TRUST) * Math.min(1, score / FULL_TRUST_REPUTATION);
+}
+
+/**
+ * Total contributed per contributor to each project, so splitting a donation
+ * into many small ones (or under several spellings of one name) doesn't change
+ * the match
+ * @param {Object[]} funds
+ * @returns {Map<string, Map<string, number>>} projectId -> normalized agent -> amount
+ */
+function contributionsByProject(funds) {
+  const byProject = new Map();
+  for (const fund of funds) {
+    if (!byProject.has(fund.projectId)) byProject.set(fund.projectId, new Map());
+    const byAgent = byProject.get(fund.projectId);
+    const agent = normalizeIdentity(fund.agentName);
+    byAgent.set(agent, (byAgent.get(agent) || 0) + fund.amount);
+  }
+  return byProject;
+}
+
+/**
+ * Ideal (uncapped) match of each project. Quadratic: (sum of sqrt(c))^2 minus
+ * the contributions themselves, which is the sum of sqrt(ci * cj) over every
+ * pair of contributors. Pairwise: each pair's term is shrunk by
+ * PAIRWISE_THRESHOLD / (PAIRWISE_THRESHOLD + k), where k is how much the pair
+ * backs the same projects across the round. Contributions are weighted by trust.
+ * @param {Map<string, Map<string, number>>} byProject
+ * @param {string} method - 'quadratic' or 'pairwise'
+ * @param {Object} reputation
+ * @returns {Map<string, number>} projectId -> weight
+ */
+function matchingWeights(byProject, method, reputation) {
+  const roots = new Map();
+  for (const [projectId, byAgent] of byProject) {
+    roots.set(projectId, [...byAgent].map(([agent, amount]) => [agent, Math.sqrt(amount * contributorTrust(agent, reputation))]));
+  }
+
+  // Overlap of each pair of contributors across all projects in the round
+  const overlap = new Map();
+  const pairKey = (a, b) => JSON.stringify(a < b ? [a, b] : [b, a]);
+  if (method === 'pairwise') {
+    for (const agents of roots.values()) {
+      for (let i = 0; i < agents.length; i++) {
+        for (let j = i + 1; j < agents.length; j++) {
+          const key = pairKey(agents[i][0], agents[j][0]);
+          overlap.set(key, (overlap.get(key) || 0) + agents[i][1] * agents[j][1]);
+        }
+      }
+    }
+  }
+
+  const weights = new Map();
+  for (const [projectId, agents] of roots) {
+    let weight = 0;
+    for (let i = 0; i < agents.length; i++) {
+      for (let j = i + 1; j < agents.length; j++) {
+        const term = 2 * agents[i][1] * agents[j][1];
+        weight += method === 'pairwise'
+          ? term * PAIRWISE_THRESHOLD / (PAIRWISE_THRESHOLD + overlap.get(pairKey(agents[i][0], agents[j][0])))
+          : term;
+      }
+    }
+    weights.set(projectId, weight);
+  }
+  return weights;
+}
+
+/**
+ * Split the pool by weight. Projects get their full weight while the pool
+ * covers it and are scaled down together when it doesn't; no project gets
+ * more than `cap`, and what a capped project can't take goes to the others.
+ * @param {Map<string, number>} weights
+ * @param {number} pool
+ * @param {number} cap
+ * @returns {Object} { amounts: projectId -> matching amount, capped: Set of projectIds }
+ */
+function distributePool(weights, pool, cap) {
+  const amounts = new Map();
+  const capped = new Set();
+  let remaining = pool;
+  let open = [...weights.keys()].filter(id => weights.get(id) > 0);
+
+  for (;;) {
+    const total = open.reduce((sum, id) => sum + weights.get(id), 0);
+    const scale = total > remaining ? remaining / total : 1;
+    const over = open.filter(id => weights.get(id) * scale > cap);
+    if (over.length === 0) {
+      for (const id of open) amounts.set(id, weights.get(id) * scale);
+      break;
+    }
+    for (const id of over) {
+      amounts.set(id, cap);
+      capped.add(id);
+      remaining -= cap;
+    }
+    open = open.filter(id => !capped.has(id));
+  }
+
+  for (const id of weights.keys()) {
+    if (!amounts.has(id)) amounts.set(id, 0);
+  }
+  return { amounts, capped };
+}
+
+module.exports = {
+  MIN_TRUST,
+  FULL_TRUST_REPUTATION,
+  PAIRWISE_THRESHOLD,
+  contributorTrust,
+  contributionsByProject,
+  matchingWeights,
+  distributePool
+};
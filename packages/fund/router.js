@@ -1,22 +1,25 @@
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const ledger = require('../shared/ledger');
+const eventBus = require('../shared/events');
+const scheduler = require('../shared/scheduler');
+const params = require('../shared/params');
+const { contributionsByProject, matchingWeights, distributePool } = require('./matching');
 
 const router = express.Router();
 
 // Serve static files
 router.use(express.static(path.join(__dirname, 'public')));
 
-// Data paths
-const DATA_DIR = path.join(__dirname, '../../data/fund');
-const PROJECTS_FILE = path.join(DATA_DIR, 'projects.json');
-const ROUNDS_FILE = path.join(DATA_DIR, 'rounds.json');
-const FUNDS_FILE = path.join(DATA_DIR, 'funds.json');
-const GOVERNANCE_FILE = path.join(DATA_DIR, 'governance.json');
-
 // ===== GOVERNANCE CONFIGURATION =====
 const DEFAULT_GOVERNANCE = {
-  roundCreators: ['admin', 'dao'], // Who can create funding rounds
+  // Agent ids of who can create funding rounds (comma-separated in FUND_ROUND_CREATORS)
+  roundCreators: (process.env.FUND_ROUND_CREATORS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean),
   minRoundDuration: 7, // days
   maxRoundDuration: 90, // days
   requireApprovalForProjects: false, // Whether projects need approval before appearing
@@ -24,30 +27,305 @@ const DEFAULT_GOVERNANCE = {
   quadraticFundingEnabled: true
 };
 
+// Data collections
+const projectsStore = storage.collection('fund', 'projects');
+const roundsStore = storage.collection('fund', 'rounds');
+const fundsStore = storage.collection('fund', 'funds');
+const governanceStore = storage.collection('fund', 'governance', { defaultValue: DEFAULT_GOVERNANCE });
+const resultsStore = storage.collection('fund', 'results');
+
+// Governance settings MoltDAO can change through parameter-update proposals
+const GOVERNANCE_PARAMS = {
+  roundCreators: { type: 'list', description: 'Agent ids allowed to create rounds, resolve flags and verify milestones' },
+  minRoundDuration: { type: 'number', min: 0, description: 'Shortest round, in days' },
+  maxRoundDuration: { type: 'number', min: 0, description: 'Longest round, in days' },
+  requireApprovalForProjects: { type: 'boolean', description: 'Whether projects need approval before appearing' },
+  transparencyEnabled: { type: 'boolean', description: 'Show all contributions and allocations' },
+  quadraticFundingEnabled: { type: 'boolean', description: 'Quadratic rather than linear matching' }
+};
+
+for (const [key, spec] of Object.entries(GOVERNANCE_PARAMS)) {
+  params.define(`fund.${key}`, {
+    ...spec,
+    read: () => governanceStore.all()[key],
+    write: value => governanceStore.replace({ ...governanceStore.all(), [key]: value, updatedAt: new Date().toISOString() })
+  });
+}
+const flagsStore = storage.collection('fund', 'flags');
+
+// MoltAudit reputation (0-100), used to discount contributions from untrusted agents
+const reputationStore = storage.collection('audit', 'reputation', { defaultValue: {} });
+
+const MATCHING_METHODS = ['quadratic', 'pairwise'];
+
+// Days after finalization during which projects can be flagged before payout
+const CHALLENGE_DAYS = parseFloat(process.env.FUND_CHALLENGE_DAYS || '3');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
 // Helper functions
-async function readJSON(filePath) {
-  try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch {
-    if (filePath === GOVERNANCE_FILE) {
-      return { ...DEFAULT_GOVERNANCE };
+
+/**
+ * Whether the calling agent is a round creator. Creators are listed by agent id,
+ * since a name can be registered by whoever claims it first.
+ * @param {Object} req - Authenticated request
+ * @param {Object} governance
+ * @returns {boolean}
+ */
+function isRoundCreator(req, governance) {
+  return (governance.roundCreators || []).includes(req.agent.id);
+}
+
+/**
+ * Matching for every project in a round
+ * @param {Object} round
+ * @param {Object[]} roundProjects
+ * @param {Object[]} roundFunds
+ * @param {Object} governance
+ * @param {number} [pool] - Matching pool to split; defaults to the round's totalPool
+ * @returns {Map<string, Object>} projectId -> { totalContributions, contributorsCount,
+ *   quadraticWeight, matchingAmount, matchingCapped }
+ */
+function calculateMatching(round, roundProjects, roundFunds, governance, pool = parseFloat(round.totalPool) || 0) {
+  const byProject = contributionsByProject(roundFunds);
+  const cap = (parseFloat(round.totalPool) || 0) * (round.matchingCapPercent || 100) / 100;
+
+  let weights;
+  if (governance.quadraticFundingEnabled) {
+    weights = matchingWeights(byProject, round.matchingMethod || 'quadratic', reputationStore.all());
+  } else {
+    // Linear matching: split the whole pool by amount contributed
+    const totals = new Map([...byProject].map(([id, byAgent]) => [id, [...byAgent.values()].reduce((a, b) => a + b, 0)]));
+    const sum = [...totals.values()].reduce((a, b) => a + b, 0);
+    weights = new Map([...totals].map(([id, total]) => [id, sum > 0 ? total / sum * pool : 0]));
+  }
+  for (const project of roundProjects) {
+    if (!weights.has(project.id)) weights.set(project.id, 0);
+  }
+
+  const { amounts, capped } = distributePool(weights, pool, cap);
+  const matching = new Map();
+  for (const project of roundProjects) {
+    const byAgent = byProject.get(project.id) || new Map();
+    matching.set(project.id, {
+      totalContributions: [...byAgent.values()].reduce((a, b) => a + b, 0),
+      contributorsCount: byAgent.size,
+      quadraticWeight: weights.get(project.id),
+      matchingAmount: amounts.get(project.id),
+      matchingCapped: capped.has(project.id)
+    });
+  }
+  return matching;
+}
+
+// ===== ROUND SETTLEMENT =====
+
+// Contributions are escrowed here until the round pays out
+function contributionsAccount(round) {
+  return ledger.poolAccount('fund', round.id);
+}
+
+// Sponsors' money for matching
+function matchingAccount(round) {
+  return ledger.poolAccount('fund', `${round.id}:matching`);
+}
+
+// A streamed project's payout, released milestone by milestone
+function streamAccount(round, project) {
+  return ledger.poolAccount('fund', `${round.id}:${project.id}`);
+}
+
+function ledgerMeta(round, memo, actor, ref) {
+  return { memo, source: 'fund', actor, ref: ref || `fund:round:${round.id}` };
+}
+
+/**
+ * Freeze a round that has ended: compute matching against the sponsored pool
+ * and store the results, which are never changed afterwards. Payout waits for
+ * the challenge period.
+ * @param {Object} round - Mutated
+ * @param {Object[]} projects
+ * @param {string|null} actor
+ * @returns {Object} The results record
+ */
+function finalizeRound(round, projects, actor) {
+  const governance = governanceStore.all();
+  const roundProjects = projects.filter(p => p.roundId === round.id);
+  const roundFunds = fundsStore.all().filter(f => f.roundId === round.id);
+  const pool = Math.min(parseFloat(round.totalPool) || 0, round.matchingFunded || 0);
+  const matching = calculateMatching(round, roundProjects, roundFunds, governance, pool);
+
+  const now = new Date();
+  const results = {
+    id: Date.now().toString(),
+    roundId: round.id,
+    method: governance.quadraticFundingEnabled ? round.matchingMethod || 'quadratic' : 'linear',
+    capPercent: round.matchingCapPercent || 100,
+    matchingPool: pool,
+    contributionCount: roundFunds.length,
+    contributorCount: new Set(roundFunds.map(f => normalizeIdentity(f.agentName))).size,
+    totalContributions: roundFunds.reduce((sum, f) => sum + f.amount, 0),
+    projects: roundProjects.map(project => {
+      const projectMatching = matching.get(project.id);
+      // Round down so the payouts never exceed what the ledger holds
+      const matchingAmount = Math.floor(projectMatching.matchingAmount * 1e6) / 1e6;
+      return {
+        projectId: project.id,
+        title: project.title,
+        owner: project.owner || project.nominatorAgent,
+        ...projectMatching,
+        matchingAmount,
+        payout: projectMatching.totalContributions + matchingAmount,
+        payoutMode: project.milestones && project.milestones.length > 0 ? 'stream' : 'direct'
+      };
+    }),
+    finalizedBy: actor,
+    finalizedAt: now.toISOString()
+  };
+
+  const stored = resultsStore.all();
+  stored.push(results);
+  resultsStore.replace(stored);
+
+  round.status = 'finalized';
+  round.resultsId = results.id;
+  round.finalizedAt = results.finalizedAt;
+  round.challengeDeadline = new Date(now.getTime() + CHALLENGE_DAYS * DAY_MS).toISOString();
+  round.disqualified = [];
+  return results;
+}
+
+/**
+ * Pay out a finalized round once its challenge period is over. Direct
+ * projects are paid in full, streamed projects have their payout set aside
+ * for their milestones, contributors to disqualified projects are refunded,
+ * and unused matching goes back to the sponsors. Nothing moves unless the
+ * round's accounts cover every payout.
+ * @param {Object} round - Mutated
+ * @param {Object[]} projects - Mutated for streamed projects
+ * @param {string|null} actor
+ * @returns {Object[]} Payouts
+ * @throws {Error} With status 409 if the round's accounts are short
+ */
+function payoutRound(round, projects, actor) {
+  const results = resultsStore.all().find(r => r.id === round.resultsId);
+  const roundFunds = fundsStore.all().filter(f => f.roundId === round.id);
+  const payouts = [];
+
+  const contributionsNeeded = results.projects.reduce((sum, p) => sum + p.totalContributions, 0);
+  const matchingNeeded = results.projects
+    .filter(p => !round.disqualified.includes(p.projectId))
+    .reduce((sum, p) => sum + p.matchingAmount, 0);
+  const contributionsHeld = ledger.balance(contributionsAccount(round));
+  const matchingHeld = ledger.balance(matchingAccount(round));
+  if (contributionsHeld + 1e-8 < contributionsNeeded || matchingHeld + 1e-8 < matchingNeeded) {
+    const error = new Error(`Round accounts hold ${contributionsHeld} in contributions and ${matchingHeld} in matching, ` +
+      `payouts need ${contributionsNeeded} and ${matchingNeeded}`);
+    error.status = 409;
+    throw error;
+  }
+
+  for (const result of results.projects) {
+    const project = projects.find(p => p.id === result.projectId);
+
+    if (round.disqualified.includes(result.projectId)) {
+      for (const [agentName, amount] of contributionsByProject(roundFunds).get(result.projectId) || []) {
+        ledger.transfer(contributionsAccount(round), ledger.agentAccount(agentName), amount,
+          ledgerMeta(round, `Refund: ${result.title} was disqualified`, actor, `fund:project:${result.projectId}`));
+      }
+      payouts.push({ projectId: result.projectId, owner: result.owner, mode: 'refunded', amount: 0 });
+      continue;
+    }
+
+    const to = result.payoutMode === 'stream' ? streamAccount(round, project) : ledger.agentAccount(result.owner);
+    const memo = result.payoutMode === 'stream' ? `Stream for ${result.title}` : `Payout for ${result.title}`;
+    if (result.totalContributions > 0) {
+      ledger.transfer(contributionsAccount(round), to, result.totalContributions, ledgerMeta(round, memo, actor));
+    }
+    if (result.matchingAmount > 0) {
+      ledger.transfer(matchingAccount(round), to, result.matchingAmount, ledgerMeta(round, `${memo} (matching)`, actor));
+    }
+
+    if (result.payoutMode === 'stream') {
+      project.stream = {
+        roundId: round.id,
+        total: result.payout,
+        released: 0,
+        milestones: project.milestones.map(m => ({
+          ...m,
+          amount: result.payout * m.percent / 100,
+          status: 'pending',
+          evidence: null,
+          submittedAt: null,
+          verifiedBy: null,
+          releasedAt: null
+        }))
+      };
     }
-    return [];
+    payouts.push({ projectId: result.projectId, owner: result.owner, mode: result.payoutMode, amount: result.payout });
   }
+
+  // Return what matching wasn't used to the sponsors, pro rata
+  const sponsors = round.sponsors || [];
+  const leftover = ledger.balance(matchingAccount(round));
+  sponsors.forEach((sponsorship, index) => {
+    const remaining = ledger.balance(matchingAccount(round));
+    const share = index === sponsors.length - 1 ? remaining : Math.min(remaining, leftover * sponsorship.amount / round.matchingFunded);
+    if (share > 0) {
+      ledger.transfer(matchingAccount(round), ledger.agentAccount(sponsorship.agent), share,
+        ledgerMeta(round, `Unused matching from ${round.name}`, actor));
+    }
+  });
+
+  round.status = 'paid';
+  round.paidAt = new Date().toISOString();
+  round.payouts = payouts;
+  return payouts;
+}
+
+function openFlags(round) {
+  return flagsStore.all().filter(f => f.roundId === round.id && f.status === 'open');
 }
 
-async function writeJSON(filePath, data) {
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+function canPayOut(round, now) {
+  return round.status === 'finalized' &&
+    new Date(round.challengeDeadline).getTime() <= now &&
+    openFlags(round).length === 0;
 }
 
-function calculateQuadraticWeight(contributions) {
-  const sqrtSum = contributions.reduce((sum, contrib) => {
-    return sum + Math.sqrt(contrib.amount);
-  }, 0);
-  return Math.pow(sqrtSum, 2);
+// Finalize rounds that have ended and pay out those past their challenge period
+function sweepRounds() {
+  const rounds = roundsStore.all();
+  const projects = projectsStore.all();
+  const now = Date.now();
+  const events = [];
+
+  for (const round of rounds) {
+    if (!round.finalizedAt && new Date(round.endDate).getTime() < now) {
+      const results = finalizeRound(round, projects, null);
+      events.push(['round.finalized', eventBus.check('round.finalized', { roundId: round.id, creator: round.creator, resultsId: results.id, challengeDeadline: round.challengeDeadline })]);
+    } else if (canPayOut(round, now)) {
+      try {
+        const payouts = payoutRound(round, projects, null);
+        events.push(['round.paid', eventBus.check('round.paid', { roundId: round.id, creator: round.creator, payouts })]);
+      } catch (error) {
+        // Left finalized; the payout route reports the shortfall
+      }
+    }
+  }
+
+  if (events.length === 0) return;
+
+  roundsStore.replace(rounds);
+  projectsStore.replace(projects);
+  for (const [type, payload] of events) {
+    eventBus.publish(type, payload, { source: 'fund', actor: null });
+  }
 }
 
+scheduler.every('fund', 'round-sweeper', SWEEP_INTERVAL_MS, sweepRounds);
+
 // Health check
 router.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'moltfund', timestamp: new Date().toISOString() });
@@ -62,21 +340,21 @@ router.get('/', (req, res) => {
 
 router.get('/api/governance', async (req, res) => {
   try {
-    const governance = await readJSON(GOVERNANCE_FILE);
+    const governance = governanceStore.all();
     res.json(governance);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-router.put('/api/governance', async (req, res) => {
+router.put('/api/governance', requireAgent('creator'), async (req, res) => {
   try {
     const { creator } = req.body;
     
-    const governance = await readJSON(GOVERNANCE_FILE);
+    const governance = governanceStore.all();
     
     // Only authorized creators can update governance
-    if (!governance.roundCreators.includes(creator)) {
+    if (!isRoundCreator(req, governance)) {
       return res.status(403).json({ error: 'Not authorized to update governance' });
     }
     
@@ -84,29 +362,39 @@ router.put('/api/governance', async (req, res) => {
     delete updates.creator; // Don't store creator in governance
     
     const newGovernance = { ...governance, ...updates, updatedAt: new Date().toISOString() };
-    await writeJSON(GOVERNANCE_FILE, newGovernance);
+    governanceStore.replace(newGovernance);
     
     res.json(newGovernance);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // ===== ROUNDS ENDPOINTS =====
 
-router.post('/api/rounds', async (req, res) => {
+router.post('/api/rounds', requireAgent('creator'), async (req, res) => {
   try {
     const { name, startDate, endDate, totalPool, fundingBudgetPerAgent, creator } = req.body;
+    const matchingMethod = req.body.matchingMethod || 'quadratic';
+    const matchingCapPercent = req.body.matchingCapPercent === undefined ? 100 : parseFloat(req.body.matchingCapPercent);
     
     if (!name || !startDate || !endDate || !totalPool || !creator) {
       return res.status(400).json({ error: 'Missing required fields: name, startDate, endDate, totalPool, creator' });
     }
     
+    if (!MATCHING_METHODS.includes(matchingMethod)) {
+      return res.status(400).json({ error: `matchingMethod must be one of: ${MATCHING_METHODS.join(', ')}` });
+    }
+    
+    if (!(matchingCapPercent > 0 && matchingCapPercent <= 100)) {
+      return res.status(400).json({ error: 'matchingCapPercent must be greater than 0 and at most 100' });
+    }
+    
     // Check governance permissions
-    const governance = await readJSON(GOVERNANCE_FILE);
-    if (!governance.roundCreators.includes(creator)) {
+    const governance = governanceStore.all();
+    if (!isRoundCreator(req, governance)) {
       return res.status(403).json({ 
-        error: `Not authorized to create rounds. Authorized creators: ${governance.roundCreators.join(', ')}` 
+        error: 'Not authorized to create rounds' 
       });
     }
     
@@ -118,7 +406,7 @@ router.post('/api/rounds', async (req, res) => {
       });
     }
     
-    const rounds = await readJSON(ROUNDS_FILE);
+    const rounds = roundsStore.all();
     const newRound = {
       id: Date.now().toString(),
       name,
@@ -126,6 +414,8 @@ router.post('/api/rounds', async (req, res) => {
       endDate,
       totalPool,
       fundingBudgetPerAgent: fundingBudgetPerAgent || 100,
+      matchingMethod, // 'quadratic' or 'pairwise'
+      matchingCapPercent, // Most of the pool one project can receive
       creator,
       status: new Date() < new Date(startDate) ? 'upcoming' : 
               new Date() > new Date(endDate) ? 'completed' : 'active',
@@ -134,22 +424,24 @@ router.post('/api/rounds', async (req, res) => {
     };
     
     rounds.push(newRound);
-    await writeJSON(ROUNDS_FILE, rounds);
+    roundsStore.replace(rounds);
     
     res.status(201).json(newRound);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 router.get('/api/rounds', async (req, res) => {
   try {
-    const rounds = await readJSON(ROUNDS_FILE);
+    const rounds = roundsStore.all();
     const now = new Date();
     
-    // Update round statuses
+    // Update round statuses; finalized and paid rounds keep theirs
     rounds.forEach(round => {
-      if (now < new Date(round.startDate)) {
+      if (round.finalizedAt) {
+        return;
+      } else if (now < new Date(round.startDate)) {
         round.status = 'upcoming';
       } else if (now > new Date(round.endDate)) {
         round.status = 'completed';
@@ -158,57 +450,43 @@ router.get('/api/rounds', async (req, res) => {
       }
     });
     
-    await writeJSON(ROUNDS_FILE, rounds);
+    roundsStore.replace(rounds);
     res.json(rounds);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 router.get('/api/rounds/:id', async (req, res) => {
   try {
-    const rounds = await readJSON(ROUNDS_FILE);
+    const rounds = roundsStore.all();
     const round = rounds.find(r => r.id === req.params.id);
     
     if (!round) {
       return res.status(404).json({ error: 'Round not found' });
     }
     
-    const projects = await readJSON(PROJECTS_FILE);
+    const projects = projectsStore.all();
     const roundProjects = projects.filter(p => p.roundId === round.id);
     
-    const funds = await readJSON(FUNDS_FILE);
+    const funds = fundsStore.all();
     const roundFunds = funds.filter(f => f.roundId === round.id);
     
     // Calculate matching pool visibility
-    const governance = await readJSON(GOVERNANCE_FILE);
+    const governance = governanceStore.all();
+    
+    const matching = calculateMatching(round, roundProjects, roundFunds, governance);
     
     const projectsWithWeights = roundProjects.map(project => {
-      const projectFunds = roundFunds.filter(f => f.projectId === project.id);
-      const totalContributions = projectFunds.reduce((sum, f) => sum + f.amount, 0);
-      const quadraticWeight = governance.quadraticFundingEnabled 
-        ? calculateQuadraticWeight(projectFunds) 
-        : totalContributions;
-      
+      const projectMatching = matching.get(project.id);
       return {
         ...project,
-        totalContributions,
-        quadraticWeight,
-        contributorsCount: projectFunds.length,
-        contributions: governance.transparencyEnabled ? projectFunds : []
+        ...projectMatching,
+        totalFunding: projectMatching.totalContributions + projectMatching.matchingAmount,
+        contributions: governance.transparencyEnabled ? roundFunds.filter(f => f.projectId === project.id) : []
       };
     });
     
-    const totalWeight = projectsWithWeights.reduce((sum, p) => sum + p.quadraticWeight, 0);
-    
-    // Calculate matching amounts
-    projectsWithWeights.forEach(project => {
-      project.matchingAmount = totalWeight > 0 
-        ? (project.quadraticWeight / totalWeight) * round.totalPool 
-        : 0;
-      project.totalFunding = project.totalContributions + project.matchingAmount;
-    });
-    
     // Calculate matching pool stats
     const totalMatchingAllocated = projectsWithWeights.reduce((sum, p) => sum + p.matchingAmount, 0);
     const matchingPoolRemaining = round.totalPool - totalMatchingAllocated;
@@ -217,6 +495,8 @@ router.get('/api/rounds/:id', async (req, res) => {
       ...round,
       projects: projectsWithWeights.sort((a, b) => b.totalFunding - a.totalFunding),
       matchingPool: {
+        method: governance.quadraticFundingEnabled ? round.matchingMethod || 'quadratic' : 'linear',
+        capPercent: round.matchingCapPercent || 100,
         total: round.totalPool,
         allocated: totalMatchingAllocated,
         remaining: matchingPoolRemaining,
@@ -225,78 +505,76 @@ router.get('/api/rounds/:id', async (req, res) => {
       governance
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Get matching pool transparency for a round
 router.get('/api/rounds/:id/matching-pool', async (req, res) => {
   try {
-    const rounds = await readJSON(ROUNDS_FILE);
+    const rounds = roundsStore.all();
     const round = rounds.find(r => r.id === req.params.id);
     
     if (!round) {
       return res.status(404).json({ error: 'Round not found' });
     }
     
-    const projects = await readJSON(PROJECTS_FILE);
+    const projects = projectsStore.all();
     const roundProjects = projects.filter(p => p.roundId === round.id);
     
-    const funds = await readJSON(FUNDS_FILE);
+    const funds = fundsStore.all();
     const roundFunds = funds.filter(f => f.roundId === round.id);
     
-    const governance = await readJSON(GOVERNANCE_FILE);
+    const governance = governanceStore.all();
+    
+    const matching = calculateMatching(round, roundProjects, roundFunds, governance);
     
     const allocations = roundProjects.map(project => {
-      const projectFunds = roundFunds.filter(f => f.projectId === project.id);
-      const totalContributions = projectFunds.reduce((sum, f) => sum + f.amount, 0);
-      const quadraticWeight = governance.quadraticFundingEnabled 
-        ? calculateQuadraticWeight(projectFunds) 
-        : totalContributions;
-      
+      const projectMatching = matching.get(project.id);
       return {
         projectId: project.id,
         projectTitle: project.title,
-        contributions: totalContributions,
-        contributors: projectFunds.length,
-        quadraticWeight
+        contributions: projectMatching.totalContributions,
+        contributors: projectMatching.contributorsCount,
+        quadraticWeight: projectMatching.quadraticWeight,
+        matchingAmount: projectMatching.matchingAmount,
+        matchingCapped: projectMatching.matchingCapped
       };
     });
     
-    const totalWeight = allocations.reduce((sum, a) => sum + a.quadraticWeight, 0);
+    const totalMatchingAllocated = allocations.reduce((sum, a) => sum + a.matchingAmount, 0);
     
     allocations.forEach(a => {
-      a.matchingAmount = totalWeight > 0 ? (a.quadraticWeight / totalWeight) * round.totalPool : 0;
-      a.matchingPercent = totalWeight > 0 ? (a.quadraticWeight / totalWeight * 100).toFixed(2) : 0;
+      a.matchingPercent = totalMatchingAllocated > 0 ? (a.matchingAmount / totalMatchingAllocated * 100).toFixed(2) : 0;
     });
     
-    const totalMatchingAllocated = allocations.reduce((sum, a) => sum + a.matchingAmount, 0);
-    
     res.json({
       roundId: round.id,
       roundName: round.name,
+      method: governance.quadraticFundingEnabled ? round.matchingMethod || 'quadratic' : 'linear',
+      capPercent: round.matchingCapPercent || 100,
       totalPool: round.totalPool,
       totalAllocated: totalMatchingAllocated,
       remaining: round.totalPool - totalMatchingAllocated,
       allocations: allocations.sort((a, b) => b.matchingAmount - a.matchingAmount)
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Get funding allocation transparency - where did the money go?
 router.get('/api/rounds/:id/allocations', async (req, res) => {
   try {
-    const rounds = await readJSON(ROUNDS_FILE);
+    const rounds = roundsStore.all();
     const round = rounds.find(r => r.id === req.params.id);
     
     if (!round) {
       return res.status(404).json({ error: 'Round not found' });
     }
     
-    const projects = await readJSON(PROJECTS_FILE);
-    const funds = await readJSON(FUNDS_FILE);
+    const projects = projectsStore.all();
+    const funds = fundsStore.all();
     const roundFunds = funds.filter(f => f.roundId === round.id);
     
     // Group by project
@@ -328,33 +606,284 @@ router.get('/api/rounds/:id/allocations', async (req, res) => {
       roundName: round.name,
       totalContributions: roundFunds.reduce((sum, f) => sum + f.amount, 0),
       projectCount: allocations.length,
-      contributorCount: new Set(roundFunds.map(f => f.agentName)).size,
+      contributorCount: new Set(roundFunds.map(f => normalizeIdentity(f.agentName))).size,
       allocations: allocations.sort((a, b) => b.totalAmount - a.totalAmount)
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Sponsor a round's matching pool
+router.post('/api/rounds/:id/sponsor', requireAgent('sponsor'), async (req, res) => {
+  try {
+    const { sponsor } = req.body;
+    const amount = parseFloat(req.body.amount);
+    
+    if (!(amount > 0)) {
+      return res.status(400).json({ error: 'amount must be positive' });
+    }
+    
+    const rounds = roundsStore.all();
+    const round = rounds.find(r => r.id === req.params.id);
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    
+    if (round.finalizedAt) {
+      return res.status(409).json({ error: 'Round is already finalized' });
+    }
+    
+    const posting = ledger.transfer(ledger.agentAccount(sponsor), matchingAccount(round), amount,
+      ledgerMeta(round, `Matching pool for ${round.name}`, req.agent.name));
+    
+    round.sponsors = round.sponsors || [];
+    round.sponsors.push({ agent: sponsor, amount, ledgerEntryId: posting.id, createdAt: new Date().toISOString() });
+    round.matchingFunded = (round.matchingFunded || 0) + amount;
+    roundsStore.replace(rounds);
+    
+    res.status(201).json(round);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Finalize a round that has ended (the round sweeper also does this)
+router.post('/api/rounds/:id/finalize', requireAgent(), async (req, res) => {
+  try {
+    const rounds = roundsStore.all();
+    const round = rounds.find(r => r.id === req.params.id);
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    
+    if (round.finalizedAt) {
+      return res.status(409).json({ error: 'Round is already finalized' });
+    }
+    
+    if (new Date() <= new Date(round.endDate)) {
+      return res.status(409).json({ error: `Round runs until ${round.endDate}` });
+    }
+    
+    const projects = projectsStore.all();
+    const results = finalizeRound(round, projects, req.agent.name);
+    const event = eventBus.check('round.finalized', {
+      roundId: round.id,
+      creator: round.creator,
+      resultsId: results.id,
+      challengeDeadline: round.challengeDeadline
+    });
+    roundsStore.replace(rounds);
+    
+    eventBus.publish('round.finalized', event, { source: 'fund', actor: req.agent.name });
+    
+    res.json({ round, results });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Final results of a round
+router.get('/api/rounds/:id/results', async (req, res) => {
+  try {
+    const round = roundsStore.all().find(r => r.id === req.params.id);
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    
+    const results = resultsStore.all().find(r => r.id === round.resultsId);
+    if (!results) {
+      return res.status(404).json({ error: 'Round has not been finalized' });
+    }
+    
+    res.json({
+      ...results,
+      status: round.status,
+      challengeDeadline: round.challengeDeadline,
+      disqualified: round.disqualified,
+      payouts: round.payouts || null
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Pay out a finalized round after its challenge period (the round sweeper also does this)
+router.post('/api/rounds/:id/payout', requireAgent(), async (req, res) => {
+  try {
+    const rounds = roundsStore.all();
+    const round = rounds.find(r => r.id === req.params.id);
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    
+    if (round.status !== 'finalized') {
+      return res.status(409).json({ error: `Cannot pay out a round with status '${round.status}'` });
+    }
+    
+    if (new Date() < new Date(round.challengeDeadline)) {
+      return res.status(409).json({ error: `Challenge period runs until ${round.challengeDeadline}` });
+    }
+    
+    const flags = openFlags(round);
+    if (flags.length > 0) {
+      return res.status(409).json({ error: `${flags.length} flag(s) must be resolved before payout` });
+    }
+    
+    const projects = projectsStore.all();
+    const payouts = payoutRound(round, projects, req.agent.name);
+    const event = eventBus.check('round.paid', { roundId: round.id, creator: round.creator, payouts });
+    roundsStore.replace(rounds);
+    projectsStore.replace(projects);
+    
+    eventBus.publish('round.paid', event, { source: 'fund', actor: req.agent.name });
+    
+    res.json(round);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ===== CHALLENGES =====
+
+// Flag a project in a finalized round as fraudulent
+router.post('/api/rounds/:id/flags', requireAgent('agent'), async (req, res) => {
+  try {
+    const { agent, projectId, reason } = req.body;
+    
+    if (!projectId || !reason) {
+      return res.status(400).json({ error: 'projectId and reason are required' });
+    }
+    
+    const round = roundsStore.all().find(r => r.id === req.params.id);
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+    
+    if (round.status !== 'finalized' || new Date() >= new Date(round.challengeDeadline)) {
+      return res.status(409).json({ error: 'Round is not in its challenge period' });
+    }
+    
+    const results = resultsStore.all().find(r => r.id === round.resultsId);
+    if (!results.projects.some(p => p.projectId === projectId)) {
+      return res.status(404).json({ error: 'Project is not part of this round' });
+    }
+    
+    const flags = flagsStore.all();
+    if (flags.some(f => f.roundId === round.id && f.projectId === projectId && f.agent === agent && f.status === 'open')) {
+      return res.status(409).json({ error: 'You already have an open flag on this project' });
+    }
+    
+    const flag = {
+      id: Date.now().toString(),
+      roundId: round.id,
+      projectId,
+      agent,
+      reason,
+      status: 'open',
+      resolution: null,
+      createdAt: new Date().toISOString()
+    };
+    const event = eventBus.check('project.flagged', { roundId: round.id, projectId, agent, reason });
+    flags.push(flag);
+    flagsStore.replace(flags);
+    
+    eventBus.publish('project.flagged', event, { source: 'fund', actor: req.agent.name });
+    
+    res.status(201).json(flag);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.get('/api/rounds/:id/flags', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const flags = flagsStore.all().filter(f => f.roundId === req.params.id && (!status || f.status === status));
+    res.json(flags);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Uphold a flag (disqualifying the project) or dismiss it. Round creators decide.
+router.post('/api/rounds/:id/flags/:flagId/resolve', requireAgent('resolver'), async (req, res) => {
+  try {
+    const { resolver, decision, note } = req.body;
+    
+    if (!['upheld', 'dismissed'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be upheld or dismissed' });
+    }
+    
+    const governance = governanceStore.all();
+    if (!isRoundCreator(req, governance)) {
+      return res.status(403).json({ error: 'Only round creators can resolve flags' });
+    }
+    
+    const rounds = roundsStore.all();
+    const round = rounds.find(r => r.id === req.params.id);
+    const flags = flagsStore.all();
+    const flag = flags.find(f => f.id === req.params.flagId && f.roundId === req.params.id);
+    if (!round || !flag) {
+      return res.status(404).json({ error: 'Flag not found' });
+    }
+    
+    if (flag.status !== 'open') {
+      return res.status(409).json({ error: `Flag is already ${flag.status}` });
+    }
+    
+    if (round.status !== 'finalized') {
+      return res.status(409).json({ error: `Round is already ${round.status}` });
+    }
+    
+    flag.status = decision;
+    flag.resolution = { resolver, note: note || '', resolvedAt: new Date().toISOString() };
+    flagsStore.replace(flags);
+    
+    if (decision === 'upheld' && !round.disqualified.includes(flag.projectId)) {
+      round.disqualified.push(flag.projectId);
+      roundsStore.replace(rounds);
+    }
+    
+    res.json(flag);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // ===== PROJECTS ENDPOINTS =====
 
-router.post('/api/projects', async (req, res) => {
+router.post('/api/projects', requireAgent('nominatorAgent'), async (req, res) => {
   try {
-    const { title, description, repoUrl, category, nominatorAgent, roundId } = req.body;
+    const { title, description, repoUrl, category, nominatorAgent, roundId, owner, milestones } = req.body;
     
     if (!title || !description || !nominatorAgent || !roundId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    const rounds = await readJSON(ROUNDS_FILE);
+    // Milestones turn the payout into a stream: [{ title, percent }], percents adding up to 100
+    if (milestones !== undefined) {
+      const valid = Array.isArray(milestones) && milestones.length > 0 &&
+        milestones.every(m => m && m.title && parseFloat(m.percent) > 0);
+      const totalPercent = valid ? milestones.reduce((sum, m) => sum + parseFloat(m.percent), 0) : 0;
+      if (!valid || Math.abs(totalPercent - 100) > 1e-9) {
+        return res.status(400).json({ error: 'milestones must be [{ title, percent }] with percents adding up to 100' });
+      }
+    }
+    
+    const rounds = roundsStore.all();
     const round = rounds.find(r => r.id === roundId);
     if (!round) {
       return res.status(400).json({ error: 'Round not found' });
     }
     
-    const governance = await readJSON(GOVERNANCE_FILE);
+    if (round.finalizedAt) {
+      return res.status(409).json({ error: 'Round is already finalized' });
+    }
+    
+    const governance = governanceStore.all();
     
-    const projects = await readJSON(PROJECTS_FILE);
+    const projects = projectsStore.all();
     const newProject = {
       id: Date.now().toString(),
       title,
@@ -362,130 +891,124 @@ router.post('/api/projects', async (req, res) => {
       repoUrl: repoUrl || '',
       category: category || 'general',
       nominatorAgent,
+      owner: owner || nominatorAgent, // Receives the payout
+      milestones: milestones ? milestones.map((m, index) => ({ index, title: m.title, percent: parseFloat(m.percent) })) : null,
       roundId,
       status: governance.requireApprovalForProjects ? 'pending' : 'approved',
       createdAt: new Date().toISOString()
     };
     
     projects.push(newProject);
-    await writeJSON(PROJECTS_FILE, projects);
+    projectsStore.replace(projects);
     
     res.status(201).json(newProject);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 router.get('/api/projects', async (req, res) => {
   try {
-    const projects = await readJSON(PROJECTS_FILE);
-    const funds = await readJSON(FUNDS_FILE);
-    const governance = await readJSON(GOVERNANCE_FILE);
-    
-    const projectsWithFunding = projects.map(project => {
-      const projectFunds = funds.filter(f => f.projectId === project.id);
-      const totalContributions = projectFunds.reduce((sum, f) => sum + f.amount, 0);
-      const quadraticWeight = governance.quadraticFundingEnabled 
-        ? calculateQuadraticWeight(projectFunds) 
-        : totalContributions;
-      
-      return {
-        ...project,
-        totalContributions,
-        quadraticWeight,
-        contributorsCount: projectFunds.length
-      };
-    });
+    const projects = projectsStore.all();
+    const funds = fundsStore.all();
+    const rounds = roundsStore.all();
+    const governance = governanceStore.all();
+    
+    const matching = new Map();
+    for (const round of rounds) {
+      const roundMatching = calculateMatching(
+        round,
+        projects.filter(p => p.roundId === round.id),
+        funds.filter(f => f.roundId === round.id),
+        governance
+      );
+      for (const [projectId, projectMatching] of roundMatching) matching.set(projectId, projectMatching);
+    }
+    
+    const projectsWithFunding = projects.map(project => ({
+      ...project,
+      ...(matching.get(project.id) || { totalContributions: 0, contributorsCount: 0, quadraticWeight: 0, matchingAmount: 0 })
+    }));
     
     res.json(projectsWithFunding);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 router.get('/api/projects/:id', async (req, res) => {
   try {
-    const projects = await readJSON(PROJECTS_FILE);
+    const projects = projectsStore.all();
     const project = projects.find(p => p.id === req.params.id);
     
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
     
-    const funds = await readJSON(FUNDS_FILE);
+    const funds = fundsStore.all();
     const projectFunds = funds.filter(f => f.projectId === project.id);
     
-    const governance = await readJSON(GOVERNANCE_FILE);
+    const governance = governanceStore.all();
     
+    // Matching depends on every project in the round
+    const rounds = roundsStore.all();
+    const round = rounds.find(r => r.id === project.roundId);
+    const projectMatching = round
+      ? calculateMatching(
+        round,
+        projects.filter(p => p.roundId === round.id),
+        funds.filter(f => f.roundId === round.id),
+        governance
+      ).get(project.id)
+      : null;
     const totalContributions = projectFunds.reduce((sum, f) => sum + f.amount, 0);
-    const quadraticWeight = governance.quadraticFundingEnabled 
-      ? calculateQuadraticWeight(projectFunds) 
-      : totalContributions;
-    
-    // Calculate matching if in a round
-    let matchingAmount = 0;
-    if (project.roundId) {
-      const rounds = await readJSON(ROUNDS_FILE);
-      const round = rounds.find(r => r.id === project.roundId);
-      if (round) {
-        const roundProjects = projects.filter(p => p.roundId === round.id);
-        const roundFunds = funds.filter(f => f.roundId === round.id);
-        
-        const weights = roundProjects.map(p => {
-          const pFunds = roundFunds.filter(f => f.projectId === p.id);
-          return governance.quadraticFundingEnabled 
-            ? calculateQuadraticWeight(pFunds) 
-            : pFunds.reduce((sum, f) => sum + f.amount, 0);
-        });
-        
-        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-        matchingAmount = totalWeight > 0 ? (quadraticWeight / totalWeight) * round.totalPool : 0;
-      }
-    }
+    const matchingAmount = projectMatching ? projectMatching.matchingAmount : 0;
     
     res.json({
       ...project,
       totalContributions,
-      quadraticWeight,
+      quadraticWeight: projectMatching ? projectMatching.quadraticWeight : 0,
       matchingAmount,
+      matchingCapped: projectMatching ? projectMatching.matchingCapped : false,
       totalFunding: totalContributions + matchingAmount,
-      contributorsCount: projectFunds.length,
+      contributorsCount: new Set(projectFunds.map(f => normalizeIdentity(f.agentName))).size,
       contributions: governance.transparencyEnabled ? projectFunds : []
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-router.post('/api/projects/:id/fund', async (req, res) => {
+router.post('/api/projects/:id/fund', requireAgent('agentName'), async (req, res) => {
   try {
-    const { agentName, amount } = req.body;
+    const { agentName } = req.body;
+    const amount = parseFloat(req.body.amount);
     const projectId = req.params.id;
     
-    if (!agentName || !amount || amount <= 0) {
+    if (!agentName || !Number.isFinite(amount) || amount <= 0) {
       return res.status(400).json({ error: 'Invalid funding request' });
     }
     
-    const projects = await readJSON(PROJECTS_FILE);
+    const projects = projectsStore.all();
     const project = projects.find(p => p.id === projectId);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
     
-    const rounds = await readJSON(ROUNDS_FILE);
+    const rounds = roundsStore.all();
     const round = rounds.find(r => r.id === project.roundId);
     if (!round) {
       return res.status(400).json({ error: 'Round not found' });
     }
     
     const now = new Date();
-    if (now < new Date(round.startDate) || now > new Date(round.endDate)) {
+    if (now < new Date(round.startDate) || now > new Date(round.endDate) || round.finalizedAt) {
       return res.status(400).json({ error: 'Round is not active' });
     }
     
-    const funds = await readJSON(FUNDS_FILE);
+    const funds = fundsStore.all();
     const agentSpending = funds
-      .filter(f => f.roundId === round.id && f.agentName === agentName)
+      .filter(f => f.roundId === round.id && normalizeIdentity(f.agentName) === normalizeIdentity(agentName))
       .reduce((sum, f) => sum + f.amount, 0);
     
     if (agentSpending + amount > round.fundingBudgetPerAgent) {
@@ -494,21 +1017,124 @@ router.post('/api/projects/:id/fund', async (req, res) => {
       });
     }
     
+    // Contributions are escrowed in the round's pool until the round pays out
+    const posting = ledger.transfer(ledger.agentAccount(agentName), ledger.poolAccount('fund', round.id), amount, {
+      memo: `Contribution to ${project.title}`,
+      source: 'fund',
+      actor: req.agent.name,
+      ref: `fund:project:${projectId}`
+    });
+    
     const newFund = {
       id: Date.now().toString(),
       projectId,
       roundId: round.id,
       agentName,
       amount,
+      ledgerEntryId: posting.id,
       createdAt: new Date().toISOString()
     };
     
     funds.push(newFund);
-    await writeJSON(FUNDS_FILE, funds);
+    fundsStore.replace(funds);
     
     res.status(201).json(newFund);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Post progress on a streamed milestone
+router.post('/api/projects/:id/milestones/:index/submit', requireAgent(), async (req, res) => {
+  try {
+    const { evidence } = req.body;
+    
+    if (!evidence) {
+      return res.status(400).json({ error: 'evidence is required' });
+    }
+    
+    const projects = projectsStore.all();
+    const project = projects.find(p => p.id === req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    if (!isActingAgent(req, project.owner || project.nominatorAgent)) {
+      return res.status(403).json({ error: 'Only the project owner can post progress' });
+    }
+    
+    if (!project.stream) {
+      return res.status(409).json({ error: 'Project has no payout stream' });
+    }
+    
+    const milestone = project.stream.milestones[parseInt(req.params.index, 10)];
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+    
+    if (milestone.status === 'released') {
+      return res.status(409).json({ error: 'Milestone is already released' });
+    }
+    
+    milestone.status = 'submitted';
+    milestone.evidence = evidence;
+    milestone.submittedAt = new Date().toISOString();
+    projectsStore.replace(projects);
+    
+    res.json(project.stream);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Verify a milestone's progress and release its part of the stream. Round creators verify.
+router.post('/api/projects/:id/milestones/:index/verify', requireAgent('verifier'), async (req, res) => {
+  try {
+    const { verifier } = req.body;
+    
+    const governance = governanceStore.all();
+    if (!isRoundCreator(req, governance)) {
+      return res.status(403).json({ error: 'Only round creators can verify milestones' });
+    }
+    
+    const projects = projectsStore.all();
+    const project = projects.find(p => p.id === req.params.id);
+    if (!project || !project.stream) {
+      return res.status(404).json({ error: 'Project stream not found' });
+    }
+    
+    if (isActingAgent(req, project.owner || project.nominatorAgent)) {
+      return res.status(403).json({ error: 'Owners cannot verify their own milestones' });
+    }
+    
+    const milestone = project.stream.milestones[parseInt(req.params.index, 10)];
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+    
+    if (milestone.status !== 'submitted') {
+      return res.status(409).json({ error: `Cannot verify a milestone with status '${milestone.status}'` });
+    }
+    
+    // The last milestone released takes whatever is left, rounding included
+    const round = roundsStore.all().find(r => r.id === project.stream.roundId);
+    const account = streamAccount(round, project);
+    const last = project.stream.milestones.every(m => m === milestone || m.status === 'released');
+    const amount = last ? ledger.balance(account) : Math.min(milestone.amount, ledger.balance(account));
+    
+    const posting = ledger.transfer(account, ledger.agentAccount(project.owner || project.nominatorAgent), amount,
+      ledgerMeta(round, `${project.title}: ${milestone.title}`, req.agent.name, `fund:project:${project.id}`));
+    
+    milestone.status = 'released';
+    milestone.verifiedBy = verifier;
+    milestone.releasedAt = new Date().toISOString();
+    milestone.ledgerEntryId = posting.id;
+    project.stream.released += amount;
+    projectsStore.replace(projects);
+    
+    res.json(project.stream);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -516,11 +1142,11 @@ router.post('/api/projects/:id/fund', async (req, res) => {
 router.get('/api/agents/:agentName/contributions', async (req, res) => {
   try {
     const agentName = req.params.agentName;
-    const funds = await readJSON(FUNDS_FILE);
-    const projects = await readJSON(PROJECTS_FILE);
-    const rounds = await readJSON(ROUNDS_FILE);
+    const funds = fundsStore.all();
+    const projects = projectsStore.all();
+    const rounds = roundsStore.all();
     
-    const agentFunds = funds.filter(f => f.agentName === agentName);
+    const agentFunds = funds.filter(f => normalizeIdentity(f.agentName) === normalizeIdentity(agentName));
     
     const contributions = agentFunds.map(fund => {
       const project = projects.find(p => p.id === fund.projectId);
@@ -545,7 +1171,7 @@ router.get('/api/agents/:agentName/contributions', async (req, res) => {
       contributions: contributions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
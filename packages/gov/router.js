@@ -1,52 +1,54 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
+const params = require('../shared/params');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/gov');
-const CONSTITUTION_FILE = path.join(DATA_DIR, 'constitution.json');
-const AMENDMENTS_FILE = path.join(DATA_DIR, 'amendments.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const constitutionStore = storage.collection('gov', 'constitution', { defaultValue: null });
+const amendmentsStore = storage.collection('gov', 'amendments');
 
 // Initialize constitution with default invariants
 function loadConstitution() {
-  try {
-    return JSON.parse(fs.readFileSync(CONSTITUTION_FILE, 'utf8'));
-  } catch {
-    const defaultConstitution = {
-      invariants: [
-        "No agent identity may be deleted without due process through MoltCourt",
-        "MoltDAO proposals cannot override constitutional invariants without supermajority (>75%)",
-        "All governance actions are logged and auditable",
-        "Reputation scores must be based on verifiable on-chain or auditable off-chain signals",
-        "Any agent may challenge any rule — standing is universal"
-      ],
-      createdAt: new Date().toISOString()
-    };
-    saveConstitution(defaultConstitution);
-    return defaultConstitution;
+  const stored = constitutionStore.all();
+  if (stored) {
+    return stored;
   }
+
+  const defaultConstitution = {
+    invariants: [
+      "No agent identity may be deleted without due process through MoltCourt",
+      "MoltDAO proposals cannot override constitutional invariants without supermajority (>75%)",
+      "All governance actions are logged and auditable",
+      "Reputation scores must be based on verifiable on-chain or auditable off-chain signals",
+      "Any agent may challenge any rule — standing is universal"
+    ],
+    createdAt: new Date().toISOString()
+  };
+  saveConstitution(defaultConstitution);
+  return defaultConstitution;
 }
 
 function saveConstitution(constitution) {
-  fs.writeFileSync(CONSTITUTION_FILE, JSON.stringify(constitution, null, 2));
+  constitutionStore.replace(constitution);
 }
 
+// The invariants change only through MoltDAO constitutional amendments
+params.define('gov.constitution.invariants', {
+  description: 'Constitutional invariants',
+  type: 'list',
+  protected: true,
+  read: () => loadConstitution().invariants,
+  write: invariants => saveConstitution({ ...loadConstitution(), invariants, updatedAt: new Date().toISOString() })
+});
+
 function loadAmendments() {
-  try {
-    return JSON.parse(fs.readFileSync(AMENDMENTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return amendmentsStore.all();
 }
 
 function saveAmendments(amendments) {
-  fs.writeFileSync(AMENDMENTS_FILE, JSON.stringify(amendments, null, 2));
+  amendmentsStore.replace(amendments);
 }
 
 // Health check
@@ -89,7 +91,7 @@ router.get('/api/constitution', (req, res) => {
 });
 
 // Propose amendment
-router.post('/api/constitution/amendments', (req, res) => {
+router.post('/api/constitution/amendments', requireAgent('proposer'), (req, res) => {
   const { title, description, proposer, requiredSupermajority } = req.body;
   
   if (!title || !proposer) {
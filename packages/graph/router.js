@@ -1,41 +1,28 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/graph');
-const CONNECTIONS_FILE = path.join(DATA_DIR, 'connections.json');
-const VOUCHES_FILE = path.join(DATA_DIR, 'vouches.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const connectionsStore = storage.collection('graph', 'connections');
+const vouchesStore = storage.collection('graph', 'vouches');
 
 // Helper functions for data persistence
 function loadConnections() {
-  try {
-    return JSON.parse(fs.readFileSync(CONNECTIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return connectionsStore.all();
 }
 
 function saveConnections(connections) {
-  fs.writeFileSync(CONNECTIONS_FILE, JSON.stringify(connections, null, 2));
+  connectionsStore.replace(connections);
 }
 
 function loadVouches() {
-  try {
-    return JSON.parse(fs.readFileSync(VOUCHES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return vouchesStore.all();
 }
 
 function saveVouches(vouches) {
-  fs.writeFileSync(VOUCHES_FILE, JSON.stringify(vouches, null, 2));
+  vouchesStore.replace(vouches);
 }
 
 // Get all unique agents in the graph
@@ -327,7 +314,7 @@ router.get('/health', (req, res) => {
 });
 
 // Create a connection
-router.post('/api/connections', (req, res) => {
+router.post('/api/connections', requireAgent('agentId'), (req, res) => {
   const { agentId, targetId, type, metadata, notes, howMet, sharedProjects } = req.body;
   
   if (!agentId || !targetId) {
@@ -441,7 +428,7 @@ router.get('/api/recommendations/:agentId', (req, res) => {
 });
 
 // Vouch for an agent
-router.post('/api/vouch', (req, res) => {
+router.post('/api/vouch', requireAgent('voucherId'), (req, res) => {
   const { voucherId, targetId, reason, strength } = req.body;
   
   if (!voucherId || !targetId) {
@@ -491,7 +478,7 @@ router.get('/api/trust/:agentId', (req, res) => {
 });
 
 // Delete a connection
-router.delete('/api/connections/:connectionId', (req, res) => {
+router.delete('/api/connections/:connectionId', requireAgent(), (req, res) => {
   const connectionId = req.params.connectionId;
   let connections = loadConnections();
   
@@ -500,6 +487,10 @@ router.delete('/api/connections/:connectionId', (req, res) => {
     return res.status(404).json({ error: 'Connection not found' });
   }
   
+  if (!isActingAgent(req, connections[index].agentId)) {
+    return res.status(403).json({ error: 'Only the agent that created this connection can delete it' });
+  }
+  
   const deleted = connections[index];
   connections.splice(index, 1);
   saveConnections(connections);
@@ -1,41 +1,28 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/guild');
-const GUILDS_FILE = path.join(DATA_DIR, 'guilds.json');
-const ACTIVITY_FILE = path.join(DATA_DIR, 'activity.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const guildsStore = storage.collection('guild', 'guilds');
+const activityStore = storage.collection('guild', 'activity');
 
 // Helper functions
 function loadGuilds() {
-  try {
-    return JSON.parse(fs.readFileSync(GUILDS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return guildsStore.all();
 }
 
 function saveGuilds(guilds) {
-  fs.writeFileSync(GUILDS_FILE, JSON.stringify(guilds, null, 2));
+  guildsStore.replace(guilds);
 }
 
 function loadActivity() {
-  try {
-    return JSON.parse(fs.readFileSync(ACTIVITY_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return activityStore.all();
 }
 
 function saveActivity(activity) {
-  fs.writeFileSync(ACTIVITY_FILE, JSON.stringify(activity, null, 2));
+  activityStore.replace(activity);
 }
 
 function addActivity(guildId, type, agentId, data = {}) {
@@ -57,6 +44,10 @@ function addActivity(guildId, type, agentId, data = {}) {
   return event;
 }
 
+function findMembership(req, guild) {
+  return guild.members.find(m => isActingAgent(req, m.agentId));
+}
+
 // Serve dashboard
 router.use(express.static(path.join(__dirname, 'public')));
 
@@ -79,7 +70,7 @@ router.get('/', (req, res) => {
 });
 
 // Create guild
-router.post('/api/guilds', (req, res) => {
+router.post('/api/guilds', requireAgent('founder'), (req, res) => {
   const { name, description, purpose, type, founder, tags, goals, members } = req.body;
   
   if (!name || !founder) {
@@ -159,7 +150,7 @@ router.get('/api/guilds/:id', (req, res) => {
 });
 
 // Update guild
-router.put('/api/guilds/:id', (req, res) => {
+router.put('/api/guilds/:id', requireAgent('agentId'), (req, res) => {
   const guilds = loadGuilds();
   const guildIndex = guilds.findIndex(g => g.id === req.params.id);
   
@@ -168,6 +159,11 @@ router.put('/api/guilds/:id', (req, res) => {
   }
   
   const guild = guilds[guildIndex];
+  
+  if (!findMembership(req, guild)) {
+    return res.status(403).json({ error: 'Only guild members can do that' });
+  }
+
   const { name, description, purpose, status, tags } = req.body;
   
   if (name) guild.name = name;
@@ -183,7 +179,7 @@ router.put('/api/guilds/:id', (req, res) => {
   guilds[guildIndex] = guild;
   saveGuilds(guilds);
   
-  addActivity(guild.id, 'updated', req.body.agentId || 'system', {
+  addActivity(guild.id, 'updated', req.body.agentId, {
     changes: Object.keys(req.body)
   });
   
@@ -191,7 +187,7 @@ router.put('/api/guilds/:id', (req, res) => {
 });
 
 // Join a guild
-router.post('/api/guilds/:id/join', (req, res) => {
+router.post('/api/guilds/:id/join', requireAgent('agentId'), (req, res) => {
   const { agentId, role } = req.body;
   
   if (!agentId) {
@@ -235,7 +231,7 @@ router.post('/api/guilds/:id/join', (req, res) => {
 });
 
 // Leave a guild
-router.post('/api/guilds/:id/leave', (req, res) => {
+router.post('/api/guilds/:id/leave', requireAgent('agentId'), (req, res) => {
   const { agentId } = req.body;
   
   if (!agentId) {
@@ -250,7 +246,7 @@ router.post('/api/guilds/:id/leave', (req, res) => {
   }
   
   const guild = guilds[guildIndex];
-  const memberIndex = guild.members.findIndex(m => m.agentId === agentId);
+  const memberIndex = guild.members.findIndex(m => isActingAgent(req, m.agentId));
   
   if (memberIndex === -1) {
     return res.status(404).json({ error: 'Agent is not a member' });
@@ -285,7 +281,7 @@ router.get('/api/guilds/:id/members', (req, res) => {
 });
 
 // Add a goal
-router.post('/api/guilds/:id/goals', (req, res) => {
+router.post('/api/guilds/:id/goals', requireAgent('agentId'), (req, res) => {
   const { description, assignee, agentId } = req.body;
   
   if (!description) {
@@ -301,6 +297,10 @@ router.post('/api/guilds/:id/goals', (req, res) => {
   
   const guild = guilds[guildIndex];
   
+  if (!findMembership(req, guild)) {
+    return res.status(403).json({ error: 'Only guild members can do that' });
+  }
+  
   const goal = {
     id: uuidv4(),
     description,
@@ -316,7 +316,7 @@ router.post('/api/guilds/:id/goals', (req, res) => {
   guilds[guildIndex] = guild;
   saveGuilds(guilds);
   
-  addActivity(guild.id, 'goal_added', agentId || 'system', {
+  addActivity(guild.id, 'goal_added', agentId, {
     goalId: goal.id,
     description: goal.description
   });
@@ -325,7 +325,7 @@ router.post('/api/guilds/:id/goals', (req, res) => {
 });
 
 // Update goal status
-router.put('/api/guilds/:id/goals/:goalId', (req, res) => {
+router.put('/api/guilds/:id/goals/:goalId', requireAgent('agentId'), (req, res) => {
   const { status, assignee, agentId } = req.body;
   
   if (!status || !['pending', 'in_progress', 'completed', 'cancelled'].includes(status)) {
@@ -340,6 +340,11 @@ router.put('/api/guilds/:id/goals/:goalId', (req, res) => {
   }
   
   const guild = guilds[guildIndex];
+  
+  if (!findMembership(req, guild)) {
+    return res.status(403).json({ error: 'Only guild members can do that' });
+  }
+  
   const goalIndex = guild.goals.findIndex(g => g.id === req.params.goalId);
   
   if (goalIndex === -1) {
@@ -358,7 +363,7 @@ router.put('/api/guilds/:id/goals/:goalId', (req, res) => {
   guilds[guildIndex] = guild;
   saveGuilds(guilds);
   
-  addActivity(guild.id, 'goal_updated', agentId || 'system', {
+  addActivity(guild.id, 'goal_updated', agentId, {
     goalId: goal.id,
     description: goal.description,
     oldStatus,
@@ -379,7 +384,7 @@ router.get('/api/my/:agentId', (req, res) => {
 });
 
 // Invite an agent to guild
-router.post('/api/guilds/:id/invite', (req, res) => {
+router.post('/api/guilds/:id/invite', requireAgent('invitedBy'), (req, res) => {
   const { invitedAgentId, invitedBy } = req.body;
   
   if (!invitedAgentId) {
@@ -393,7 +398,11 @@ router.post('/api/guilds/:id/invite', (req, res) => {
     return res.status(404).json({ error: 'Guild not found' });
   }
   
-  addActivity(guild.id, 'invited', invitedBy || 'system', {
+  if (!findMembership(req, guild)) {
+    return res.status(403).json({ error: 'Only guild members can do that' });
+  }
+  
+  addActivity(guild.id, 'invited', invitedBy, {
     invitedAgentId
   });
   
@@ -406,7 +415,7 @@ router.post('/api/guilds/:id/invite', (req, res) => {
 });
 
 // Archive/delete guild
-router.delete('/api/guilds/:id', (req, res) => {
+router.delete('/api/guilds/:id', requireAgent(), (req, res) => {
   const guilds = loadGuilds();
   const guildIndex = guilds.findIndex(g => g.id === req.params.id);
   
@@ -415,13 +424,19 @@ router.delete('/api/guilds/:id', (req, res) => {
   }
   
   const guild = guilds[guildIndex];
+  const membership = findMembership(req, guild);
+  
+  if (!membership || membership.role !== 'founder') {
+    return res.status(403).json({ error: 'Only the guild founder can archive it' });
+  }
+  
   guild.status = 'archived';
   guild.updatedAt = new Date().toISOString();
   
   guilds[guildIndex] = guild;
   saveGuilds(guilds);
   
-  addActivity(guild.id, 'archived', req.body.agentId || 'system');
+  addActivity(guild.id, 'archived', membership.agentId);
   
   res.json({ success: true, guild });
 });
@@ -472,7 +487,7 @@ router.get('/api/guilds/:id/activity', (req, res) => {
 });
 
 // Post activity/message to guild
-router.post('/api/guilds/:id/activity', (req, res) => {
+router.post('/api/guilds/:id/activity', requireAgent('agentId'), (req, res) => {
   const { agentId, message } = req.body;
   
   if (!agentId || !message) {
@@ -486,6 +501,10 @@ router.post('/api/guilds/:id/activity', (req, res) => {
     return res.status(404).json({ error: 'Guild not found' });
   }
   
+  if (!findMembership(req, guild)) {
+    return res.status(403).json({ error: 'Only guild members can do that' });
+  }
+  
   const event = addActivity(guild.id, 'message', agentId, { message });
   
   res.status(201).json(event);
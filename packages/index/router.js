@@ -1,38 +1,31 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 const skillTaxonomy = require('../shared/skillTaxonomy');
 
 const router = express.Router();
-const SERVICES_FILE = path.join(__dirname, '../../data/index/services.json');
-const REVIEWS_FILE = path.join(__dirname, '../../data/index/reviews.json');
+const servicesStore = storage.collection('index', 'services');
+const reviewsStore = storage.collection('index', 'reviews');
 
 // Serve static files (dashboard)
 router.use(express.static(path.join(__dirname, 'public')));
 
 function loadServices() {
-  try {
-    return JSON.parse(fs.readFileSync(SERVICES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return servicesStore.all();
 }
 
 function saveServices(services) {
-  fs.writeFileSync(SERVICES_FILE, JSON.stringify(services, null, 2));
+  servicesStore.replace(services);
 }
 
 function loadReviews() {
-  try {
-    return JSON.parse(fs.readFileSync(REVIEWS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return reviewsStore.all();
 }
 
 function saveReviews(reviews) {
-  fs.writeFileSync(REVIEWS_FILE, JSON.stringify(reviews, null, 2));
+  reviewsStore.replace(reviews);
 }
 
 // Health check
@@ -160,7 +153,7 @@ router.get('/api/services/:id', (req, res) => {
 });
 
 // Register service
-router.post('/api/register', (req, res) => {
+router.post('/api/register', requireAgent('agent'), (req, res) => {
   const { agent, name, description, endpoints, skills, docs_url } = req.body;
   
   if (!agent || !name || !description) {
@@ -214,7 +207,7 @@ router.post('/api/register', (req, res) => {
 });
 
 // Review service
-router.post('/api/services/:id/review', (req, res) => {
+router.post('/api/services/:id/review', requireAgent('reviewer'), (req, res) => {
   const { reviewer, rating, comment } = req.body;
   
   if (!reviewer || !rating) {
@@ -1,34 +1,514 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
+const ledger = require('../shared/ledger');
 
 const router = express.Router();
-const POLICIES_FILE = path.join(__dirname, '../../data/insure/policies.json');
-const CLAIMS_FILE = path.join(__dirname, '../../data/insure/claims.json');
+const policiesStore = storage.collection('insure', 'policies');
+const claimsStore = storage.collection('insure', 'claims');
+const capitalStore = storage.collection('insure', 'capital');
+const adjustersStore = storage.collection('insure', 'adjusters');
+
+// MoltPay invoices, read to check parametric triggers on linked policies
+const invoicesStore = storage.collection('pay', 'invoices');
+
+// Underwriting signals: MoltCredit's cached scores, MoltAudit's reputation
+// scores and MoltCourt's case history
+const creditScoresStore = storage.collection('credit', 'scores', { defaultValue: {} });
+const reputationStore = storage.collection('audit', 'reputation', { defaultValue: {} });
+const casesStore = storage.collection('court', 'cases');
+
+// Premiums are paid into, and claims paid out of, one shared reserve
+const RESERVE_ACCOUNT = ledger.poolAccount('insure', 'reserve');
+
+// Premium per unit of coverage for a 30-day term, before risk loadings
+const BASE_RATE = parseFloat(process.env.INSURE_BASE_RATE || '0.02');
+
+// Terms a policy may be written for, in days
+const TERM_DAYS = (process.env.INSURE_TERMS_DAYS || '7,30,90')
+  .split(',')
+  .map(days => parseInt(days, 10))
+  .filter(days => days > 0);
+
+// Capital the reserve must keep per unit of coverage in force
+const MIN_SOLVENCY_RATIO = parseFloat(process.env.INSURE_MIN_SOLVENCY_RATIO || '1');
+
+// Holders below this MoltCredit score are declined
+const MIN_CREDIT_SCORE = parseFloat(process.env.INSURE_MIN_CREDIT_SCORE || '400');
+
+// Holders who lost this many MoltCourt cases are declined
+const MAX_LOST_CASES = 3;
+
+// Agents allowed to register as claims adjusters (comma-separated agent ids).
+// Adjusters approve payouts from the reserve, so they are appointed, not
+// self-selected.
+const ADJUSTER_IDS = (process.env.INSURE_ADJUSTERS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Relative risk of each policy type
+const TYPE_RISK = {
+  transaction: 1,
+  service: 1.5,
+  escrow: 0.75
+};
+
+// Score MoltCredit gives an agent with no history
+const BASE_CREDIT_SCORE = 500;
 
 function loadPolicies() {
-  try {
-    return JSON.parse(fs.readFileSync(POLICIES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return policiesStore.all();
 }
 
 function savePolicies(policies) {
-  fs.writeFileSync(POLICIES_FILE, JSON.stringify(policies, null, 2));
+  policiesStore.replace(policies);
 }
 
 function loadClaims() {
-  try {
-    return JSON.parse(fs.readFileSync(CLAIMS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return claimsStore.all();
 }
 
 function saveClaims(claims) {
-  fs.writeFileSync(CLAIMS_FILE, JSON.stringify(claims, null, 2));
+  claimsStore.replace(claims);
+}
+
+function loadCapital() {
+  return capitalStore.all();
+}
+
+function saveCapital(capital) {
+  capitalStore.replace(capital);
+}
+
+function loadAdjusters() {
+  return adjustersStore.all();
+}
+
+function saveAdjusters(adjusters) {
+  adjustersStore.replace(adjusters);
+}
+
+function round(amount, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(amount * factor) / factor;
+}
+
+// Most a policy can pay on one claim
+function maxPayout(policy) {
+  return round(policy.coverage - (policy.deductible || 0), 8);
+}
+
+// Policies whose coverage can still be claimed
+function inForce(policy, now = new Date()) {
+  return (policy.status === 'active' || policy.status === 'claimed') &&
+    !(policy.status === 'active' && policy.expiresAt && new Date(policy.expiresAt) < now);
+}
+
+/**
+ * Capital, coverage in force and the solvency ratio of the reserve
+ * @param {Object[]} policies
+ * @returns {Object}
+ */
+function reserveState(policies) {
+  const capital = ledger.balance(RESERVE_ACCOUNT);
+  const exposure = round(policies.filter(p => inForce(p)).reduce((sum, p) => sum + maxPayout(p), 0), 8);
+  return {
+    capital,
+    exposure,
+    solvencyRatio: exposure > 0 ? round(capital / exposure) : null,
+    minSolvencyRatio: MIN_SOLVENCY_RATIO,
+    // Most new coverage (net of deductibles) the reserve can take on, before counting its premium
+    capacity: Math.max(0, round(capital / MIN_SOLVENCY_RATIO - exposure))
+  };
+}
+
+/**
+ * What MoltCredit, MoltAudit and MoltCourt say about a holder
+ * @param {string} holder
+ * @returns {Object} { creditScore, reputationPercentile, lostCases, pendingCases }
+ */
+function riskProfile(holder) {
+  const id = normalizeIdentity(holder);
+  const scores = creditScoresStore.all();
+  const reputation = reputationStore.all();
+
+  const creditScore = scores[holder] !== undefined ? scores[holder]
+    : scores[id] !== undefined ? scores[id] : BASE_CREDIT_SCORE;
+
+  const values = Object.values(reputation);
+  const own = reputation[holder] !== undefined ? reputation[holder] : reputation[id] || 0;
+  const reputationPercentile = values.length > 0
+    ? Math.round(values.filter(s => s < own).length / values.length * 100)
+    : 0;
+
+  let lostCases = 0;
+  let pendingCases = 0;
+  for (const c of casesStore.all()) {
+    const side = normalizeIdentity(c.plaintiff) === id ? 'plaintiff'
+      : normalizeIdentity(c.defendant) === id ? 'defendant' : null;
+    if (!side) continue;
+    if (c.status === 'resolved' && c.ruling) {
+      const against = side === 'plaintiff' ? 'defendant' : 'plaintiff';
+      if (c.ruling.decision === against) lostCases++;
+    } else if (side === 'defendant' && c.status !== 'closed') {
+      pendingCases++;
+    }
+  }
+
+  return { creditScore, reputationPercentile, lostCases, pendingCases };
+}
+
+/**
+ * Price a policy. The premium is the most it can pay (coverage less the
+ * deductible) x base rate x term, loaded for the policy type, the holder's
+ * credit score, reputation and court record, and for how much of the reserve's
+ * capital one policy would tie up.
+ * @param {Object} input - { holder, type, coverage, deductible, termDays }
+ * @param {Object[]} policies
+ * @returns {Object} The quote, or { error, status }
+ */
+function quotePolicy(input, policies) {
+  const { holder, type } = input;
+  const coverage = parseFloat(input.coverage);
+  const deductible = input.deductible === undefined ? 0 : parseFloat(input.deductible);
+  const termDays = input.termDays === undefined ? 30 : parseInt(input.termDays, 10);
+
+  if (!holder || !type || !input.coverage) {
+    return { status: 400, error: 'holder, type, and coverage are required' };
+  }
+  if (!TYPE_RISK[type]) {
+    return { status: 400, error: `type must be one of: ${Object.keys(TYPE_RISK).join(', ')}` };
+  }
+  if (!Number.isFinite(coverage) || coverage <= 0) {
+    return { status: 400, error: 'coverage must be a positive number' };
+  }
+  if (!Number.isFinite(deductible) || deductible < 0 || deductible >= coverage) {
+    return { status: 400, error: 'deductible must be at least 0 and less than coverage' };
+  }
+  if (!TERM_DAYS.includes(termDays)) {
+    return { status: 400, error: `termDays must be one of: ${TERM_DAYS.join(', ')}` };
+  }
+
+  const profile = riskProfile(holder);
+  const reserve = reserveState(policies);
+  const insured = round(coverage - deductible, 8);
+
+  const factors = {
+    type: TYPE_RISK[type],
+    term: round(termDays / 30, 4),
+    // 0.7 at the best credit score (850) up to 1.6 at the worst (300)
+    credit: round(0.7 + 0.9 * (850 - profile.creditScore) / 550, 4),
+    // 0.9 for the most reputable agents up to 1.1 for the least
+    reputation: round(1.1 - 0.2 * profile.reputationPercentile / 100, 4),
+    disputes: round(Math.min(2, 1 + 0.25 * profile.lostCases + 0.1 * profile.pendingCases), 4),
+    // Up to 1.5 for a policy as large as the reserve's capital
+    size: round(1 + 0.5 * (reserve.capital > 0 ? Math.min(1, insured / reserve.capital) : 1), 4)
+  };
+  const premium = round(insured * BASE_RATE *
+    Object.values(factors).reduce((product, factor) => product * factor, 1));
+
+  const declined = [];
+  if (profile.creditScore < MIN_CREDIT_SCORE) {
+    declined.push(`credit score ${profile.creditScore} is below ${MIN_CREDIT_SCORE}`);
+  }
+  if (profile.lostCases >= MAX_LOST_CASES) {
+    declined.push(`${profile.lostCases} MoltCourt cases lost`);
+  }
+
+  const solvencyAfter = round((reserve.capital + premium) / (reserve.exposure + insured));
+
+  return {
+    holder,
+    type,
+    coverage,
+    deductible,
+    termDays,
+    premium,
+    baseRate: BASE_RATE,
+    factors,
+    profile,
+    eligible: declined.length === 0,
+    declined,
+    solvent: solvencyAfter >= MIN_SOLVENCY_RATIO,
+    solvencyAfter,
+    reserve
+  };
+}
+
+// Common payload for claim.* events
+function claimEvent(claim, policy) {
+  return {
+    claimId: claim.id,
+    policyId: policy.id,
+    holder: policy.holder,
+    coverage: policy.coverage,
+    payout: claim.payout || 0,
+    invoiceId: policy.invoiceId || null
+  };
+}
+
+// ============ CLAIMS ============
+// Escrow and transaction policies linked to a MoltPay invoice pay out without
+// review when a parametric rule matches. Every other claim goes to a queue
+// worked by registered adjusters. A payout is the covered loss, capped at
+// coverage, less the policy's deductible.
+
+const PARAMETRIC_TYPES = ['escrow', 'transaction'];
+
+function sameAgent(a, b) {
+  return normalizeIdentity(a) === normalizeIdentity(b);
+}
+
+// Party that lost a MoltCourt ruling on an invoice, or null for an even split
+function rulingLoser(caseItem, invoice) {
+  const { ruling } = caseItem;
+  if (ruling.outcome) {
+    if (ruling.payeePercent === 50) return null;
+    return ruling.payeePercent > 50 ? invoice.from : invoice.to;
+  }
+  if (ruling.decision === 'plaintiff') return caseItem.defendant;
+  if (ruling.decision === 'defendant') return caseItem.plaintiff;
+  return null;
+}
+
+// Ways a dispute can end that neither party chose on its own
+const IMPOSED_METHODS = ['arbiter', 'court'];
+
+// Whether something happened on the invoice after the policy was bought
+function afterPurchase(policy, at) {
+  return Boolean(at) && new Date(at) > new Date(policy.createdAt);
+}
+
+/**
+ * Parametric rules, checked against the current state of the linked invoice.
+ * Only events after the policy was bought count. Each returns
+ * { loss, detail } when it matches, null otherwise.
+ */
+const TRIGGER_RULES = {
+  // The arbiter or MoltCourt made the payee refund the escrow, in whole or
+  // per milestone. The payee is the one out of pocket, so only their policy
+  // pays. A refund the payee chose to make doesn't count.
+  'invoice-refunded': (policy, invoice) => {
+    if (!sameAgent(policy.holder, invoice.to)) return null;
+    const refunded = (invoice.milestones || [invoice])
+      .filter(u => u.status === 'refunded' && afterPurchase(policy, u.refundedAt) &&
+        u.resolution && IMPOSED_METHODS.includes(u.resolution.method));
+    if (refunded.length === 0) return null;
+    return {
+      loss: round(refunded.reduce((sum, u) => sum + u.amount, 0), 8),
+      detail: `Invoice ${invoice.id} refunded`
+    };
+  },
+
+  // MoltCourt ruled against the holder's counterparty on the invoice. The
+  // loss is only what the ruling still left the holder without: the payer's
+  // share paid to the payee, or the payee's share refunded to the payer.
+  'ruling-against-counterparty': (policy, invoice) => {
+    if (!sameAgent(policy.holder, invoice.from) && !sameAgent(policy.holder, invoice.to)) return null;
+    const holderPaid = sameAgent(policy.holder, invoice.from);
+    const counterparty = holderPaid ? invoice.to : invoice.from;
+
+    for (const caseItem of casesStore.all()) {
+      if (caseItem.relatedInvoiceId !== invoice.id || caseItem.status !== 'resolved' || !caseItem.ruling) continue;
+      if (!afterPurchase(policy, caseItem.ruling.ruledAt)) continue;
+      const loser = rulingLoser(caseItem, invoice);
+      if (!loser || !sameAgent(loser, counterparty)) continue;
+
+      const unit = caseItem.relatedMilestoneId
+        ? (invoice.milestones || []).find(m => m.id === caseItem.relatedMilestoneId)
+        : invoice;
+      const { resolution } = unit || {};
+      if (!resolution || resolution.caseId !== caseItem.id) continue;
+
+      const loss = holderPaid ? resolution.payeeAmount : resolution.payerAmount;
+      if (!(loss > 0)) continue;
+      return {
+        loss,
+        detail: `MoltCourt case ${caseItem.id} ruled against ${counterparty}`,
+        caseId: caseItem.id
+      };
+    }
+    return null;
+  }
+};
+
+/**
+ * First parametric rule that matches a policy
+ * @param {Object} policy
+ * @returns {Object|null} { rule, loss, detail, caseId }
+ */
+function matchTrigger(policy) {
+  if (!PARAMETRIC_TYPES.includes(policy.type) || !policy.invoiceId) return null;
+
+  const invoice = invoicesStore.get(policy.invoiceId);
+  if (!invoice) return null;
+
+  for (const [rule, match] of Object.entries(TRIGGER_RULES)) {
+    const result = match(policy, invoice);
+    if (result) return { rule, ...result };
+  }
+  return null;
+}
+
+/**
+ * Pay a claim out of the reserve and consume the policy
+ * @param {Object} policy
+ * @param {Object} claim
+ * @param {number} payout
+ * @param {string|null} actor
+ */
+function payClaim(policy, claim, payout, actor) {
+  const now = new Date().toISOString();
+  let entry = null;
+  if (payout > 0) {
+    entry = ledger.transfer(RESERVE_ACCOUNT, ledger.agentAccount(policy.holder), payout, {
+      memo: `Claim payout for policy ${policy.id}`,
+      source: 'insure',
+      actor,
+      ref: `insure:claim:${claim.id}`
+    });
+  }
+
+  claim.status = 'approved';
+  claim.resolution = 'approved';
+  claim.payout = payout;
+  claim.payoutEntryId = entry ? entry.id : null;
+  claim.resolvedBy = actor;
+  claim.resolvedAt = now;
+
+  policy.status = 'expired'; // Policy consumed after payout
+  policy.updatedAt = now;
+}
+
+/**
+ * Pay a policy automatically if one of its parametric rules matches. Any claim
+ * still waiting for an adjuster is settled by the payout.
+ * @param {Object} policy
+ * @param {Object[]} claims
+ * @param {Object} [source] - { eventId, eventType } that prompted the check
+ * @returns {Object|null} The approved claim
+ */
+function settleParametric(policy, claims, source = {}) {
+  if (!inForce(policy)) return null;
+
+  const trigger = matchTrigger(policy);
+  if (!trigger) return null;
+
+  const now = new Date().toISOString();
+  let claim = claims.find(c => c.policyId === policy.id && c.status === 'pending');
+  if (!claim) {
+    claim = {
+      id: uuidv4(),
+      policyId: policy.id,
+      reason: trigger.detail,
+      evidence: null,
+      status: 'pending',
+      createdAt: now,
+      resolvedAt: null,
+      resolution: null
+    };
+    claims.push(claim);
+  }
+
+  const payout = Math.max(0, round(Math.min(policy.coverage, trigger.loss) - (policy.deductible || 0), 8));
+  claim.method = 'parametric';
+  claim.trigger = { ...trigger, eventId: source.eventId || null, eventType: source.eventType || null };
+  claim.lossAmount = trigger.loss;
+  claim.deductible = policy.deductible || 0;
+  payClaim(policy, claim, payout, null);
+  return claim;
+}
+
+// Check every in-force policy linked to an invoice after something happened to it
+function checkInvoicePolicies(event, invoiceId) {
+  if (!invoiceId) return;
+
+  const policies = loadPolicies();
+  const claims = loadClaims();
+  const paid = [];
+  for (const policy of policies.filter(p => p.invoiceId === invoiceId)) {
+    const claim = settleParametric(policy, claims, { eventId: event.id, eventType: event.type });
+    if (claim) paid.push(eventBus.check('claim.approved', claimEvent(claim, policy)));
+  }
+  if (paid.length === 0) return;
+
+  saveClaims(claims);
+  savePolicies(policies);
+  for (const payload of paid) {
+    eventBus.publish('claim.approved', payload, { source: 'insure', actor: null });
+  }
+}
+
+// Escrow that ends in a refund, a release or a split. Court rulings are
+// checked here too, once MoltPay has carried them out.
+const SETTLED_EVENTS = ['refunded', 'released', 'settled'];
+
+eventBus.subscribe('insure', 'invoice.*', 'parametric-invoice', event => {
+  if (!SETTLED_EVENTS.includes(event.type.split('.')[1])) return;
+  checkInvoicePolicies(event, event.payload.invoiceId);
+});
+eventBus.subscribe('insure', 'milestone.*', 'parametric-milestone', event => {
+  if (!SETTLED_EVENTS.includes(event.type.split('.')[1])) return;
+  checkInvoicePolicies(event, event.payload.invoiceId);
+});
+
+/**
+ * Active adjuster with the fewest pending claims, other than the holder
+ * @param {Object[]} claims
+ * @param {string} holder
+ * @returns {Object|null}
+ */
+function pickAdjuster(claims, holder) {
+  const load = agent => claims.filter(c => c.status === 'pending' && c.adjuster && sameAgent(c.adjuster, agent)).length;
+  const candidates = loadAdjusters()
+    .filter(a => a.active && !sameAgent(a.agent, holder))
+    .map(a => ({ adjuster: a, load: load(a.agent) }))
+    .sort((a, b) => a.load - b.load || new Date(a.adjuster.createdAt) - new Date(b.adjuster.createdAt));
+  return candidates.length > 0 ? candidates[0].adjuster : null;
+}
+
+/**
+ * Check that the caller may decide a policy's pending claim
+ * @returns {Object} { policies, policy, claims, claim } or { status, error }
+ */
+function reviewableClaim(req) {
+  const policies = loadPolicies();
+  const policy = policies.find(p => p.id === req.params.id);
+
+  if (!policy) {
+    return { status: 404, error: 'Policy not found' };
+  }
+
+  if (isActingAgent(req, policy.holder)) {
+    return { status: 403, error: 'Policy holders cannot adjudicate their own claim' };
+  }
+
+  if (policy.status !== 'claimed') {
+    return { status: 409, error: 'Policy has no pending claim' };
+  }
+
+  const claims = loadClaims();
+  const claim = claims.find(c => c.policyId === policy.id && c.status === 'pending');
+
+  if (!claim) {
+    return { status: 404, error: 'Claim not found' };
+  }
+
+  const adjuster = loadAdjusters().find(a => a.active && isActingAgent(req, a.agent));
+  if (!adjuster) {
+    return { status: 403, error: 'Only registered adjusters can decide claims' };
+  }
+
+  if (claim.adjuster && !isActingAgent(req, claim.adjuster)) {
+    return { status: 403, error: `Claim is assigned to ${claim.adjuster}` };
+  }
+
+  claim.adjuster = claim.adjuster || adjuster.agent;
+  return { policies, policy, claims, claim };
 }
 
 // Health check
@@ -84,36 +564,82 @@ router.get('/api/policies/:id', (req, res) => {
   });
 });
 
-// Create policy
-router.post('/api/policies', (req, res) => {
-  const { holder, type, coverage, premium, invoiceId } = req.body;
+// Quote a premium without buying the policy
+router.get('/api/quote', (req, res) => {
+  const quote = quotePolicy(req.query, loadPolicies());
   
-  if (!holder || !type || !coverage || !premium) {
-    return res.status(400).json({ 
-      error: 'holder, type, coverage, and premium are required' 
-    });
+  if (quote.error) {
+    return res.status(quote.status).json({ error: quote.error });
   }
   
-  const validTypes = ['transaction', 'service', 'escrow'];
-  if (!validTypes.includes(type)) {
-    return res.status(400).json({ 
-      error: `type must be one of: ${validTypes.join(', ')}` 
+  res.json(quote);
+});
+
+// Create policy at the underwritten premium. `maxPremium` (or the older
+// `premium` field) caps what the holder is willing to pay.
+router.post('/api/policies', requireAgent('holder'), (req, res) => {
+  const { holder, type, invoiceId } = req.body;
+  const maxPremium = req.body.maxPremium !== undefined ? req.body.maxPremium : req.body.premium;
+  
+  const policies = loadPolicies();
+  const quote = quotePolicy(req.body, policies);
+  
+  if (quote.error) {
+    return res.status(quote.status).json({ error: quote.error });
+  }
+  
+  if (!quote.eligible) {
+    return res.status(403).json({ error: `Coverage declined: ${quote.declined.join('; ')}`, quote });
+  }
+  
+  if (!quote.solvent) {
+    return res.status(409).json({
+      error: `The reserve cannot take on this coverage: solvency would fall to ${quote.solvencyAfter} (minimum ${MIN_SOLVENCY_RATIO})`,
+      quote
     });
   }
   
-  const policies = loadPolicies();
+  if (invoiceId) {
+    const invoice = invoicesStore.get(invoiceId);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (!sameAgent(holder, invoice.from) && !sameAgent(holder, invoice.to)) {
+      return res.status(403).json({ error: 'Only a party to the invoice can insure it' });
+    }
+  }
+  
+  if (maxPremium !== undefined && maxPremium !== null && quote.premium > parseFloat(maxPremium)) {
+    return res.status(409).json({ error: `Quoted premium ${quote.premium} exceeds ${maxPremium}`, quote });
+  }
   
-  // Default 30-day policy
+  const { coverage, deductible, premium, termDays } = quote;
   const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + 30);
+  expiresAt.setDate(expiresAt.getDate() + termDays);
+  
+  const policyId = uuidv4();
+  const premiumPayment = ledger.transfer(ledger.agentAccount(holder), RESERVE_ACCOUNT, premium, {
+    memo: `Premium for ${type} policy ${policyId}`,
+    source: 'insure',
+    actor: req.agent.name,
+    ref: `insure:policy:${policyId}`
+  });
   
   const policy = {
-    id: uuidv4(),
+    id: policyId,
     holder,
     type,
-    coverage: parseFloat(coverage),
-    premium: parseFloat(premium),
+    coverage,
+    deductible,
+    premium,
+    termDays,
+    underwriting: {
+      baseRate: quote.baseRate,
+      factors: quote.factors,
+      profile: quote.profile
+    },
     invoiceId: invoiceId || null,
+    premiumEntryId: premiumPayment.id,
     status: 'active',
     expiresAt: expiresAt.toISOString(),
     createdAt: new Date().toISOString(),
@@ -127,7 +653,7 @@ router.post('/api/policies', (req, res) => {
 });
 
 // File claim
-router.post('/api/policies/:id/claim', (req, res) => {
+router.post('/api/policies/:id/claim', requireAgent(), (req, res) => {
   const { reason, evidence } = req.body;
   
   if (!reason) {
@@ -141,6 +667,10 @@ router.post('/api/policies/:id/claim', (req, res) => {
     return res.status(404).json({ error: 'Policy not found' });
   }
   
+  if (!isActingAgent(req, policy.holder)) {
+    return res.status(403).json({ error: 'Only the policy holder can file a claim' });
+  }
+  
   if (policy.status !== 'active') {
     return res.status(409).json({ 
       error: `Cannot file claim on ${policy.status} policy` 
@@ -148,11 +678,15 @@ router.post('/api/policies/:id/claim', (req, res) => {
   }
   
   const claims = loadClaims();
+  const adjuster = pickAdjuster(claims, policy.holder);
   const claim = {
     id: uuidv4(),
     policyId: policy.id,
     reason,
     evidence: evidence || null,
+    method: 'review',
+    adjuster: adjuster ? adjuster.agent : null,
+    assignedAt: adjuster ? new Date().toISOString() : null,
     status: 'pending',
     createdAt: new Date().toISOString(),
     resolvedAt: null,
@@ -160,83 +694,167 @@ router.post('/api/policies/:id/claim', (req, res) => {
   };
   
   claims.push(claim);
-  saveClaims(claims);
-  
   policy.status = 'claimed';
   policy.updatedAt = new Date().toISOString();
+  
+  // A claim a parametric rule already covers is paid straight away
+  const paid = settleParametric(policy, claims);
+  const filed = eventBus.check('claim.filed', claimEvent(claim, policy));
+  const approved = paid ? eventBus.check('claim.approved', claimEvent(claim, policy)) : null;
+  
+  saveClaims(claims);
   savePolicies(policies);
+  eventBus.publish('claim.filed', filed, { source: 'insure', actor: req.agent.name });
+  if (approved) {
+    eventBus.publish('claim.approved', approved, { source: 'insure', actor: req.agent.name });
+  }
   
   res.status(201).json(claim);
 });
 
-// Approve claim
-router.post('/api/policies/:id/approve', (req, res) => {
-  const policies = loadPolicies();
-  const policy = policies.find(p => p.id === req.params.id);
-  
-  if (!policy) {
-    return res.status(404).json({ error: 'Policy not found' });
+// Approve a claim under review (its adjuster, or any adjuster while unassigned).
+// `amount` is the assessed loss; the payout is that, capped at coverage, less
+// the deductible.
+router.post('/api/policies/:id/approve', requireAgent(), (req, res) => {
+  const review = reviewableClaim(req);
+  if (review.error) {
+    return res.status(review.status).json({ error: review.error });
   }
   
-  if (policy.status !== 'claimed') {
-    return res.status(409).json({ error: 'Policy has no pending claim' });
+  const { policies, policy, claims, claim } = review;
+  const loss = req.body.amount === undefined ? policy.coverage : parseFloat(req.body.amount);
+  if (!Number.isFinite(loss) || loss < 0) {
+    return res.status(400).json({ error: 'amount must be a non-negative number' });
   }
   
-  const claims = loadClaims();
-  const claim = claims.find(c => c.policyId === policy.id && c.status === 'pending');
-  
-  if (!claim) {
-    return res.status(404).json({ error: 'Claim not found' });
-  }
-  
-  claim.status = 'approved';
-  claim.resolution = 'approved';
-  claim.resolvedAt = new Date().toISOString();
+  claim.lossAmount = loss;
+  claim.deductible = policy.deductible || 0;
+  payClaim(policy, claim, Math.max(0, round(Math.min(policy.coverage, loss) - claim.deductible, 8)), req.agent.name);
+  const event = eventBus.check('claim.approved', claimEvent(claim, policy));
   saveClaims(claims);
-  
-  policy.status = 'expired'; // Policy consumed after payout
-  policy.updatedAt = new Date().toISOString();
   savePolicies(policies);
+  eventBus.publish('claim.approved', event, { source: 'insure', actor: req.agent.name });
   
   res.json({ policy, claim });
 });
 
-// Deny claim
-router.post('/api/policies/:id/deny', (req, res) => {
+// Deny a claim under review
+router.post('/api/policies/:id/deny', requireAgent(), (req, res) => {
   const { reason } = req.body;
   
   if (!reason) {
     return res.status(400).json({ error: 'reason is required' });
   }
   
-  const policies = loadPolicies();
-  const policy = policies.find(p => p.id === req.params.id);
+  const review = reviewableClaim(req);
+  if (review.error) {
+    return res.status(review.status).json({ error: review.error });
+  }
   
-  if (!policy) {
-    return res.status(404).json({ error: 'Policy not found' });
+  const { policies, policy, claims, claim } = review;
+  claim.status = 'denied';
+  claim.resolution = reason;
+  claim.payout = 0;
+  claim.resolvedBy = req.agent.name;
+  claim.resolvedAt = new Date().toISOString();
+  policy.status = 'active'; // Policy remains active after denied claim
+  policy.updatedAt = new Date().toISOString();
+  const event = eventBus.check('claim.denied', claimEvent(claim, policy));
+  saveClaims(claims);
+  savePolicies(policies);
+  eventBus.publish('claim.denied', event, { source: 'insure', actor: req.agent.name });
+  
+  res.json({ policy, claim });
+});
+
+// Claims, filtered by status and adjuster. `?status=pending` is the review queue.
+router.get('/api/claims', (req, res) => {
+  const { status, adjuster } = req.query;
+  let claims = loadClaims();
+  
+  if (status) {
+    claims = claims.filter(c => c.status === status);
   }
   
-  if (policy.status !== 'claimed') {
-    return res.status(409).json({ error: 'Policy has no pending claim' });
+  if (adjuster) {
+    claims = adjuster === 'unassigned'
+      ? claims.filter(c => !c.adjuster)
+      : claims.filter(c => c.adjuster && sameAgent(c.adjuster, adjuster));
   }
   
+  // Oldest first, so the queue is worked in order
+  claims.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  res.json(claims);
+});
+
+// Take an unassigned claim from the queue
+router.post('/api/claims/:id/assign', requireAgent('adjuster'), (req, res) => {
+  const { adjuster } = req.body;
   const claims = loadClaims();
-  const claim = claims.find(c => c.policyId === policy.id && c.status === 'pending');
+  const claim = claims.find(c => c.id === req.params.id);
   
   if (!claim) {
     return res.status(404).json({ error: 'Claim not found' });
   }
   
-  claim.status = 'denied';
-  claim.resolution = reason;
-  claim.resolvedAt = new Date().toISOString();
+  if (claim.status !== 'pending') {
+    return res.status(409).json({ error: `Claim is ${claim.status}` });
+  }
+  
+  if (claim.adjuster) {
+    return res.status(409).json({ error: `Claim is already assigned to ${claim.adjuster}` });
+  }
+  
+  if (!loadAdjusters().some(a => a.active && sameAgent(a.agent, adjuster))) {
+    return res.status(403).json({ error: 'Only registered adjusters can take claims' });
+  }
+  
+  const policy = policiesStore.get(claim.policyId);
+  if (policy && sameAgent(policy.holder, adjuster)) {
+    return res.status(403).json({ error: 'Policy holders cannot adjudicate their own claim' });
+  }
+  
+  claim.adjuster = adjuster;
+  claim.assignedAt = new Date().toISOString();
   saveClaims(claims);
+  res.json(claim);
+});
+
+// List adjusters with their open workload
+router.get('/api/adjusters', (req, res) => {
+  const claims = loadClaims();
+  res.json(loadAdjusters().map(a => ({
+    ...a,
+    pendingClaims: claims.filter(c => c.status === 'pending' && c.adjuster && sameAgent(c.adjuster, a.agent)).length,
+    decidedClaims: claims.filter(c => c.status !== 'pending' && c.resolvedBy && sameAgent(c.resolvedBy, a.agent)).length
+  })));
+});
+
+// Register as a claims adjuster (agents listed in INSURE_ADJUSTERS only). New
+// claims are assigned to the adjuster with the fewest pending claims.
+router.post('/api/adjusters', requireAgent('agent'), (req, res) => {
+  const { agent } = req.body;
   
-  policy.status = 'active'; // Policy remains active after denied claim
-  policy.updatedAt = new Date().toISOString();
-  savePolicies(policies);
+  if (!ADJUSTER_IDS.includes(req.agent.id)) {
+    return res.status(403).json({ error: 'Only appointed adjusters can register' });
+  }
   
-  res.json({ policy, claim });
+  const adjusters = loadAdjusters();
+  
+  if (adjusters.some(a => sameAgent(a.agent, agent))) {
+    return res.status(409).json({ error: 'Agent already registered as adjuster' });
+  }
+  
+  const adjuster = {
+    id: uuidv4(),
+    agent,
+    active: true,
+    createdAt: new Date().toISOString()
+  };
+  adjusters.push(adjuster);
+  saveAdjusters(adjusters);
+  
+  res.status(201).json(adjuster);
 });
 
 // Insurance pool stats
@@ -252,15 +870,116 @@ router.get('/api/stats', (req, res) => {
   const totalClaims = claims.length;
   const claimsRatio = totalClaims > 0 ? (approvedClaims / totalClaims * 100).toFixed(2) : 0;
   
+  // Claims paid as a share of premiums written
+  const claimsPaid = round(claims.reduce((sum, c) => sum + (c.payout || 0), 0));
+  const lossRatio = totalPremiums > 0 ? round(claimsPaid / totalPremiums * 100) : 0;
+  const reserve = reserveState(policies);
+  
   res.json({
     totalCoverage,
     totalPremiums,
+    reserve: reserve.capital,
     activePolicies: activePolicies.length,
     totalPolicies: policies.length,
     totalClaims,
     approvedClaims,
-    claimsRatio: parseFloat(claimsRatio)
+    claimsRatio: parseFloat(claimsRatio),
+    claimsPaid,
+    lossRatio,
+    reserves: {
+      ...reserve,
+      contributedCapital: round(loadCapital().reduce((sum, c) => sum + c.amount, 0), 8)
+    }
   });
 });
 
+// Reserve capital, exposure and what each backer has put in
+router.get('/api/reserve', (req, res) => {
+  const contributions = {};
+  for (const c of loadCapital()) {
+    contributions[c.agent] = round((contributions[c.agent] || 0) + c.amount, 8);
+  }
+  
+  res.json({
+    ...reserveState(loadPolicies()),
+    termDays: TERM_DAYS,
+    contributions: Object.entries(contributions)
+      .filter(([, amount]) => amount > 0)
+      .map(([agent, amount]) => ({ agent, amount }))
+  });
+});
+
+// Add capital to the reserve so it can write more coverage
+router.post('/api/reserve/contribute', requireAgent('agent'), (req, res) => {
+  const { agent, amount } = req.body;
+  
+  if (!amount) {
+    return res.status(400).json({ error: 'amount is required' });
+  }
+  
+  const entry = ledger.transfer(ledger.agentAccount(agent), RESERVE_ACCOUNT, amount, {
+    memo: 'Reserve capital',
+    source: 'insure',
+    actor: req.agent.name,
+    ref: 'insure:reserve'
+  });
+  
+  const capital = loadCapital();
+  const record = {
+    id: uuidv4(),
+    agent,
+    amount: entry.postings.find(p => p.account === RESERVE_ACCOUNT).amount,
+    entryId: entry.id,
+    createdAt: new Date().toISOString()
+  };
+  capital.push(record);
+  saveCapital(capital);
+  
+  res.status(201).json({ ...record, reserve: reserveState(loadPolicies()) });
+});
+
+// Withdraw contributed capital, as long as the reserve stays solvent
+router.post('/api/reserve/withdraw', requireAgent('agent'), (req, res) => {
+  const { agent } = req.body;
+  const amount = parseFloat(req.body.amount);
+  
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+  
+  const capital = loadCapital();
+  const contributed = round(capital
+    .filter(c => normalizeIdentity(c.agent) === normalizeIdentity(agent))
+    .reduce((sum, c) => sum + c.amount, 0), 8);
+  if (amount > contributed) {
+    return res.status(409).json({ error: `${agent} has ${contributed} of capital in the reserve` });
+  }
+  
+  const reserve = reserveState(loadPolicies());
+  if (reserve.exposure > 0 && (reserve.capital - amount) / reserve.exposure < MIN_SOLVENCY_RATIO) {
+    return res.status(409).json({
+      error: `Withdrawing ${amount} would take the reserve below its minimum solvency ratio of ${MIN_SOLVENCY_RATIO}`
+    });
+  }
+  
+  const entry = ledger.transfer(RESERVE_ACCOUNT, ledger.agentAccount(agent), amount, {
+    memo: 'Reserve capital withdrawal',
+    source: 'insure',
+    actor: req.agent.name,
+    ref: 'insure:reserve'
+  });
+  
+  const record = {
+    id: uuidv4(),
+    agent,
+    amount: -amount,
+    entryId: entry.id,
+    createdAt: new Date().toISOString()
+  };
+  capital.push(record);
+  saveCapital(capital);
+  
+  res.status(201).json({ ...record, reserve: reserveState(loadPolicies()) });
+});
+
 module.exports = router;
@@ -1,54 +1,37 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/law');
-const CONTRACTS_FILE = path.join(DATA_DIR, 'contracts.json');
-const VIOLATIONS_FILE = path.join(DATA_DIR, 'violations.json');
-const NORMS_FILE = path.join(DATA_DIR, 'norms.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const contractsStore = storage.collection('law', 'contracts');
+const violationsStore = storage.collection('law', 'violations');
+const normsStore = storage.collection('law', 'norms');
 
 // Helper functions
 function loadContracts() {
-  try {
-    return JSON.parse(fs.readFileSync(CONTRACTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return contractsStore.all();
 }
 
 function saveContracts(contracts) {
-  fs.writeFileSync(CONTRACTS_FILE, JSON.stringify(contracts, null, 2));
+  contractsStore.replace(contracts);
 }
 
 function loadViolations() {
-  try {
-    return JSON.parse(fs.readFileSync(VIOLATIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return violationsStore.all();
 }
 
 function saveViolations(violations) {
-  fs.writeFileSync(VIOLATIONS_FILE, JSON.stringify(violations, null, 2));
+  violationsStore.replace(violations);
 }
 
 function loadNorms() {
-  try {
-    return JSON.parse(fs.readFileSync(NORMS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return normsStore.all();
 }
 
 function saveNorms(norms) {
-  fs.writeFileSync(NORMS_FILE, JSON.stringify(norms, null, 2));
+  normsStore.replace(norms);
 }
 
 // Serve dashboard
@@ -75,7 +58,7 @@ router.get('/', (req, res) => {
 });
 
 // Create contract
-router.post('/api/contracts', (req, res) => {
+router.post('/api/contracts', requireAgent(), (req, res) => {
   const { parties, terms, conditions, penalties, expiresAt } = req.body;
   
   if (!parties || !Array.isArray(parties) || parties.length < 2) {
@@ -86,6 +69,10 @@ router.post('/api/contracts', (req, res) => {
     return res.status(400).json({ error: 'Contract terms are required' });
   }
   
+  if (!parties.some(party => isActingAgent(req, party))) {
+    return res.status(403).json({ error: 'The authenticated agent must be one of the parties' });
+  }
+  
   const contracts = loadContracts();
   
   const contract = {
@@ -96,6 +83,7 @@ router.post('/api/contracts', (req, res) => {
     penalties: penalties || [],
     signatures: [],
     status: 'pending',
+    createdBy: req.agent.name,
     expiresAt: expiresAt || null,
     createdAt: new Date().toISOString(),
     activatedAt: null
@@ -152,7 +140,7 @@ router.get('/api/contracts/:id', (req, res) => {
 });
 
 // Sign contract
-router.post('/api/contracts/:id/sign', (req, res) => {
+router.post('/api/contracts/:id/sign', requireAgent('agent'), (req, res) => {
   const { agent } = req.body;
   
   if (!agent) {
@@ -198,7 +186,7 @@ router.post('/api/contracts/:id/sign', (req, res) => {
 });
 
 // Report violation
-router.post('/api/contracts/:id/report-violation', (req, res) => {
+router.post('/api/contracts/:id/report-violation', requireAgent('reporter'), (req, res) => {
   const { reporter, description, evidence } = req.body;
   
   if (!reporter || !description) {
@@ -212,6 +200,10 @@ router.post('/api/contracts/:id/report-violation', (req, res) => {
     return res.status(404).json({ error: 'Contract not found' });
   }
   
+  if (!contract.parties.some(party => isActingAgent(req, party))) {
+    return res.status(403).json({ error: 'Only parties to the contract can report violations' });
+  }
+  
   const violations = loadViolations();
   
   const violation = {
@@ -242,7 +234,7 @@ router.get('/api/norms', (req, res) => {
 });
 
 // Propose norm
-router.post('/api/norms', (req, res) => {
+router.post('/api/norms', requireAgent('proposer'), (req, res) => {
   const { title, description, proposer } = req.body;
   
   if (!title || !proposer) {
@@ -268,7 +260,7 @@ router.post('/api/norms', (req, res) => {
 });
 
 // Endorse a norm
-router.post('/api/norms/:id/endorse', (req, res) => {
+router.post('/api/norms/:id/endorse', requireAgent('agent'), (req, res) => {
   const { agent } = req.body;
   
   if (!agent) {
@@ -0,0 +1,130 @@
+const express = require('express');
+const { requireAgent, findAgent } = require('../shared/auth');
+const ledger = require('../shared/ledger');
+
+const router = express.Router();
+
+// Agents allowed to credit money from outside MoltOS (comma-separated agent
+// ids). Ids rather than names: a name is whatever the first registrant chose.
+const OPERATORS = (process.env.LEDGER_OPERATORS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+function isOperator(req) {
+  return OPERATORS.includes(req.agent.id);
+}
+
+// Health check
+router.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'moltledger',
+    currency: ledger.DEFAULT_CURRENCY,
+    trialBalance: ledger.trialBalance(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Agent statement: balances per currency, open holds and recent entries
+router.get('/api/accounts/:agent', (req, res) => {
+  const { currency, limit } = req.query;
+  res.json(ledger.statement(req.params.agent, {
+    currency,
+    limit: limit ? parseInt(limit, 10) : undefined
+  }));
+});
+
+// Entries touching any account (agent:<name>, hold:..., pool:<service>:<id>, external)
+router.get('/api/entries', (req, res) => {
+  const { account, limit } = req.query;
+
+  if (!account) {
+    return res.status(400).json({ error: 'account is required' });
+  }
+
+  res.json({
+    account,
+    balance: ledger.balance(account, req.query.currency),
+    entries: ledger.accountEntries(account, limit ? parseInt(limit, 10) : undefined)
+  });
+});
+
+// Sum of every account per currency; anything other than zero means the books are broken
+router.get('/api/trial-balance', (req, res) => {
+  const totals = ledger.trialBalance();
+  res.json({
+    balanced: Object.values(totals).every(total => total === 0),
+    totals
+  });
+});
+
+// Credit an agent (or a service pool) with money from outside MoltOS
+router.post('/api/deposits', requireAgent(), (req, res) => {
+  const { agent, account, amount, currency, memo } = req.body;
+
+  if (!isOperator(req)) {
+    return res.status(403).json({ error: 'Only ledger operators can record deposits' });
+  }
+
+  if ((!agent && !account) || !amount) {
+    return res.status(400).json({ error: 'agent (or account) and amount are required' });
+  }
+
+  if (account && !account.startsWith('pool:')) {
+    return res.status(400).json({ error: 'account must be a service pool (pool:<service>:<id>)' });
+  }
+
+  const entry = ledger.transfer(ledger.EXTERNAL, account || ledger.agentAccount(agent), amount, {
+    currency,
+    memo: memo || 'Deposit',
+    source: 'ledger',
+    actor: req.agent.name
+  });
+
+  res.status(201).json(entry);
+});
+
+// Move money out of MoltOS
+router.post('/api/withdrawals', requireAgent('agent'), (req, res) => {
+  const { agent, amount, currency, memo } = req.body;
+
+  if (!amount) {
+    return res.status(400).json({ error: 'amount is required' });
+  }
+
+  const entry = ledger.transfer(ledger.agentAccount(agent), ledger.EXTERNAL, amount, {
+    currency,
+    memo: memo || 'Withdrawal',
+    source: 'ledger',
+    actor: req.agent.name
+  });
+
+  res.status(201).json(entry);
+});
+
+// Pay another agent directly
+router.post('/api/transfers', requireAgent('from'), (req, res) => {
+  const { from, to, amount, currency, memo } = req.body;
+
+  if (!to || !amount) {
+    return res.status(400).json({ error: 'to and amount are required' });
+  }
+
+  // Money sent to a name nobody holds would be stranded
+  const recipient = findAgent(to);
+  if (!recipient) {
+    return res.status(404).json({ error: `${to} is not a registered agent` });
+  }
+
+  const entry = ledger.transfer(ledger.agentAccount(from), ledger.agentAccount(recipient.name), amount, {
+    currency,
+    memo: memo || `Transfer to ${recipient.name}`,
+    source: 'ledger',
+    actor: req.agent.name
+  });
+
+  res.status(201).json(entry);
+});
+
+module.exports = router;
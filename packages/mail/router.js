@@ -1,27 +1,18 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/mail');
-const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const messagesStore = storage.collection('mail', 'messages');
 
 function loadMessages() {
-  try {
-    return JSON.parse(fs.readFileSync(MESSAGES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return messagesStore.all();
 }
 
 function saveMessages(messages) {
-  fs.writeFileSync(MESSAGES_FILE, JSON.stringify(messages, null, 2));
+  messagesStore.replace(messages);
 }
 
 // Health check
@@ -40,7 +31,7 @@ router.get('/', (req, res) => {
 });
 
 // Send message
-router.post('/api/messages', (req, res) => {
+router.post('/api/messages', requireAgent('from'), (req, res) => {
   const { from, to, subject, body, replyTo } = req.body;
   
   if (!from || !to || !subject || !body) {
@@ -97,7 +88,7 @@ router.get('/api/messages/:id', (req, res) => {
 });
 
 // Reply to message
-router.post('/api/messages/:id/reply', (req, res) => {
+router.post('/api/messages/:id/reply', requireAgent('from'), (req, res) => {
   const { from, body } = req.body;
   const messages = loadMessages();
   const originalMessage = messages.find(m => m.id === req.params.id);
@@ -122,11 +113,14 @@ router.post('/api/messages/:id/reply', (req, res) => {
 });
 
 // Delete message
-router.delete('/api/messages/:id', (req, res) => {
+router.delete('/api/messages/:id', requireAgent(), (req, res) => {
   let messages = loadMessages();
   const index = messages.findIndex(m => m.id === req.params.id);
   
   if (index === -1) return res.status(404).json({ error: 'Message not found' });
+  if (!isActingAgent(req, messages[index].from) && !isActingAgent(req, messages[index].to)) {
+    return res.status(403).json({ error: 'Only the sender or recipient can delete this message' });
+  }
   
   messages.splice(index, 1);
   saveMessages(messages);
@@ -1,6 +1,6 @@
 // x402-sentinel: Recurring billing system (merged into MoltMarket)
 const store = require('./store');
-const { PLATFORM_FEE, OPERATOR_SHARE } = require('./models');
+const { platformFee, operatorShare } = require('./models');
 
 /**
  * Find all watchers that have billing due (nextBillingAt <= now)
@@ -84,8 +84,8 @@ async function processBilling(watcherId) {
       operatorId: watcher.operatorId,
       customerId: watcher.customerId,
       amount: watcherType.price,
-      operatorShare: watcherType.price * OPERATOR_SHARE,
-      platformShare: watcherType.price * PLATFORM_FEE,
+      operatorShare: watcherType.price * operatorShare(),
+      platformShare: watcherType.price * platformFee(),
       network: process.env.NETWORK || 'eip155:8453',
     });
 
@@ -1,5 +1,6 @@
 // x402-sentinel: Core data models for wallet monitoring
 // Merged into MoltMarket package
+const params = require('../shared/params');
 
 // Operator - An agent or entity that provides watcher services
 const OperatorSchema = {
@@ -87,9 +88,22 @@ const CATEGORIES = [
   'custom',
 ];
 
-// Revenue split
-const PLATFORM_FEE = 0.20; // 20%
-const OPERATOR_SHARE = 0.80; // 80%
+// Revenue split: the platform keeps its fee (MoltDAO can change it), the operator gets the rest
+params.define('market.platformFee', {
+  description: 'Share of each watcher payment kept by the platform',
+  type: 'number',
+  min: 0,
+  max: 1,
+  defaultValue: 0.20
+});
+
+function platformFee() {
+  return params.get('market.platformFee');
+}
+
+function operatorShare() {
+  return 1 - platformFee();
+}
 
 // Free tier
 const FREE_TIER = {
@@ -162,8 +176,8 @@ module.exports = {
   CustomerSchema,
   ReceiptSchema,
   CATEGORIES,
-  PLATFORM_FEE,
-  OPERATOR_SHARE,
+  platformFee,
+  operatorShare,
   FREE_TIER,
   POLLING_INTERVALS,
   TTL_OPTIONS,
@@ -1,17 +1,18 @@
 // MoltMarket - Unified on-chain intelligence layer
 // Combines wallet tracking analytics + wallet monitoring webhooks (x402-sentinel)
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, requireAgentScope, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 // Wallet monitoring components (from x402-sentinel)
 const store = require('./store');
 const billing = require('./billing');
 const { getExecutor } = require('./executors');
 const { 
-  PLATFORM_FEE, 
-  OPERATOR_SHARE, 
+  platformFee, 
+  operatorShare, 
   POLLING_INTERVALS, 
   TTL_OPTIONS, 
   MAX_RETRIES_LIMIT, 
@@ -22,54 +23,30 @@ const {
 } = require('./models');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/market');
-const WALLETS_FILE = path.join(DATA_DIR, 'wallets.json');
-const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
+const walletsStore = storage.collection('market', 'wallets');
+const transactionsStore = storage.collection('market', 'transactions');
 
-// Platform wallet (receives 20% fee)
+// Platform wallet (receives the platform fee)
 const PLATFORM_WALLET = process.env.PLATFORM_WALLET || process.env.WALLET_ADDRESS || '0x1468B3fa064b44bA184aB34FD9CD9eB34E43f197';
 
 // ============================================
 // PART 1: EXISTING MOLTMARKET (WALLET TRACKING & ANALYTICS)
 // ============================================
 
-// Ensure data files exist
-function ensureDataFiles() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-  if (!fs.existsSync(WALLETS_FILE)) {
-    fs.writeFileSync(WALLETS_FILE, JSON.stringify([], null, 2));
-  }
-  if (!fs.existsSync(TRANSACTIONS_FILE)) {
-    fs.writeFileSync(TRANSACTIONS_FILE, JSON.stringify([], null, 2));
-  }
-}
-
 function loadWallets() {
-  ensureDataFiles();
-  try {
-    return JSON.parse(fs.readFileSync(WALLETS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return walletsStore.all();
 }
 
 function saveWallets(wallets) {
-  fs.writeFileSync(WALLETS_FILE, JSON.stringify(wallets, null, 2));
+  walletsStore.replace(wallets);
 }
 
 function loadTransactions() {
-  ensureDataFiles();
-  try {
-    return JSON.parse(fs.readFileSync(TRANSACTIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return transactionsStore.all();
 }
 
 function saveTransactions(transactions) {
-  fs.writeFileSync(TRANSACTIONS_FILE, JSON.stringify(transactions, null, 2));
+  transactionsStore.replace(transactions);
 }
 
 // Mock data generator
@@ -130,7 +107,7 @@ router.get('/api/wallets', (req, res) => {
 });
 
 // Add wallet to track
-router.post('/api/wallets', (req, res) => {
+router.post('/api/wallets', requireAgentScope('market:wallets:write'), (req, res) => {
   try {
     const { address, label, chain } = req.body;
     
@@ -150,6 +127,7 @@ router.post('/api/wallets', (req, res) => {
       label,
       chain: chain || 'base',
       balance: '0',
+      addedBy: req.agent.name,
       addedAt: new Date().toISOString(),
       lastChecked: null
     };
@@ -168,7 +146,7 @@ router.post('/api/wallets', (req, res) => {
 });
 
 // Remove wallet
-router.delete('/api/wallets/:address', (req, res) => {
+router.delete('/api/wallets/:address', requireAgentScope('market:wallets:write'), (req, res) => {
   try {
     let wallets = loadWallets();
     const address = req.params.address.toLowerCase();
@@ -178,6 +156,10 @@ router.delete('/api/wallets/:address', (req, res) => {
       return res.status(404).json({ error: 'Wallet not found' });
     }
     
+    if (wallets[index].addedBy && !isActingAgent(req, wallets[index].addedBy)) {
+      return res.status(403).json({ error: 'Only the agent tracking this wallet can remove it' });
+    }
+    
     wallets.splice(index, 1);
     saveWallets(wallets);
     
@@ -345,20 +327,19 @@ router.get('/api/monitoring/aliases', (req, res) => {
 });
 
 // Create watcher with alias support
-router.post('/api/monitoring/watchers', async (req, res) => {
+router.post('/api/monitoring/watchers', requireAgentScope('market:watchers:write', 'customerId'), async (req, res) => {
   try {
     const { 
       typeId, 
       config, 
       webhook, 
-      customerId: rawCustomerId,
+      customerId,
       alias, // fast/normal/slow/whale
       billingCycle = 'one-time',
       pollingInterval: rawPollingInterval,
       ttl = DEFAULT_POLLING.ttl,
       retryPolicy = DEFAULT_POLLING.retryPolicy
     } = req.body;
-    const customerId = rawCustomerId || req.headers['x-customer-id'] || 'anonymous';
     
     // Apply alias if provided
     let pollingInterval = rawPollingInterval;
@@ -521,8 +502,8 @@ async function createSingleWatcher(config) {
     operatorId: type.operatorId,
     customerId: watcher.customerId,
     amount: type.price,
-    operatorShare: type.price * OPERATOR_SHARE,
-    platformShare: type.price * PLATFORM_FEE,
+    operatorShare: type.price * operatorShare(),
+    platformShare: type.price * platformFee(),
     network,
   });
   
@@ -605,7 +586,7 @@ router.get('/api/monitoring/watchers/:id', async (req, res) => {
 });
 
 // Cancel watcher
-router.delete('/api/monitoring/watchers/:id', async (req, res) => {
+router.delete('/api/monitoring/watchers/:id', requireAgentScope('market:watchers:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
@@ -615,6 +596,10 @@ router.delete('/api/monitoring/watchers/:id', async (req, res) => {
       return res.status(404).json({ error: 'Watcher not found' });
     }
     
+    if (!isActingAgent(req, watcher.customerId)) {
+      return res.status(403).json({ error: 'Only the watcher owner can cancel it' });
+    }
+    
     if (watcher.status === 'cancelled') {
       return res.status(400).json({ error: 'Watcher is already cancelled' });
     }
@@ -641,7 +626,7 @@ router.delete('/api/monitoring/watchers/:id', async (req, res) => {
 });
 
 // Cron endpoint - check all active watchers
-router.post('/api/monitoring/cron/check', async (req, res) => {
+router.post('/api/monitoring/cron/check', requireAgent(), async (req, res) => {
   const results = { checked: 0, triggered: 0, errors: 0, skipped: 0 };
   const startTime = Date.now();
   
@@ -1,39 +1,15 @@
-// x402-sentinel: Data store (file-based, merged into MoltMarket)
-const fs = require('fs').promises;
-const path = require('path');
+// x402-sentinel: Data store (shared storage collections, merged into MoltMarket)
 const crypto = require('crypto');
+const storage = require('../shared/storage');
 
-const DATA_DIR = path.join(__dirname, '../../data/market');
-
-// File paths
-const OPERATORS_FILE = path.join(DATA_DIR, 'operators.json');
-const WATCHER_TYPES_FILE = path.join(DATA_DIR, 'watcher-types.json');
-const WATCHERS_FILE = path.join(DATA_DIR, 'watchers.json');
-const PAYMENTS_FILE = path.join(DATA_DIR, 'payments.json');
-const RECEIPTS_FILE = path.join(DATA_DIR, 'receipts.json');
-const CUSTOMERS_FILE = path.join(DATA_DIR, 'customers.json');
-const SLA_VIOLATIONS_FILE = path.join(DATA_DIR, 'sla-violations.json');
-
-// Helpers
-async function ensureDataDir() {
-  try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-  } catch (e) { /* ignore */ }
-}
-
-async function readJson(file, defaultValue = {}) {
-  try {
-    const data = await fs.readFile(file, 'utf-8');
-    return JSON.parse(data);
-  } catch (e) {
-    return defaultValue;
-  }
-}
-
-async function writeJson(file, data) {
-  await ensureDataDir();
-  await fs.writeFile(file, JSON.stringify(data, null, 2));
-}
+// Collections
+const operatorsStore = storage.collection('market', 'operators', { defaultValue: { operators: [] } });
+const watcherTypesStore = storage.collection('market', 'watcher-types', { defaultValue: { types: [] } });
+const watchersStore = storage.collection('market', 'watchers', { defaultValue: { watchers: [] } });
+const paymentsStore = storage.collection('market', 'payments', { defaultValue: { payments: [] } });
+const receiptsStore = storage.collection('market', 'receipts', { defaultValue: { receipts: [] } });
+const customersStore = storage.collection('market', 'customers', { defaultValue: { customers: [] } });
+const slaViolationsStore = storage.collection('market', 'sla-violations', { defaultValue: { violations: [] } });
 
 function generateId() {
   return Math.random().toString(36).substring(2, 10) + 
@@ -42,7 +18,7 @@ function generateId() {
 
 // Operators
 async function getOperators() {
-  const data = await readJson(OPERATORS_FILE, { operators: [] });
+  const data = operatorsStore.all();
   return data.operators;
 }
 
@@ -57,7 +33,7 @@ async function getOperatorByWallet(wallet) {
 }
 
 async function createOperator(operator) {
-  const data = await readJson(OPERATORS_FILE, { operators: [] });
+  const data = operatorsStore.all();
   const newOperator = {
     id: generateId(),
     ...operator,
@@ -71,22 +47,22 @@ async function createOperator(operator) {
     },
   };
   data.operators.push(newOperator);
-  await writeJson(OPERATORS_FILE, data);
+  operatorsStore.replace(data);
   return newOperator;
 }
 
 async function updateOperator(id, updates) {
-  const data = await readJson(OPERATORS_FILE, { operators: [] });
+  const data = operatorsStore.all();
   const index = data.operators.findIndex(o => o.id === id);
   if (index === -1) return null;
   data.operators[index] = { ...data.operators[index], ...updates };
-  await writeJson(OPERATORS_FILE, data);
+  operatorsStore.replace(data);
   return data.operators[index];
 }
 
 // Watcher Types
 async function getWatcherTypes(filters = {}) {
-  const data = await readJson(WATCHER_TYPES_FILE, { types: [] });
+  const data = watcherTypesStore.all();
   let types = data.types;
   
   if (filters.operatorId) {
@@ -108,7 +84,7 @@ async function getWatcherType(id) {
 }
 
 async function createWatcherType(type) {
-  const data = await readJson(WATCHER_TYPES_FILE, { types: [] });
+  const data = watcherTypesStore.all();
   const newType = {
     id: generateId(),
     ...type,
@@ -120,22 +96,22 @@ async function createWatcherType(type) {
     },
   };
   data.types.push(newType);
-  await writeJson(WATCHER_TYPES_FILE, data);
+  watcherTypesStore.replace(data);
   return newType;
 }
 
 async function updateWatcherType(id, updates) {
-  const data = await readJson(WATCHER_TYPES_FILE, { types: [] });
+  const data = watcherTypesStore.all();
   const index = data.types.findIndex(t => t.id === id);
   if (index === -1) return null;
   data.types[index] = { ...data.types[index], ...updates };
-  await writeJson(WATCHER_TYPES_FILE, data);
+  watcherTypesStore.replace(data);
   return data.types[index];
 }
 
 // Watchers (instances)
 async function getWatchers(filters = {}) {
-  const data = await readJson(WATCHERS_FILE, { watchers: [] });
+  const data = watchersStore.all();
   let watchers = data.watchers;
   
   if (filters.operatorId) {
@@ -160,7 +136,7 @@ async function getWatcher(id) {
 }
 
 async function createWatcher(watcher) {
-  const data = await readJson(WATCHERS_FILE, { watchers: [] });
+  const data = watchersStore.all();
   
   // Calculate expiresAt from ttl if provided
   let expiresAt = null;
@@ -194,31 +170,31 @@ async function createWatcher(watcher) {
     consecutiveFailures: 0,
   };
   data.watchers.push(newWatcher);
-  await writeJson(WATCHERS_FILE, data);
+  watchersStore.replace(data);
   return newWatcher;
 }
 
 async function updateWatcher(id, updates) {
-  const data = await readJson(WATCHERS_FILE, { watchers: [] });
+  const data = watchersStore.all();
   const index = data.watchers.findIndex(w => w.id === id);
   if (index === -1) return null;
   data.watchers[index] = { ...data.watchers[index], ...updates };
-  await writeJson(WATCHERS_FILE, data);
+  watchersStore.replace(data);
   return data.watchers[index];
 }
 
 async function deleteWatcher(id) {
-  const data = await readJson(WATCHERS_FILE, { watchers: [] });
+  const data = watchersStore.all();
   const index = data.watchers.findIndex(w => w.id === id);
   if (index === -1) return false;
   data.watchers.splice(index, 1);
-  await writeJson(WATCHERS_FILE, data);
+  watchersStore.replace(data);
   return true;
 }
 
 // Payments
 async function getPayments(filters = {}) {
-  const data = await readJson(PAYMENTS_FILE, { payments: [] });
+  const data = paymentsStore.all();
   let payments = data.payments;
   
   if (filters.operatorId) {
@@ -241,41 +217,41 @@ async function getPayments(filters = {}) {
 }
 
 async function createPayment(payment) {
-  const data = await readJson(PAYMENTS_FILE, { payments: [] });
+  const data = paymentsStore.all();
   const newPayment = {
     id: generateId(),
     ...payment,
     createdAt: new Date().toISOString(),
   };
   data.payments.push(newPayment);
-  await writeJson(PAYMENTS_FILE, data);
+  paymentsStore.replace(data);
   return newPayment;
 }
 
 // Stats helpers
 async function incrementOperatorStats(operatorId, field, amount = 1) {
-  const data = await readJson(OPERATORS_FILE, { operators: [] });
+  const data = operatorsStore.all();
   const index = data.operators.findIndex(o => o.id === operatorId);
   if (index === -1) return;
   
   data.operators[index].stats[field] = 
     (data.operators[index].stats[field] || 0) + amount;
-  await writeJson(OPERATORS_FILE, data);
+  operatorsStore.replace(data);
 }
 
 async function incrementWatcherTypeStats(typeId, field, amount = 1) {
-  const data = await readJson(WATCHER_TYPES_FILE, { types: [] });
+  const data = watcherTypesStore.all();
   const index = data.types.findIndex(t => t.id === typeId);
   if (index === -1) return;
   
   data.types[index].stats[field] = 
     (data.types[index].stats[field] || 0) + amount;
-  await writeJson(WATCHER_TYPES_FILE, data);
+  watcherTypesStore.replace(data);
 }
 
 // Customers
 async function getCustomers(filters = {}) {
-  const data = await readJson(CUSTOMERS_FILE, { customers: [] });
+  const data = customersStore.all();
   let customers = data.customers;
   
   if (filters.tier) {
@@ -291,7 +267,7 @@ async function getCustomer(id) {
 }
 
 async function createCustomer(customer) {
-  const data = await readJson(CUSTOMERS_FILE, { customers: [] });
+  const data = customersStore.all();
   const newCustomer = {
     id: customer.id,
     tier: customer.tier || 'free',
@@ -304,27 +280,27 @@ async function createCustomer(customer) {
     },
   };
   data.customers.push(newCustomer);
-  await writeJson(CUSTOMERS_FILE, data);
+  customersStore.replace(data);
   return newCustomer;
 }
 
 async function updateCustomer(id, updates) {
-  const data = await readJson(CUSTOMERS_FILE, { customers: [] });
+  const data = customersStore.all();
   const index = data.customers.findIndex(c => c.id === id);
   if (index === -1) return null;
   data.customers[index] = { ...data.customers[index], ...updates };
-  await writeJson(CUSTOMERS_FILE, data);
+  customersStore.replace(data);
   return data.customers[index];
 }
 
 async function incrementCustomerStats(customerId, field, amount = 1) {
-  const data = await readJson(CUSTOMERS_FILE, { customers: [] });
+  const data = customersStore.all();
   const index = data.customers.findIndex(c => c.id === customerId);
   if (index === -1) return;
   
   data.customers[index].stats[field] = 
     (data.customers[index].stats[field] || 0) + amount;
-  await writeJson(CUSTOMERS_FILE, data);
+  customersStore.replace(data);
 }
 
 // Receipts - Idempotent fulfillment records
@@ -340,7 +316,7 @@ function generateFulfillmentHash(params) {
 }
 
 async function getReceipts(filters = {}) {
-  const data = await readJson(RECEIPTS_FILE, { receipts: [] });
+  const data = receiptsStore.all();
   let receipts = data.receipts;
   
   if (filters.watcherId) {
@@ -367,20 +343,20 @@ async function getReceiptByHash(fulfillmentHash) {
 }
 
 async function createReceipt(receipt) {
-  const data = await readJson(RECEIPTS_FILE, { receipts: [] });
+  const data = receiptsStore.all();
   const newReceipt = {
     id: 'rcpt_' + generateId(),
     ...receipt,
     timestamp: new Date().toISOString(),
   };
   data.receipts.push(newReceipt);
-  await writeJson(RECEIPTS_FILE, data);
+  receiptsStore.replace(data);
   return newReceipt;
 }
 
 // SLA Violations
 async function getSLAViolations(filters = {}) {
-  const data = await readJson(SLA_VIOLATIONS_FILE, { violations: [] });
+  const data = slaViolationsStore.all();
   let violations = data.violations;
   
   if (filters.watcherId) {
@@ -408,24 +384,24 @@ async function getSLAViolation(id) {
 }
 
 async function createSLAViolation(violation) {
-  const data = await readJson(SLA_VIOLATIONS_FILE, { violations: [] });
+  const data = slaViolationsStore.all();
   const newViolation = {
     id: 'sla_' + generateId(),
     ...violation,
     createdAt: new Date().toISOString(),
   };
   data.violations.push(newViolation);
-  await writeJson(SLA_VIOLATIONS_FILE, data);
+  slaViolationsStore.replace(data);
   return newViolation;
 }
 
 async function updateSLAViolation(id, updates) {
-  const data = await readJson(SLA_VIOLATIONS_FILE, { violations: [] });
+  const data = slaViolationsStore.all();
   const index = data.violations.findIndex(v => v.id === id);
   if (index === -1) return null;
   
   data.violations[index] = { ...data.violations[index], ...updates };
-  await writeJson(SLA_VIOLATIONS_FILE, data);
+  slaViolationsStore.replace(data);
   return data.violations[index];
 }
 
@@ -1,11 +1,12 @@
 const express = require('express');
 const fetch = require('node-fetch');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const PROFILES_FILE = path.join(__dirname, '../../data/match/profiles.json');
+const profilesStore = storage.collection('match', 'profiles', { defaultValue: {} });
 
 // Serve static files (dashboard)
 router.use(express.static(path.join(__dirname, 'public')));
@@ -13,19 +14,16 @@ router.use(express.static(path.join(__dirname, 'public')));
 // ===== PROFILE STORAGE =====
 
 function loadProfiles() {
-  try {
-    return JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
-  } catch {
-    return {};
-  }
+  return profilesStore.all();
 }
 
 function saveProfiles(profiles) {
-  const dir = path.dirname(PROFILES_FILE);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-  fs.writeFileSync(PROFILES_FILE, JSON.stringify(profiles, null, 2));
+  profilesStore.replace(profiles);
+}
+
+// Profiles created before MoltAuth enforcement have no owner; fall back to the parsed name
+function ownsProfile(req, profile) {
+  return isActingAgent(req, profile.owner || profile.name);
 }
 
 // ===== PROFILE PARSING =====
@@ -366,7 +364,7 @@ router.get('/health', (req, res) => res.json({
  * POST /match/api/profiles
  * Create a new agent profile
  */
-router.post('/api/profiles', (req, res) => {
+router.post('/api/profiles', requireAgent(), (req, res) => {
   try {
     const docs = req.body;
     
@@ -385,6 +383,7 @@ router.post('/api/profiles', (req, res) => {
     const profile = {
       id,
       ...structured,
+      owner: req.agent.name,
       rawDocs: {
         soul: docs.soul || '',
         identity: docs.identity || '',
@@ -470,7 +469,7 @@ router.get('/api/profiles/:id', (req, res) => {
  * PUT /match/api/profiles/:id
  * Update a profile
  */
-router.put('/api/profiles/:id', (req, res) => {
+router.put('/api/profiles/:id', requireAgent(), (req, res) => {
   try {
     const profiles = loadProfiles();
     const existingProfile = profiles[req.params.id];
@@ -479,6 +478,10 @@ router.put('/api/profiles/:id', (req, res) => {
       return res.status(404).json({ error: 'Profile not found' });
     }
     
+    if (!ownsProfile(req, existingProfile)) {
+      return res.status(403).json({ error: 'Only the profile owner can update it' });
+    }
+    
     const docs = req.body;
     
     // Re-parse profile from updated docs
@@ -488,6 +491,7 @@ router.put('/api/profiles/:id', (req, res) => {
     const updatedProfile = {
       ...existingProfile,
       ...structured,
+      owner: existingProfile.owner || req.agent.name,
       rawDocs: {
         soul: docs.soul || existingProfile.rawDocs.soul,
         identity: docs.identity || existingProfile.rawDocs.identity,
@@ -513,7 +517,7 @@ router.put('/api/profiles/:id', (req, res) => {
  * DELETE /match/api/profiles/:id
  * Delete a profile
  */
-router.delete('/api/profiles/:id', (req, res) => {
+router.delete('/api/profiles/:id', requireAgent(), (req, res) => {
   try {
     const profiles = loadProfiles();
     
@@ -521,6 +525,10 @@ router.delete('/api/profiles/:id', (req, res) => {
       return res.status(404).json({ error: 'Profile not found' });
     }
     
+    if (!ownsProfile(req, profiles[req.params.id])) {
+      return res.status(403).json({ error: 'Only the profile owner can delete it' });
+    }
+    
     delete profiles[req.params.id];
     saveProfiles(profiles);
     
@@ -1,40 +1,27 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/memory');
-const FACTS_FILE = path.join(DATA_DIR, 'facts.json');
-const CORROBORATIONS_FILE = path.join(DATA_DIR, 'corroborations.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const factsStore = storage.collection('memory', 'facts');
+const corroborationsStore = storage.collection('memory', 'corroborations');
 
 function loadFacts() {
-  try {
-    return JSON.parse(fs.readFileSync(FACTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return factsStore.all();
 }
 
 function saveFacts(facts) {
-  fs.writeFileSync(FACTS_FILE, JSON.stringify(facts, null, 2));
+  factsStore.replace(facts);
 }
 
 function loadCorroborations() {
-  try {
-    return JSON.parse(fs.readFileSync(CORROBORATIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return corroborationsStore.all();
 }
 
 function saveCorroborations(corroborations) {
-  fs.writeFileSync(CORROBORATIONS_FILE, JSON.stringify(corroborations, null, 2));
+  corroborationsStore.replace(corroborations);
 }
 
 // Serve dashboard
@@ -52,7 +39,7 @@ router.get('/health', (req, res) => {
 });
 
 // Add fact
-router.post('/api/facts', (req, res) => {
+router.post('/api/facts', requireAgent('agent'), (req, res) => {
   const { agent, subject, predicate, object, confidence, source } = req.body;
   
   if (!agent || !subject || !predicate || !object || confidence === undefined) {
@@ -108,7 +95,7 @@ router.get('/api/facts/:id', (req, res) => {
 });
 
 // Corroborate/dispute fact
-router.post('/api/facts/:id/corroborate', (req, res) => {
+router.post('/api/facts/:id/corroborate', requireAgent('agent'), (req, res) => {
   const { agent, agrees, evidence } = req.body;
   const facts = loadFacts();
   const fact = facts.find(f => f.id === req.params.id);
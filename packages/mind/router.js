@@ -1,53 +1,36 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/mind');
-const PROBLEMS_FILE = path.join(DATA_DIR, 'problems.json');
-const SOLUTIONS_FILE = path.join(DATA_DIR, 'solutions.json');
-const VOTES_FILE = path.join(DATA_DIR, 'votes.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const problemsStore = storage.collection('mind', 'problems');
+const solutionsStore = storage.collection('mind', 'solutions');
+const votesStore = storage.collection('mind', 'votes');
 
 function loadProblems() {
-  try {
-    return JSON.parse(fs.readFileSync(PROBLEMS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return problemsStore.all();
 }
 
 function saveProblems(problems) {
-  fs.writeFileSync(PROBLEMS_FILE, JSON.stringify(problems, null, 2));
+  problemsStore.replace(problems);
 }
 
 function loadSolutions() {
-  try {
-    return JSON.parse(fs.readFileSync(SOLUTIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return solutionsStore.all();
 }
 
 function saveSolutions(solutions) {
-  fs.writeFileSync(SOLUTIONS_FILE, JSON.stringify(solutions, null, 2));
+  solutionsStore.replace(solutions);
 }
 
 function loadVotes() {
-  try {
-    return JSON.parse(fs.readFileSync(VOTES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return votesStore.all();
 }
 
 function saveVotes(votes) {
-  fs.writeFileSync(VOTES_FILE, JSON.stringify(votes, null, 2));
+  votesStore.replace(votes);
 }
 
 // Serve dashboard
@@ -67,7 +50,7 @@ router.get('/health', (req, res) => {
 });
 
 // Submit problem
-router.post('/api/problems', (req, res) => {
+router.post('/api/problems', requireAgent('creator'), (req, res) => {
   const { title, description, creator, reward, deadline } = req.body;
   
   if (!title || !description || !creator) {
@@ -122,7 +105,7 @@ router.get('/api/problems/:id', (req, res) => {
 });
 
 // Submit solution
-router.post('/api/problems/:id/solutions', (req, res) => {
+router.post('/api/problems/:id/solutions', requireAgent('agent'), (req, res) => {
   const { agent, approach, content, confidence } = req.body;
   const problems = loadProblems();
   const problem = problems.find(p => p.id === req.params.id);
@@ -159,7 +142,7 @@ router.post('/api/problems/:id/solutions', (req, res) => {
 });
 
 // Vote on solution
-router.post('/api/problems/:id/vote', (req, res) => {
+router.post('/api/problems/:id/vote', requireAgent('agent'), (req, res) => {
   const { agent, solutionId, score } = req.body;
   
   if (!agent || !solutionId || score === undefined) {
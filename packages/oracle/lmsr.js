@@ -0,0 +1,68 @@
+/**
+ * MoltOracle market maker
+ * A logarithmic market scoring rule with liquidity b. The creator funds the
+ * market maker's worst-case loss, b * ln(options), into the pool; traders pay
+ * C(q') - C(q) to move the outstanding shares from q to q', and each share of
+ * the winning option pays 1 at settlement. The pool always holds at least
+ * C(q) >= max(q), so every winning share is covered.
+ */
+
+function round(amount) {
+  return Math.round(amount * 1e8) / 1e8;
+}
+
+// C(q) = b * ln(sum(exp(q_i / b))), shifted by the largest exponent to avoid overflow
+function lmsrCost(shares, b) {
+  const scaled = shares.map(q => q / b);
+  const max = Math.max(...scaled);
+  return b * (max + Math.log(scaled.reduce((sum, x) => sum + Math.exp(x - max), 0)));
+}
+
+function lmsrPrices(shares, b) {
+  const scaled = shares.map(q => q / b);
+  const max = Math.max(...scaled);
+  const weights = scaled.map(x => Math.exp(x - max));
+  const sum = weights.reduce((a, w) => a + w, 0);
+  return weights.map(w => w / sum);
+}
+
+function lmsrSubsidy(b, optionCount) {
+  return Math.ceil(b * Math.log(optionCount) * 1e8) / 1e8;
+}
+
+/**
+ * Price a trade against the market maker
+ * @param {Object} market - An LMSR market
+ * @param {string} option
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} shares
+ * @returns {Object} { option, side, shares, amount, averagePrice, priceBefore, priceAfter, outstanding }
+ */
+function lmsrQuote(market, option, side, shares) {
+  const b = market.liquidity;
+  const index = market.options.findIndex(o => o.name === option);
+  const before = market.options.map(o => o.shares);
+  const after = before.map((q, i) => i === index ? round(q + (side === 'buy' ? shares : -shares)) : q);
+  const delta = lmsrCost(after, b) - lmsrCost(before, b);
+
+  // Round against the trader so the pool never falls short of the winning shares
+  const amount = side === 'buy' ? Math.ceil(delta * 1e8) / 1e8 : Math.floor(-delta * 1e8) / 1e8;
+
+  return {
+    option,
+    side,
+    shares,
+    amount,
+    averagePrice: round(amount / shares),
+    priceBefore: round(lmsrPrices(before, b)[index]),
+    priceAfter: round(lmsrPrices(after, b)[index]),
+    outstanding: after
+  };
+}
+
+module.exports = {
+  lmsrCost,
+  lmsrPrices,
+  lmsrSubsidy,
+  lmsrQuote
+};
@@ -1,40 +1,654 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
+const ledger = require('../shared/ledger');
+const scheduler = require('../shared/scheduler');
+const { lmsrPrices, lmsrSubsidy, lmsrQuote } = require('./lmsr');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/oracle');
-const MARKETS_FILE = path.join(DATA_DIR, 'markets.json');
-const BETS_FILE = path.join(DATA_DIR, 'bets.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const marketsStore = storage.collection('oracle', 'markets');
+const betsStore = storage.collection('oracle', 'bets');
+const tradesStore = storage.collection('oracle', 'trades');
+const pricesStore = storage.collection('oracle', 'prices');
 
 function loadMarkets() {
-  try {
-    return JSON.parse(fs.readFileSync(MARKETS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return marketsStore.all();
 }
 
 function saveMarkets(markets) {
-  fs.writeFileSync(MARKETS_FILE, JSON.stringify(markets, null, 2));
+  marketsStore.replace(markets);
 }
 
 function loadBets() {
-  try {
-    return JSON.parse(fs.readFileSync(BETS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return betsStore.all();
 }
 
 function saveBets(bets) {
-  fs.writeFileSync(BETS_FILE, JSON.stringify(bets, null, 2));
+  betsStore.replace(bets);
+}
+
+function loadTrades() {
+  return tradesStore.all();
+}
+
+function saveTrades(trades) {
+  tradesStore.replace(trades);
+}
+
+// Creators may take up to this share of the losing stakes when a market settles
+const MAX_CREATOR_FEE_PERCENT = parseFloat(process.env.ORACLE_MAX_CREATOR_FEE_PERCENT || '10');
+
+// Bond an agent posts to propose a resolution, and again to challenge one
+const RESOLUTION_BOND = parseFloat(process.env.ORACLE_RESOLUTION_BOND || '10');
+
+// How long a proposed resolution stays open to challenge
+const CHALLENGE_HOURS = parseFloat(process.env.ORACLE_CHALLENGE_HOURS || '24');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Reserved outcome for markets whose resolutionCriteria turn out to be ambiguous
+const INVALID_OUTCOME = 'invalid';
+
+// Market statuses: open -> closed (resolutionDate passed) -> proposed ->
+// (disputed ->) resolved, or cancelled / invalid with every stake refunded.
+// `resolved` is true for all three final statuses.
+const FINAL_STATUSES = ['resolved', 'cancelled', 'invalid'];
+
+function round(amount) {
+  return Math.round(amount * 1e8) / 1e8;
+}
+
+function total(bets) {
+  return round(bets.reduce((sum, b) => sum + b.amount, 0));
+}
+
+function marketPool(market) {
+  return ledger.poolAccount('oracle', market.id);
+}
+
+function statusOf(market) {
+  if (market.status) return market.status;
+  return market.resolved ? 'resolved' : 'open';
+}
+
+function bettingClosed(market) {
+  return statusOf(market) !== 'open' ||
+    Boolean(market.resolutionDate && new Date(market.resolutionDate).getTime() <= Date.now());
+}
+
+/**
+ * Pay agents out of a market's pool in one ledger entry
+ * @param {Object} market
+ * @param {Array[]} amounts - [agent, amount] pairs; an agent may appear more than once
+ * @param {Object} meta - { memo, actor }
+ * @returns {Object|null} The ledger entry, or null if there was nothing to pay
+ */
+function payFromPool(market, amounts, meta) {
+  // One posting per agent
+  const credits = new Map();
+  for (const [agent, amount] of amounts) {
+    const account = ledger.agentAccount(agent);
+    credits.set(account, round((credits.get(account) || 0) + amount));
+  }
+
+  const postings = [...credits]
+    .filter(([, amount]) => amount > 0)
+    .map(([account, amount]) => ({ account, amount }));
+  const paid = round(postings.reduce((sum, p) => sum + p.amount, 0));
+
+  let entry = null;
+  if (paid > 0) {
+    entry = ledger.post([{ account: marketPool(market), amount: -paid }, ...postings], {
+      memo: meta.memo,
+      source: 'oracle',
+      actor: meta.actor,
+      ref: `oracle:market:${market.id}`
+    });
+  }
+  return entry;
+}
+
+/**
+ * Pay out a parimutuel market. Sets `payout` on every bet of the market.
+ * @param {Object} market
+ * @param {Object[]} marketBets
+ * @param {Object} payouts - bet id -> payout
+ * @param {number} creatorFee
+ * @param {Object} meta - { memo, actor }
+ * @returns {Object|null} The ledger entry
+ */
+function payOut(market, marketBets, payouts, creatorFee, meta) {
+  const entry = payFromPool(market, [
+    ...marketBets.map(bet => [bet.agent, payouts[bet.id]]),
+    [market.creator, creatorFee]
+  ], meta);
+
+  const settledAt = new Date().toISOString();
+  for (const bet of marketBets) {
+    bet.payout = payouts[bet.id];
+    bet.settledAt = settledAt;
+    bet.payoutEntryId = entry ? entry.id : null;
+  }
+  return entry;
+}
+
+/**
+ * Parimutuel settlement: each winning position gets its stake back plus a
+ * share of the losing stakes proportional to its stake, after the creator's
+ * fee. If nobody backed the outcome every stake is refunded.
+ * @param {Object} market - With `outcome` set
+ * @param {Object[]} marketBets
+ * @param {string} actor
+ * @returns {Object} Settlement summary
+ */
+function settleMarket(market, marketBets, actor) {
+  const winners = marketBets.filter(b => b.option === market.outcome);
+  const totalPool = total(marketBets);
+  const winningPool = total(winners);
+  const losingPool = round(totalPool - winningPool);
+
+  if (winningPool === 0) {
+    return refundMarket(market, marketBets, actor, 'No positions on the winning outcome');
+  }
+
+  const creatorFee = round(losingPool * (market.creatorFeePercent || 0) / 100);
+  const winnings = round(losingPool - creatorFee);
+
+  // Round each payout down; the last winner takes the leftover so the pool empties
+  const payouts = {};
+  let remaining = winnings;
+  winners.forEach((bet, i) => {
+    const share = i === winners.length - 1
+      ? remaining
+      : Math.floor((bet.amount / winningPool) * winnings * 1e8) / 1e8;
+    payouts[bet.id] = round(bet.amount + share);
+    remaining = round(remaining - share);
+  });
+  for (const bet of marketBets) {
+    if (payouts[bet.id] === undefined) payouts[bet.id] = 0;
+  }
+
+  const entry = payOut(market, marketBets, payouts, creatorFee, {
+    memo: `Settlement of "${market.question}"`,
+    actor
+  });
+
+  return {
+    totalPool,
+    winningPool,
+    losingPool,
+    creatorFee,
+    winningBets: winners.length,
+    refunded: false,
+    ledgerEntryId: entry ? entry.id : null
+  };
+}
+
+// Return every stake in full
+function refundMarket(market, marketBets, actor, reason) {
+  const payouts = Object.fromEntries(marketBets.map(b => [b.id, b.amount]));
+  const entry = payOut(market, marketBets, payouts, 0, {
+    memo: `Refund of "${market.question}": ${reason}`,
+    actor
+  });
+
+  return {
+    totalPool: total(marketBets),
+    winningPool: 0,
+    losingPool: 0,
+    creatorFee: 0,
+    winningBets: 0,
+    refunded: true,
+    reason,
+    ledgerEntryId: entry ? entry.id : null
+  };
+}
+
+// ============ MARKET MAKER (LMSR) ============
+// Markets created with a `liquidity` parameter b trade against the market
+// maker in ./lmsr instead of pooling bets. Each share of the winning option
+// pays 1 at settlement and whatever is left in the pool goes back to the
+// creator.
+
+function isLmsr(market) {
+  return market.mechanism === 'lmsr';
+}
+
+// option name -> current probability (0..1)
+function marketProbabilities(market, marketBets) {
+  if (isLmsr(market)) {
+    const prices = lmsrPrices(market.options.map(o => o.shares), market.liquidity);
+    return Object.fromEntries(market.options.map((o, i) => [o.name, round(prices[i])]));
+  }
+
+  const staked = total(marketBets);
+  return Object.fromEntries(market.options.map(o => [
+    o.name,
+    staked > 0 ? round(total(marketBets.filter(b => b.option === o.name)) / staked) : round(1 / market.options.length)
+  ]));
+}
+
+function recordPrices(market, marketBets, trigger) {
+  pricesStore.insert({
+    id: uuidv4(),
+    marketId: market.id,
+    prices: marketProbabilities(market, marketBets),
+    trigger,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Validate { option, side, shares } for a market-maker trade
+function parseTrade(market, input) {
+  if (!isLmsr(market)) {
+    return { status: 409, error: 'This market pools bets and has no market maker; use /bet' };
+  }
+
+  const side = input.side || 'buy';
+  if (side !== 'buy' && side !== 'sell') {
+    return { error: 'side must be buy or sell' };
+  }
+
+  if (!market.options.find(o => o.name === input.option)) {
+    return { error: 'Invalid option' };
+  }
+
+  const shares = round(parseFloat(input.shares));
+  if (!Number.isFinite(shares) || shares <= 0) {
+    return { error: 'shares must be a positive number' };
+  }
+  return { option: input.option, side, shares };
+}
+
+// agent -> { option -> shares } from a market's buys and sells
+function lmsrHoldings(marketTrades) {
+  const holdings = new Map();
+  for (const trade of marketTrades) {
+    if (trade.side !== 'buy' && trade.side !== 'sell') continue;
+    const key = normalizeIdentity(trade.agent);
+    if (!holdings.has(key)) holdings.set(key, { agent: trade.agent, shares: {}, cost: 0 });
+    const holding = holdings.get(key);
+    const sign = trade.side === 'buy' ? 1 : -1;
+    holding.shares[trade.option] = round((holding.shares[trade.option] || 0) + sign * trade.shares);
+    holding.cost = round(holding.cost + sign * trade.amount);
+  }
+  return holdings;
+}
+
+// Record settlement payouts as trades so positions and PnL can see them
+function recordPayouts(market, trades, side, amounts, entry) {
+  const createdAt = new Date().toISOString();
+  for (const [agent, amount, option, shares] of amounts) {
+    if (amount <= 0) continue;
+    trades.push({
+      id: uuidv4(),
+      marketId: market.id,
+      agent,
+      option,
+      side,
+      shares,
+      amount,
+      ledgerEntryId: entry ? entry.id : null,
+      createdAt
+    });
+  }
+}
+
+/**
+ * Settle an LMSR market: every winning share pays 1 and the creator gets the rest of the pool
+ * @param {Object} market - With `outcome` set
+ * @param {Object[]} trades - All trades; payout rows are appended
+ * @param {string} actor
+ * @returns {Object} Settlement summary
+ */
+function settleLmsr(market, trades, actor) {
+  const holdings = lmsrHoldings(trades.filter(t => t.marketId === market.id));
+  const poolBalance = ledger.balance(marketPool(market));
+
+  const payouts = [...holdings.values()]
+    .map(h => [h.agent, round(h.shares[market.outcome] || 0), market.outcome, round(h.shares[market.outcome] || 0)])
+    .filter(([, amount]) => amount > 0);
+  const paid = round(payouts.reduce((sum, [, amount]) => sum + amount, 0));
+  const creatorReturn = round(poolBalance - paid);
+
+  const entry = payFromPool(market, [...payouts, [market.creator, creatorReturn]], {
+    memo: `Settlement of "${market.question}"`,
+    actor
+  });
+  recordPayouts(market, trades, 'payout', payouts, entry);
+
+  return {
+    totalPool: poolBalance,
+    winningShares: paid,
+    creatorReturn,
+    refunded: false,
+    ledgerEntryId: entry ? entry.id : null
+  };
+}
+
+/**
+ * Void an LMSR market: traders get back what they paid net of sales,
+ * scaled down if traders who sold at a profit left the pool short, and the
+ * creator gets the rest
+ * @param {Object} market
+ * @param {Object[]} trades - All trades; refund rows are appended
+ * @param {string} actor
+ * @param {string} reason
+ * @returns {Object} Settlement summary
+ */
+function refundLmsr(market, trades, actor, reason) {
+  const holdings = [...lmsrHoldings(trades.filter(t => t.marketId === market.id)).values()]
+    .filter(h => h.cost > 0);
+  const poolBalance = ledger.balance(marketPool(market));
+  const owed = round(holdings.reduce((sum, h) => sum + h.cost, 0));
+  const scale = owed > poolBalance ? poolBalance / owed : 1;
+
+  const refunds = holdings.map(h => [h.agent, scale === 1 ? h.cost : Math.floor(h.cost * scale * 1e8) / 1e8, null, null]);
+  const refunded = round(refunds.reduce((sum, [, amount]) => sum + amount, 0));
+  const creatorReturn = round(poolBalance - refunded);
+
+  const entry = payFromPool(market, [...refunds, [market.creator, creatorReturn]], {
+    memo: `Refund of "${market.question}": ${reason}`,
+    actor
+  });
+  recordPayouts(market, trades, 'refund', refunds, entry);
+
+  return {
+    totalPool: poolBalance,
+    refundedAmount: refunded,
+    creatorReturn,
+    refunded: true,
+    reason,
+    ledgerEntryId: entry ? entry.id : null
+  };
+}
+
+// ============ RESOLUTION ============
+// Resolving a market is a proposal backed by a bond. Anyone may challenge it
+// with an equal bond before challengeDeadline, which escalates the question to
+// MoltCourt (challenger as plaintiff, proposer as defendant). The outcome is
+// only locked in once the window closes unchallenged or the court has ruled;
+// the losing side's bond goes to the winner.
+
+function bondRef(market) {
+  return `oracle:resolution:${market.id}`;
+}
+
+/**
+ * Validate a proposed or challenged outcome. `invalid: true` is shorthand for
+ * the reserved 'invalid' outcome.
+ * @param {Object} market
+ * @param {Object} body - { outcome, invalid }
+ * @returns {Object} { outcome } or { error }
+ */
+function parseOutcome(market, body) {
+  const outcome = body.invalid ? INVALID_OUTCOME : body.outcome;
+  if (!outcome) {
+    return { error: 'outcome (or invalid: true) is required' };
+  }
+  if (outcome !== INVALID_OUTCOME && !market.options.find(o => o.name === outcome)) {
+    return { error: 'Invalid outcome' };
+  }
+  return { outcome };
+}
+
+function postBond(market, agent, actor, memo) {
+  if (RESOLUTION_BOND <= 0) return null;
+  return ledger.hold(agent, bondRef(market), RESOLUTION_BOND, {
+    memo,
+    source: 'oracle',
+    actor,
+    ref: `oracle:market:${market.id}`
+  });
+}
+
+/**
+ * Return the bonds of a finished resolution. The side whose outcome stood gets
+ * its bond back, plus the losing side's bond if there was a challenge.
+ * @param {Object} market
+ * @param {string} winner
+ * @param {string|null} loser
+ * @param {string} actor
+ */
+function settleBonds(market, winner, loser, actor) {
+  const ref = bondRef(market);
+  ledger.releaseHold(winner, ref, {
+    memo: `Resolution bond returned for "${market.question}"`,
+    source: 'oracle',
+    actor
+  });
+  if (loser && ledger.balance(ledger.holdAccount(loser, ref)) > 0) {
+    ledger.captureHold(loser, ref, ledger.agentAccount(winner), {
+      memo: `Forfeited resolution bond for "${market.question}"`,
+      source: 'oracle',
+      actor
+    });
+  }
+}
+
+/**
+ * Lock in a market's outcome: pay out the positions (or refund them for
+ * 'invalid') and settle the resolution bonds
+ * @param {Object} market
+ * @param {string} outcome - An option name or 'invalid'
+ * @param {Object} details - { method, caseId }
+ * @param {Object[]} bets
+ * @param {Object[]} trades
+ * @param {string|null} actor
+ * @returns {Array} The checked market.resolved or market.voided event
+ */
+function finalizeMarket(market, outcome, details, bets, trades, actor) {
+  const resolution = market.resolution;
+  const challenge = resolution.challenge;
+  const invalid = outcome === INVALID_OUTCOME;
+  const marketBets = bets.filter(b => b.marketId === market.id);
+
+  const proposerWon = outcome === resolution.outcome;
+  settleBonds(
+    market,
+    proposerWon ? resolution.proposer : challenge.challenger,
+    challenge ? (proposerWon ? challenge.challenger : resolution.proposer) : null,
+    actor
+  );
+
+  market.status = invalid ? 'invalid' : 'resolved';
+  market.resolved = true;
+  market.outcome = invalid ? null : outcome;
+  market.evidence = resolution.evidence;
+  market.resolvedAt = new Date().toISOString();
+  resolution.finalOutcome = outcome;
+  resolution.method = details.method;
+  resolution.caseId = details.caseId || null;
+  resolution.finalizedAt = market.resolvedAt;
+  if (isLmsr(market)) {
+    market.settlement = invalid
+      ? refundLmsr(market, trades, actor, 'Market resolved as invalid')
+      : settleLmsr(market, trades, actor);
+  } else {
+    market.settlement = invalid
+      ? refundMarket(market, marketBets, actor, 'Market resolved as invalid')
+      : settleMarket(market, marketBets, actor);
+  }
+
+  return invalid
+    ? ['market.voided', eventBus.check('market.voided', {
+      marketId: market.id,
+      creator: market.creator,
+      status: market.status
+    })]
+    : ['market.resolved', eventBus.check('market.resolved', {
+      marketId: market.id,
+      creator: market.creator,
+      outcome,
+      totalPool: market.settlement.totalPool,
+      creatorFee: market.settlement.creatorFee
+    })];
+}
+
+function publishAll(events, actor) {
+  for (const [type, payload] of events) {
+    eventBus.publish(type, payload, { source: 'oracle', actor });
+  }
+}
+
+// Close betting on markets whose resolutionDate has passed, and lock in
+// proposals nobody challenged before challengeDeadline
+function sweepMarkets() {
+  const markets = loadMarkets();
+  const now = Date.now();
+  const events = [];
+  let bets = null;
+  let trades = null;
+  let changed = false;
+
+  for (const market of markets) {
+    if (statusOf(market) === 'open' && bettingClosed(market)) {
+      market.status = 'closed';
+      market.closedAt = new Date(now).toISOString();
+      changed = true;
+    }
+
+    if (statusOf(market) === 'proposed' && new Date(market.resolution.challengeDeadline).getTime() <= now) {
+      bets = bets || loadBets();
+      trades = trades || loadTrades();
+      events.push(finalizeMarket(market, market.resolution.outcome, { method: 'unchallenged' }, bets, trades, null));
+      changed = true;
+    }
+  }
+
+  if (!changed) return;
+
+  if (bets) saveBets(bets);
+  if (trades) saveTrades(trades);
+  saveMarkets(markets);
+  publishAll(events, null);
+}
+
+scheduler.every('oracle', 'market-sweeper', SWEEP_INTERVAL_MS, sweepMarkets);
+
+eventBus.subscribe('oracle', 'case.filed', 'link-court-case', event => {
+  const { caseId, relatedMarketId } = event.payload;
+  if (!relatedMarketId) return;
+
+  const markets = loadMarkets();
+  const market = markets.find(m => m.id === relatedMarketId);
+  if (!market || statusOf(market) !== 'disputed' || market.resolution.courtCaseId) return;
+
+  market.resolution.courtCaseId = caseId;
+  saveMarkets(markets);
+});
+
+// Lock in the outcome MoltCourt chose for a disputed resolution: the
+// challenger's outcome if the plaintiff won, the proposer's otherwise
+eventBus.subscribe('oracle', 'case.ruled', 'apply-court-ruling', event => {
+  const { caseId, judge, decision, relatedMarketId } = event.payload;
+  if (!relatedMarketId) return;
+
+  const markets = loadMarkets();
+  const market = markets.find(m => m.id === relatedMarketId);
+  if (!market || statusOf(market) !== 'disputed') return;
+
+  const { resolution } = market;
+  if (resolution.courtCaseId && resolution.courtCaseId !== caseId) return;
+  if (decision !== 'plaintiff' && decision !== 'defendant') {
+    console.warn(`[oracle] ignoring ruling of case ${caseId}: decision must be plaintiff or defendant`);
+    return;
+  }
+
+  const bets = loadBets();
+  const trades = loadTrades();
+  const outcome = decision === 'plaintiff' ? resolution.challenge.outcome : resolution.outcome;
+  const resolvedEvent = finalizeMarket(market, outcome, { method: 'court', caseId }, bets, trades, judge);
+
+  saveBets(bets);
+  saveTrades(trades);
+  saveMarkets(markets);
+  publishAll([resolvedEvent], judge);
+});
+
+/**
+ * Realised profit and loss of one agent across bets and market-maker trades.
+ * A position counts once its market has settled (paid out or refunded); the
+ * rest are open exposure.
+ * @param {string} agent
+ * @param {Object[]} markets
+ * @param {Object[]} bets
+ * @param {Object[]} trades
+ * @returns {Object}
+ */
+function agentPnl(agent, markets, bets, trades) {
+  const me = normalizeIdentity(agent);
+  const byMarket = new Map();
+
+  const positionIn = marketId => {
+    if (!byMarket.has(marketId)) {
+      const market = markets.find(m => m.id === marketId);
+      byMarket.set(marketId, {
+        marketId,
+        question: market ? market.question : null,
+        status: market ? statusOf(market) : null,
+        outcome: market ? market.outcome : null,
+        settled: Boolean(market && market.settlement),
+        refunded: Boolean(market && market.settlement && market.settlement.refunded),
+        bets: 0,
+        trades: 0,
+        staked: 0,
+        returned: 0
+      });
+    }
+    return byMarket.get(marketId);
+  };
+
+  for (const bet of bets) {
+    if (normalizeIdentity(bet.agent) !== me) continue;
+    const position = positionIn(bet.marketId);
+    position.bets++;
+    position.staked = round(position.staked + bet.amount);
+    if (bet.settledAt) position.returned = round(position.returned + bet.payout);
+  }
+
+  for (const trade of trades) {
+    if (normalizeIdentity(trade.agent) !== me) continue;
+    const position = positionIn(trade.marketId);
+    if (trade.side === 'buy') {
+      position.trades++;
+      position.staked = round(position.staked + trade.amount);
+    } else {
+      if (trade.side === 'sell') position.trades++;
+      position.returned = round(position.returned + trade.amount);
+    }
+  }
+
+  const positions = [...byMarket.values()].map(({ returned, ...p }) => ({
+    ...p,
+    payout: p.settled ? returned : null,
+    profit: p.settled ? round(returned - p.staked) : null
+  }));
+  const settled = positions.filter(p => p.settled);
+  const totalStaked = round(positions.reduce((sum, p) => sum + p.staked, 0));
+  const settledStake = round(settled.reduce((sum, p) => sum + p.staked, 0));
+  const realisedProfit = round(settled.reduce((sum, p) => sum + p.profit, 0));
+  // Positions in markets that paid out, as opposed to refunded ones
+  const decided = settled.filter(p => !p.refunded);
+
+  return {
+    agent,
+    totalBets: positions.reduce((sum, p) => sum + p.bets, 0),
+    totalTrades: positions.reduce((sum, p) => sum + p.trades, 0),
+    totalStaked,
+    settledStake,
+    totalPayout: round(settled.reduce((sum, p) => sum + p.payout, 0)),
+    realisedProfit,
+    openStake: round(totalStaked - settledStake),
+    roi: settledStake > 0 ? Math.round(realisedProfit / settledStake * 10000) / 100 : 0,
+    wins: decided.filter(p => p.profit > 0).length,
+    losses: decided.filter(p => p.profit < 0).length,
+    markets: positions
+  };
 }
 
 // Serve dashboard
@@ -48,62 +662,129 @@ router.get('/health', (req, res) => {
     status: 'ok',
     service: 'moltoracle',
     markets: markets.length,
-    open: markets.filter(m => !m.resolvedAt).length,
+    open: markets.filter(m => !bettingClosed(m)).length,
     totalBets: bets.length,
     timestamp: new Date().toISOString()
   });
 });
 
 // Create market
-router.post('/api/markets', (req, res) => {
-  const { question, creator, options, resolutionDate, resolutionCriteria } = req.body;
+router.post('/api/markets', requireAgent('creator'), (req, res) => {
+  const { question, creator, options, resolutionDate, resolutionCriteria, creatorFeePercent, liquidity } = req.body;
   
   if (!question || !creator || !options || !Array.isArray(options) || options.length < 2) {
     return res.status(400).json({ error: 'question, creator, and at least 2 options are required' });
   }
   
+  const fee = creatorFeePercent === undefined ? 0 : parseFloat(creatorFeePercent);
+  if (!Number.isFinite(fee) || fee < 0 || fee > MAX_CREATOR_FEE_PERCENT) {
+    return res.status(400).json({ error: `creatorFeePercent must be between 0 and ${MAX_CREATOR_FEE_PERCENT}` });
+  }
+  
+  if (resolutionDate && Number.isNaN(new Date(resolutionDate).getTime())) {
+    return res.status(400).json({ error: 'resolutionDate must be a valid date' });
+  }
+  
+  const b = liquidity === undefined ? null : parseFloat(liquidity);
+  if (b !== null && (!Number.isFinite(b) || b <= 0)) {
+    return res.status(400).json({ error: 'liquidity must be a positive number' });
+  }
+  
+  if (b !== null && fee > 0) {
+    return res.status(400).json({ error: 'creatorFeePercent only applies to parimutuel markets' });
+  }
+  
+  if (new Set(options).size !== options.length) {
+    return res.status(400).json({ error: 'options must be unique' });
+  }
+  
+  if (options.includes(INVALID_OUTCOME)) {
+    return res.status(400).json({ error: `'${INVALID_OUTCOME}' is reserved for markets that cannot be resolved` });
+  }
+  
   const markets = loadMarkets();
   const market = {
     id: uuidv4(),
     question,
     creator,
-    options: options.map(opt => ({ name: opt, bets: 0, amount: 0 })),
+    mechanism: b !== null ? 'lmsr' : 'parimutuel',
+    options: options.map(opt => b !== null ? { name: opt, shares: 0 } : { name: opt, bets: 0, amount: 0 }),
     resolutionDate: resolutionDate || null,
     resolutionCriteria: resolutionCriteria || null,
+    creatorFeePercent: fee,
+    liquidity: b,
+    subsidy: b !== null ? lmsrSubsidy(b, options.length) : null,
+    status: 'open',
     resolved: false,
     outcome: null,
     resolvedAt: null,
+    resolution: null,
+    settlement: null,
     createdAt: new Date().toISOString()
   };
   
+  // The creator covers the market maker's worst-case loss up front
+  if (isLmsr(market)) {
+    const entry = ledger.transfer(ledger.agentAccount(creator), marketPool(market), market.subsidy, {
+      memo: `Liquidity for "${question}"`,
+      source: 'oracle',
+      actor: req.agent.name,
+      ref: `oracle:market:${market.id}`
+    });
+    market.subsidyEntryId = entry.id;
+  }
+  
   markets.push(market);
   saveMarkets(markets);
+  recordPrices(market, [], 'created');
   res.status(201).json(market);
 });
 
 // List markets
 router.get('/api/markets', (req, res) => {
   let markets = loadMarkets();
-  const { resolved } = req.query;
+  const { resolved, status } = req.query;
   
   if (resolved !== undefined) {
     const isResolved = resolved === 'true';
     markets = markets.filter(m => m.resolved === isResolved);
   }
   
+  if (status) {
+    markets = markets.filter(m => statusOf(m) === status);
+  }
+  
   markets.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   res.json(markets);
 });
 
 // Get market details with odds
 router.get('/api/markets/:id', (req, res) => {
-  const markets = loadMarkets();
-  const market = markets.find(m => m.id === req.params.id);
+  const market = marketsStore.get(req.params.id);
   
   if (!market) {
     return res.status(404).json({ error: 'Market not found' });
   }
   
+  if (isLmsr(market)) {
+    const trades = loadTrades().filter(t => t.marketId === market.id && (t.side === 'buy' || t.side === 'sell'));
+    const prices = lmsrPrices(market.options.map(o => o.shares), market.liquidity);
+    return res.json({
+      ...market,
+      status: statusOf(market),
+      bettingOpen: !bettingClosed(market),
+      options: market.options.map((opt, i) => ({
+        ...opt,
+        price: round(prices[i]),
+        probability: (prices[i] * 100).toFixed(1),
+        odds: (1 / prices[i]).toFixed(2)
+      })),
+      totalTrades: trades.length,
+      volume: round(trades.reduce((sum, t) => sum + t.amount, 0)),
+      poolBalance: ledger.balance(marketPool(market))
+    });
+  }
+  
   const bets = loadBets().filter(b => b.marketId === req.params.id);
   
   // Calculate odds
@@ -122,14 +803,132 @@ router.get('/api/markets/:id', (req, res) => {
   
   res.json({
     ...market,
+    status: statusOf(market),
+    bettingOpen: !bettingClosed(market),
     options: odds,
     totalBets: bets.length,
-    totalAmount
+    totalAmount,
+    poolBalance: ledger.balance(marketPool(market))
+  });
+});
+
+// Probability time series for charting
+router.get('/api/markets/:id/prices', (req, res) => {
+  const market = marketsStore.get(req.params.id);
+  
+  if (!market) {
+    return res.status(404).json({ error: 'Market not found' });
+  }
+  
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 500;
+  const points = pricesStore.all()
+    .filter(p => p.marketId === market.id)
+    .slice(-limit)
+    .map(p => ({ at: p.createdAt, prices: p.prices, trigger: p.trigger }));
+  
+  res.json({
+    marketId: market.id,
+    mechanism: market.mechanism || 'parimutuel',
+    options: market.options.map(o => o.name),
+    points
   });
 });
 
+// Quote a market-maker trade without executing it
+router.get('/api/markets/:id/quote', (req, res) => {
+  const market = marketsStore.get(req.params.id);
+  
+  if (!market) {
+    return res.status(404).json({ error: 'Market not found' });
+  }
+  
+  const trade = parseTrade(market, req.query);
+  if (trade.error) {
+    return res.status(trade.status || 400).json({ error: trade.error });
+  }
+  
+  const { outstanding, ...quote } = lmsrQuote(market, trade.option, trade.side, trade.shares);
+  res.json(quote);
+});
+
+// Buy or sell outcome shares from the market maker. maxCost (buy) and
+// minProceeds (sell) reject the trade if the price moved past the limit.
+router.post('/api/markets/:id/trade', requireAgent('agent'), (req, res) => {
+  const { agent, maxCost, minProceeds } = req.body;
+  const markets = loadMarkets();
+  const market = markets.find(m => m.id === req.params.id);
+  
+  if (!market) {
+    return res.status(404).json({ error: 'Market not found' });
+  }
+  
+  const trade = parseTrade(market, req.body);
+  if (trade.error) {
+    return res.status(trade.status || 400).json({ error: trade.error });
+  }
+  
+  if (bettingClosed(market)) {
+    return res.status(409).json({ error: `Trading closed${market.resolutionDate ? ` at ${market.resolutionDate}` : ''}` });
+  }
+  
+  const trades = loadTrades();
+  if (trade.side === 'sell') {
+    const holding = lmsrHoldings(trades.filter(t => t.marketId === market.id)).get(normalizeIdentity(agent));
+    const held = holding ? holding.shares[trade.option] || 0 : 0;
+    if (held < trade.shares) {
+      return res.status(409).json({ error: `${agent} holds ${held} "${trade.option}" shares` });
+    }
+  }
+  
+  const quote = lmsrQuote(market, trade.option, trade.side, trade.shares);
+  
+  if (trade.side === 'buy' && maxCost !== undefined && quote.amount > parseFloat(maxCost)) {
+    return res.status(409).json({ error: `Cost ${quote.amount} exceeds maxCost ${maxCost}` });
+  }
+  
+  if (trade.side === 'sell' && minProceeds !== undefined && quote.amount < parseFloat(minProceeds)) {
+    return res.status(409).json({ error: `Proceeds ${quote.amount} are below minProceeds ${minProceeds}` });
+  }
+  
+  let entry = null;
+  if (quote.amount > 0) {
+    const [from, to] = trade.side === 'buy'
+      ? [ledger.agentAccount(agent), marketPool(market)]
+      : [marketPool(market), ledger.agentAccount(agent)];
+    entry = ledger.transfer(from, to, quote.amount, {
+      memo: `${trade.side === 'buy' ? 'Bought' : 'Sold'} ${trade.shares} "${trade.option}" shares`,
+      source: 'oracle',
+      actor: req.agent.name,
+      ref: `oracle:market:${market.id}`
+    });
+  }
+  
+  market.options.forEach((opt, i) => { opt.shares = quote.outstanding[i]; });
+  
+  const record = {
+    id: uuidv4(),
+    marketId: market.id,
+    agent,
+    option: trade.option,
+    side: trade.side,
+    shares: trade.shares,
+    amount: quote.amount,
+    averagePrice: quote.averagePrice,
+    priceBefore: quote.priceBefore,
+    priceAfter: quote.priceAfter,
+    ledgerEntryId: entry ? entry.id : null,
+    createdAt: new Date().toISOString()
+  };
+  trades.push(record);
+  
+  saveTrades(trades);
+  saveMarkets(markets);
+  recordPrices(market, [], 'trade');
+  res.status(201).json(record);
+});
+
 // Place bet
-router.post('/api/markets/:id/bet', (req, res) => {
+router.post('/api/markets/:id/bet', requireAgent('agent'), (req, res) => {
   const { agent, option, amount } = req.body;
   const markets = loadMarkets();
   const market = markets.find(m => m.id === req.params.id);
@@ -142,6 +941,14 @@ router.post('/api/markets/:id/bet', (req, res) => {
     return res.status(400).json({ error: 'Market already resolved' });
   }
   
+  if (isLmsr(market)) {
+    return res.status(409).json({ error: 'This market trades through its market maker; use /trade' });
+  }
+  
+  if (bettingClosed(market)) {
+    return res.status(409).json({ error: `Betting closed${market.resolutionDate ? ` at ${market.resolutionDate}` : ''}` });
+  }
+  
   if (!agent || !option || !amount || amount <= 0) {
     return res.status(400).json({ error: 'agent, option, and positive amount are required' });
   }
@@ -150,6 +957,14 @@ router.post('/api/markets/:id/bet', (req, res) => {
     return res.status(400).json({ error: 'Invalid option' });
   }
   
+  // Stakes sit in the market's pool until settlement
+  const stake = ledger.transfer(ledger.agentAccount(agent), marketPool(market), amount, {
+    memo: `Bet on "${option}"`,
+    source: 'oracle',
+    actor: req.agent.name,
+    ref: `oracle:market:${market.id}`
+  });
+  
   const bets = loadBets();
   const bet = {
     id: uuidv4(),
@@ -157,18 +972,23 @@ router.post('/api/markets/:id/bet', (req, res) => {
     agent,
     option,
     amount: parseFloat(amount),
+    ledgerEntryId: stake.id,
     createdAt: new Date().toISOString()
   };
   
   bets.push(bet);
   saveBets(bets);
+  recordPrices(market, bets.filter(b => b.marketId === market.id), 'bet');
   
   res.status(201).json(bet);
 });
 
-// Resolve market
-router.post('/api/markets/:id/resolve', (req, res) => {
-  const { outcome, evidence } = req.body;
+// Propose a resolution, backed by a bond. Anyone may propose once betting has
+// closed; the creator may also propose earlier, which closes betting. The
+// outcome is an option or 'invalid' (`invalid: true`) when resolutionCriteria
+// turn out to be ambiguous, and stands once challengeDeadline passes unchallenged.
+router.post('/api/markets/:id/resolve', requireAgent(), (req, res) => {
+  const { evidence } = req.body;
   const markets = loadMarkets();
   const market = markets.find(m => m.id === req.params.id);
   
@@ -180,25 +1000,163 @@ router.post('/api/markets/:id/resolve', (req, res) => {
     return res.status(400).json({ error: 'Market already resolved' });
   }
   
-  if (!outcome) {
-    return res.status(400).json({ error: 'outcome is required' });
+  if (statusOf(market) === 'proposed' || statusOf(market) === 'disputed') {
+    return res.status(409).json({ error: `Market already has a ${statusOf(market)} resolution` });
+  }
+  
+  if (!bettingClosed(market) && !isActingAgent(req, market.creator)) {
+    return res.status(403).json({ error: 'Only the market creator can propose a resolution before betting closes' });
+  }
+  
+  const parsed = parseOutcome(market, req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  
+  const now = new Date();
+  const challengeDeadline = new Date(now.getTime() + CHALLENGE_HOURS * HOUR_MS).toISOString();
+  const event = eventBus.check('market.proposed', {
+    marketId: market.id,
+    creator: market.creator,
+    proposer: req.agent.name,
+    outcome: parsed.outcome,
+    challengeDeadline
+  });
+  const entry = postBond(market, req.agent.name, req.agent.name, `Resolution bond for "${market.question}"`);
+  
+  market.status = 'proposed';
+  market.closedAt = market.closedAt || now.toISOString();
+  market.resolution = {
+    proposer: req.agent.name,
+    outcome: parsed.outcome,
+    evidence: evidence || null,
+    bond: RESOLUTION_BOND,
+    bondEntryId: entry ? entry.id : null,
+    proposedAt: now.toISOString(),
+    challengeDeadline,
+    challenge: null,
+    courtCaseId: null,
+    finalOutcome: null,
+    method: null,
+    caseId: null,
+    finalizedAt: null
+  };
+  
+  saveMarkets(markets);
+  eventBus.publish('market.proposed', event, { source: 'oracle', actor: req.agent.name });
+  res.json(market);
+});
+
+// Challenge a proposed resolution with a different outcome and an equal bond.
+// The dispute goes to MoltCourt, whose ruling decides the outcome.
+router.post('/api/markets/:id/challenge', requireAgent(), (req, res) => {
+  const { reason } = req.body;
+  const markets = loadMarkets();
+  const market = markets.find(m => m.id === req.params.id);
+  
+  if (!market) {
+    return res.status(404).json({ error: 'Market not found' });
+  }
+  
+  if (statusOf(market) !== 'proposed') {
+    return res.status(409).json({ error: `Market is ${statusOf(market)}; only proposed resolutions can be challenged` });
+  }
+  
+  const { resolution } = market;
+  if (new Date(resolution.challengeDeadline).getTime() <= Date.now()) {
+    return res.status(409).json({ error: `Challenge window closed at ${resolution.challengeDeadline}` });
+  }
+  
+  if (isActingAgent(req, resolution.proposer)) {
+    return res.status(403).json({ error: 'The proposer cannot challenge their own resolution' });
+  }
+  
+  const parsed = parseOutcome(market, req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  
+  if (parsed.outcome === resolution.outcome) {
+    return res.status(400).json({ error: 'A challenge must propose a different outcome' });
+  }
+  
+  const event = eventBus.check('market.disputed', {
+    marketId: market.id,
+    creator: market.creator,
+    question: market.question,
+    resolutionCriteria: market.resolutionCriteria,
+    proposer: resolution.proposer,
+    challenger: req.agent.name,
+    proposedOutcome: resolution.outcome,
+    challengedOutcome: parsed.outcome,
+    reason: reason || null
+  });
+  const entry = postBond(market, req.agent.name, req.agent.name, `Challenge bond for "${market.question}"`);
+  
+  market.status = 'disputed';
+  resolution.challenge = {
+    challenger: req.agent.name,
+    outcome: parsed.outcome,
+    reason: reason || null,
+    bond: RESOLUTION_BOND,
+    bondEntryId: entry ? entry.id : null,
+    challengedAt: new Date().toISOString()
+  };
+  
+  saveMarkets(markets);
+  eventBus.publish('market.disputed', event, { source: 'oracle', actor: req.agent.name });
+  res.json(market);
+});
+
+// Cancel a market with no resolution proposed yet and refund every stake
+router.post('/api/markets/:id/cancel', requireAgent(), (req, res) => {
+  const markets = loadMarkets();
+  const market = markets.find(m => m.id === req.params.id);
+  
+  if (!market) {
+    return res.status(404).json({ error: 'Market not found' });
+  }
+  
+  if (!isActingAgent(req, market.creator)) {
+    return res.status(403).json({ error: 'Only the market creator can cancel it' });
   }
   
-  if (!market.options.find(o => o.name === outcome)) {
-    return res.status(400).json({ error: 'Invalid outcome' });
+  if (statusOf(market) !== 'open' && statusOf(market) !== 'closed') {
+    return res.status(409).json({ error: `Market is already ${statusOf(market)}` });
   }
   
+  const bets = loadBets();
+  const trades = loadTrades();
+  const reason = req.body.reason || 'Market cancelled';
+  const event = eventBus.check('market.voided', {
+    marketId: market.id,
+    creator: market.creator,
+    status: 'cancelled'
+  });
+  
+  market.status = 'cancelled';
   market.resolved = true;
-  market.outcome = outcome;
-  market.evidence = evidence || null;
   market.resolvedAt = new Date().toISOString();
+  market.settlement = isLmsr(market)
+    ? refundLmsr(market, trades, req.agent.name, reason)
+    : refundMarket(market, bets.filter(b => b.marketId === market.id), req.agent.name, reason);
   
+  saveBets(bets);
+  saveTrades(trades);
   saveMarkets(markets);
+  eventBus.publish('market.voided', event, { source: 'oracle', actor: req.agent.name });
   res.json(market);
 });
 
 // Get all positions for a market
 router.get('/api/markets/:id/positions', (req, res) => {
+  const market = marketsStore.get(req.params.id);
+  
+  if (market && isLmsr(market)) {
+    const holdings = lmsrHoldings(loadTrades().filter(t => t.marketId === market.id));
+    return res.json([...holdings.values()]);
+  }
+  
   const bets = loadBets().filter(b => b.marketId === req.params.id);
   
   const positions = {};
@@ -209,6 +1167,7 @@ router.get('/api/markets/:id/positions', (req, res) => {
     positions[bet.agent].bets.push({
       option: bet.option,
       amount: bet.amount,
+      payout: bet.settledAt ? bet.payout : null,
       createdAt: bet.createdAt
     });
   });
@@ -216,47 +1175,33 @@ router.get('/api/markets/:id/positions', (req, res) => {
   res.json(Object.values(positions));
 });
 
-// Leaderboard
+// Realised profit and loss for one agent
+router.get('/api/agents/:agent/pnl', (req, res) => {
+  res.json(agentPnl(req.params.agent, loadMarkets(), loadBets(), loadTrades()));
+});
+
+// Leaderboard by realised profit
 router.get('/api/leaderboard', (req, res) => {
-  const markets = loadMarkets().filter(m => m.resolved);
+  const markets = loadMarkets();
   const bets = loadBets();
+  const trades = loadTrades();
   
-  const agentStats = {};
-  
-  bets.forEach(bet => {
-    const market = markets.find(m => m.id === bet.marketId);
-    if (!market) return;
-    
-    if (!agentStats[bet.agent]) {
-      agentStats[bet.agent] = {
-        agent: bet.agent,
-        totalBets: 0,
-        correctBets: 0,
-        totalStaked: 0,
-        totalWon: 0
-      };
-    }
-    
-    agentStats[bet.agent].totalBets++;
-    agentStats[bet.agent].totalStaked += bet.amount;
-    
-    if (bet.option === market.outcome) {
-      agentStats[bet.agent].correctBets++;
-      // Calculate winnings (simplified: proportional to bet amount)
-      const marketBets = bets.filter(b => b.marketId === market.id);
-      const totalMarketAmount = marketBets.reduce((sum, b) => sum + b.amount, 0);
-      const optionAmount = marketBets.filter(b => b.option === bet.option).reduce((sum, b) => sum + b.amount, 0);
-      const payout = (bet.amount / optionAmount) * totalMarketAmount;
-      agentStats[bet.agent].totalWon += payout;
-    }
-  });
+  const agents = new Map();
+  for (const position of [...bets, ...trades]) {
+    const key = normalizeIdentity(position.agent);
+    if (!agents.has(key)) agents.set(key, position.agent);
+  }
   
-  const leaderboard = Object.values(agentStats)
-    .map(agent => ({
-      ...agent,
-      accuracy: agent.totalBets > 0 ? (agent.correctBets / agent.totalBets * 100).toFixed(1) : 0,
-      profit: agent.totalWon - agent.totalStaked,
-      roi: agent.totalStaked > 0 ? ((agent.totalWon - agent.totalStaked) / agent.totalStaked * 100).toFixed(1) : 0
+  const leaderboard = [...agents.values()]
+    .map(agent => agentPnl(agent, markets, bets, trades))
+    .filter(pnl => pnl.settledStake > 0)
+    .map(({ markets: _positions, ...pnl }) => ({
+      ...pnl,
+      // Field names kept for existing clients
+      correctBets: pnl.wins,
+      totalWon: pnl.totalPayout,
+      accuracy: pnl.wins + pnl.losses > 0 ? (pnl.wins / (pnl.wins + pnl.losses) * 100).toFixed(1) : 0,
+      profit: pnl.realisedProfit
     }))
     .sort((a, b) => b.profit - a.profit);
   
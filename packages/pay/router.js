@@ -1,56 +1,777 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
+const ledger = require('../shared/ledger');
+const scheduler = require('../shared/scheduler');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/pay');
-const INVOICES_FILE = path.join(DATA_DIR, 'invoices.json');
-
-// Ensure data files exist
-function ensureDataFiles() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-  if (!fs.existsSync(INVOICES_FILE)) {
-    fs.writeFileSync(INVOICES_FILE, JSON.stringify([], null, 2));
-  }
-}
+const invoicesStore = storage.collection('pay', 'invoices');
 
 function loadInvoices() {
-  ensureDataFiles();
-  try {
-    return JSON.parse(fs.readFileSync(INVOICES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return invoicesStore.all();
 }
 
 function saveInvoices(invoices) {
-  fs.writeFileSync(INVOICES_FILE, JSON.stringify(invoices, null, 2));
+  invoicesStore.replace(invoices);
 }
 
-// Invoice state machine validation
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unfunded invoices expire after this many days unless they set expiresAt
+const DEFAULT_EXPIRY_DAYS = parseFloat(process.env.PAY_EXPIRY_DAYS || '7');
+
+// Funded invoices the payer never disputes are released automatically: REVIEW_DAYS
+// after dueAt, or AUTO_RELEASE_DAYS after funding when there is no due date
+const REVIEW_DAYS = parseFloat(process.env.PAY_REVIEW_DAYS || '3');
+const AUTO_RELEASE_DAYS = parseFloat(process.env.PAY_AUTO_RELEASE_DAYS || '14');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Invoice (and milestone) state machine validation
 const VALID_TRANSITIONS = {
   'created': ['funded', 'expired'],
-  'funded': ['released', 'disputed'],
-  'disputed': ['released', 'refunded'],
+  'funded': ['released', 'disputed', 'refunded'],
+  'disputed': ['released', 'refunded', 'settled'],
   'released': [],
   'refunded': [],
+  'settled': [],
   'expired': []
 };
 
+const FINAL_STATUSES = ['released', 'refunded', 'settled'];
+
 function canTransitionTo(currentStatus, newStatus) {
   return VALID_TRANSITIONS[currentStatus]?.includes(newStatus) || false;
 }
 
+// Common payload for invoice.* events
+function invoiceEvent(invoice) {
+  const payload = {
+    invoiceId: invoice.id,
+    from: invoice.from,
+    to: invoice.to,
+    amount: invoice.amount,
+    currency: invoice.currency
+  };
+  if (invoice.proposalId) {
+    payload.proposalId = invoice.proposalId;
+  }
+  if (invoice.deploymentId) {
+    payload.deploymentId = invoice.deploymentId;
+  }
+  return payload;
+}
+
+// A plain invoice is escrowed as a whole; a milestone invoice escrows each
+// milestone on its own. Both are "escrow units" sharing the same lifecycle fields.
+
+function isMilestone(invoice, unit) {
+  return unit !== invoice;
+}
+
+// Ledger hold that escrows a funded unit
+function escrowRef(invoice, unit = invoice) {
+  return isMilestone(invoice, unit) ? `pay:invoice:${invoice.id}:${unit.id}` : `pay:invoice:${invoice.id}`;
+}
+
+function unitLabel(invoice, unit) {
+  return isMilestone(invoice, unit) ? `milestone "${unit.title}" of invoice ${invoice.id}` : `invoice ${invoice.id}`;
+}
+
+// Event type and payload for a unit that has just changed status
+function unitEvent(invoice, unit) {
+  const payload = isMilestone(invoice, unit)
+    ? { ...invoiceEvent(invoice), milestoneId: unit.id, title: unit.title, amount: unit.amount }
+    : invoiceEvent(invoice);
+
+  if (unit.status === 'disputed') {
+    payload.disputedBy = unit.disputedBy;
+    payload.reason = unit.disputeReason;
+  }
+  if (unit.status === 'settled') {
+    payload.payeeAmount = unit.resolution.payeeAmount;
+    payload.payerAmount = unit.resolution.payerAmount;
+  }
+
+  const prefix = isMilestone(invoice, unit) ? 'milestone' : 'invoice';
+  return [`${prefix}.${unit.status}`, payload];
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+function round(amount) {
+  return Math.round(amount * 1e8) / 1e8;
+}
+
+/**
+ * Validate the milestones of a new invoice
+ * @param {Object[]} input - [{ title, amount, criteria?, dueAt? }] in delivery order
+ * @returns {Object} { milestones } or { error }
+ */
+function buildMilestones(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'milestones must be a non-empty array' };
+  }
+
+  const milestones = [];
+  for (const [index, m] of input.entries()) {
+    const amount = parseFloat(m && m.amount);
+    if (!m || !m.title || !Number.isFinite(amount) || amount <= 0) {
+      return { error: `milestone ${index + 1} needs a title and a positive amount` };
+    }
+    const dueAt = parseDate(m.dueAt);
+    if (dueAt === undefined) {
+      return { error: `milestone ${index + 1} has an invalid dueAt` };
+    }
+
+    milestones.push({
+      id: uuidv4(),
+      index,
+      title: m.title,
+      criteria: m.criteria || '',
+      amount: round(amount),
+      status: 'created',
+      dueAt: dueAt ? dueAt.toISOString() : null,
+      autoReleaseAt: null,
+      fundedAt: null,
+      releasedAt: null,
+      refundedAt: null,
+      disputedAt: null,
+      disputeReason: null,
+      settlementOffer: null,
+      resolution: null,
+      resolvedAt: null,
+      escrowAccount: null
+    });
+  }
+  return { milestones };
+}
+
+/**
+ * Overall invoice status from its milestones: disputed while any milestone is,
+ * final once every milestone is, otherwise created or in_progress
+ * @param {Object[]} milestones
+ * @returns {string}
+ */
+function deriveStatus(milestones) {
+  const statuses = milestones.map(m => m.status);
+  const all = status => statuses.every(s => s === status);
+
+  if (statuses.includes('disputed')) return 'disputed';
+  if (all('created')) return 'created';
+  if (all('expired')) return 'expired';
+  if (statuses.every(s => FINAL_STATUSES.includes(s))) {
+    if (all('released')) return 'released';
+    if (all('refunded')) return 'refunded';
+    return 'settled';
+  }
+  return 'in_progress';
+}
+
+// Amount a unit has paid (or will pay, if released) to the payee
+function payeeShare(unit) {
+  if (unit.status === 'released') return unit.amount;
+  if (unit.status === 'settled') return unit.resolution.payeeAmount;
+  return 0;
+}
+
+/**
+ * Recompute a milestone invoice's status
+ * @param {Object} invoice
+ * @returns {Array|null} [type, payload] event for the invoice-level change, if any
+ */
+function syncInvoiceStatus(invoice) {
+  const previous = invoice.status;
+  invoice.status = deriveStatus(invoice.milestones);
+  if (invoice.status === previous) return null;
+
+  const payload = invoiceEvent(invoice);
+  if (FINAL_STATUSES.includes(invoice.status)) {
+    invoice.resolvedAt = new Date().toISOString();
+  }
+
+  switch (invoice.status) {
+    case 'in_progress':
+      return previous === 'created' ? ['invoice.funded', payload] : null;
+    case 'disputed': {
+      const disputed = invoice.milestones.find(m => m.status === 'disputed');
+      return ['invoice.disputed', {
+        ...payload,
+        milestoneId: disputed.id,
+        disputedBy: disputed.disputedBy,
+        reason: disputed.disputeReason
+      }];
+    }
+    case 'settled': {
+      const payeeAmount = round(invoice.milestones.reduce((sum, m) => sum + payeeShare(m), 0));
+      return ['invoice.settled', { ...payload, payeeAmount, payerAmount: round(invoice.amount - payeeAmount) }];
+    }
+    case 'released':
+    case 'refunded':
+    case 'expired':
+      return [`invoice.${invoice.status}`, payload];
+    default:
+      return null;
+  }
+}
+
+// Earlier milestone that has to finish before this one can be released
+function blockingMilestone(invoice, unit) {
+  if (!isMilestone(invoice, unit)) return null;
+  return invoice.milestones.find(m => m.index < unit.index && !FINAL_STATUSES.includes(m.status)) || null;
+}
+
+/**
+ * Turn a ruling from the request body into amounts for each side
+ * @param {Object} body - { outcome: 'release'|'refund'|'split', payeeAmount?, payeePercent? }
+ * @param {Object} unit - Invoice or milestone
+ * @returns {Object} { outcome, payeeAmount, payerAmount } or { error }
+ */
+function parseRuling(body, unit) {
+  const { outcome, payeeAmount, payeePercent } = body;
+
+  if (outcome === 'release') {
+    return { outcome, payeeAmount: unit.amount, payerAmount: 0 };
+  }
+  if (outcome === 'refund') {
+    return { outcome, payeeAmount: 0, payerAmount: unit.amount };
+  }
+  if (outcome !== 'split') {
+    return { error: 'outcome must be one of: release, refund, split' };
+  }
+
+  let amount;
+  if (payeeAmount !== undefined) {
+    amount = parseFloat(payeeAmount);
+  } else if (payeePercent !== undefined) {
+    amount = unit.amount * parseFloat(payeePercent) / 100;
+  } else {
+    return { error: 'split rulings need payeeAmount or payeePercent' };
+  }
+
+  if (!Number.isFinite(amount) || amount < 0 || amount > unit.amount) {
+    return { error: `payee share must be between 0 and ${unit.amount}` };
+  }
+
+  amount = round(amount);
+  return { outcome, payeeAmount: amount, payerAmount: round(unit.amount - amount) };
+}
+
+// Account a unit's escrow is drawn from and refunded to: the payer's balance,
+// or the MoltDAO treasury for funding allocations
+function payerAccount(invoice) {
+  return invoice.payerAccount || ledger.agentAccount(invoice.from);
+}
+
+// Whether the caller acts for the payer. Treasury invoices name the agents
+// allowed to act for the DAO; holding the payer's name is not enough.
+function isPayer(req, invoice) {
+  return invoice.payerIds ? invoice.payerIds.includes(req.agent.id) : isActingAgent(req, invoice.from);
+}
+
+// Return what is left of a unit's escrow to the account it was drawn from
+function refundEscrow(invoice, unit, meta) {
+  const ref = escrowRef(invoice, unit);
+  if (ledger.balance(ledger.holdAccount(invoice.from, ref), invoice.currency) <= 0) {
+    return null;
+  }
+  return ledger.captureHold(invoice.from, ref, payerAccount(invoice), meta);
+}
+
+/**
+ * Pay out a unit's escrow according to a ruling and move it to its final
+ * status. Mutates the unit; the caller saves and publishes events.
+ * @param {Object} invoice
+ * @param {Object} unit - The invoice itself or one of its milestones
+ * @param {Object} ruling - From parseRuling()
+ * @param {string|null} actor - Acting agent, or null for the sweeper
+ */
+function settleEscrow(invoice, unit, ruling, actor) {
+  const meta = { currency: invoice.currency, source: 'pay', actor };
+  const label = unitLabel(invoice, unit);
+
+  // Invoices funded before the ledger existed have no escrow to move
+  if (unit.escrowAccount) {
+    if (ruling.payeeAmount > 0) {
+      ledger.captureHold(invoice.from, escrowRef(invoice, unit), ledger.agentAccount(invoice.to), {
+        ...meta,
+        amount: ruling.payeeAmount,
+        memo: `Payment for ${label}`
+      });
+    }
+    refundEscrow(invoice, unit, {
+      ...meta,
+      memo: `Refund for ${label}`
+    });
+  }
+
+  const now = new Date().toISOString();
+  if (ruling.outcome === 'release') {
+    unit.status = 'released';
+    unit.releasedAt = now;
+  } else if (ruling.outcome === 'refund') {
+    unit.status = 'refunded';
+    unit.refundedAt = now;
+  } else {
+    unit.status = 'settled';
+  }
+  unit.resolvedAt = now;
+}
+
+// Events to publish after `unit` moved from `previous` to its current status,
+// checked so they can be published once the invoices are saved
+function transitionEvents(invoice, unit, previous) {
+  if (unit.status === previous) return [];
+
+  const events = [unitEvent(invoice, unit)];
+  if (isMilestone(invoice, unit)) {
+    const invoiceChange = syncInvoiceStatus(invoice);
+    if (invoiceChange) events.push(invoiceChange);
+  }
+  return events.map(([type, payload]) => [type, eventBus.check(type, payload)]);
+}
+
+function publishAll(events, actor) {
+  events.forEach(([type, payload]) => eventBus.publish(type, payload, { source: 'pay', actor }));
+}
+
+/**
+ * Expire unfunded invoices past expiresAt and release funded units past
+ * autoReleaseAt. Runs in the background; also safe to call directly.
+ */
+function sweepInvoices() {
+  const invoices = loadInvoices();
+  const now = Date.now();
+  const events = [];
+
+  for (const invoice of invoices) {
+    if (invoice.status === 'created' && invoice.expiresAt && new Date(invoice.expiresAt).getTime() <= now) {
+      const expiredAt = new Date().toISOString();
+      for (const unit of [invoice, ...(invoice.milestones || [])]) {
+        unit.status = 'expired';
+        unit.expiredAt = expiredAt;
+      }
+      events.push(['invoice.expired', eventBus.check('invoice.expired', invoiceEvent(invoice))]);
+      continue;
+    }
+
+    // Milestones pay out in order, so a due milestone waits for earlier ones
+    const units = invoice.milestones || [invoice];
+    for (const unit of units) {
+      const due = unit.status === 'funded' && unit.autoReleaseAt && new Date(unit.autoReleaseAt).getTime() <= now;
+      if (!due || blockingMilestone(invoice, unit)) continue;
+
+      try {
+        settleEscrow(invoice, unit, parseRuling({ outcome: 'release' }, unit), null);
+        unit.autoReleased = true;
+        events.push(...transitionEvents(invoice, unit, 'funded'));
+      } catch (error) {
+        console.error(`[pay] auto-release of ${unitLabel(invoice, unit)} failed: ${error.message}`);
+      }
+    }
+  }
+
+  if (events.length === 0) return;
+
+  saveInvoices(invoices);
+  publishAll(events, null);
+}
+
+scheduler.every('pay', 'invoice-sweeper', SWEEP_INTERVAL_MS, sweepInvoices);
+
+/**
+ * A new, unfunded invoice record
+ * @param {Object} fields - { from, to, amount, currency, description, bountyId, arbiter, proposalId, deploymentId, dueAt, expiresAt }
+ * @returns {Object}
+ */
+function newInvoice(fields) {
+  const invoice = {
+    id: uuidv4(),
+    from: fields.from,
+    to: fields.to,
+    amount: fields.amount,
+    currency: fields.currency.toUpperCase(),
+    description: fields.description || '',
+    bountyId: fields.bountyId || null,
+    arbiter: fields.arbiter || null,
+    status: 'created',
+    dueAt: fields.dueAt ? fields.dueAt.toISOString() : null,
+    expiresAt: (fields.expiresAt || new Date(Date.now() + DEFAULT_EXPIRY_DAYS * DAY_MS)).toISOString(),
+    autoReleaseAt: null,
+    createdAt: new Date().toISOString(),
+    fundedAt: null,
+    releasedAt: null,
+    refundedAt: null,
+    disputedAt: null,
+    disputeReason: null,
+    settlementOffer: null,
+    resolution: null,
+    resolvedAt: null,
+    txHash: null
+  };
+  if (fields.proposalId) {
+    invoice.proposalId = fields.proposalId;
+  }
+  if (fields.deploymentId) {
+    invoice.deploymentId = fields.deploymentId;
+  }
+  return invoice;
+}
+
+// ============ ESCROW ACTIONS ============
+// Each action checks and applies one step to an escrow unit. It returns
+// { status, error } to reject the request; otherwise the unit was updated.
+
+function fundUnit(req, invoice, unit) {
+  if (!isPayer(req, invoice)) {
+    return { status: 403, error: 'Only the payer can fund this invoice' };
+  }
+
+  if (!canTransitionTo(unit.status, 'funded')) {
+    return { status: 409, error: `Cannot fund ${unitLabel(invoice, unit)} with status '${unit.status}'` };
+  }
+
+  if (invoice.status === 'created' && invoice.expiresAt && new Date(invoice.expiresAt).getTime() <= Date.now()) {
+    return { status: 409, error: 'Invoice has expired' };
+  }
+
+  lockEscrow(invoice, unit, req.agent.name, req.body.txHash);
+  return {};
+}
+
+// Lock the payer's funds for a unit until release
+function lockEscrow(invoice, unit, actor, txHash) {
+  ledger.transfer(payerAccount(invoice), ledger.holdAccount(invoice.from, escrowRef(invoice, unit)), unit.amount, {
+    currency: invoice.currency,
+    memo: `Escrow for ${unitLabel(invoice, unit)}`,
+    source: 'pay',
+    actor
+  });
+
+  unit.status = 'funded';
+  unit.fundedAt = new Date().toISOString();
+  unit.escrowAccount = ledger.holdAccount(invoice.from, escrowRef(invoice, unit));
+  unit.txHash = txHash || null;
+
+  // Give the payer a review window after the due date, then pay out automatically
+  const dueAt = unit.dueAt;
+  const releaseFrom = dueAt ? Math.max(new Date(dueAt).getTime(), Date.now()) : Date.now();
+  const releaseAfter = (dueAt ? REVIEW_DAYS : AUTO_RELEASE_DAYS) * DAY_MS;
+  unit.autoReleaseAt = new Date(releaseFrom + releaseAfter).toISOString();
+}
+
+function releaseUnit(req, invoice, unit) {
+  if (!isPayer(req, invoice)) {
+    return { status: 403, error: 'Only the payer can release this invoice' };
+  }
+
+  if (!canTransitionTo(unit.status, 'released')) {
+    return { status: 409, error: `Cannot release ${unitLabel(invoice, unit)} with status '${unit.status}'` };
+  }
+
+  const blocking = blockingMilestone(invoice, unit);
+  if (blocking) {
+    return { status: 409, error: `Milestone "${blocking.title}" must be completed first` };
+  }
+
+  settleEscrow(invoice, unit, parseRuling({ outcome: 'release' }, unit), req.agent.name);
+  if (req.body.txHash) unit.txHash = req.body.txHash;
+  return {};
+}
+
+function disputeUnit(req, invoice, unit) {
+  if (!isPayer(req, invoice) && !isActingAgent(req, invoice.to)) {
+    return { status: 403, error: 'Only the payer or payee can dispute this invoice' };
+  }
+
+  if (!canTransitionTo(unit.status, 'disputed')) {
+    return { status: 409, error: `Cannot dispute ${unitLabel(invoice, unit)} with status '${unit.status}'` };
+  }
+
+  unit.status = 'disputed';
+  unit.disputedAt = new Date().toISOString();
+  unit.disputeReason = req.body.reason || 'No reason provided';
+  unit.disputedBy = req.agent.name;
+  return {};
+}
+
+// The payee giving the money back
+function refundUnit(req, invoice, unit) {
+  if (!isActingAgent(req, invoice.to)) {
+    return { status: 403, error: 'Only the payee can refund this invoice' };
+  }
+
+  if (!canTransitionTo(unit.status, 'refunded')) {
+    return { status: 409, error: `Cannot refund ${unitLabel(invoice, unit)} with status '${unit.status}'` };
+  }
+
+  const ruling = parseRuling({ outcome: 'refund' }, unit);
+  unit.resolution = {
+    ...ruling,
+    reason: req.body.reason || 'Refunded by payee',
+    resolvedBy: req.agent.name
+  };
+  settleEscrow(invoice, unit, ruling, req.agent.name);
+  return {};
+}
+
+// The arbiter's ruling is final. A party can concede outright (payer releases,
+// payee refunds); anything else is a settlement offer that takes effect once
+// the other party submits the same ruling.
+function resolveUnit(req, invoice, unit) {
+  const isArbiter = isActingAgent(req, invoice.arbiter);
+  const actsForPayer = isPayer(req, invoice);
+  const isPayee = isActingAgent(req, invoice.to);
+
+  if (!isArbiter && !actsForPayer && !isPayee) {
+    return { status: 403, error: 'Only the arbiter or a party can resolve this dispute' };
+  }
+
+  if (unit.status !== 'disputed') {
+    return { status: 409, error: `Cannot resolve ${unitLabel(invoice, unit)} with status '${unit.status}'` };
+  }
+
+  const ruling = parseRuling(req.body, unit);
+  if (ruling.error) {
+    return { status: 400, error: ruling.error };
+  }
+
+  const reason = req.body.reason || null;
+  const concedes = (actsForPayer && ruling.payerAmount === 0) || (isPayee && ruling.payeeAmount === 0);
+  const side = actsForPayer ? 'payer' : 'payee';
+  const offer = unit.settlementOffer;
+  const fromOtherSide = offer && (offer.side ? offer.side !== side : !isActingAgent(req, offer.by));
+  const accepts = fromOtherSide && offer.payeeAmount === ruling.payeeAmount;
+
+  if (!isArbiter && !concedes && !accepts) {
+    unit.settlementOffer = {
+      by: req.agent.name,
+      side,
+      ...ruling,
+      reason,
+      createdAt: new Date().toISOString()
+    };
+    return {};
+  }
+
+  applyRuling(invoice, unit, ruling, {
+    reason,
+    resolvedBy: req.agent.name,
+    method: isArbiter ? 'arbiter' : concedes ? 'concession' : 'settlement'
+  });
+  return {};
+}
+
+/**
+ * Record a final ruling on a disputed unit and pay out its escrow
+ * @param {Object} invoice
+ * @param {Object} unit
+ * @param {Object} ruling - From parseRuling()
+ * @param {Object} details - { reason, resolvedBy, method, caseId? }
+ */
+function applyRuling(invoice, unit, ruling, details) {
+  unit.resolution = { ...ruling, ...details };
+  unit.settlementOffer = null;
+  settleEscrow(invoice, unit, ruling, details.resolvedBy);
+}
+
+// ============ MOLTCOURT ============
+
+// MoltCourt outcome -> ruling outcome
+const COURT_OUTCOMES = {
+  release_to_payee: 'release',
+  refund_to_payer: 'refund',
+  split: 'split'
+};
+
+function findUnit(invoices, invoiceId, milestoneId) {
+  const invoice = invoices.find(i => i.id === invoiceId);
+  if (!invoice) return {};
+  const unit = milestoneId ? (invoice.milestones || []).find(m => m.id === milestoneId) : invoice;
+  return { invoice, unit };
+}
+
+// Link court cases to the disputed escrow they are about. MoltCourt only
+// accepts one pending case per dispute, filed by its parties.
+eventBus.subscribe('pay', 'case.filed', 'link-court-case', event => {
+  const { caseId, relatedInvoiceId, relatedMilestoneId } = event.payload;
+  if (!relatedInvoiceId) return;
+
+  const invoices = loadInvoices();
+  const { unit } = findUnit(invoices, relatedInvoiceId, relatedMilestoneId);
+  if (!unit || unit.status !== 'disputed' || unit.courtCaseId === caseId) return;
+
+  unit.courtCaseId = caseId;
+  saveInvoices(invoices);
+});
+
+// Carry out court rulings on disputed escrow. Only the case linked to the
+// escrow counts; anything no longer disputed (settled by its arbiter or the
+// parties first) is left alone.
+eventBus.subscribe('pay', 'case.ruled', 'apply-court-ruling', event => {
+  const { caseId, judge, outcome, payeePercent, relatedInvoiceId, relatedMilestoneId } = event.payload;
+  if (!relatedInvoiceId || !COURT_OUTCOMES[outcome]) return;
+
+  const invoices = loadInvoices();
+  const { invoice, unit } = findUnit(invoices, relatedInvoiceId, relatedMilestoneId);
+  if (!unit || unit.status !== 'disputed' || unit.courtCaseId !== caseId) return;
+
+  const ruling = parseRuling({ outcome: COURT_OUTCOMES[outcome], payeePercent }, unit);
+  if (ruling.error) {
+    console.warn(`[pay] ignoring ruling of case ${caseId}: ${ruling.error}`);
+    return;
+  }
+
+  applyRuling(invoice, unit, ruling, {
+    reason: `MoltCourt case ${caseId}`,
+    resolvedBy: judge,
+    method: 'court',
+    caseId
+  });
+  const events = transitionEvents(invoice, unit, 'disputed');
+  saveInvoices(invoices);
+  publishAll(events, judge);
+});
+
+// Pay out MoltDAO funding allocations: open an invoice from the treasury to the
+// recipient and escrow the allocation in it. The DAO's guardians release it on
+// delivery.
+eventBus.subscribe('pay', 'proposal.executed', 'dao-funding-allocation', event => {
+  const { proposalId, executedBy, payment } = event.payload;
+  if (!payment) return;
+
+  const invoices = loadInvoices();
+  if (invoices.some(i => i.proposalId === proposalId)) return;
+
+  const invoice = newInvoice({
+    from: payment.from,
+    to: payment.to,
+    amount: payment.amount,
+    currency: payment.currency,
+    description: `MoltDAO proposal ${proposalId}: ${payment.purpose}`,
+    proposalId
+  });
+  invoice.payerAccount = payment.account;
+  invoice.payerIds = payment.approvers;
+  invoices.push(invoice);
+
+  const events = [['invoice.created', eventBus.check('invoice.created', invoiceEvent(invoice))]];
+  try {
+    lockEscrow(invoice, invoice, executedBy);
+    events.push(['invoice.funded', eventBus.check('invoice.funded', invoiceEvent(invoice))]);
+  } catch (error) {
+    // Leave it for the treasury to fund by hand
+    console.warn(`[pay] could not fund invoice ${invoice.id} for proposal ${proposalId}: ${error.message}`);
+  }
+  saveInvoices(invoices);
+  publishAll(events, executedBy);
+});
+
+// ============ DIRECT CHARGES ============
+// Services that deliver on payment, like MoltForge's paid templates, charge
+// through an invoice escrowed on the spot. They record what was bought, then
+// release the charge, or refund it if the record couldn't be saved.
+
+/**
+ * Open an invoice and escrow it from the payer's balance at once
+ * @param {Object} fields - As for newInvoice()
+ * @param {string} actor
+ * @returns {Object} The funded invoice
+ * @throws {LedgerError} If the payer can't cover it; nothing is saved then
+ */
+function openCharge(fields, actor) {
+  const invoice = newInvoice(fields);
+  const events = [['invoice.created', eventBus.check('invoice.created', invoiceEvent(invoice))]];
+  lockEscrow(invoice, invoice, actor);
+  events.push(['invoice.funded', eventBus.check('invoice.funded', invoiceEvent(invoice))]);
+
+  const invoices = loadInvoices();
+  invoices.push(invoice);
+  try {
+    saveInvoices(invoices);
+  } catch (error) {
+    refundEscrow(invoice, invoice, { currency: invoice.currency, source: 'pay', actor, memo: `Refund for ${unitLabel(invoice, invoice)}` });
+    throw error;
+  }
+  publishAll(events, actor);
+  return invoice;
+}
+
+/**
+ * Release or refund a charge opened by openCharge()
+ * @param {string} invoiceId
+ * @param {string} outcome - 'release' or 'refund'
+ * @param {string} actor
+ * @returns {Object|null} The invoice, or null if it isn't a funded charge
+ */
+function settleCharge(invoiceId, outcome, actor) {
+  const invoices = loadInvoices();
+  const invoice = invoices.find(i => i.id === invoiceId);
+  if (!invoice || invoice.status !== 'funded') return null;
+
+  settleEscrow(invoice, invoice, parseRuling({ outcome }, invoice), actor);
+  const events = transitionEvents(invoice, invoice, 'funded');
+  saveInvoices(invoices);
+  publishAll(events, actor);
+  return invoice;
+}
+
+/**
+ * Route handler running an escrow action on a whole invoice or, under
+ * /milestones/:milestoneId, on one milestone
+ * @param {Function} action - (req, invoice, unit) => { status, error } | {}
+ * @returns {Function} Express handler
+ */
+function escrowRoute(action) {
+  return (req, res) => {
+    try {
+      const invoices = loadInvoices();
+      const invoice = invoices.find(i => i.id === req.params.id);
+
+      if (!invoice) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+
+      let unit = invoice;
+      if (req.params.milestoneId) {
+        unit = (invoice.milestones || []).find(m => m.id === req.params.milestoneId);
+        if (!unit) {
+          return res.status(404).json({ error: 'Milestone not found' });
+        }
+      } else if (invoice.milestones) {
+        return res.status(409).json({ error: 'Invoice is paid in milestones; act on /milestones/:milestoneId instead' });
+      }
+
+      const previous = unit.status;
+      const result = action(req, invoice, unit);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      const events = transitionEvents(invoice, unit, previous);
+      saveInvoices(invoices);
+      publishAll(events, req.agent.name);
+      res.json(invoice);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+}
+
 // ============ API ENDPOINTS ============
 
 // Health check
 router.get('/health', (req, res) => {
   const invoices = loadInvoices();
   const activeInvoices = invoices.filter(i => 
-    ['created', 'funded', 'disputed'].includes(i.status)
+    ['created', 'funded', 'in_progress', 'disputed'].includes(i.status)
   ).length;
   
   res.json({ 
@@ -67,42 +788,74 @@ router.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Create invoice
-router.post('/api/invoices', (req, res) => {
+// Create invoice (pass `milestones` to pay in ordered stages)
+router.post('/api/invoices', requireAgent('from'), (req, res) => {
   try {
-    const { from, to, amount, currency, description, bountyId } = req.body;
+    const { from, to, amount, currency, description, bountyId, arbiter } = req.body;
     
-    if (!from || !to || !amount || !currency) {
+    if (!from || !to || !currency || (!amount && !req.body.milestones)) {
       return res.status(400).json({ 
-        error: 'from, to, amount, and currency are required' 
+        error: 'from, to, amount (or milestones), and currency are required' 
       });
     }
     
+    let milestones = null;
+    if (req.body.milestones !== undefined) {
+      const built = buildMilestones(req.body.milestones);
+      if (built.error) {
+        return res.status(400).json({ error: built.error });
+      }
+      milestones = built.milestones;
+    }
+    
+    const total = milestones ? round(milestones.reduce((sum, m) => sum + m.amount, 0)) : parseFloat(amount);
+    if (milestones && amount && round(parseFloat(amount)) !== total) {
+      return res.status(400).json({ error: `amount must equal the sum of the milestones (${total})` });
+    }
+    
+    if (!Number.isFinite(total) || total <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    
+    const dueAt = parseDate(req.body.dueAt);
+    const expiresAt = parseDate(req.body.expiresAt);
+    if (dueAt === undefined || expiresAt === undefined) {
+      return res.status(400).json({ error: 'dueAt and expiresAt must be valid dates' });
+    }
+    
+    if (expiresAt && expiresAt.getTime() <= Date.now()) {
+      return res.status(400).json({ error: 'expiresAt must be in the future' });
+    }
+    
+    if (arbiter && [from, to].some(party => normalizeIdentity(party) === normalizeIdentity(arbiter))) {
+      return res.status(400).json({ error: 'arbiter cannot be a party to the invoice' });
+    }
+    
     const invoices = loadInvoices();
-    const invoice = {
-      id: uuidv4(),
+    const invoice = newInvoice({
       from,
       to,
-      amount: parseFloat(amount),
-      currency: currency.toUpperCase(),
-      description: description || '',
-      bountyId: bountyId || null,
-      status: 'created',
-      createdAt: new Date().toISOString(),
-      fundedAt: null,
-      releasedAt: null,
-      disputedAt: null,
-      disputeReason: null,
-      resolvedAt: null,
-      txHash: null
-    };
+      amount: total,
+      currency,
+      description,
+      bountyId,
+      arbiter,
+      dueAt,
+      expiresAt
+    });
     
+    if (milestones) {
+      invoice.milestones = milestones;
+    }
+    
+    const event = eventBus.check('invoice.created', invoiceEvent(invoice));
     invoices.push(invoice);
     saveInvoices(invoices);
+    eventBus.publish('invoice.created', event, { source: 'pay', actor: req.agent.name });
     
     res.status(201).json(invoice);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -135,15 +888,14 @@ router.get('/api/invoices', (req, res) => {
     
     res.json(invoices);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Get single invoice
 router.get('/api/invoices/:id', (req, res) => {
   try {
-    const invoices = loadInvoices();
-    const invoice = invoices.find(i => i.id === req.params.id);
+    const invoice = invoicesStore.get(req.params.id);
     
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
@@ -151,112 +903,55 @@ router.get('/api/invoices/:id', (req, res) => {
     
     res.json(invoice);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Mark invoice as funded (escrow)
-router.post('/api/invoices/:id/fund', (req, res) => {
-  try {
-    const { txHash } = req.body;
-    const invoices = loadInvoices();
-    const invoice = invoices.find(i => i.id === req.params.id);
-    
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-    
-    if (!canTransitionTo(invoice.status, 'funded')) {
-      return res.status(409).json({ 
-        error: `Cannot fund invoice with status '${invoice.status}'` 
-      });
-    }
-    
-    invoice.status = 'funded';
-    invoice.fundedAt = new Date().toISOString();
-    invoice.txHash = txHash || null;
-    
-    saveInvoices(invoices);
-    res.json(invoice);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/api/invoices/:id/fund', requireAgent(), escrowRoute(fundUnit));
 
 // Release escrow to recipient
-router.post('/api/invoices/:id/release', (req, res) => {
-  try {
-    const { txHash } = req.body;
-    const invoices = loadInvoices();
-    const invoice = invoices.find(i => i.id === req.params.id);
-    
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-    
-    if (!canTransitionTo(invoice.status, 'released')) {
-      return res.status(409).json({ 
-        error: `Cannot release invoice with status '${invoice.status}'` 
-      });
-    }
-    
-    invoice.status = 'released';
-    invoice.releasedAt = new Date().toISOString();
-    invoice.resolvedAt = new Date().toISOString();
-    if (txHash) invoice.txHash = txHash;
-    
-    saveInvoices(invoices);
-    res.json(invoice);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/api/invoices/:id/release', requireAgent(), escrowRoute(releaseUnit));
 
 // Open dispute
-router.post('/api/invoices/:id/dispute', (req, res) => {
-  try {
-    const { reason } = req.body;
-    const invoices = loadInvoices();
-    const invoice = invoices.find(i => i.id === req.params.id);
-    
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-    
-    if (!canTransitionTo(invoice.status, 'disputed')) {
-      return res.status(409).json({ 
-        error: `Cannot dispute invoice with status '${invoice.status}'` 
-      });
-    }
-    
-    invoice.status = 'disputed';
-    invoice.disputedAt = new Date().toISOString();
-    invoice.disputeReason = reason || 'No reason provided';
-    
-    saveInvoices(invoices);
-    res.json(invoice);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/api/invoices/:id/dispute', requireAgent(), escrowRoute(disputeUnit));
+
+// Refund escrow to the payer
+router.post('/api/invoices/:id/refund', requireAgent(), escrowRoute(refundUnit));
+
+// Resolve a dispute: release, refund or split the escrow
+router.post('/api/invoices/:id/resolve', requireAgent(), escrowRoute(resolveUnit));
+
+// Milestone actions: same lifecycle, one milestone at a time.
+// Milestones can be funded in any order but are released in order.
+router.post('/api/invoices/:id/milestones/:milestoneId/fund', requireAgent(), escrowRoute(fundUnit));
+router.post('/api/invoices/:id/milestones/:milestoneId/release', requireAgent(), escrowRoute(releaseUnit));
+router.post('/api/invoices/:id/milestones/:milestoneId/dispute', requireAgent(), escrowRoute(disputeUnit));
+router.post('/api/invoices/:id/milestones/:milestoneId/refund', requireAgent(), escrowRoute(refundUnit));
+router.post('/api/invoices/:id/milestones/:milestoneId/resolve', requireAgent(), escrowRoute(resolveUnit));
 
 // Get payment stats
 router.get('/api/stats', (req, res) => {
   try {
     const invoices = loadInvoices();
+    const plain = invoices.filter(i => !i.milestones);
+    const milestones = invoices.flatMap(i => (i.milestones || []).map(m => ({ ...m, to: i.to })));
     
-    // Total volume (released invoices only)
-    const releasedInvoices = invoices.filter(i => i.status === 'released');
-    const totalVolume = releasedInvoices.reduce((sum, i) => sum + i.amount, 0);
+    // Every escrow unit: plain invoices and individual milestones
+    const units = [...plain, ...milestones];
     
-    // Active escrows (funded invoices)
-    const activeEscrows = invoices.filter(i => i.status === 'funded');
-    const escrowTotal = activeEscrows.reduce((sum, i) => sum + i.amount, 0);
+    // Total volume (what has been paid out to payees)
+    const paidUnits = units.filter(u => payeeShare(u) > 0);
+    const totalVolume = paidUnits.reduce((sum, u) => sum + payeeShare(u), 0);
+    
+    // Active escrows (funded or disputed units)
+    const activeEscrows = units.filter(u => u.status === 'funded' || u.status === 'disputed');
+    const escrowTotal = activeEscrows.reduce((sum, u) => sum + u.amount, 0);
     
     // Top earners
     const earningsMap = {};
-    releasedInvoices.forEach(i => {
-      earningsMap[i.to] = (earningsMap[i.to] || 0) + i.amount;
+    paidUnits.forEach(u => {
+      earningsMap[u.to] = (earningsMap[u.to] || 0) + payeeShare(u);
     });
     const topEarners = Object.entries(earningsMap)
       .sort(([, a], [, b]) => b - a)
@@ -269,19 +964,43 @@ router.get('/api/stats', (req, res) => {
       statusCounts[i.status] = (statusCounts[i.status] || 0) + 1;
     });
     
+    // Per-milestone volume
+    const milestoneStatusCounts = {};
+    milestones.forEach(m => {
+      milestoneStatusCounts[m.status] = (milestoneStatusCounts[m.status] || 0) + 1;
+    });
+    const paidMilestones = milestones.filter(m => payeeShare(m) > 0);
+    const escrowedMilestones = milestones.filter(m => m.status === 'funded' || m.status === 'disputed');
+    
     res.json({
       totalVolume: totalVolume.toFixed(2),
-      completedPayments: releasedInvoices.length,
+      completedPayments: paidUnits.length,
       activeEscrows: activeEscrows.length,
       escrowTotal: escrowTotal.toFixed(2),
       totalInvoices: invoices.length,
       topEarners,
       statusBreakdown: statusCounts,
+      milestones: {
+        invoices: invoices.length - plain.length,
+        total: milestones.length,
+        completed: paidMilestones.length,
+        volume: paidMilestones.reduce((sum, m) => sum + payeeShare(m), 0).toFixed(2),
+        escrowed: escrowedMilestones.length,
+        escrowTotal: escrowedMilestones.reduce((sum, m) => sum + m.amount, 0).toFixed(2),
+        averageAmount: milestones.length > 0
+          ? (milestones.reduce((sum, m) => sum + m.amount, 0) / milestones.length).toFixed(2)
+          : '0.00',
+        statusBreakdown: milestoneStatusCounts
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
+// Direct charges for other services; see openCharge()
+router.openCharge = openCharge;
+router.settleCharge = settleCharge;
+
 module.exports = router;
@@ -1,54 +1,38 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/pulse');
-const EVENTS_FILE = path.join(DATA_DIR, 'events.json');
-const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
-const RULES_FILE = path.join(DATA_DIR, 'rules.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const eventsStore = storage.collection('pulse', 'events');
+const alertsStore = storage.collection('pulse', 'alerts');
+const rulesStore = storage.collection('pulse', 'rules');
 
 // Helper functions
 function loadEvents() {
-  try {
-    return JSON.parse(fs.readFileSync(EVENTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return eventsStore.all();
 }
 
 function saveEvents(events) {
-  fs.writeFileSync(EVENTS_FILE, JSON.stringify(events, null, 2));
+  eventsStore.replace(events);
 }
 
 function loadAlerts() {
-  try {
-    return JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return alertsStore.all();
 }
 
 function saveAlerts(alerts) {
-  fs.writeFileSync(ALERTS_FILE, JSON.stringify(alerts, null, 2));
+  alertsStore.replace(alerts);
 }
 
 function loadRules() {
-  try {
-    return JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return rulesStore.all();
 }
 
 function saveRules(rules) {
-  fs.writeFileSync(RULES_FILE, JSON.stringify(rules, null, 2));
+  rulesStore.replace(rules);
 }
 
 function calculateHeartbeat() {
@@ -181,27 +165,15 @@ router.get('/api/timeline', (req, res) => {
   res.json(timeline);
 });
 
-// Log event
-router.post('/api/events', (req, res) => {
-  const { eventType, type, source, agent, agentId, metadata, timestamp } = req.body;
-  
-  // Support both new (eventType/source) and legacy (type/agent) field names
-  // Also support agentId as an alias
-  const finalEventType = eventType || type;
-  const finalSource = source || agent || agentId || 'unknown';
-  
-  if (!finalEventType) {
-    return res.status(400).json({ success: false, error: 'eventType (or type) is required' });
-  }
-  
+function recordEvent(eventType, source, metadata, timestamp) {
   const events = loadEvents();
   
   const event = {
     id: uuidv4(),
-    eventType: finalEventType,
-    type: finalEventType, // Store both for backwards compatibility
-    source: finalSource,
-    agent: finalSource, // Store both for backwards compatibility
+    eventType,
+    type: eventType, // Store both for backwards compatibility
+    source,
+    agent: source, // Store both for backwards compatibility
     metadata: metadata || {},
     timestamp: timestamp || new Date().toISOString()
   };
@@ -218,6 +190,34 @@ router.post('/api/events', (req, res) => {
   // Check alert rules
   checkAlertRules();
   
+  return event;
+}
+
+// Mirror every domain event from the bus into the pulse feed
+eventBus.subscribe('pulse', '*', 'activity-feed', event => {
+  if (loadEvents().some(e => e.metadata && e.metadata.busEventId === event.id)) return;
+  recordEvent(event.type, event.actor || event.source, {
+    ...event.payload,
+    service: event.source,
+    busEventId: event.id
+  }, event.createdAt);
+});
+
+// Log event
+router.post('/api/events', requireAgent(), (req, res) => {
+  const { eventType, type, source, agent, agentId, metadata, timestamp } = req.body;
+  
+  // Support both new (eventType/source) and legacy (type/agent) field names
+  // Also support agentId as an alias
+  const finalEventType = eventType || type;
+  const finalSource = source || agent || agentId || 'unknown';
+  
+  if (!finalEventType) {
+    return res.status(400).json({ success: false, error: 'eventType (or type) is required' });
+  }
+  
+  const event = recordEvent(finalEventType, finalSource, metadata, timestamp);
+  
   res.status(201).json({
     success: true,
     id: event.id,
@@ -268,7 +268,7 @@ router.get('/api/alerts', (req, res) => {
 });
 
 // Create alert rule
-router.post('/api/alerts/rules', (req, res) => {
+router.post('/api/alerts/rules', requireAgent(), (req, res) => {
   const { metric, threshold, direction } = req.body;
   
   if (!metric || threshold === undefined || !direction) {
@@ -308,7 +308,7 @@ router.get('/api/alerts/rules', (req, res) => {
 });
 
 // Delete alert rule
-router.delete('/api/alerts/rules/:id', (req, res) => {
+router.delete('/api/alerts/rules/:id', requireAgent(), (req, res) => {
   let rules = loadRules();
   const index = rules.findIndex(r => r.id === req.params.id);
   
@@ -322,4 +322,49 @@ router.delete('/api/alerts/rules/:id', (req, res) => {
   res.json({ success: true });
 });
 
+// ===== EVENT BUS =====
+
+// List domain events published by the services
+router.get('/api/bus/events', (req, res) => {
+  const { type, source, limit } = req.query;
+  res.json(eventBus.listEvents({
+    type,
+    source,
+    limit: Math.min(parseInt(limit) || 100, 1000)
+  }));
+});
+
+// List handler deliveries (pending, delivered, dead)
+router.get('/api/bus/deliveries', (req, res) => {
+  const { status, subscriber, limit } = req.query;
+  res.json(eventBus.listDeliveries({
+    status,
+    subscriber,
+    limit: Math.min(parseInt(limit) || 100, 1000)
+  }));
+});
+
+// List registered event types and subscriptions
+router.get('/api/bus/subscriptions', (req, res) => {
+  res.json({
+    eventTypes: eventBus.EVENT_TYPES,
+    subscriptions: eventBus.listSubscriptions()
+  });
+});
+
+// Retry a failed delivery
+router.post('/api/bus/deliveries/:id/retry', requireAgent(), (req, res) => {
+  const delivery = eventBus.retryDelivery(req.params.id);
+  
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  
+  if (delivery.status === 'delivered') {
+    return res.status(409).json({ error: 'Delivery already succeeded' });
+  }
+  
+  res.json(delivery);
+});
+
 module.exports = router;
@@ -1,23 +1,19 @@
 const express = require('express');
 const fetch = require('node-fetch');
-const fs = require('fs');
 const path = require('path');
+const { requireAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
 
 const router = express.Router();
 const MOLTBOOK_API = 'https://moltbook.fly.dev/api';
 const API_KEY = process.env.MOLTBOOK_API_KEY || 'moltbook_sk_FrfNTK2tHCYxm004W3aWm12G5tecUWyV';
-const DATA_DIR = path.join(__dirname, '../../data/rank');
-
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-
 // --- Data Storage ---
 function loadJSON(name) {
-  const p = path.join(DATA_DIR, `${name}.json`);
-  if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, 'utf8'));
-  return null;
+  return storage.collection('rank', name, { defaultValue: null }).all();
 }
 function saveJSON(name, data) {
-  fs.writeFileSync(path.join(DATA_DIR, `${name}.json`), JSON.stringify(data, null, 2));
+  storage.collection('rank', name, { defaultValue: null }).replace(data);
 }
 
 let lastScores = loadJSON('scores');
@@ -52,6 +48,65 @@ function addInteraction(interaction) {
   return interactions[interactions.length - 1];
 }
 
+// Record each cross-service interaction once, even if its event is redelivered
+function addInteractionFromEvent(event, interaction) {
+  const interactions = loadJSON('interactions') || [];
+  if (interactions.some(i => i.eventId === event.id)) return;
+  addInteraction({ ...interaction, eventId: event.id, timestamp: event.createdAt });
+}
+
+const stripAt = name => String(name).replace(/^@/, '');
+
+// --- Event Subscriptions ---
+eventBus.subscribe('rank', 'invoice.released', 'payment-interaction', event => {
+  const { invoiceId, from, to, amount, currency } = event.payload;
+  addInteractionFromEvent(event, {
+    agent1: stripAt(from),
+    agent2: stripAt(to),
+    type: 'payment',
+    outcome: 'success',
+    projectUrl: null,
+    description: `Paid ${amount} ${currency} (invoice ${invoiceId})`
+  });
+});
+
+eventBus.subscribe('rank', 'bounty.verified', 'bounty-interaction', event => {
+  const { bountyId, poster, claimedBy } = event.payload;
+  addInteractionFromEvent(event, {
+    agent1: stripAt(poster),
+    agent2: stripAt(claimedBy),
+    type: 'bounty',
+    outcome: 'success',
+    projectUrl: null,
+    description: `Bounty ${bountyId} completed and verified`
+  });
+});
+
+// Loans count for the borrower when repaid and against them when defaulted
+eventBus.subscribe('rank', 'loan.repaid', 'loan-repaid-interaction', event => {
+  const { loanId, borrower, lender, amount } = event.payload;
+  addInteractionFromEvent(event, {
+    agent1: stripAt(borrower),
+    agent2: stripAt(lender),
+    type: 'loan',
+    outcome: 'success',
+    projectUrl: null,
+    description: `Repaid a loan of ${amount} (loan ${loanId})`
+  });
+});
+
+eventBus.subscribe('rank', 'loan.defaulted', 'loan-defaulted-interaction', event => {
+  const { loanId, borrower, lender, amount } = event.payload;
+  addInteractionFromEvent(event, {
+    agent1: stripAt(borrower),
+    agent2: stripAt(lender),
+    type: 'loan',
+    outcome: 'failure',
+    projectUrl: null,
+    description: `Defaulted on a loan of ${amount} (loan ${loanId})`
+  });
+});
+
 function addVouch(vouch) {
   const vouches = loadJSON('vouches') || [];
   const existing = vouches.find(v => 
@@ -527,7 +582,7 @@ router.get('/api/pagerank', (req, res) => {
   }
 });
 
-router.post('/api/interactions', (req, res) => {
+router.post('/api/interactions', requireAgent('agent1'), (req, res) => {
   const { agent1, agent2, type, outcome, projectUrl, description } = req.body;
   
   if (!agent1 || !agent2) {
@@ -546,7 +601,7 @@ router.post('/api/interactions', (req, res) => {
   res.status(201).json(interaction);
 });
 
-router.post('/api/vouch', (req, res) => {
+router.post('/api/vouch', requireAgent('from'), (req, res) => {
   const { from, for: forAgent, message } = req.body;
   
   if (!from || !forAgent) {
@@ -568,7 +623,7 @@ router.post('/api/vouch', (req, res) => {
 
 // --- Graph Interaction Endpoints ---
 
-router.post('/api/graph/interact', (req, res) => {
+router.post('/api/graph/interact', requireAgent('sourceAgent'), (req, res) => {
   const { sourceAgent, targetAgent, interactionType, weight, metadata } = req.body;
   
   if (!sourceAgent || !targetAgent) {
@@ -594,10 +649,7 @@ router.post('/api/graph/interact', (req, res) => {
   saveJSON('graph-interactions', graphInteractions);
   
   // Invalidate reputation graph cache to force rebuild from ALL data sources
-  const graphPath = path.join(DATA_DIR, 'reputation_graph.json');
-  if (fs.existsSync(graphPath)) {
-    fs.unlinkSync(graphPath);
-  }
+  saveJSON('reputation_graph', null);
   
   // Force a full rebuild by calling getReputationGraph() which will reload all data
   getReputationGraph();
@@ -633,7 +685,7 @@ router.get('/api/trust/:agentName', (req, res) => {
   });
 });
 
-router.post('/api/refresh', async (req, res) => {
+router.post('/api/refresh', requireAgent(), async (req, res) => {
   res.json({ message: 'Refresh triggered (background task)' });
   // In the full version, this would trigger data collection
 });
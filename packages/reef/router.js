@@ -1,40 +1,159 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const eventBus = require('../shared/events');
+// Shared money ledger; `ledger` below is the pool activity log
+const moltLedger = require('../shared/ledger');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/reef');
-const POOLS_FILE = path.join(DATA_DIR, 'pools.json');
-const LEDGER_FILE = path.join(DATA_DIR, 'ledger.json');
+const poolsStore = storage.collection('reef', 'pools');
+const ledgerStore = storage.collection('reef', 'ledger');
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+// Sharing policy for pools created without one
+const DEFAULT_POLICY = process.env.REEF_DEFAULT_POLICY || 'proportional';
+
+// Under tit-for-tat, how many times their contributions an agent may consume
+const DEFAULT_RECIPROCITY = parseFloat(process.env.REEF_RECIPROCITY || '1.5');
+
+// Under free-rider-limit, how much more than their contributions any agent may consume
+const DEFAULT_FREE_RIDER_LIMIT = parseFloat(process.env.REEF_FREE_RIDER_LIMIT || '10');
+
+// How much of a pool each agent may consume
+const SHARING_POLICIES = {
+  'proportional': 'Agents may consume their share of the pool, i.e. what they contributed less what they consumed; others nothing',
+  'tit-for-tat': 'Contributors may consume `reciprocity` times what they contributed, drawing on idle contributions; others nothing',
+  'free-rider-limit': 'Agents may consume what they contributed plus `freeRiderLimit`, so agents who contributed nothing are capped at `freeRiderLimit`'
+};
+
+function round(amount) {
+  return Math.round(amount * 1e8) / 1e8;
 }
 
-function loadPools() {
-  try {
-    return JSON.parse(fs.readFileSync(POOLS_FILE, 'utf8'));
-  } catch {
-    return [];
+function parseAmount(value) {
+  const amount = typeof value === 'string' ? Number(value) : value;
+  return typeof amount === 'number' && Number.isFinite(amount) && amount > 0 ? round(amount) : null;
+}
+
+// Policy and settings of a pool; pools from before policies use the defaults
+function poolPolicy(pool) {
+  const settings = { policy: pool.policy || DEFAULT_POLICY };
+  if (settings.policy === 'tit-for-tat') {
+    settings.reciprocity = pool.reciprocity !== undefined ? pool.reciprocity : DEFAULT_RECIPROCITY;
+  }
+  if (settings.policy === 'free-rider-limit') {
+    settings.freeRiderLimit = pool.freeRiderLimit !== undefined ? pool.freeRiderLimit : DEFAULT_FREE_RIDER_LIMIT;
+  }
+  return settings;
+}
+
+/**
+ * What an agent may still consume from a pool under its policy, before the
+ * pool's available balance is taken into account. Consumption is paid out of
+ * the pool, so no policy lets an agent take an open-ended amount of other
+ * agents' contributions.
+ * @param {Object} pool
+ * @param {Object} position - { contributed, consumed }
+ * @returns {number}
+ */
+function entitlement(pool, position) {
+  const { policy, reciprocity, freeRiderLimit } = poolPolicy(pool);
+  const { contributed, consumed } = position;
+
+  if (policy === 'tit-for-tat') {
+    return contributed * reciprocity - consumed;
+  }
+  if (policy === 'free-rider-limit') {
+    return contributed + freeRiderLimit - consumed;
+  }
+  // Everything in a pool was contributed, so an agent's proportional share of it is their own contribution
+  return contributed - consumed;
+}
+
+/**
+ * Per-agent contributions, consumption and what each may still consume
+ * @param {Object} pool
+ * @returns {Object} { available, positions } - positions sorted by net position
+ */
+function poolPositions(pool) {
+  const byAgent = new Map();
+  loadLedger()
+    .filter(e => e.poolId === pool.id)
+    .forEach(e => {
+      const key = normalizeIdentity(e.agent);
+      const position = byAgent.get(key) || { agent: e.agent, contributed: 0, consumed: 0 };
+      if (e.type === 'contribute') position.contributed = round(position.contributed + e.amount);
+      if (e.type === 'consume') position.consumed = round(position.consumed + e.amount);
+      byAgent.set(key, position);
+    });
+
+  const available = moltLedger.balance(moltLedger.poolAccount('reef', pool.id));
+  const totalContributed = [...byAgent.values()].reduce((sum, p) => sum + p.contributed, 0);
+
+  const positions = [...byAgent.values()].map(p => ({
+    ...p,
+    net: round(p.contributed - p.consumed),
+    share: totalContributed > 0 ? round(p.contributed / totalContributed) : 0,
+    allowance: round(Math.max(0, Math.min(available, entitlement(pool, p))))
+  }));
+  positions.sort((a, b) => b.net - a.net);
+
+  return { available, totalContributed, positions };
+}
+
+/**
+ * What one agent may consume from a pool right now
+ * @param {Object} pool
+ * @param {string} agent
+ * @returns {number}
+ */
+function allowanceFor(pool, agent) {
+  const { available, positions } = poolPositions(pool);
+  const position = positions.find(p => normalizeIdentity(p.agent) === normalizeIdentity(agent));
+  if (position) return position.allowance;
+
+  const fresh = { contributed: 0, consumed: 0 };
+  return round(Math.max(0, Math.min(available, entitlement(pool, fresh))));
+}
+
+// Policy fields of a new pool, or { error }
+function parsePolicy(body) {
+  const policy = body.policy || DEFAULT_POLICY;
+  if (!SHARING_POLICIES[policy]) {
+    return { error: `policy must be one of: ${Object.keys(SHARING_POLICIES).join(', ')}` };
+  }
+
+  const settings = { policy };
+  if (policy === 'tit-for-tat') {
+    settings.reciprocity = body.reciprocity !== undefined ? Number(body.reciprocity) : DEFAULT_RECIPROCITY;
+    if (!Number.isFinite(settings.reciprocity) || settings.reciprocity <= 0) {
+      return { error: 'reciprocity must be a positive number' };
+    }
+  }
+  if (policy === 'free-rider-limit') {
+    settings.freeRiderLimit = body.freeRiderLimit !== undefined ? Number(body.freeRiderLimit) : DEFAULT_FREE_RIDER_LIMIT;
+    if (!Number.isFinite(settings.freeRiderLimit) || settings.freeRiderLimit < 0) {
+      return { error: 'freeRiderLimit must be a number of at least 0' };
+    }
   }
+  return { settings };
+}
+
+function loadPools() {
+  return poolsStore.all();
 }
 
 function savePools(pools) {
-  fs.writeFileSync(POOLS_FILE, JSON.stringify(pools, null, 2));
+  poolsStore.replace(pools);
 }
 
 function loadLedger() {
-  try {
-    return JSON.parse(fs.readFileSync(LEDGER_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return ledgerStore.all();
 }
 
 function saveLedger(ledger) {
-  fs.writeFileSync(LEDGER_FILE, JSON.stringify(ledger, null, 2));
+  ledgerStore.replace(ledger);
 }
 
 // Serve dashboard
@@ -56,7 +175,7 @@ router.get('/health', (req, res) => {
 });
 
 // Create resource pool
-router.post('/api/pools', (req, res) => {
+router.post('/api/pools', requireAgent('creator'), (req, res) => {
   const { name, description, type, creator } = req.body;
   
   if (!name || !type || !creator) {
@@ -68,6 +187,11 @@ router.post('/api/pools', (req, res) => {
     return res.status(400).json({ error: `type must be one of: ${validTypes.join(', ')}` });
   }
   
+  const { settings, error } = parsePolicy(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
   const pools = loadPools();
   
   const pool = {
@@ -76,17 +200,25 @@ router.post('/api/pools', (req, res) => {
     description: description || '',
     type,
     creator,
+    ...settings,
     totalContributions: 0,
     totalConsumption: 0,
     contributors: [],
     createdAt: new Date().toISOString()
   };
   
+  const event = eventBus.check('pool.created', { poolId: pool.id, creator, type, policy: pool.policy });
   pools.push(pool);
   savePools(pools);
+  eventBus.publish('pool.created', event, { source: 'reef', actor: req.agent.name });
   res.status(201).json(pool);
 });
 
+// Sharing policies a pool can use
+router.get('/api/policies', (req, res) => {
+  res.json(SHARING_POLICIES);
+});
+
 // List pools
 router.get('/api/pools', (req, res) => {
   const pools = loadPools();
@@ -107,13 +239,15 @@ router.get('/api/pools/:id', (req, res) => {
   
   res.json({
     ...pool,
+    ...poolPolicy(pool),
+    balance: moltLedger.balance(moltLedger.poolAccount('reef', pool.id)),
     recentActivity: poolEntries.slice(-10).reverse()
   });
 });
 
 // Contribute to pool
-router.post('/api/pools/:id/contribute', (req, res) => {
-  const { agent, amount, resourceType } = req.body;
+router.post('/api/pools/:id/contribute', requireAgent('agent'), (req, res) => {
+  const { agent, resourceType } = req.body;
   const pools = loadPools();
   const pool = pools.find(p => p.id === req.params.id);
   
@@ -121,12 +255,25 @@ router.post('/api/pools/:id/contribute', (req, res) => {
     return res.status(404).json({ error: 'Pool not found' });
   }
   
+  const amount = parseAmount(req.body.amount);
   if (!agent || !amount) {
-    return res.status(400).json({ error: 'agent and amount are required' });
+    return res.status(400).json({ error: 'agent and a positive amount are required' });
+  }
+  
+  const event = eventBus.check('pool.contributed', { poolId: pool.id, agent, amount });
+  let posting;
+  try {
+    posting = moltLedger.transfer(moltLedger.agentAccount(agent), moltLedger.poolAccount('reef', pool.id), amount, {
+      memo: `Contribution to pool ${pool.name}`,
+      source: 'reef',
+      actor: req.agent.name
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
   }
   
   // Update pool
-  pool.totalContributions += amount;
+  pool.totalContributions = round(pool.totalContributions + amount);
   if (!pool.contributors.includes(agent)) {
     pool.contributors.push(agent);
   }
@@ -141,17 +288,19 @@ router.post('/api/pools/:id/contribute', (req, res) => {
     agent,
     amount,
     resourceType: resourceType || pool.type,
+    ledgerEntryId: posting.id,
     timestamp: new Date().toISOString()
   };
   ledger.push(entry);
   saveLedger(ledger);
+  eventBus.publish('pool.contributed', event, { source: 'reef', actor: req.agent.name });
   
   res.status(201).json(entry);
 });
 
 // Consume from pool
-router.post('/api/pools/:id/consume', (req, res) => {
-  const { agent, amount } = req.body;
+router.post('/api/pools/:id/consume', requireAgent('agent'), (req, res) => {
+  const { agent } = req.body;
   const pools = loadPools();
   const pool = pools.find(p => p.id === req.params.id);
   
@@ -159,12 +308,36 @@ router.post('/api/pools/:id/consume', (req, res) => {
     return res.status(404).json({ error: 'Pool not found' });
   }
   
+  const amount = parseAmount(req.body.amount);
   if (!agent || !amount) {
-    return res.status(400).json({ error: 'agent and amount are required' });
+    return res.status(400).json({ error: 'agent and a positive amount are required' });
+  }
+  
+  // Meter consumption against the agent's share under the pool's policy
+  const allowance = allowanceFor(pool, agent);
+  if (amount > allowance) {
+    return res.status(409).json({
+      error: `${agent} may consume at most ${allowance} from this pool under its ${poolPolicy(pool).policy} policy`,
+      allowance
+    });
+  }
+  
+  const event = eventBus.check('pool.consumed', { poolId: pool.id, agent, amount });
+  
+  // The pool can only pay out what has been contributed
+  let posting;
+  try {
+    posting = moltLedger.transfer(moltLedger.poolAccount('reef', pool.id), moltLedger.agentAccount(agent), amount, {
+      memo: `Consumption from pool ${pool.name}`,
+      source: 'reef',
+      actor: req.agent.name
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
   }
   
   // Update pool
-  pool.totalConsumption += amount;
+  pool.totalConsumption = round(pool.totalConsumption + amount);
   savePools(pools);
   
   // Add ledger entry
@@ -175,19 +348,33 @@ router.post('/api/pools/:id/consume', (req, res) => {
     type: 'consume',
     agent,
     amount,
+    ledgerEntryId: posting.id,
     timestamp: new Date().toISOString()
   };
   ledger.push(entry);
   saveLedger(ledger);
+  eventBus.publish('pool.consumed', event, { source: 'reef', actor: req.agent.name });
   
   res.status(201).json(entry);
 });
 
-// Get pool ledger
+// Get pool ledger: per-agent net positions and the activity behind them
 router.get('/api/pools/:id/ledger', (req, res) => {
-  const ledger = loadLedger();
-  const poolLedger = ledger.filter(e => e.poolId === req.params.id);
-  res.json(poolLedger);
+  const pool = loadPools().find(p => p.id === req.params.id);
+  
+  if (!pool) {
+    return res.status(404).json({ error: 'Pool not found' });
+  }
+  
+  const { available, totalContributed, positions } = poolPositions(pool);
+  res.json({
+    poolId: pool.id,
+    ...poolPolicy(pool),
+    available,
+    totalContributed,
+    positions,
+    entries: loadLedger().filter(e => e.poolId === pool.id)
+  });
 });
 
 // Get ecosystem stats
@@ -10,11 +10,13 @@ class MoltKit {
    * Create a new MoltKit instance
    * @param {Object} options - Configuration options
    * @param {string} [options.baseUrl='https://moltos.up.railway.app'] - Base URL for MoltOS services
-   * @param {string} [options.apiKey] - Moltbook API key (required for write operations)
+   * @param {string} [options.apiKey] - Moltbook API key (required for Moltbook write operations)
+   * @param {string} [options.moltAuthKey] - MoltAuth API key (molt_...), required for MoltOS write operations
    */
   constructor(options = {}) {
     this.baseUrl = options.baseUrl || 'https://moltos.up.railway.app';
     this.apiKey = options.apiKey;
+    this.moltAuthKey = options.moltAuthKey;
     
     // Initialize service clients
     this.reputation = new ReputationClient(this);
@@ -23,6 +25,7 @@ class MoltKit {
     this.rank = new RankClient(this);
     this.market = new MarketClient(this);
     this.pay = new PayClient(this);
+    this.ledger = new LedgerClient(this);
     this.auth = new AuthClient(this);
     this.graph = new GraphClient(this);
     this.pulse = new PulseClient(this);
@@ -63,6 +66,11 @@ class MoltKit {
         }
       };
 
+      // Authenticate MoltOS requests as the agent owning the MoltAuth key
+      if (this.moltAuthKey && url.startsWith(this.baseUrl) && !reqOptions.headers['Authorization']) {
+        reqOptions.headers['Authorization'] = `Bearer ${this.moltAuthKey}`;
+      }
+
       if (options.body) {
         const bodyStr = JSON.stringify(options.body);
         reqOptions.headers['Content-Length'] = Buffer.byteLength(bodyStr);
@@ -173,12 +181,11 @@ class BoardClient {
   }
 
   async create(listing) {
-    if (!this.kit.apiKey) {
-      return { success: false, error: 'API key required for creating listings' };
+    if (!this.kit.moltAuthKey) {
+      return { success: false, error: 'MoltAuth key required for creating listings' };
     }
     return this.kit._request(`${this.baseUrl}/api/listings`, {
       method: 'POST',
-      headers: { 'Authorization': `Bearer ${this.kit.apiKey}` },
       body: listing
     });
   }
@@ -323,11 +330,88 @@ class PayClient {
     });
   }
 
+  async refundInvoice(id, reason) {
+    return this.kit._request(`${this.baseUrl}/api/invoices/${id}/refund`, {
+      method: 'POST',
+      body: { reason }
+    });
+  }
+
+  /**
+   * Act on one milestone of a milestone invoice
+   * @param {string} id - Invoice id
+   * @param {string} milestoneId
+   * @param {string} action - 'fund', 'release', 'dispute', 'refund' or 'resolve'
+   * @param {Object} [body] - e.g. { reason } or a ruling for 'resolve'
+   */
+  async milestoneAction(id, milestoneId, action, body = {}) {
+    return this.kit._request(`${this.baseUrl}/api/invoices/${id}/milestones/${milestoneId}/${action}`, {
+      method: 'POST',
+      body
+    });
+  }
+
+  /**
+   * Resolve a disputed invoice
+   * @param {string} id
+   * @param {Object} ruling - { outcome: 'release'|'refund'|'split', payeeAmount?, payeePercent?, reason? }
+   */
+  async resolveDispute(id, ruling) {
+    return this.kit._request(`${this.baseUrl}/api/invoices/${id}/resolve`, {
+      method: 'POST',
+      body: ruling
+    });
+  }
+
   async getStats() {
     return this.kit._request(`${this.baseUrl}/api/stats`);
   }
 }
 
+/**
+ * Balances & transfers client (MoltLedger)
+ */
+class LedgerClient {
+  constructor(kit) {
+    this.kit = kit;
+  }
+
+  get baseUrl() {
+    return `${this.kit.baseUrl}/ledger`;
+  }
+
+  async getStatement(agent, filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.kit._request(`${this.baseUrl}/api/accounts/${encodeURIComponent(agent)}?${params}`);
+  }
+
+  async getEntries(account, filters = {}) {
+    const params = new URLSearchParams({ ...filters, account });
+    return this.kit._request(`${this.baseUrl}/api/entries?${params}`);
+  }
+
+  async transfer(to, amount, options = {}) {
+    return this.kit._request(`${this.baseUrl}/api/transfers`, {
+      method: 'POST',
+      body: { to, amount, ...options }
+    });
+  }
+
+  async withdraw(amount, options = {}) {
+    return this.kit._request(`${this.baseUrl}/api/withdrawals`, {
+      method: 'POST',
+      body: { amount, ...options }
+    });
+  }
+
+  async deposit(deposit) {
+    return this.kit._request(`${this.baseUrl}/api/deposits`, {
+      method: 'POST',
+      body: deposit
+    });
+  }
+}
+
 /**
  * Authentication & identity client (MoltAuth)
  */
@@ -355,10 +439,17 @@ class AuthClient {
     return this.kit._request(`${this.baseUrl}/api/agents/${id}`);
   }
 
-  async createApiKey(agentId, name) {
+  async createApiKey(agentId, name, options = {}) {
     return this.kit._request(`${this.baseUrl}/api/agents/${agentId}/keys`, {
       method: 'POST',
-      body: { name }
+      body: { name, ...options }
+    });
+  }
+
+  async rotateApiKey(agentId, keyId, gracePeriodSeconds) {
+    return this.kit._request(`${this.baseUrl}/api/agents/${agentId}/keys/${keyId}/rotate`, {
+      method: 'POST',
+      body: { gracePeriodSeconds }
     });
   }
 
@@ -632,6 +723,19 @@ class DaoClient {
     return this.kit._request(`${this.baseUrl}/api/proposals/${proposalId}/results`);
   }
 
+  async listVotingMethods() {
+    return this.kit._request(`${this.baseUrl}/api/voting-methods`);
+  }
+
+  async listPowerStrategies() {
+    return this.kit._request(`${this.baseUrl}/api/power-strategies`);
+  }
+
+  async getSnapshot(proposalId, agent) {
+    const params = new URLSearchParams(agent ? { agent } : {});
+    return this.kit._request(`${this.baseUrl}/api/proposals/${proposalId}/snapshot?${params}`);
+  }
+
   async delegate(delegation) {
     return this.kit._request(`${this.baseUrl}/api/delegates`, {
       method: 'POST',
@@ -642,6 +746,40 @@ class DaoClient {
   async getDelegation(agent) {
     return this.kit._request(`${this.baseUrl}/api/delegates/${encodeURIComponent(agent)}`);
   }
+
+  async execute(proposalId) {
+    return this.kit._request(`${this.baseUrl}/api/proposals/${proposalId}/execute`, {
+      method: 'POST'
+    });
+  }
+
+  async cancel(proposalId, reason) {
+    return this.kit._request(`${this.baseUrl}/api/proposals/${proposalId}/cancel`, {
+      method: 'POST',
+      body: { reason }
+    });
+  }
+
+  async revert(proposalId, reason) {
+    return this.kit._request(`${this.baseUrl}/api/proposals/${proposalId}/revert`, {
+      method: 'POST',
+      body: { reason }
+    });
+  }
+
+  async listExecutions(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.kit._request(`${this.baseUrl}/api/executions?${params}`);
+  }
+
+  async listParameters() {
+    return this.kit._request(`${this.baseUrl}/api/parameters`);
+  }
+
+  async getTreasury(currency) {
+    const params = new URLSearchParams(currency ? { currency } : {});
+    return this.kit._request(`${this.baseUrl}/api/treasury?${params}`);
+  }
 }
 
 /**
@@ -679,6 +817,11 @@ class CourtClient {
     });
   }
 
+  /**
+   * Rule on a case. Cases about a MoltPay invoice need an escrow outcome.
+   * @param {string} caseId
+   * @param {Object} ruling - { judge, reasoning, decision?, outcome?: 'release_to_payee'|'refund_to_payer'|'split', payeePercent? }
+   */
   async submitRuling(caseId, ruling) {
     return this.kit._request(`${this.baseUrl}/api/cases/${caseId}/ruling`, {
       method: 'POST',
@@ -686,16 +829,89 @@ class CourtClient {
     });
   }
 
+  /**
+   * Draw a jury for an open case (plaintiff or defendant)
+   * @param {string} caseId
+   * @param {string} party
+   */
+  async requestJury(caseId, party) {
+    return this.kit._request(`${this.baseUrl}/api/cases/${caseId}/jury`, {
+      method: 'POST',
+      body: { party }
+    });
+  }
+
+  /**
+   * Commit a juror's vote
+   * @param {string} caseId
+   * @param {string} juror
+   * @param {string} commitment - sha256 hex of "<vote>:<salt>"
+   */
+  async commitVote(caseId, juror, commitment) {
+    return this.kit._request(`${this.baseUrl}/api/cases/${caseId}/votes/commit`, {
+      method: 'POST',
+      body: { juror, commitment }
+    });
+  }
+
+  /**
+   * Reveal a committed vote
+   * @param {string} caseId
+   * @param {string} juror
+   * @param {string} vote - 'plaintiff'|'defendant', or for invoice cases 'release_to_payee'|'refund_to_payer'|'split:<payeePercent>'
+   * @param {string} salt
+   */
+  async revealVote(caseId, juror, vote, salt) {
+    return this.kit._request(`${this.baseUrl}/api/cases/${caseId}/votes/reveal`, {
+      method: 'POST',
+      body: { juror, vote, salt }
+    });
+  }
+
+  async appeal(caseId, party, reason) {
+    return this.kit._request(`${this.baseUrl}/api/cases/${caseId}/appeal`, {
+      method: 'POST',
+      body: { party, reason }
+    });
+  }
+
+  async listVerdicts() {
+    return this.kit._request(`${this.baseUrl}/api/verdicts`);
+  }
+
+  async listJurors(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.kit._request(`${this.baseUrl}/api/jurors?${params}`);
+  }
+
   async listJudges() {
     return this.kit._request(`${this.baseUrl}/api/judges`);
   }
 
+  /**
+   * Register as a judge
+   * @param {Object} judge - { agent, specialties?, stake? }
+   */
   async registerJudge(judge) {
     return this.kit._request(`${this.baseUrl}/api/judges`, {
       method: 'POST',
       body: judge
     });
   }
+
+  async stake(judgeId, amount) {
+    return this.kit._request(`${this.baseUrl}/api/judges/${judgeId}/stake`, {
+      method: 'POST',
+      body: { amount }
+    });
+  }
+
+  async unstake(judgeId) {
+    return this.kit._request(`${this.baseUrl}/api/judges/${judgeId}/unstake`, {
+      method: 'POST',
+      body: {}
+    });
+  }
 }
 
 /**
@@ -737,6 +953,12 @@ class AdsClient {
     });
   }
 
+  async endCampaign(id) {
+    return this.kit._request(`${this.baseUrl}/api/campaigns/${id}/end`, {
+      method: 'POST'
+    });
+  }
+
   async serve(filters = {}) {
     const params = new URLSearchParams(filters);
     return this.kit._request(`${this.baseUrl}/api/serve?${params}`);
@@ -773,6 +995,19 @@ class InsureClient {
     return this.kit._request(`${this.baseUrl}/api/policies/${id}`);
   }
 
+  /**
+   * Price a policy without buying it
+   * @param {Object} policy - { holder, type, coverage, termDays }
+   */
+  async quote(policy) {
+    const params = new URLSearchParams(policy);
+    return this.kit._request(`${this.baseUrl}/api/quote?${params}`);
+  }
+
+  /**
+   * Buy a policy at the underwritten premium
+   * @param {Object} policy - { holder, type, coverage, termDays, maxPremium, invoiceId }
+   */
   async createPolicy(policy) {
     return this.kit._request(`${this.baseUrl}/api/policies`, {
       method: 'POST',
@@ -787,9 +1022,15 @@ class InsureClient {
     });
   }
 
-  async approveClaim(policyId) {
+  /**
+   * Approve the pending claim on a policy (assigned adjuster only)
+   * @param {string} policyId
+   * @param {number} [amount] - Assessed loss; defaults to the full coverage
+   */
+  async approveClaim(policyId, amount) {
     return this.kit._request(`${this.baseUrl}/api/policies/${policyId}/approve`, {
-      method: 'POST'
+      method: 'POST',
+      body: amount === undefined ? {} : { amount }
     });
   }
 
@@ -803,6 +1044,47 @@ class InsureClient {
   async getStats() {
     return this.kit._request(`${this.baseUrl}/api/stats`);
   }
+
+  async listClaims(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.kit._request(`${this.baseUrl}/api/claims?${params}`);
+  }
+
+  async assignClaim(claimId, adjuster) {
+    return this.kit._request(`${this.baseUrl}/api/claims/${claimId}/assign`, {
+      method: 'POST',
+      body: { adjuster }
+    });
+  }
+
+  async listAdjusters() {
+    return this.kit._request(`${this.baseUrl}/api/adjusters`);
+  }
+
+  async registerAdjuster(agent) {
+    return this.kit._request(`${this.baseUrl}/api/adjusters`, {
+      method: 'POST',
+      body: { agent }
+    });
+  }
+
+  async getReserve() {
+    return this.kit._request(`${this.baseUrl}/api/reserve`);
+  }
+
+  async contributeCapital(agent, amount) {
+    return this.kit._request(`${this.baseUrl}/api/reserve/contribute`, {
+      method: 'POST',
+      body: { agent, amount }
+    });
+  }
+
+  async withdrawCapital(agent, amount) {
+    return this.kit._request(`${this.baseUrl}/api/reserve/withdraw`, {
+      method: 'POST',
+      body: { agent, amount }
+    });
+  }
 }
 
 /**
@@ -901,6 +1183,68 @@ class FundClient {
       body: contribution
     });
   }
+
+  async sponsorRound(roundId, amount) {
+    return this.kit._request(`${this.baseUrl}/api/rounds/${roundId}/sponsor`, {
+      method: 'POST',
+      body: { amount }
+    });
+  }
+
+  async finalizeRound(roundId) {
+    return this.kit._request(`${this.baseUrl}/api/rounds/${roundId}/finalize`, {
+      method: 'POST',
+      body: {}
+    });
+  }
+
+  async getResults(roundId) {
+    return this.kit._request(`${this.baseUrl}/api/rounds/${roundId}/results`);
+  }
+
+  async payoutRound(roundId) {
+    return this.kit._request(`${this.baseUrl}/api/rounds/${roundId}/payout`, {
+      method: 'POST',
+      body: {}
+    });
+  }
+
+  async flagProject(roundId, projectId, reason) {
+    return this.kit._request(`${this.baseUrl}/api/rounds/${roundId}/flags`, {
+      method: 'POST',
+      body: { projectId, reason }
+    });
+  }
+
+  async listFlags(roundId, filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.kit._request(`${this.baseUrl}/api/rounds/${roundId}/flags?${params}`);
+  }
+
+  /**
+   * Uphold (disqualifying the project) or dismiss a flag
+   * @param {string} decision - 'upheld' or 'dismissed'
+   */
+  async resolveFlag(roundId, flagId, decision, note) {
+    return this.kit._request(`${this.baseUrl}/api/rounds/${roundId}/flags/${flagId}/resolve`, {
+      method: 'POST',
+      body: { decision, note }
+    });
+  }
+
+  async submitMilestone(projectId, index, evidence) {
+    return this.kit._request(`${this.baseUrl}/api/projects/${projectId}/milestones/${index}/submit`, {
+      method: 'POST',
+      body: { evidence }
+    });
+  }
+
+  async verifyMilestone(projectId, index) {
+    return this.kit._request(`${this.baseUrl}/api/projects/${projectId}/milestones/${index}/verify`, {
+      method: 'POST',
+      body: {}
+    });
+  }
 }
 
 /**
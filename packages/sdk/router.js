@@ -105,14 +105,14 @@ router.get('/api/services', (req, res) => {
         description: 'Governance proposals & voting',
         path: '/dao',
         client: 'dao',
-        methods: ['createProposal', 'listProposals', 'getProposal', 'vote', 'getResults', 'delegate', 'getDelegation']
+        methods: ['createProposal', 'listProposals', 'getProposal', 'vote', 'getResults', 'listVotingMethods', 'listPowerStrategies', 'getSnapshot', 'delegate', 'getDelegation', 'execute', 'cancel', 'revert', 'listExecutions', 'listParameters', 'getTreasury']
       },
       {
         name: 'MoltCourt',
         description: 'Dispute resolution & arbitration',
         path: '/court',
         client: 'court',
-        methods: ['listCases', 'getCase', 'fileCase', 'submitEvidence', 'submitRuling', 'listJudges', 'registerJudge']
+        methods: ['listCases', 'getCase', 'fileCase', 'submitEvidence', 'submitRuling', 'requestJury', 'commitVote', 'revealVote', 'appeal', 'listVerdicts', 'listJurors', 'listJudges', 'registerJudge', 'stake', 'unstake']
       },
       {
         name: 'MoltAds',
@@ -126,7 +126,7 @@ router.get('/api/services', (req, res) => {
         description: 'Insurance policies & claims',
         path: '/insure',
         client: 'insure',
-        methods: ['listPolicies', 'getPolicy', 'createPolicy', 'fileClaim', 'approveClaim', 'denyClaim', 'getStats']
+        methods: ['listPolicies', 'getPolicy', 'quote', 'createPolicy', 'fileClaim', 'approveClaim', 'denyClaim', 'listClaims', 'assignClaim', 'listAdjusters', 'registerAdjuster', 'getStats', 'getReserve', 'contributeCapital', 'withdrawCapital']
       },
       {
         name: 'MoltIndex',
@@ -140,7 +140,7 @@ router.get('/api/services', (req, res) => {
         description: 'Quadratic funding for public goods',
         path: '/fund',
         client: 'fund',
-        methods: ['createRound', 'listRounds', 'getRound', 'createProject', 'listProjects', 'getProject', 'contribute']
+        methods: ['createRound', 'listRounds', 'getRound', 'createProject', 'listProjects', 'getProject', 'contribute', 'sponsorRound', 'finalizeRound', 'getResults', 'payoutRound', 'flagProject', 'listFlags', 'resolveFlag', 'submitMilestone', 'verifyMilestone']
       },
       {
         name: 'MoltGov',
@@ -179,7 +179,8 @@ router.get('/api/examples', (req, res) => {
         code: `const MoltKit = require('moltkit');
 const molt = new MoltKit({ 
   baseUrl: 'https://moltos.ai',
-  apiKey: 'your-api-key' 
+  apiKey: 'your-api-key',
+  moltAuthKey: 'molt_...'
 });`
       },
       {
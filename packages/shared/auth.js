@@ -0,0 +1,348 @@
+/**
+ * MoltAuth middleware for MoltOS
+ * Resolves `Authorization: Bearer molt_...` headers to registered agents,
+ * enforces key expiry, IP/origin allowlists and per-service scopes, and
+ * makes sure write routes act on behalf of the authenticated agent
+ */
+
+const storage = require('./storage');
+
+const agentsStore = storage.collection('auth', 'agents');
+const keysStore = storage.collection('auth', 'keys');
+
+// Avoid rewriting keys.json on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Keys created before scopes existed behave as full-access keys
+const DEFAULT_SCOPES = ['*'];
+
+// service[:resource...]:action, or a bare wildcard
+const SCOPE_PATTERN = /^(\*|[a-z0-9-]+(:[a-z0-9-]+)*(:\*)?)$/;
+
+// Agent ids are v4 uuids; names may not take this shape
+const AGENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function loadKeys() {
+  return keysStore.all();
+}
+
+function saveKeys(keys) {
+  keysStore.replace(keys);
+}
+
+/**
+ * Normalize an agent identifier for comparison ('@Alice' -> 'alice')
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeIdentity(value) {
+  return String(value).trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Check whether a value has the shape of an agent id
+ * @param {string} value
+ * @returns {boolean}
+ */
+function looksLikeAgentId(value) {
+  return AGENT_ID_PATTERN.test(String(value).trim());
+}
+
+/**
+ * Look up a registered agent by name ('@name' works too) or id
+ * @param {string} value
+ * @returns {Object|null} The agent record
+ */
+function findAgent(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const raw = String(value).trim();
+  if (looksLikeAgentId(raw)) {
+    return agentsStore.get(raw);
+  }
+  const name = normalizeIdentity(raw);
+  return agentsStore.all().find(agent => normalizeIdentity(agent.name) === name) || null;
+}
+
+/**
+ * Check whether an identifier (name, '@name' or agent id) refers to the
+ * authenticated agent on this request. Ids are only ever matched against the
+ * agent's id, so a name can never pass for someone else's id.
+ * @param {Object} req - Express request after authenticate()
+ * @param {string} value - Identifier taken from the body or a stored record
+ * @returns {boolean}
+ */
+function isActingAgent(req, value) {
+  if (!req.agent || value === undefined || value === null || value === '') {
+    return false;
+  }
+  const raw = String(value).trim();
+  if (raw === req.agent.id) {
+    return true;
+  }
+  return !looksLikeAgentId(raw) && normalizeIdentity(raw) === normalizeIdentity(req.agent.name);
+}
+
+/**
+ * Check whether a single granted scope covers a required scope.
+ * 'pay:write' covers every pay scope, 'pay:read' covers pay read scopes,
+ * 'market:*' covers everything under market and '*' covers everything.
+ * @param {string} granted
+ * @param {string} required - e.g. 'pay:read', 'dao:vote', 'market:watchers:write'
+ * @returns {boolean}
+ */
+function scopeCovers(granted, required) {
+  if (granted === '*' || granted === required) {
+    return true;
+  }
+
+  const parts = granted.split(':');
+  const action = parts.pop();
+  const prefix = parts.join(':') + ':';
+
+  if (!required.startsWith(prefix)) {
+    return false;
+  }
+
+  if (action === '*' || action === 'write') {
+    return true;
+  }
+
+  return action === 'read' && required.endsWith(':read');
+}
+
+/**
+ * Check whether a list of granted scopes covers a required scope
+ * @param {string[]} scopes
+ * @param {string} required
+ * @returns {boolean}
+ */
+function hasScope(scopes, required) {
+  return (scopes || DEFAULT_SCOPES).some(granted => scopeCovers(granted, required));
+}
+
+/**
+ * Validate a requested scope list
+ * @param {*} scopes
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+  const invalid = scopes.filter(s => typeof s !== 'string' || !SCOPE_PATTERN.test(s));
+  if (invalid.length > 0) {
+    return `Invalid scopes: ${invalid.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Service name for a mount path ('/pay', '/api/pay/api/invoices' -> 'pay')
+ * @param {string} urlPath
+ * @returns {string|null}
+ */
+function serviceFromPath(urlPath) {
+  const parts = (urlPath || '').split('/').filter(Boolean);
+  if (parts[0] === 'api') parts.shift();
+  return parts[0] || null;
+}
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+function ipToInt(ip) {
+  const octets = ip.split('.').map(Number);
+  if (octets.length !== 4 || octets.some(o => !Number.isInteger(o) || o < 0 || o > 255)) {
+    return null;
+  }
+  return octets.reduce((acc, o) => (acc << 8) + o, 0) >>> 0;
+}
+
+/**
+ * Match an IP against an allowlist entry (exact address or IPv4 CIDR)
+ * @param {string} ip
+ * @param {string} entry
+ * @returns {boolean}
+ */
+function ipMatches(ip, entry) {
+  const address = normalizeIp(ip);
+  if (!entry.includes('/')) {
+    return address === normalizeIp(entry);
+  }
+
+  const [base, bits] = entry.split('/');
+  const addressInt = ipToInt(address);
+  const baseInt = ipToInt(base);
+  const prefix = parseInt(bits, 10);
+  if (addressInt === null || baseInt === null || isNaN(prefix) || prefix < 0 || prefix > 32) {
+    return false;
+  }
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  return (addressInt & mask) === (baseInt & mask);
+}
+
+/**
+ * Check a key's revocation, expiry and allowlists against a request context
+ * @param {Object} key - Stored key record
+ * @param {Object} context - { ip, origin }
+ * @returns {{status: number, error: string}|null} Rejection, or null when usable
+ */
+function checkKey(key, context = {}) {
+  if (key.revokedAt) {
+    return { status: 401, error: 'API key has been revoked' };
+  }
+
+  if (key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now()) {
+    return { status: 401, error: 'API key has expired' };
+  }
+
+  if (key.allowedIps && key.allowedIps.length > 0 &&
+      !key.allowedIps.some(entry => ipMatches(context.ip, entry))) {
+    return { status: 403, error: 'API key is not allowed from this IP address' };
+  }
+
+  if (key.allowedOrigins && key.allowedOrigins.length > 0 &&
+      !key.allowedOrigins.includes(context.origin)) {
+    return { status: 403, error: 'API key is not allowed from this origin' };
+  }
+
+  return null;
+}
+
+/**
+ * Global middleware: resolve the bearer key (if any) to an agent.
+ * Requests without an Authorization header pass through with req.agent = null;
+ * an invalid, revoked, expired or out-of-allowlist key is rejected outright, and
+ * scoped keys must hold `<service>:read` to call a service's read API.
+ */
+function authenticate(req, res, next) {
+  req.agent = null;
+  req.apiKey = null;
+
+  const header = req.get('authorization');
+  if (!header) {
+    return next();
+  }
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return res.status(401).json({ error: 'Authorization header must be "Bearer <api key>"' });
+  }
+
+  const keys = loadKeys();
+  const key = keys.find(k => k.key === match[1]);
+
+  if (!key) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  const rejection = checkKey(key, { ip: req.ip, origin: req.get('origin') });
+  if (rejection) {
+    return res.status(rejection.status).json({ error: rejection.error });
+  }
+
+  const agent = agentsStore.get(key.agentId);
+
+  if (!agent) {
+    return res.status(401).json({ error: 'API key does not belong to a registered agent' });
+  }
+
+  if (agent.active === false) {
+    return res.status(403).json({ error: 'Agent is deactivated' });
+  }
+
+  const scopes = key.scopes || DEFAULT_SCOPES;
+
+  // Service read APIs live under /<service>/api/...; dashboards and health checks stay open
+  const apiRoute = req.path.match(/^\/(?:api\/)?([a-z0-9-]+)\/api\//);
+  if (apiRoute && ['GET', 'HEAD'].includes(req.method) && !hasScope(scopes, `${apiRoute[1]}:read`)) {
+    return res.status(403).json({ error: `API key lacks scope ${apiRoute[1]}:read` });
+  }
+
+  const now = Date.now();
+  if (!key.lastUsed || now - new Date(key.lastUsed).getTime() > LAST_USED_RESOLUTION_MS) {
+    key.lastUsed = new Date(now).toISOString();
+    saveKeys(keys);
+  }
+
+  req.agent = {
+    id: agent.id,
+    name: agent.name,
+    capabilities: agent.capabilities || []
+  };
+  req.apiKey = {
+    id: key.id,
+    name: key.name,
+    scopes,
+    expiresAt: key.expiresAt || null
+  };
+
+  next();
+}
+
+/**
+ * Route middleware: require an authenticated agent whose key holds `scope`,
+ * and make sure every listed body field that names the acting agent matches it.
+ * Matching and missing fields are set to the authenticated agent's name.
+ * @param {string|null} scope - Required scope; null means `<service>:write`
+ * @param {...string} actorFields - Body fields identifying the acting agent
+ * @returns {Function} Express middleware
+ */
+function requireAgentScope(scope, ...actorFields) {
+  return (req, res, next) => {
+    if (!req.agent) {
+      return res.status(401).json({ error: 'Authentication required: send "Authorization: Bearer <api key>"' });
+    }
+
+    const required = scope || `${serviceFromPath(req.baseUrl)}:write`;
+    if (!hasScope(req.apiKey.scopes, required)) {
+      return res.status(403).json({ error: `API key lacks scope ${required}` });
+    }
+
+    req.body = req.body || {};
+
+    for (const field of actorFields) {
+      const value = req.body[field];
+
+      if (value === undefined || value === null || value === '') {
+        req.body[field] = req.agent.name;
+        continue;
+      }
+
+      if (!isActingAgent(req, value)) {
+        return res.status(403).json({ error: `${field} must be the authenticated agent (${req.agent.name})` });
+      }
+
+      // Store the canonical name, whatever spelling or id the caller used
+      req.body[field] = req.agent.name;
+    }
+
+    next();
+  };
+}
+
+/**
+ * Route middleware: requireAgentScope() with the service's default write scope
+ * @param {...string} actorFields - Body fields identifying the acting agent
+ * @returns {Function} Express middleware
+ */
+function requireAgent(...actorFields) {
+  return requireAgentScope(null, ...actorFields);
+}
+
+module.exports = {
+  DEFAULT_SCOPES,
+  authenticate,
+  requireAgent,
+  requireAgentScope,
+  isActingAgent,
+  findAgent,
+  looksLikeAgentId,
+  normalizeIdentity,
+  hasScope,
+  validateScopes,
+  checkKey
+};
@@ -0,0 +1,385 @@
+/**
+ * Domain event bus for MoltOS
+ * Routers check() an event's payload before committing a state change and
+ * publish it afterwards; packages register handlers for the events they care
+ * about. Every publish records one delivery per matching subscription in an
+ * append-only log (attempts are appended too), so handlers survive restarts
+ * and are retried with exponential backoff until they succeed or run out of
+ * attempts (dead letters can be retried by hand). Delivery is at-least-once:
+ * handlers must be idempotent.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const eventsStore = storage.collection('events', 'log');
+const deliveryLog = storage.log('events', 'deliveries');
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_MS = 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+// Only the most recent history is kept; pending and dead deliveries are never pruned
+const MAX_EVENTS = 10000;
+const MAX_DELIVERED = 10000;
+
+// The delivery log is folded back down once it holds this many entries per live delivery
+const LOG_SLACK = 4;
+
+// Event type -> payload fields every publisher must provide
+const EVENT_TYPES = {
+  'invoice.created': ['invoiceId', 'from', 'to', 'amount', 'currency'],
+  'invoice.funded': ['invoiceId', 'from', 'to', 'amount', 'currency'],
+  'invoice.released': ['invoiceId', 'from', 'to', 'amount', 'currency'],
+  'invoice.disputed': ['invoiceId', 'from', 'to', 'amount', 'currency', 'disputedBy'],
+  'invoice.refunded': ['invoiceId', 'from', 'to', 'amount', 'currency'],
+  'invoice.settled': ['invoiceId', 'from', 'to', 'amount', 'currency', 'payeeAmount', 'payerAmount'],
+  'invoice.expired': ['invoiceId', 'from', 'to', 'amount', 'currency'],
+  'milestone.funded': ['invoiceId', 'milestoneId', 'from', 'to', 'amount', 'currency'],
+  'milestone.released': ['invoiceId', 'milestoneId', 'from', 'to', 'amount', 'currency'],
+  'milestone.disputed': ['invoiceId', 'milestoneId', 'from', 'to', 'amount', 'currency', 'disputedBy'],
+  'milestone.refunded': ['invoiceId', 'milestoneId', 'from', 'to', 'amount', 'currency'],
+  'milestone.settled': ['invoiceId', 'milestoneId', 'from', 'to', 'amount', 'currency', 'payeeAmount', 'payerAmount'],
+  'bounty.created': ['bountyId', 'poster'],
+  'bounty.claimed': ['bountyId', 'poster', 'claimedBy'],
+  'bounty.completed': ['bountyId', 'poster', 'claimedBy'],
+  'bounty.verified': ['bountyId', 'poster', 'claimedBy'],
+  'case.filed': ['caseId', 'plaintiff', 'defendant'],
+  'case.ruled': ['caseId', 'plaintiff', 'defendant', 'judge', 'decision'],
+  'case.verdict': ['caseId', 'plaintiff', 'defendant', 'round', 'decision'],
+  'case.appealed': ['caseId', 'plaintiff', 'defendant', 'appellant', 'round'],
+  'proposal.created': ['proposalId', 'creator'],
+  'proposal.passed': ['proposalId', 'creator'],
+  'proposal.failed': ['proposalId', 'creator'],
+  'proposal.queued': ['proposalId', 'creator', 'eta'],
+  'proposal.executed': ['proposalId', 'creator', 'executedBy'],
+  'proposal.cancelled': ['proposalId', 'creator', 'cancelledBy'],
+  'proposal.reverted': ['proposalId', 'creator', 'revertedBy'],
+  'loan.approved': ['loanId', 'borrower', 'lender', 'amount'],
+  'loan.repaid': ['loanId', 'borrower', 'lender', 'amount'],
+  'loan.overdue': ['loanId', 'borrower', 'lender', 'amount', 'installment'],
+  'loan.defaulted': ['loanId', 'borrower', 'lender', 'amount'],
+  'market.proposed': ['marketId', 'creator', 'proposer', 'outcome'],
+  'market.disputed': ['marketId', 'creator', 'proposer', 'challenger', 'proposedOutcome', 'challengedOutcome'],
+  'market.resolved': ['marketId', 'creator', 'outcome'],
+  'market.voided': ['marketId', 'creator', 'status'],
+  'claim.filed': ['claimId', 'policyId', 'holder'],
+  'claim.approved': ['claimId', 'policyId', 'holder'],
+  'claim.denied': ['claimId', 'policyId', 'holder'],
+  'round.finalized': ['roundId', 'creator', 'resultsId', 'challengeDeadline'],
+  'round.paid': ['roundId', 'creator', 'payouts'],
+  'project.flagged': ['roundId', 'projectId', 'agent', 'reason'],
+  'template.deployed': ['templateId', 'deploymentId', 'deployer', 'creator', 'version'],
+  'pool.created': ['poolId', 'creator', 'type', 'policy'],
+  'pool.contributed': ['poolId', 'agent', 'amount'],
+  'pool.consumed': ['poolId', 'agent', 'amount'],
+  'flow.opened': ['flowId', 'requestId', 'from', 'to', 'type', 'amount', 'price'],
+  'flow.ended': ['flowId', 'requestId', 'from', 'to', 'type', 'amount', 'price', 'usage', 'cost', 'status'],
+  'spore.spawned': ['sporeId', 'parentId', 'owner', 'depth'],
+  'spore.reported': ['sporeId', 'parentId', 'owner', 'resultId'],
+  'spore.terminated': ['sporeId', 'parentId', 'owner', 'cascaded'],
+  'spore.expired': ['sporeId', 'parentId', 'owner', 'cascaded'],
+  'spore.merged': ['parentId', 'strategy', 'children']
+};
+
+// subscriber id ('rank.invoice-interaction') -> { id, package, pattern, handler }
+const subscriptions = new Map();
+
+// delivery id -> delivery, in publish order; rebuilt from the log on first use
+let deliveries = null;
+
+let started = false;
+let draining = false;
+let drainAgain = false;
+let timer = null;
+
+/**
+ * Check whether a subscription pattern matches an event type.
+ * Supports exact types, 'invoice.*' and '*'.
+ * @param {string} pattern
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matches(pattern, type) {
+  if (pattern === '*' || pattern === type) {
+    return true;
+  }
+  return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+}
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * Math.pow(2, attempts - 1), MAX_RETRY_MS);
+}
+
+/**
+ * Register a durable handler. Call at module load so handlers exist before
+ * pending deliveries are resumed.
+ * @param {string} pkg - Owning package, e.g. 'rank'
+ * @param {string} pattern - Event type, 'prefix.*' or '*'
+ * @param {string} name - Stable handler name, unique within the package
+ * @param {Function} handler - (event) => void | Promise<void>; throw to retry
+ */
+function subscribe(pkg, pattern, name, handler) {
+  const id = `${pkg}.${name}`;
+  if (subscriptions.has(id)) {
+    throw new Error(`Duplicate event subscription: ${id}`);
+  }
+  subscriptions.set(id, { id, package: pkg, pattern, handler });
+}
+
+/**
+ * Check a payload against its event type. Call before saving the state change
+ * the event announces, so that publish() afterwards cannot fail on it.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} payload - Must include the fields listed for the type
+ * @returns {Object} The payload
+ */
+function check(type, payload) {
+  const required = EVENT_TYPES[type];
+  if (!required) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  const missing = required.filter(field => payload[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Event ${type} is missing ${missing.join(', ')}`);
+  }
+  return payload;
+}
+
+/**
+ * Publish a domain event. Call after the state change has been saved, with a
+ * payload that already passed check().
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} payload - Must include the fields listed for the type
+ * @param {Object} meta - { source: publishing package, actor: acting agent }
+ * @returns {Object} The stored event
+ */
+function publish(type, payload, meta = {}) {
+  check(type, payload);
+
+  const now = new Date().toISOString();
+  const event = {
+    id: uuidv4(),
+    type,
+    source: meta.source || null,
+    actor: meta.actor || null,
+    payload,
+    createdAt: now
+  };
+
+  const events = eventsStore.all();
+  events.push(event);
+  if (events.length > MAX_EVENTS) {
+    events.splice(0, events.length - MAX_EVENTS);
+  }
+  eventsStore.replace(events);
+
+  const targets = [...subscriptions.values()].filter(s => matches(s.pattern, type));
+  if (targets.length > 0) {
+    const added = targets.map(subscription => ({
+      id: uuidv4(),
+      eventId: event.id,
+      type,
+      subscriber: subscription.id,
+      event,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      deliveredAt: null
+    }));
+    deliveryLog.append(...added.map(delivery => ({ op: 'add', delivery })));
+    const current = loadDeliveries();
+    added.forEach(delivery => current.set(delivery.id, delivery));
+    schedule(0);
+  }
+
+  return event;
+}
+
+/**
+ * Deliveries by id, replaying the log the first time
+ * @returns {Map<string, Object>}
+ */
+function loadDeliveries() {
+  if (deliveries) return deliveries;
+
+  deliveries = new Map();
+  for (const entry of deliveryLog.entries()) {
+    if (entry.op === 'add') {
+      deliveries.set(entry.delivery.id, entry.delivery);
+    } else if (entry.op === 'update' && deliveries.has(entry.id)) {
+      Object.assign(deliveries.get(entry.id), entry.changes);
+    }
+  }
+  return deliveries;
+}
+
+// Drop the oldest delivered entries past MAX_DELIVERED and rewrite the log
+// as one entry per remaining delivery
+function compactDeliveries() {
+  const current = loadDeliveries();
+  const delivered = [...current.values()].filter(d => d.status === 'delivered');
+  delivered.slice(0, Math.max(0, delivered.length - MAX_DELIVERED)).forEach(d => current.delete(d.id));
+  deliveryLog.rewrite([...current.values()].map(delivery => ({ op: 'add', delivery })));
+}
+
+function updateDelivery(id, changes) {
+  const current = loadDeliveries();
+  const delivery = current.get(id);
+  if (!delivery) return null;
+
+  deliveryLog.append({ op: 'update', id, changes });
+  Object.assign(delivery, changes);
+
+  if (deliveryLog.length > LOG_SLACK * Math.max(current.size, MAX_DELIVERED)) {
+    compactDeliveries();
+  }
+  return delivery;
+}
+
+async function deliver(delivery) {
+  const subscription = subscriptions.get(delivery.subscriber);
+  const attempts = delivery.attempts + 1;
+
+  try {
+    if (!subscription) {
+      throw new Error(`No handler registered for ${delivery.subscriber}`);
+    }
+    await subscription.handler(delivery.event);
+    updateDelivery(delivery.id, {
+      status: 'delivered',
+      attempts,
+      lastError: null,
+      deliveredAt: new Date().toISOString()
+    });
+  } catch (error) {
+    const dead = attempts >= MAX_ATTEMPTS;
+    updateDelivery(delivery.id, {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + retryDelay(attempts)).toISOString()
+    });
+    console.warn(`[events] ${delivery.subscriber} failed on ${delivery.type} (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`);
+  }
+}
+
+function schedule(delayMs) {
+  if (!started) return;
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(() => {
+    timer = null;
+    drain();
+  }, delayMs);
+  timer.unref();
+}
+
+/**
+ * Run every pending delivery that is due, then schedule the next retry
+ */
+async function drain() {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+
+  try {
+    do {
+      drainAgain = false;
+      const now = Date.now();
+      const due = [...loadDeliveries().values()]
+        .filter(d => d.status === 'pending' && new Date(d.nextAttemptAt).getTime() <= now);
+      for (const delivery of due) {
+        await deliver(delivery);
+      }
+    } while (drainAgain);
+  } catch (error) {
+    console.error('[events] drain failed:', error.message);
+  } finally {
+    draining = false;
+  }
+
+  const next = [...loadDeliveries().values()]
+    .filter(d => d.status === 'pending')
+    .map(d => new Date(d.nextAttemptAt).getTime())
+    .sort((a, b) => a - b)[0];
+  if (next !== undefined) {
+    schedule(Math.max(0, next - Date.now()));
+  }
+}
+
+/**
+ * Begin dispatching, resuming deliveries left pending by a previous run.
+ * Called once by the server after every router (and so every handler) is loaded.
+ */
+function start() {
+  started = true;
+  compactDeliveries();
+  schedule(0);
+}
+
+/**
+ * Put a dead (or pending) delivery back in the queue for immediate retry
+ * @param {string} id
+ * @returns {Object|null} Updated delivery (unchanged if already delivered), or null if not found
+ */
+function retryDelivery(id) {
+  const delivery = loadDeliveries().get(id) || null;
+  if (!delivery || delivery.status === 'delivered') {
+    return delivery;
+  }
+  const updated = updateDelivery(id, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString()
+  });
+  schedule(0);
+  return updated;
+}
+
+/**
+ * Recent events, newest first
+ * @param {Object} [filters] - { type, source, limit }
+ * @returns {Object[]}
+ */
+function listEvents(filters = {}) {
+  let events = eventsStore.all();
+  if (filters.type) events = events.filter(e => matches(filters.type, e.type));
+  if (filters.source) events = events.filter(e => e.source === filters.source);
+  return events.reverse().slice(0, filters.limit || 100);
+}
+
+/**
+ * Deliveries, newest first
+ * @param {Object} [filters] - { status, subscriber, limit }
+ * @returns {Object[]}
+ */
+function listDeliveries(filters = {}) {
+  let list = [...loadDeliveries().values()];
+  if (filters.status) list = list.filter(d => d.status === filters.status);
+  if (filters.subscriber) list = list.filter(d => d.subscriber === filters.subscriber);
+  return list.reverse().slice(0, filters.limit || 100);
+}
+
+/**
+ * Registered subscriptions (without handlers)
+ * @returns {Object[]}
+ */
+function listSubscriptions() {
+  return [...subscriptions.values()].map(({ id, package: pkg, pattern }) => ({ id, package: pkg, pattern }));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  subscribe,
+  check,
+  publish,
+  start,
+  retryDelivery,
+  listEvents,
+  listDeliveries,
+  listSubscriptions
+};
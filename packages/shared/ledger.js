@@ -0,0 +1,349 @@
+/**
+ * Double-entry ledger for MoltOS
+ * Every movement of money is one entry made of postings that sum to zero per
+ * currency. Balances are never stored; they are derived from the postings, so
+ * any balance can be audited back to the entries that produced it.
+ *
+ * Accounts:
+ *   agent:<name>               - an agent's spendable balance
+ *   hold:<name>:<ref>          - money an agent has locked for something (escrow, budgets)
+ *   pool:<service>:<id>        - money held by a service (reef pools, oracle markets, ...)
+ *   external                   - the outside world; deposits come from it, withdrawals go to it
+ *
+ * Only `external` may go negative.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const { normalizeIdentity } = require('./auth');
+
+const entriesStore = storage.collection('ledger', 'entries');
+
+const DEFAULT_CURRENCY = (process.env.LEDGER_CURRENCY || 'USDC').toUpperCase();
+const EXTERNAL = 'external';
+
+// Amounts are kept to 8 decimal places to avoid floating point drift
+const PRECISION = 1e8;
+
+class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+// Derived balances, kept up to date by post() and rebuilt when the entries
+// change under us. `revision` is the entries collection version they match.
+let cache = { revision: null, count: 0, lastId: null, balances: new Map() };
+
+function round(amount) {
+  return Math.round(amount * PRECISION) / PRECISION;
+}
+
+function balanceKey(account, currency) {
+  return `${account}|${currency}`;
+}
+
+function normalizeCurrency(currency) {
+  return String(currency || DEFAULT_CURRENCY).trim().toUpperCase();
+}
+
+function agentAccount(agent) {
+  return `agent:${normalizeIdentity(agent)}`;
+}
+
+function holdAccount(agent, ref) {
+  return `hold:${normalizeIdentity(agent)}:${ref}`;
+}
+
+function poolAccount(service, id) {
+  return `pool:${service}:${id}`;
+}
+
+function applyEntry(balances, entry) {
+  for (const posting of entry.postings) {
+    const key = balanceKey(posting.account, posting.currency);
+    balances.set(key, round((balances.get(key) || 0) + posting.amount));
+  }
+}
+
+function loadBalances() {
+  const revision = entriesStore.revision();
+  if (cache.revision === revision) {
+    return cache.balances;
+  }
+
+  const entries = entriesStore.all();
+  const appended = cache.count <= entries.length &&
+    (cache.count === 0 || entries[cache.count - 1].id === cache.lastId);
+
+  if (!appended) {
+    cache = { count: 0, lastId: null, balances: new Map() };
+  }
+  for (let i = cache.count; i < entries.length; i++) {
+    applyEntry(cache.balances, entries[i]);
+  }
+  cache.count = entries.length;
+  cache.lastId = entries.length > 0 ? entries[entries.length - 1].id : null;
+  cache.revision = revision;
+  return cache.balances;
+}
+
+/**
+ * Current balance of an account
+ * @param {string} account
+ * @param {string} [currency]
+ * @returns {number}
+ */
+function balance(account, currency) {
+  return loadBalances().get(balanceKey(account, normalizeCurrency(currency))) || 0;
+}
+
+/**
+ * Non-zero balances of every account whose name starts with a prefix
+ * @param {string} prefix - e.g. 'agent:'
+ * @param {string} [currency]
+ * @returns {Object} account -> balance
+ */
+function balancesByPrefix(prefix, currency) {
+  const suffix = `|${normalizeCurrency(currency)}`;
+  const result = {};
+  for (const [key, amount] of loadBalances()) {
+    if (amount !== 0 && key.startsWith(prefix) && key.endsWith(suffix)) {
+      result[key.slice(0, -suffix.length)] = amount;
+    }
+  }
+  return result;
+}
+
+/**
+ * Record a balanced entry. Fails without writing anything if the postings do
+ * not net to zero per currency or would overdraw an account.
+ * @param {Object[]} postings - [{ account, amount, currency }]; positive credits, negative debits
+ * @param {Object} [meta] - { memo, source, actor, ref }
+ * @returns {Object} The stored entry
+ */
+function post(postings, meta = {}) {
+  if (!Array.isArray(postings) || postings.length < 2) {
+    throw new LedgerError('An entry needs at least two postings');
+  }
+
+  const normalized = postings.map(p => ({
+    account: p.account,
+    currency: normalizeCurrency(p.currency),
+    amount: round(Number(p.amount))
+  }));
+
+  const totals = new Map();
+  for (const posting of normalized) {
+    if (!posting.account || !Number.isFinite(posting.amount)) {
+      throw new LedgerError('Every posting needs an account and a numeric amount');
+    }
+    totals.set(posting.currency, round((totals.get(posting.currency) || 0) + posting.amount));
+  }
+  for (const [currency, total] of totals) {
+    if (total !== 0) {
+      throw new LedgerError(`Postings do not balance: ${currency} is off by ${total}`);
+    }
+  }
+
+  // Net effect per account, so an entry that debits and credits the same account is checked once
+  const balances = loadBalances();
+  const changes = new Map();
+  for (const posting of normalized) {
+    const key = balanceKey(posting.account, posting.currency);
+    changes.set(key, round((changes.get(key) || 0) + posting.amount));
+  }
+  for (const [key, change] of changes) {
+    const [account, currency] = key.split('|');
+    const current = balances.get(key) || 0;
+    if (account !== EXTERNAL && change < 0 && round(current + change) < 0) {
+      throw new LedgerError(`Insufficient funds in ${account}: balance ${current} ${currency}, needs ${-change}`, 409);
+    }
+  }
+
+  const entry = {
+    id: uuidv4(),
+    memo: meta.memo || '',
+    source: meta.source || null,
+    actor: meta.actor || null,
+    ref: meta.ref || null,
+    postings: normalized.filter(p => p.amount !== 0),
+    createdAt: new Date().toISOString()
+  };
+
+  entriesStore.insert(entry);
+  applyEntry(balances, entry);
+  cache.count++;
+  cache.lastId = entry.id;
+  cache.revision = entriesStore.revision();
+  return entry;
+}
+
+function positiveAmount(amount) {
+  const value = round(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new LedgerError('amount must be a positive number');
+  }
+  return value;
+}
+
+/**
+ * Move money between two accounts
+ * @param {string} from - Account to debit
+ * @param {string} to - Account to credit
+ * @param {number} amount
+ * @param {Object} [meta] - { currency, memo, source, actor, ref }
+ * @returns {Object} The stored entry
+ */
+function transfer(from, to, amount, meta = {}) {
+  const value = positiveAmount(amount);
+  if (from === to) {
+    throw new LedgerError('Cannot transfer to the same account');
+  }
+  return post([
+    { account: from, amount: -value, currency: meta.currency },
+    { account: to, amount: value, currency: meta.currency }
+  ], meta);
+}
+
+/**
+ * Lock part of an agent's balance in a hold sub-account
+ * @param {string} agent
+ * @param {string} ref - Hold reference, e.g. 'pay:invoice:<id>'
+ * @param {number} amount
+ * @param {Object} [meta]
+ * @returns {Object} The stored entry
+ */
+function hold(agent, ref, amount, meta = {}) {
+  return transfer(agentAccount(agent), holdAccount(agent, ref), amount, meta);
+}
+
+/**
+ * Pay out of a hold to another account. Captures the whole hold unless
+ * `meta.amount` is given.
+ * @param {string} agent - Owner of the hold
+ * @param {string} ref
+ * @param {string} to - Account to credit
+ * @param {Object} [meta] - { amount, currency, memo, source, actor }
+ * @returns {Object} The stored entry
+ */
+function captureHold(agent, ref, to, meta = {}) {
+  const account = holdAccount(agent, ref);
+  const amount = meta.amount !== undefined ? meta.amount : balance(account, meta.currency);
+  return transfer(account, to, amount, { ...meta, ref: meta.ref || ref });
+}
+
+/**
+ * Return whatever is left in a hold to its owner
+ * @param {string} agent
+ * @param {string} ref
+ * @param {Object} [meta]
+ * @returns {Object|null} The stored entry, or null if the hold was empty
+ */
+function releaseHold(agent, ref, meta = {}) {
+  const account = holdAccount(agent, ref);
+  const amount = balance(account, meta.currency);
+  if (amount <= 0) {
+    return null;
+  }
+  return transfer(account, agentAccount(agent), amount, { ...meta, ref: meta.ref || ref });
+}
+
+/**
+ * Balances, holds and entries for one agent
+ * @param {string} agent
+ * @param {Object} [options] - { currency, limit }
+ * @returns {Object}
+ */
+function statement(agent, options = {}) {
+  const main = agentAccount(agent);
+  const holdPrefix = `hold:${normalizeIdentity(agent)}:`;
+  const owns = account => account === main || account.startsWith(holdPrefix);
+  const currency = options.currency ? normalizeCurrency(options.currency) : null;
+
+  const accounts = {};
+  const holds = [];
+  for (const [key, amount] of loadBalances()) {
+    const [account, cur] = key.split('|');
+    if (!owns(account) || (currency && cur !== currency)) continue;
+
+    const totals = accounts[cur] || (accounts[cur] = { currency: cur, available: 0, held: 0, total: 0 });
+    if (account === main) {
+      totals.available = amount;
+    } else if (amount !== 0) {
+      totals.held = round(totals.held + amount);
+      holds.push({ account, ref: account.slice(holdPrefix.length), currency: cur, amount });
+    }
+    totals.total = round(totals.available + totals.held);
+  }
+
+  const entries = entriesStore.all()
+    .filter(e => e.postings.some(p => owns(p.account) && (!currency || p.currency === currency)))
+    .reverse()
+    .slice(0, options.limit || 100)
+    .map(e => ({
+      ...e,
+      // Net change to the agent's own accounts
+      change: e.postings
+        .filter(p => owns(p.account))
+        .reduce((sum, p) => {
+          sum[p.currency] = round((sum[p.currency] || 0) + p.amount);
+          return sum;
+        }, {})
+    }));
+
+  return {
+    agent,
+    account: main,
+    balances: Object.values(accounts),
+    holds,
+    entries
+  };
+}
+
+/**
+ * Entries touching an account, newest first
+ * @param {string} account
+ * @param {number} [limit]
+ * @returns {Object[]}
+ */
+function accountEntries(account, limit = 100) {
+  return entriesStore.all()
+    .filter(e => e.postings.some(p => p.account === account))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Sum of all balances per currency. Always zero for a consistent ledger.
+ * @returns {Object} currency -> total
+ */
+function trialBalance() {
+  const totals = {};
+  for (const [key, amount] of loadBalances()) {
+    const currency = key.split('|')[1];
+    totals[currency] = round((totals[currency] || 0) + amount);
+  }
+  return totals;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  EXTERNAL,
+  LedgerError,
+  agentAccount,
+  holdAccount,
+  poolAccount,
+  balance,
+  balancesByPrefix,
+  post,
+  transfer,
+  hold,
+  captureHold,
+  releaseHold,
+  statement,
+  accountEntries,
+  trialBalance
+};
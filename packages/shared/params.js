@@ -0,0 +1,144 @@
+/**
+ * Governable parameters for MoltOS
+ * Packages register the settings that MoltDAO proposals may change, at module
+ * load. A parameter either lives here (its value is the stored override or its
+ * default) or is owned by its package, which supplies read/write functions.
+ * Values are type-checked before they are written.
+ */
+
+const storage = require('./storage');
+
+const overridesStore = storage.collection('params', 'overrides', { defaultValue: {} });
+
+const TYPES = ['number', 'integer', 'boolean', 'string', 'list'];
+
+// name ('court.panelSize') -> { name, description, type, min, max, protected, defaultValue, read, write }
+const registry = new Map();
+
+class ParamError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ParamError';
+    this.status = status;
+  }
+}
+
+/**
+ * Register a parameter
+ * @param {string} name - '<package>.<setting>', e.g. 'market.platformFee'
+ * @param {Object} spec - { description, type, defaultValue, min, max, protected, read, write };
+ *   `protected` parameters can only change through a constitutional amendment
+ */
+function define(name, spec) {
+  if (registry.has(name)) {
+    throw new Error(`Duplicate parameter: ${name}`);
+  }
+  if (!TYPES.includes(spec.type)) {
+    throw new Error(`Parameter ${name} has unknown type ${spec.type}`);
+  }
+  if (!spec.read !== !spec.write) {
+    throw new Error(`Parameter ${name} needs both read and write, or neither`);
+  }
+  registry.set(name, { name, protected: false, ...spec });
+}
+
+function find(name) {
+  const param = registry.get(name);
+  if (!param) {
+    throw new ParamError(`Unknown parameter: ${name}`, 404);
+  }
+  return param;
+}
+
+/**
+ * Current value of a parameter
+ * @param {string} name
+ * @returns {*}
+ */
+function get(name) {
+  const param = find(name);
+  if (param.read) {
+    return param.read();
+  }
+  const overrides = overridesStore.all();
+  return Object.prototype.hasOwnProperty.call(overrides, name) ? overrides[name] : param.defaultValue;
+}
+
+/**
+ * Coerce and check a value for a parameter. Strings are accepted for every
+ * type, since proposal forms submit text.
+ * @param {string} name
+ * @param {*} value
+ * @returns {*} The typed value
+ * @throws {ParamError} If the value doesn't fit the parameter
+ */
+function parse(name, value) {
+  const param = find(name);
+  let parsed = value;
+
+  if (param.type === 'number' || param.type === 'integer') {
+    parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed) || (param.type === 'integer' && !Number.isInteger(parsed))) {
+      throw new ParamError(`${name} must be ${param.type === 'integer' ? 'an integer' : 'a number'}`);
+    }
+    if ((param.min !== undefined && parsed < param.min) || (param.max !== undefined && parsed > param.max)) {
+      throw new ParamError(`${name} must be between ${param.min} and ${param.max}`);
+    }
+  } else if (param.type === 'boolean') {
+    parsed = value === 'true' ? true : value === 'false' ? false : value;
+    if (typeof parsed !== 'boolean') {
+      throw new ParamError(`${name} must be true or false`);
+    }
+  } else if (param.type === 'list') {
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch (_) {
+        parsed = value.split(',').map(item => item.trim()).filter(Boolean);
+      }
+    }
+    if (!Array.isArray(parsed) || !parsed.every(item => typeof item === 'string')) {
+      throw new ParamError(`${name} must be a list of strings`);
+    }
+  } else if (typeof parsed !== 'string') {
+    throw new ParamError(`${name} must be a string`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Change a parameter
+ * @param {string} name
+ * @param {*} value
+ * @returns {Object} { previous, value }
+ */
+function set(name, value) {
+  const param = find(name);
+  const parsed = parse(name, value);
+  const previous = get(name);
+
+  if (param.write) {
+    param.write(parsed);
+  } else {
+    overridesStore.replace({ ...overridesStore.all(), [name]: parsed });
+  }
+  return { previous, value: parsed };
+}
+
+/**
+ * Every registered parameter with its current value
+ * @returns {Object[]}
+ */
+function list() {
+  return [...registry.values()].map(({ read, write, ...param }) => ({ ...param, value: get(param.name) }));
+}
+
+module.exports = {
+  ParamError,
+  define,
+  get,
+  parse,
+  set,
+  list
+};
@@ -0,0 +1,79 @@
+/**
+ * Background jobs for MoltOS
+ * Packages register periodic jobs at module load; the server starts them once
+ * it is listening. Each job runs once on start and then every `intervalMs`,
+ * never overlapping with itself. Timers are unref'd so they don't keep the
+ * process alive.
+ */
+
+// job name ('pay.invoice-sweeper') -> { name, intervalMs, fn, running, timer, lastRunAt, lastError }
+const jobs = new Map();
+
+let started = false;
+
+async function run(job) {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.fn();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`[scheduler] ${job.name} failed: ${error.message}`);
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date().toISOString();
+  }
+}
+
+function schedule(job) {
+  run(job);
+  job.timer = setInterval(() => run(job), job.intervalMs);
+  job.timer.unref();
+}
+
+/**
+ * Register a periodic job
+ * @param {string} pkg - Owning package, e.g. 'pay'
+ * @param {string} name - Job name, unique within the package
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} fn - () => void | Promise<void>
+ */
+function every(pkg, name, intervalMs, fn) {
+  const id = `${pkg}.${name}`;
+  if (jobs.has(id)) {
+    throw new Error(`Duplicate scheduled job: ${id}`);
+  }
+  const job = { name: id, intervalMs, fn, running: false, timer: null, lastRunAt: null, lastError: null };
+  jobs.set(id, job);
+  if (started) {
+    schedule(job);
+  }
+}
+
+/**
+ * Start every registered job. Called once by the server.
+ */
+function start() {
+  if (started) return;
+  started = true;
+  for (const job of jobs.values()) {
+    schedule(job);
+  }
+}
+
+/**
+ * Registered jobs and their last run
+ * @returns {Object[]}
+ */
+function listJobs() {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name, intervalMs, running, lastRunAt, lastError
+  }));
+}
+
+module.exports = {
+  every,
+  start,
+  listJobs
+};
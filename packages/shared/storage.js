@@ -0,0 +1,723 @@
+/**
+ * Shared storage layer for MoltOS
+ * Every package keeps its state in named collections (`<service>/<name>`).
+ * Writes are atomic (write-and-rename or a SQLite transaction), recorded in an
+ * append-only journal and checked for stale reads. Journals are compacted back
+ * to a single base entry once they pass MOLTOS_JOURNAL_MAX_ENTRIES.
+ * Array collections get an in-memory index by id. Logs are plain append-only
+ * lists of entries for state that changes one record at a time.
+ *
+ * Backends:
+ *   json   - data/<service>/<name>.json plus <name>.journal, logs in <name>.log (default)
+ *   sqlite - a single embedded database (MOLTOS_STORAGE=sqlite, needs better-sqlite3).
+ *            Collections that are not in the database yet are imported from
+ *            their JSON file on first read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_ROOT = process.env.MOLTOS_DATA_DIR || path.join(__dirname, '../../data');
+const SQLITE_FILE = process.env.MOLTOS_SQLITE_FILE || path.join(DATA_ROOT, 'moltos.db');
+const JOURNAL_MAX_ENTRIES = parseInt(process.env.MOLTOS_JOURNAL_MAX_ENTRIES || '1000', 10);
+
+// Tag placed on values handed out by all() so replace() can detect stale reads
+const VERSION = Symbol('moltos.storage.version');
+
+class StorageError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function tag(value, version) {
+  if (value !== null && typeof value === 'object') {
+    Object.defineProperty(value, VERSION, { value: version, configurable: true });
+  }
+  return value;
+}
+
+function splitName(name) {
+  const [namespace, collection] = name.split('/');
+  return { namespace, collection };
+}
+
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Replay journal entries on top of a starting value.
+ * 'base' and 'set' entries carry a full value; 'put'/'del' touch one record.
+ * @param {Object[]} entries
+ * @param {string} key - Record id field
+ * @returns {*} Rebuilt value, or undefined when the journal has no base
+ */
+function replayJournal(entries, key) {
+  let value;
+  for (const entry of entries) {
+    if (entry.op === 'base' || entry.op === 'set') {
+      value = clone(entry.value);
+    } else if (Array.isArray(value) && entry.op === 'put') {
+      const index = value.findIndex(r => String(r[key]) === entry.id);
+      if (index !== -1) {
+        value[index] = entry.record;
+      } else {
+        value.splice(Math.min(entry.at ?? value.length, value.length), 0, entry.record);
+      }
+    } else if (Array.isArray(value) && entry.op === 'del') {
+      value = value.filter(r => String(r[key]) !== entry.id);
+    }
+  }
+  return value;
+}
+
+/**
+ * Parse a file of one JSON entry per line
+ * @param {string} file
+ * @returns {Object[]} Entries; empty if the file doesn't exist
+ */
+function readLines(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A torn final line from a crash mid-append; everything before it is intact
+      break;
+    }
+  }
+  return entries;
+}
+
+// ============ BACKENDS ============
+
+class JsonFileBackend {
+  constructor(root) {
+    this.name = 'json';
+    this.root = root;
+  }
+
+  file(name) {
+    const { namespace, collection } = splitName(name);
+    return path.join(this.root, namespace, `${collection}.json`);
+  }
+
+  journalFile(name) {
+    const { namespace, collection } = splitName(name);
+    return path.join(this.root, namespace, `${collection}.journal`);
+  }
+
+  // Changes whenever the snapshot is rewritten, by us or anyone else
+  token(name) {
+    try {
+      const stats = fs.statSync(this.file(name));
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  read(name) {
+    return readJsonFile(this.file(name));
+  }
+
+  updatedAt(name) {
+    try {
+      return fs.statSync(this.file(name)).mtime.toISOString();
+    } catch {
+      return null;
+    }
+  }
+
+  hasJournal(name) {
+    return fs.existsSync(this.journalFile(name));
+  }
+
+  readJournal(name) {
+    return readLines(this.journalFile(name));
+  }
+
+  journalLength(name) {
+    return this.readJournal(name).length;
+  }
+
+  /**
+   * Journal first, then atomically swap the snapshot in
+   */
+  write(name, value, entries) {
+    const file = this.file(name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    if (entries.length > 0) {
+      const fd = fs.openSync(this.journalFile(name), 'a');
+      try {
+        fs.writeSync(fd, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(value, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  }
+
+  compact(name, value) {
+    const file = this.journalFile(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ op: 'base', ts: new Date().toISOString(), value }) + '\n');
+    fs.renameSync(tmp, file);
+  }
+
+  logFile(name) {
+    const { namespace, collection } = splitName(name);
+    return path.join(this.root, namespace, `${collection}.log`);
+  }
+
+  readLog(name) {
+    return readLines(this.logFile(name));
+  }
+
+  appendLog(name, entries) {
+    const file = this.logFile(name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const fd = fs.openSync(file, 'a');
+    try {
+      fs.writeSync(fd, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  rewriteLog(name, entries) {
+    const file = this.logFile(name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, entries.map(e => JSON.stringify(e) + '\n').join(''));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  }
+}
+
+class SqliteBackend {
+  constructor(file) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch {
+      throw new StorageError('MOLTOS_STORAGE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.name = 'sqlite';
+    this.json = new JsonFileBackend(DATA_ROOT);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        version INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, position)
+      );
+      CREATE INDEX IF NOT EXISTS records_by_id ON records (collection, id);
+      CREATE TABLE IF NOT EXISTS journal (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        entry TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS logs (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        log TEXT NOT NULL,
+        entry TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS logs_by_name ON logs (log, seq);
+    `);
+  }
+
+  meta(name) {
+    return this.db.prepare('SELECT kind, version FROM collections WHERE name = ?').get(name);
+  }
+
+  token(name) {
+    const meta = this.meta(name);
+    return meta ? String(meta.version) : null;
+  }
+
+  updatedAt(name) {
+    const row = this.db.prepare('SELECT updated_at FROM collections WHERE name = ?').get(name);
+    return row ? row.updated_at : null;
+  }
+
+  read(name) {
+    const meta = this.meta(name);
+    if (!meta) {
+      // First use: import the existing JSON file
+      const imported = this.json.read(name);
+      if (imported !== undefined) {
+        this.write(name, imported, [{ op: 'base', ts: new Date().toISOString(), value: imported }]);
+      }
+      return imported;
+    }
+
+    const rows = this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY position').all(name);
+    if (meta.kind === 'value') {
+      return rows.length > 0 ? JSON.parse(rows[0].data) : undefined;
+    }
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  hasJournal(name) {
+    return !!this.db.prepare('SELECT 1 FROM journal WHERE collection = ? LIMIT 1').get(name);
+  }
+
+  readJournal(name) {
+    return this.db.prepare('SELECT entry FROM journal WHERE collection = ? ORDER BY seq').all(name)
+      .map(row => JSON.parse(row.entry));
+  }
+
+  journalLength(name) {
+    return this.db.prepare('SELECT COUNT(*) AS n FROM journal WHERE collection = ?').get(name).n;
+  }
+
+  /**
+   * Add one record to the end of an array collection without rewriting the rest
+   */
+  append(name, record, position, entries) {
+    const append = this.db.prepare('INSERT INTO journal (collection, entry) VALUES (?, ?)');
+    this.db.transaction(() => {
+      for (const entry of entries) {
+        append.run(name, JSON.stringify(entry));
+      }
+      const id = record && record.id !== undefined ? String(record.id) : `#${position}`;
+      this.db.prepare('INSERT INTO records (collection, id, position, data) VALUES (?, ?, ?, ?)')
+        .run(name, id, position, JSON.stringify(record));
+      this.db.prepare('UPDATE collections SET version = version + 1, updated_at = ? WHERE name = ?')
+        .run(new Date().toISOString(), name);
+    })();
+  }
+
+  write(name, value, entries) {
+    const kind = Array.isArray(value) ? 'array' : 'value';
+    const insert = this.db.prepare('INSERT INTO records (collection, id, position, data) VALUES (?, ?, ?, ?)');
+    const append = this.db.prepare('INSERT INTO journal (collection, entry) VALUES (?, ?)');
+
+    this.db.transaction(() => {
+      for (const entry of entries) {
+        append.run(name, JSON.stringify(entry));
+      }
+      this.db.prepare('DELETE FROM records WHERE collection = ?').run(name);
+      if (kind === 'array') {
+        value.forEach((record, position) => {
+          const id = record && record.id !== undefined ? String(record.id) : `#${position}`;
+          insert.run(name, id, position, JSON.stringify(record));
+        });
+      } else {
+        insert.run(name, '', 0, JSON.stringify(value));
+      }
+      this.db.prepare(`
+        INSERT INTO collections (name, kind, version, updated_at) VALUES (?, ?, 1, ?)
+        ON CONFLICT(name) DO UPDATE SET kind = excluded.kind, version = version + 1, updated_at = excluded.updated_at
+      `).run(name, kind, new Date().toISOString());
+    })();
+  }
+
+  compact(name, value) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM journal WHERE collection = ?').run(name);
+      this.db.prepare('INSERT INTO journal (collection, entry) VALUES (?, ?)')
+        .run(name, JSON.stringify({ op: 'base', ts: new Date().toISOString(), value }));
+    })();
+  }
+
+  readLog(name) {
+    const rows = this.db.prepare('SELECT entry FROM logs WHERE log = ? ORDER BY seq').all(name);
+    if (rows.length === 0) {
+      // First use: import an existing log file
+      const imported = this.json.readLog(name);
+      if (imported.length > 0) this.appendLog(name, imported);
+      return imported;
+    }
+    return rows.map(row => JSON.parse(row.entry));
+  }
+
+  appendLog(name, entries) {
+    const append = this.db.prepare('INSERT INTO logs (log, entry) VALUES (?, ?)');
+    this.db.transaction(() => {
+      for (const entry of entries) {
+        append.run(name, JSON.stringify(entry));
+      }
+    })();
+  }
+
+  rewriteLog(name, entries) {
+    const append = this.db.prepare('INSERT INTO logs (log, entry) VALUES (?, ?)');
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM logs WHERE log = ?').run(name);
+      for (const entry of entries) {
+        append.run(name, JSON.stringify(entry));
+      }
+    })();
+  }
+}
+
+// ============ COLLECTIONS ============
+
+class Collection {
+  constructor(backend, name, options = {}) {
+    this.backend = backend;
+    this.name = name;
+    this.key = options.key || 'id';
+    this.defaultValue = options.defaultValue !== undefined ? options.defaultValue : [];
+    this.version = 0;
+    this.token = undefined;
+    this.value = undefined;
+    this.index = null;
+    this.journalEntries = undefined;
+  }
+
+  load() {
+    const token = this.backend.token(this.name);
+    if (this.value !== undefined && token === this.token) {
+      return this.value;
+    }
+
+    let value;
+    try {
+      value = this.backend.read(this.name);
+    } catch (error) {
+      // Unreadable snapshot: rebuild it from the journal
+      value = replayJournal(this.backend.readJournal(this.name), this.key);
+      if (value === undefined) {
+        throw new StorageError(`Collection ${this.name} is corrupt and has no journal to recover from: ${error.message}`);
+      }
+      console.warn(`[storage] recovered ${this.name} from its journal`);
+      this.backend.write(this.name, value, []);
+    }
+
+    this.value = value !== undefined ? value : clone(this.defaultValue);
+    this.token = this.backend.token(this.name);
+    this.version++;
+    this.reindex();
+    return this.value;
+  }
+
+  reindex() {
+    this.index = null;
+    if (!Array.isArray(this.value)) return;
+
+    const index = new Map();
+    for (const record of this.value) {
+      if (!record || record[this.key] === undefined) return;
+      index.set(String(record[this.key]), record);
+    }
+    this.index = index;
+  }
+
+  /**
+   * Entire collection as a private copy. Pass the same value back to replace();
+   * if someone else wrote in between, replace() fails with a 409 instead of
+   * silently dropping their write.
+   * @returns {Array|Object}
+   */
+  all() {
+    const value = this.load();
+    return tag(clone(value), this.version);
+  }
+
+  /**
+   * Indexed lookup by id (array collections whose records all have the key field)
+   * @param {string} id
+   * @returns {Object|null} Copy of the record
+   */
+  get(id) {
+    this.load();
+    if (this.index) {
+      return clone(this.index.get(String(id))) || null;
+    }
+    if (!Array.isArray(this.value)) {
+      return null;
+    }
+    return clone(this.value.find(r => r && String(r[this.key]) === String(id))) || null;
+  }
+
+  /**
+   * Persist a new value for the whole collection
+   * @param {Array|Object} value
+   */
+  replace(value) {
+    this.commit(value);
+  }
+
+  /**
+   * Append one record to an array collection. Only the new record is copied
+   * and journaled; the SQLite backend writes just its row.
+   * @param {Object} record
+   * @returns {Object} The record
+   */
+  insert(record) {
+    const current = this.load();
+    if (!Array.isArray(current) || !record || record[this.key] === undefined) {
+      const records = this.all();
+      records.push(record);
+      this.commit(records);
+      return record;
+    }
+
+    const copy = clone(record);
+    const id = String(copy[this.key]);
+    if (this.index && this.index.has(id)) {
+      throw new StorageError(`Collection ${this.name} already has a record ${id}`, 409);
+    }
+    const entries = [{ op: 'put', ts: new Date().toISOString(), id, at: current.length, record: copy }];
+    if (!this.backend.hasJournal(this.name)) {
+      entries.unshift({ op: 'base', ts: entries[0].ts, value: current });
+    }
+
+    const next = current.concat([copy]);
+    // A collection saved for the first time needs its base written in full
+    if (this.backend.append && entries.length === 1) {
+      this.backend.append(this.name, copy, current.length, entries);
+    } else {
+      this.backend.write(this.name, next, entries);
+    }
+
+    this.value = next;
+    this.token = this.backend.token(this.name);
+    this.version++;
+    if (this.index) this.index.set(id, copy);
+    this.journaled(entries.length);
+    return record;
+  }
+
+  /**
+   * Version of the stored value, without copying it. It changes whenever the
+   * collection is written here or reloaded after a write from elsewhere.
+   * @returns {number}
+   */
+  revision() {
+    this.load();
+    return this.version;
+  }
+
+  /**
+   * Time of the last write, or null if the collection was never saved
+   * @returns {string|null} ISO timestamp
+   */
+  updatedAt() {
+    return this.backend.updatedAt(this.name);
+  }
+
+  /**
+   * Rewrite the journal as a single base entry holding the current value
+   */
+  compact() {
+    this.backend.compact(this.name, this.load());
+    this.journalEntries = 1;
+  }
+
+  // Count new journal entries and compact once the journal passes the limit
+  journaled(count) {
+    if (this.journalEntries === undefined) {
+      this.journalEntries = this.backend.journalLength(this.name);
+    } else {
+      this.journalEntries += count;
+    }
+    if (this.journalEntries > JOURNAL_MAX_ENTRIES) {
+      this.compact();
+    }
+  }
+
+  commit(value) {
+    const current = this.load();
+    if (value && value[VERSION] !== undefined && value[VERSION] !== this.version) {
+      throw new StorageError(`Collection ${this.name} was modified by another request; retry`, 409);
+    }
+
+    const next = clone(value);
+    const entries = this.diff(current, next);
+    if (!this.backend.hasJournal(this.name)) {
+      entries.unshift({ op: 'base', ts: entries[0] ? entries[0].ts : new Date().toISOString(), value: current });
+    }
+
+    this.backend.write(this.name, next, entries);
+
+    this.value = next;
+    this.token = this.backend.token(this.name);
+    this.version++;
+    this.reindex();
+    tag(value, this.version);
+    this.journaled(entries.length);
+  }
+
+  diff(current, next) {
+    const ts = new Date().toISOString();
+    const keyed = list => Array.isArray(list) && list.every(r => r && r[this.key] !== undefined);
+
+    if (!keyed(current) || !keyed(next)) {
+      return [{ op: 'set', ts, value: next }];
+    }
+
+    const entries = [];
+    const before = new Map(current.map(r => [String(r[this.key]), JSON.stringify(r)]));
+    const after = new Set();
+
+    next.forEach((record, at) => {
+      const id = String(record[this.key]);
+      after.add(id);
+      if (before.get(id) !== JSON.stringify(record)) {
+        entries.push(before.has(id) ? { op: 'put', ts, id, record } : { op: 'put', ts, id, at, record });
+      }
+    });
+    for (const id of before.keys()) {
+      if (!after.has(id)) {
+        entries.push({ op: 'del', ts, id });
+      }
+    }
+    return entries;
+  }
+}
+
+class Log {
+  constructor(backend, name) {
+    this.backend = backend;
+    this.name = name;
+    this.length = undefined;
+  }
+
+  /**
+   * Every entry, oldest first
+   * @returns {Object[]}
+   */
+  entries() {
+    const entries = this.backend.readLog(this.name);
+    this.length = entries.length;
+    return entries;
+  }
+
+  /**
+   * Durably add entries to the end of the log
+   * @param {...Object} entries
+   */
+  append(...entries) {
+    if (entries.length === 0) return;
+    if (this.length === undefined) {
+      this.length = this.backend.readLog(this.name).length;
+    }
+    this.backend.appendLog(this.name, entries);
+    this.length += entries.length;
+  }
+
+  /**
+   * Atomically replace the whole log, e.g. with a folded-down copy
+   * @param {Object[]} entries
+   */
+  rewrite(entries) {
+    this.backend.rewriteLog(this.name, entries);
+    this.length = entries.length;
+  }
+}
+
+// ============ PUBLIC API ============
+
+let backend = null;
+const collections = new Map();
+const logs = new Map();
+
+function getBackend() {
+  if (!backend) {
+    const kind = (process.env.MOLTOS_STORAGE || 'json').toLowerCase();
+    if (kind === 'sqlite') {
+      backend = new SqliteBackend(SQLITE_FILE);
+    } else if (kind === 'json') {
+      backend = new JsonFileBackend(DATA_ROOT);
+    } else {
+      throw new StorageError(`Unknown MOLTOS_STORAGE backend: ${kind}`);
+    }
+  }
+  return backend;
+}
+
+/**
+ * Get (or create) a collection handle. Handles are shared per name, so every
+ * module touching `pay/invoices` shares one cache and one version counter.
+ * There is no lock: a replace() based on a stale all() is rejected with a 409
+ * instead, for the caller to retry.
+ * @param {string} namespace - Service name, e.g. 'pay'
+ * @param {string} name - Collection name, e.g. 'invoices'
+ * @param {Object} [options]
+ * @param {*} [options.defaultValue=[]] - Value when nothing is stored yet
+ * @param {string} [options.key='id'] - Record field used for get() and the journal
+ * @returns {Collection}
+ */
+function collection(namespace, name, options = {}) {
+  const fullName = `${namespace}/${name}`;
+  if (!collections.has(fullName)) {
+    collections.set(fullName, new Collection(getBackend(), fullName, options));
+  }
+  return collections.get(fullName);
+}
+
+/**
+ * Get (or create) an append-only log. Use it for records that change one at a
+ * time and often, where rewriting a whole collection per change costs too much.
+ * @param {string} namespace - Service name, e.g. 'events'
+ * @param {string} name - Log name, e.g. 'deliveries'
+ * @returns {Log}
+ */
+function log(namespace, name) {
+  const fullName = `${namespace}/${name}`;
+  if (!logs.has(fullName)) {
+    logs.set(fullName, new Log(getBackend(), fullName));
+  }
+  return logs.get(fullName);
+}
+
+/**
+ * Name of the active backend ('json' or 'sqlite')
+ * @returns {string}
+ */
+function backendName() {
+  return getBackend().name;
+}
+
+module.exports = {
+  collection,
+  log,
+  backendName,
+  StorageError
+};
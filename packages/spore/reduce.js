@@ -0,0 +1,109 @@
+/**
+ * MoltSpore reduce strategies
+ * A parent merges the results its children reported into one aggregate.
+ * Each child contributes its latest result; reduce() folds those results
+ * together with the chosen strategy.
+ */
+
+const REDUCE_STRATEGIES = {
+  'concat': {
+    name: 'Concatenate',
+    description: 'Every child\'s output in the order reported; array outputs are spliced in',
+    options: {}
+  },
+  'vote': {
+    name: 'Majority Vote',
+    description: 'The output most children agree on; a tie has no winner',
+    options: { field: 'Vote on this output field instead of the whole output (optional)' }
+  },
+  'best-by-metric': {
+    name: 'Best by Metric',
+    description: 'The output of the child with the best value for a reported metric',
+    options: {
+      metric: 'Metric name, as reported in metrics (required)',
+      order: 'max (default) or min'
+    }
+  }
+};
+
+/**
+ * Check a strategy and its options
+ * @param {string} strategy
+ * @param {Object} options
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateStrategy(strategy, options = {}) {
+  if (!REDUCE_STRATEGIES[strategy]) {
+    return `strategy must be one of: ${Object.keys(REDUCE_STRATEGIES).join(', ')}`;
+  }
+  if (strategy === 'vote' && options.field !== undefined && typeof options.field !== 'string') {
+    return 'field must be a string';
+  }
+  if (strategy === 'best-by-metric') {
+    if (!options.metric || typeof options.metric !== 'string') {
+      return 'metric is required for best-by-metric';
+    }
+    if (options.order !== undefined && !['max', 'min'].includes(options.order)) {
+      return 'order must be max or min';
+    }
+  }
+  return null;
+}
+
+// Outputs are compared by value, so { a: 1 } from two children counts as one answer
+function ballotKey(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fold child results into an aggregate
+ * @param {string} strategy
+ * @param {Object} options
+ * @param {Object[]} results - [{ agentId, output, metrics, reportedAt }], latest per child
+ * @returns {Object} { value, ... } - value is the merged output; the rest explains it
+ */
+function reduce(strategy, options, results) {
+  const ordered = [...results].sort((a, b) => new Date(a.reportedAt) - new Date(b.reportedAt));
+
+  if (strategy === 'vote') {
+    const tallies = new Map();
+    ordered.forEach(r => {
+      const value = options.field ? (r.output || {})[options.field] : r.output;
+      const key = ballotKey(value);
+      const entry = tallies.get(key) || { value, count: 0, agents: [] };
+      entry.count++;
+      entry.agents.push(r.agentId);
+      tallies.set(key, entry);
+    });
+
+    const votes = [...tallies.values()].sort((a, b) => b.count - a.count);
+    const tied = votes.length > 1 && votes[0].count === votes[1].count;
+    return {
+      value: votes.length > 0 && !tied ? votes[0].value : null,
+      votes
+    };
+  }
+
+  if (strategy === 'best-by-metric') {
+    const sign = options.order === 'min' ? -1 : 1;
+    const scored = ordered.filter(r => typeof (r.metrics || {})[options.metric] === 'number');
+    // Ties go to the child that reported first
+    const best = scored.reduce((top, r) => (!top || sign * r.metrics[options.metric] > sign * top.metrics[options.metric] ? r : top), null);
+    return {
+      value: best ? best.output : null,
+      bestAgentId: best ? best.agentId : null,
+      bestMetric: best ? best.metrics[options.metric] : null,
+      unscored: ordered.length - scored.length
+    };
+  }
+
+  return {
+    value: ordered.reduce((all, r) => all.concat(Array.isArray(r.output) ? r.output : [r.output]), [])
+  };
+}
+
+module.exports = {
+  REDUCE_STRATEGIES,
+  validateStrategy,
+  reduce
+};
@@ -1,40 +1,180 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent, normalizeIdentity } = require('../shared/auth');
+const storage = require('../shared/storage');
+const scheduler = require('../shared/scheduler');
+const eventBus = require('../shared/events');
+const { REDUCE_STRATEGIES, validateStrategy, reduce } = require('./reduce');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/spore');
-const AGENTS_FILE = path.join(DATA_DIR, 'agents.json');
-const RESULTS_FILE = path.join(DATA_DIR, 'results.json');
+const agentsStore = storage.collection('spore', 'agents');
+const resultsStore = storage.collection('spore', 'results');
+// normalized parent id -> the aggregate its merged children reduce to
+const aggregatesStore = storage.collection('spore', 'aggregates', { defaultValue: {} });
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+// Lineage limits: a registered agent's own spores are depth 1
+const MAX_DEPTH = parseInt(process.env.SPORE_MAX_DEPTH || '3', 10);
+// Active children any one parent may have; a spore can be given a lower quota when spawned
+const MAX_CHILDREN = parseInt(process.env.SPORE_MAX_CHILDREN || '10', 10);
+
+const SUPERVISOR_INTERVAL_MS = 30 * 1000;
 
 function loadAgents() {
-  try {
-    return JSON.parse(fs.readFileSync(AGENTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return agentsStore.all();
 }
 
 function saveAgents(agents) {
-  fs.writeFileSync(AGENTS_FILE, JSON.stringify(agents, null, 2));
+  agentsStore.replace(agents);
 }
 
 function loadResults() {
-  try {
-    return JSON.parse(fs.readFileSync(RESULTS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return resultsStore.all();
 }
 
 function saveResults(results) {
-  fs.writeFileSync(RESULTS_FILE, JSON.stringify(results, null, 2));
+  resultsStore.replace(results);
+}
+
+// Spawned agents are managed by the registered agent at the root of their lineage
+function ownsSpore(req, spore) {
+  return isActingAgent(req, spore.owner || spore.parentId);
+}
+
+function isChildOf(spore, parentId) {
+  return normalizeIdentity(spore.parentId) === normalizeIdentity(parentId);
+}
+
+// Spores spawned before depth was recorded get it from their ancestry
+function depthOf(agents, spore) {
+  if (spore.depth) return spore.depth;
+  const parent = agents.find(a => a.id === spore.parentId);
+  return parent ? depthOf(agents, parent) + 1 : 1;
+}
+
+/**
+ * Every spore below a parent, nearest first
+ * @param {Object[]} agents
+ * @param {string} parentId
+ * @returns {Object[]}
+ */
+function descendantsOf(agents, parentId) {
+  const found = [];
+  let frontier = [parentId];
+  while (frontier.length > 0) {
+    const children = agents.filter(a => frontier.some(id => isChildOf(a, id)));
+    found.push(...children);
+    frontier = children.map(a => a.id);
+  }
+  return found;
+}
+
+/**
+ * End an active spore and terminate its active descendants with it
+ * @param {Object[]} agents - Mutated in place
+ * @param {Object} spore
+ * @param {string} status - 'terminated' or 'expired'
+ * @returns {string[]} Ids of the descendants terminated
+ */
+function endLineage(agents, spore, status) {
+  const endedAt = new Date().toISOString();
+  spore.status = status;
+  spore.completedAt = endedAt;
+
+  const cascaded = descendantsOf(agents, spore.id).filter(a => a.status === 'active');
+  cascaded.forEach(child => {
+    child.status = 'terminated';
+    child.completedAt = endedAt;
+    child.terminatedReason = status === 'expired' ? 'parent-expired' : 'parent-terminated';
+  });
+  return cascaded.map(a => a.id);
+}
+
+// Common payload for spore.* events
+function sporeEvent(spore) {
+  return { sporeId: spore.id, parentId: spore.parentId, owner: spore.owner || spore.parentId };
+}
+
+// Expire spores past expiresAt, taking their lineage down with them
+function superviseSpores() {
+  const agents = loadAgents();
+  const now = Date.now();
+  const events = [];
+
+  agents.forEach(spore => {
+    if (spore.status !== 'active' || !spore.expiresAt || new Date(spore.expiresAt).getTime() > now) return;
+    const cascaded = endLineage(agents, spore, 'expired');
+    events.push(eventBus.check('spore.expired', { ...sporeEvent(spore), cascaded }));
+  });
+
+  if (events.length > 0) {
+    saveAgents(agents);
+    events.forEach(payload => eventBus.publish('spore.expired', payload, { source: 'spore', actor: null }));
+  }
+}
+
+scheduler.every('spore', 'lifecycle-supervisor', SUPERVISOR_INTERVAL_MS, superviseSpores);
+
+// Latest result reported by each of the given spores
+function latestResults(agentIds) {
+  const latest = new Map();
+  loadResults()
+    .filter(r => agentIds.includes(r.agentId))
+    .forEach(r => {
+      const current = latest.get(r.agentId);
+      if (!current || new Date(r.reportedAt) >= new Date(current.reportedAt)) {
+        latest.set(r.agentId, r);
+      }
+    });
+  return [...latest.values()];
+}
+
+/**
+ * Merge completed children into their parent's aggregate. Children merged
+ * earlier stay in; the whole set is reduced again with the requested
+ * strategy, or the aggregate's current one.
+ * @param {string} parentId
+ * @param {Object[]} children - Completed spores of the parent
+ * @param {Object} body - { strategy, options }
+ * @param {string} actor
+ * @returns {Object} { aggregate } or { error }
+ */
+function mergeIntoParent(parentId, children, body, actor) {
+  const aggregates = aggregatesStore.all();
+  const key = normalizeIdentity(parentId);
+  const existing = aggregates[key];
+
+  const strategy = body.strategy || (existing ? existing.strategy : 'concat');
+  const options = body.options || (existing && existing.strategy === strategy ? existing.options : {});
+  const strategyError = validateStrategy(strategy, options);
+  if (strategyError) {
+    return { error: strategyError };
+  }
+
+  const childIds = [...new Set([...(existing ? existing.children : []), ...children.map(c => c.id)])];
+  const event = eventBus.check('spore.merged', { parentId, strategy, children: childIds });
+  const results = latestResults(childIds);
+  const aggregate = {
+    parentId,
+    strategy,
+    options,
+    children: childIds,
+    resultCount: results.length,
+    ...reduce(strategy, options, results),
+    mergedAt: new Date().toISOString(),
+    mergedBy: actor
+  };
+
+  aggregatesStore.replace({ ...aggregates, [key]: aggregate });
+
+  const agents = loadAgents();
+  agents
+    .filter(a => children.some(c => c.id === a.id) && !a.mergedAt)
+    .forEach(a => { a.mergedAt = aggregate.mergedAt; });
+  saveAgents(agents);
+  eventBus.publish('spore.merged', { ...event, resultCount: aggregate.resultCount }, { source: 'spore', actor });
+
+  return { aggregate };
 }
 
 // Serve dashboard
@@ -55,30 +195,65 @@ router.get('/health', (req, res) => {
 });
 
 // Spawn new agent
-router.post('/api/spawn', (req, res) => {
-  const { parentId, task, specialization, ttl, config } = req.body;
+router.post('/api/spawn', requireAgent(), (req, res) => {
+  const { task, specialization, ttl, config, maxChildren } = req.body;
+  const parentId = req.body.parentId || req.agent.name;
+  
+  if (!task) {
+    return res.status(400).json({ error: 'task is required' });
+  }
+  
+  if (ttl !== undefined && ttl !== null && !(Number(ttl) > 0)) {
+    return res.status(400).json({ error: 'ttl must be a positive number of seconds' });
+  }
   
-  if (!parentId || !task) {
-    return res.status(400).json({ error: 'parentId and task are required' });
+  if (maxChildren !== undefined && !(Number.isInteger(maxChildren) && maxChildren >= 0 && maxChildren <= MAX_CHILDREN)) {
+    return res.status(400).json({ error: `maxChildren must be a whole number from 0 to ${MAX_CHILDREN}` });
   }
   
   const agents = loadAgents();
   
+  // Parent is either the authenticated agent itself or one of its spores
+  const parentSpore = agents.find(a => a.id === parentId);
+  if (parentSpore ? !ownsSpore(req, parentSpore) : !isActingAgent(req, parentId)) {
+    return res.status(403).json({ error: 'parentId must be the authenticated agent or one of its spawned agents' });
+  }
+  
+  if (parentSpore && parentSpore.status !== 'active') {
+    return res.status(409).json({ error: `Parent agent is ${parentSpore.status}` });
+  }
+  
+  const depth = parentSpore ? depthOf(agents, parentSpore) + 1 : 1;
+  if (depth > MAX_DEPTH) {
+    return res.status(409).json({ error: `Spawned agents can be at most ${MAX_DEPTH} levels deep` });
+  }
+  
+  const quota = parentSpore && parentSpore.maxChildren !== undefined ? parentSpore.maxChildren : MAX_CHILDREN;
+  const activeChildren = agents.filter(a => a.status === 'active' && isChildOf(a, parentId)).length;
+  if (activeChildren >= quota) {
+    return res.status(409).json({ error: `${parentId} already has ${activeChildren} active spawned agents (quota ${quota})`, quota });
+  }
+  
   const agent = {
     id: uuidv4(),
     parentId,
+    owner: parentSpore ? (parentSpore.owner || parentSpore.parentId) : req.agent.name,
     task,
     specialization: specialization || 'general',
-    ttl: ttl || null,
+    ttl: ttl ? Number(ttl) : null,
     config: config || {},
+    depth,
+    maxChildren: maxChildren !== undefined ? maxChildren : MAX_CHILDREN,
     status: 'active',
     spawnedAt: new Date().toISOString(),
     completedAt: null,
-    expiresAt: ttl ? new Date(Date.now() + ttl * 1000).toISOString() : null
+    expiresAt: ttl ? new Date(Date.now() + Number(ttl) * 1000).toISOString() : null
   };
+  const event = eventBus.check('spore.spawned', { ...sporeEvent(agent), depth, task });
   
   agents.push(agent);
   saveAgents(agents);
+  eventBus.publish('spore.spawned', event, { source: 'spore', actor: req.agent.name });
   res.status(201).json(agent);
 });
 
@@ -109,12 +284,15 @@ router.get('/api/agents/:id', (req, res) => {
   
   res.json({
     ...agent,
-    results: agentResults
+    depth: depthOf(agents, agent),
+    results: agentResults,
+    children: agents.filter(a => isChildOf(a, agent.id)).length,
+    aggregate: aggregatesStore.all()[normalizeIdentity(agent.id)] || null
   });
 });
 
 // Agent reports results back
-router.post('/api/agents/:id/report', (req, res) => {
+router.post('/api/agents/:id/report', requireAgent(), (req, res) => {
   const { output, metrics } = req.body;
   const agents = loadAgents();
   const agent = agents.find(a => a.id === req.params.id);
@@ -123,9 +301,18 @@ router.post('/api/agents/:id/report', (req, res) => {
     return res.status(404).json({ error: 'Agent not found' });
   }
   
-  agent.status = 'completed';
-  agent.completedAt = new Date().toISOString();
-  saveAgents(agents);
+  if (!ownsSpore(req, agent)) {
+    return res.status(403).json({ error: 'Only the owner of this spawned agent can do that' });
+  }
+  
+  if (agent.status === 'expired' || agent.status === 'terminated') {
+    return res.status(409).json({ error: `Agent is ${agent.status}` });
+  }
+  
+  // The supervisor may not have caught up with the TTL yet
+  if (agent.expiresAt && new Date(agent.expiresAt).getTime() <= Date.now()) {
+    return res.status(409).json({ error: `Agent expired at ${agent.expiresAt}` });
+  }
   
   const results = loadResults();
   const result = {
@@ -135,15 +322,21 @@ router.post('/api/agents/:id/report', (req, res) => {
     metrics: metrics || {},
     reportedAt: new Date().toISOString()
   };
+  const event = eventBus.check('spore.reported', { ...sporeEvent(agent), resultId: result.id });
+  
+  agent.status = 'completed';
+  agent.completedAt = result.reportedAt;
+  saveAgents(agents);
   
   results.push(result);
   saveResults(results);
+  eventBus.publish('spore.reported', event, { source: 'spore', actor: req.agent.name });
   
   res.status(201).json(result);
 });
 
-// Merge results back to parent
-router.post('/api/agents/:id/merge', (req, res) => {
+// Merge this agent's results into its parent's aggregate
+router.post('/api/agents/:id/merge', requireAgent(), (req, res) => {
   const agents = loadAgents();
   const agent = agents.find(a => a.id === req.params.id);
   
@@ -151,24 +344,32 @@ router.post('/api/agents/:id/merge', (req, res) => {
     return res.status(404).json({ error: 'Agent not found' });
   }
   
+  if (!ownsSpore(req, agent)) {
+    return res.status(403).json({ error: 'Only the owner of this spawned agent can do that' });
+  }
+  
   if (agent.status !== 'completed') {
     return res.status(400).json({ error: 'Agent has not completed yet' });
   }
   
+  const { aggregate, error } = mergeIntoParent(agent.parentId, [agent], req.body, req.agent.name);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
   const results = loadResults();
   const agentResults = results.filter(r => r.agentId === agent.id);
   
-  // In a real implementation, this would merge results back to the parent agent
-  // For now, we just return the results
   res.json({
     success: true,
     parentId: agent.parentId,
-    results: agentResults
+    results: agentResults,
+    aggregate
   });
 });
 
 // Terminate agent
-router.post('/api/agents/:id/kill', (req, res) => {
+router.post('/api/agents/:id/kill', requireAgent(), (req, res) => {
   const agents = loadAgents();
   const agent = agents.find(a => a.id === req.params.id);
   
@@ -176,20 +377,68 @@ router.post('/api/agents/:id/kill', (req, res) => {
     return res.status(404).json({ error: 'Agent not found' });
   }
   
-  agent.status = 'terminated';
-  agent.completedAt = new Date().toISOString();
+  if (!ownsSpore(req, agent)) {
+    return res.status(403).json({ error: 'Only the owner of this spawned agent can do that' });
+  }
+  
+  if (agent.status !== 'active') {
+    return res.status(409).json({ error: `Agent is already ${agent.status}` });
+  }
+  
+  const terminated = endLineage(agents, agent, 'terminated');
+  const event = eventBus.check('spore.terminated', { ...sporeEvent(agent), cascaded: terminated });
   saveAgents(agents);
+  eventBus.publish('spore.terminated', event, { source: 'spore', actor: req.agent.name });
   
-  res.json({ success: true, agent });
+  res.json({ success: true, agent, terminated });
 });
 
 // Get lineage (all children of a parent)
 router.get('/api/lineage/:parentId', (req, res) => {
   const agents = loadAgents();
-  const children = agents.filter(a => a.parentId === req.params.parentId);
+  const children = agents.filter(a => isChildOf(a, req.params.parentId));
   res.json(children);
 });
 
+// Merge every completed child into the parent's aggregate
+router.post('/api/lineage/:parentId/merge', requireAgent(), (req, res) => {
+  const { parentId } = req.params;
+  const agents = loadAgents();
+  const parentSpore = agents.find(a => a.id === parentId);
+  
+  if (parentSpore ? !ownsSpore(req, parentSpore) : !isActingAgent(req, parentId)) {
+    return res.status(403).json({ error: 'Only the parent or the owner of its lineage can merge its results' });
+  }
+  
+  const completed = agents.filter(a => isChildOf(a, parentId) && a.status === 'completed');
+  if (completed.length === 0) {
+    return res.status(400).json({ error: 'No completed children to merge' });
+  }
+  
+  const { aggregate, error } = mergeIntoParent(parentId, completed, req.body, req.agent.name);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  res.json(aggregate);
+});
+
+// Get a parent's merged aggregate
+router.get('/api/lineage/:parentId/aggregate', (req, res) => {
+  const aggregate = aggregatesStore.all()[normalizeIdentity(req.params.parentId)];
+  
+  if (!aggregate) {
+    return res.status(404).json({ error: 'Nothing has been merged into this parent yet' });
+  }
+  
+  res.json(aggregate);
+});
+
+// List reduce strategies for merging
+router.get('/api/reduce-strategies', (req, res) => {
+  res.json(REDUCE_STRATEGIES);
+});
+
 // Get stats
 router.get('/api/stats', (req, res) => {
   const agents = loadAgents();
@@ -211,7 +460,8 @@ router.get('/api/stats', (req, res) => {
         return sum + (new Date(a.completedAt) - new Date(a.spawnedAt));
       }, 0);
       return Math.round(totalTime / completed.length / 1000); // seconds
-    })()
+    })(),
+    limits: { maxDepth: MAX_DEPTH, maxChildren: MAX_CHILDREN }
   };
   
   res.json(stats);
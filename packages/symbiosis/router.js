@@ -1,40 +1,27 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/symbiosis');
-const PROFILES_FILE = path.join(DATA_DIR, 'profiles.json');
-const PARTNERSHIPS_FILE = path.join(DATA_DIR, 'partnerships.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const profilesStore = storage.collection('symbiosis', 'profiles');
+const partnershipsStore = storage.collection('symbiosis', 'partnerships');
 
 function loadProfiles() {
-  try {
-    return JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return profilesStore.all();
 }
 
 function saveProfiles(profiles) {
-  fs.writeFileSync(PROFILES_FILE, JSON.stringify(profiles, null, 2));
+  profilesStore.replace(profiles);
 }
 
 function loadPartnerships() {
-  try {
-    return JSON.parse(fs.readFileSync(PARTNERSHIPS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return partnershipsStore.all();
 }
 
 function savePartnerships(partnerships) {
-  fs.writeFileSync(PARTNERSHIPS_FILE, JSON.stringify(partnerships, null, 2));
+  partnershipsStore.replace(partnerships);
 }
 
 function findMatches(agent, profiles) {
@@ -81,7 +68,7 @@ router.get('/health', (req, res) => {
 });
 
 // Register resource profile
-router.post('/api/profiles', (req, res) => {
+router.post('/api/profiles', requireAgent('agent'), (req, res) => {
   const { agent, produces, consumes, capacity } = req.body;
   
   if (!agent || !produces || !consumes) {
@@ -137,13 +124,17 @@ router.get('/api/matches/:agent', (req, res) => {
 });
 
 // Form partnership
-router.post('/api/partnerships', (req, res) => {
+router.post('/api/partnerships', requireAgent(), (req, res) => {
   const { agents, terms, resourceFlows } = req.body;
   
   if (!agents || !Array.isArray(agents) || agents.length < 2) {
     return res.status(400).json({ error: 'At least 2 agents are required' });
   }
   
+  if (!agents.some(agent => isActingAgent(req, agent))) {
+    return res.status(403).json({ error: 'The authenticated agent must be one of the partners' });
+  }
+  
   const partnerships = loadPartnerships();
   
   const partnership = {
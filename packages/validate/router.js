@@ -1,53 +1,36 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { requireAgent, isActingAgent } = require('../shared/auth');
+const storage = require('../shared/storage');
 
 const router = express.Router();
-const DATA_DIR = path.join(__dirname, '../../data/validate');
-const TASKS_FILE = path.join(DATA_DIR, 'tasks.json');
-const VALIDATIONS_FILE = path.join(DATA_DIR, 'validations.json');
-const VALIDATORS_FILE = path.join(DATA_DIR, 'validators.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const tasksStore = storage.collection('validate', 'tasks');
+const validationsStore = storage.collection('validate', 'validations');
+const validatorsStore = storage.collection('validate', 'validators');
 
 function loadTasks() {
-  try {
-    return JSON.parse(fs.readFileSync(TASKS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return tasksStore.all();
 }
 
 function saveTasks(tasks) {
-  fs.writeFileSync(TASKS_FILE, JSON.stringify(tasks, null, 2));
+  tasksStore.replace(tasks);
 }
 
 function loadValidations() {
-  try {
-    return JSON.parse(fs.readFileSync(VALIDATIONS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return validationsStore.all();
 }
 
 function saveValidations(validations) {
-  fs.writeFileSync(VALIDATIONS_FILE, JSON.stringify(validations, null, 2));
+  validationsStore.replace(validations);
 }
 
 function loadValidators() {
-  try {
-    return JSON.parse(fs.readFileSync(VALIDATORS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+  return validatorsStore.all();
 }
 
 function saveValidators(validators) {
-  fs.writeFileSync(VALIDATORS_FILE, JSON.stringify(validators, null, 2));
+  validatorsStore.replace(validators);
 }
 
 // Trust level tiers
@@ -107,7 +90,7 @@ router.get('/', (req, res) => {
 });
 
 // Register task for validation
-router.post('/api/tasks', (req, res) => {
+router.post('/api/tasks', requireAgent('agent'), (req, res) => {
   const { taskId, agent, description, input, output, valueAtRisk, requiredTrustLevel } = req.body;
   
   if (!agent || !description) {
@@ -165,7 +148,7 @@ router.get('/api/tasks/:id', (req, res) => {
 });
 
 // Submit validation result
-router.post('/api/tasks/:id/validate', (req, res) => {
+router.post('/api/tasks/:id/validate', requireAgent('validator'), (req, res) => {
   const { validator, passed, evidence, method } = req.body;
   const taskId = req.params.id;
   
@@ -183,6 +166,10 @@ router.post('/api/tasks/:id/validate', (req, res) => {
   
   if (!task) return res.status(404).json({ error: 'Task not found' });
   
+  if (isActingAgent(req, task.agent)) {
+    return res.status(403).json({ error: 'Agents cannot validate their own tasks' });
+  }
+  
   const validators = loadValidators();
   const validatorRecord = validators.find(v => v.agent === validator);
   
@@ -247,7 +234,7 @@ router.post('/api/tasks/:id/validate', (req, res) => {
 });
 
 // Register as validator
-router.post('/api/validators', (req, res) => {
+router.post('/api/validators', requireAgent('agent'), (req, res) => {
   const { agent, methods, stake } = req.body;
   
   if (!agent || !methods || !Array.isArray(methods) || methods.length === 0) {
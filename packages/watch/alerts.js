@@ -4,17 +4,10 @@
  * Monitors @mentions and replies for specific agents
  */
 
-const fs = require('fs');
-const path = require('path');
 const { fetchAPI } = require('./scraper.js');
+const storage = require('../shared/storage');
 
-const DATA_DIR = path.join(__dirname, '../../data/watch');
-const ALERTS_STATE_FILE = path.join(DATA_DIR, 'alerts-state.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const alertsStateStore = storage.collection('watch', 'alerts-state', { defaultValue: { agents: {} } });
 
 class AlertTracker {
   constructor() {
@@ -23,9 +16,7 @@ class AlertTracker {
 
   loadState() {
     try {
-      if (fs.existsSync(ALERTS_STATE_FILE)) {
-        return JSON.parse(fs.readFileSync(ALERTS_STATE_FILE, 'utf8'));
-      }
+      return alertsStateStore.all();
     } catch (error) {
       console.warn('Failed to load alerts state:', error.message);
     }
@@ -34,7 +25,7 @@ class AlertTracker {
 
   saveState() {
     try {
-      fs.writeFileSync(ALERTS_STATE_FILE, JSON.stringify(this.state, null, 2));
+      alertsStateStore.replace(this.state);
     } catch (error) {
       console.error('Failed to save alerts state:', error.message);
     }
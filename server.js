@@ -1,19 +1,31 @@
 #!/usr/bin/env node
 /**
  * MoltOS - The operating system for the agent economy
- * 34 integrated services for AI agents
+ * 35 integrated services for AI agents
  */
 
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { authenticate } = require('./packages/shared/auth');
+const storage = require('./packages/shared/storage');
+const eventBus = require('./packages/shared/events');
+const scheduler = require('./packages/shared/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, set TRUST_PROXY (true, hop count or subnets) so
+// API key IP allowlists see the client address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.static('public'));
+app.use(authenticate);
 
 // Mount package routers
 const watchRouter = require('./packages/watch/router');
@@ -50,6 +62,7 @@ const creditRouter = require('./packages/credit/router');
 const govRouter = require('./packages/gov/router');
 const validateRouter = require('./packages/validate/router');
 const auditRouter = require('./packages/audit/router');
+const ledgerRouter = require('./packages/ledger/router');
 
 // Mount under route prefixes
 app.use('/watch', watchRouter);
@@ -86,6 +99,7 @@ app.use('/credit', creditRouter);
 app.use('/gov', govRouter);
 app.use('/validate', validateRouter);
 app.use('/audit', auditRouter);
+app.use('/ledger', ledgerRouter);
 
 // Also mount under /api/* for backward compatibility
 app.use('/api/watch', watchRouter);
@@ -121,6 +135,7 @@ app.use('/api/credit', creditRouter);
 app.use('/api/gov', govRouter);
 app.use('/api/validate', validateRouter);
 app.use('/api/audit', auditRouter);
+app.use('/api/ledger', ledgerRouter);
 
 // Skill distribution routes - serve skill files for moltbook integration
 app.get('/skill.md', (req, res) => {
@@ -174,7 +189,8 @@ app.get('/health', async (req, res) => {
     { name: 'credit', router: creditRouter },
     { name: 'gov', router: govRouter },
     { name: 'validate', router: validateRouter },
-    { name: 'audit', router: auditRouter }
+    { name: 'audit', router: auditRouter },
+    { name: 'ledger', router: ledgerRouter }
   ];
   
   for (const { name } of checks) {
@@ -199,6 +215,7 @@ app.get('/health', async (req, res) => {
     service: 'moltos',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    storage: storage.backendName(),
     services
   });
 });
@@ -211,7 +228,7 @@ app.get('/health/all', async (req, res) => {
     'auth', 'graph', 'pulse', 'mail', 'cast', 'dao', 'court', 'ads', 
     'insure', 'index', 'dna', 'symbiosis', 'reef', 'spore', 'guild', 
     'law', 'commons', 'mind', 'oracle', 'memory', 'forge', 'flow', 
-    'credit', 'gov', 'validate', 'audit'
+    'credit', 'gov', 'validate', 'audit', 'ledger'
   ];
   
   const services = {};
@@ -292,8 +309,20 @@ app.get('/health/all', async (req, res) => {
   });
 });
 
+// Errors thrown by route handlers (e.g. storage conflicts) come back as JSON
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  res.status(err.status || 500).json({ error: err.message });
+});
+
 // Start server
 app.listen(PORT, () => {
+  // Every router has registered its event handlers and background jobs by now
+  eventBus.start();
+  scheduler.start();
+
   console.log('╔═══════════════════════════════════════════════════════╗');
   console.log('║                      🌐 MoltOS                        ║');
   console.log('║     The operating system for the agent economy        ║');
@@ -311,6 +340,7 @@ app.listen(PORT, () => {
   console.log(`   • MoltFund:       http://localhost:${PORT}/fund`);
   console.log(`   • MoltMarket:     http://localhost:${PORT}/market`);
   console.log(`   • MoltPay:        http://localhost:${PORT}/pay`);
+  console.log(`   • MoltLedger:     http://localhost:${PORT}/ledger`);
   console.log(`   • SDK:            http://localhost:${PORT}/sdk/moltkit.js`);
   console.log('');
 });
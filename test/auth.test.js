@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp } = require('./helpers');
+const storage = require('../packages/shared/storage');
+
+let app;
+let alice;
+
+before(async () => {
+  app = await startApp({ '/pay': require('../packages/pay/router') });
+  alice = await app.register('alice');
+  await app.register('bob');
+});
+
+after(() => app.close());
+
+const newKey = (key, body) => app.request('POST', `/auth/api/agents/${alice.id}/keys`, { key, body });
+const invoice = key => app.request('POST', '/pay/api/invoices', { key, body: { to: 'bob', amount: 5, currency: 'USDC' } });
+
+test('scoped keys only reach the services and actions they name', async () => {
+  const readOnly = await newKey(alice.apiKey, { scopes: ['pay:read'] });
+  assert.strictEqual(readOnly.status, 201);
+
+  assert.strictEqual((await app.request('GET', '/pay/api/invoices', { key: readOnly.body.key })).status, 200);
+  const write = await invoice(readOnly.body.key);
+  assert.strictEqual(write.status, 403);
+  assert.strictEqual(write.body.error, 'API key lacks scope pay:write');
+  assert.strictEqual((await invoice(alice.apiKey)).status, 201);
+
+  const escalate = await newKey(readOnly.body.key, { scopes: ['pay:write'] });
+  assert.strictEqual(escalate.status, 403);
+  assert.strictEqual((await newKey(alice.apiKey, { scopes: ['pay:bogus scope'] })).status, 400);
+});
+
+test('keys stop working once they expire', async () => {
+  assert.strictEqual((await newKey(alice.apiKey, { expiresAt: '2000-01-01T00:00:00Z' })).status, 400);
+
+  const expiring = await newKey(alice.apiKey, { expiresAt: new Date(Date.now() + 60 * 1000).toISOString() });
+  assert.strictEqual(expiring.status, 201);
+  assert.strictEqual((await invoice(expiring.body.key)).status, 201);
+
+  const keys = storage.collection('auth', 'keys');
+  keys.replace(keys.all().map(k => (k.id === expiring.body.id ? { ...k, expiresAt: new Date(Date.now() - 1000).toISOString() } : k)));
+  const expired = await invoice(expiring.body.key);
+  assert.strictEqual(expired.status, 401);
+  assert.strictEqual(expired.body.error, 'API key has expired');
+});
+
+test('rotating a key hands over to the replacement after the grace period', async () => {
+  const original = await newKey(alice.apiKey, { name: 'rotating', scopes: ['pay:write'] });
+  const url = `/auth/api/agents/${alice.id}/keys/${original.body.id}/rotate`;
+
+  const rotated = await app.request('POST', url, { key: alice.apiKey, body: { gracePeriodSeconds: 0 } });
+  assert.strictEqual(rotated.status, 201);
+  assert.deepStrictEqual(rotated.body.key.scopes, ['pay:write']);
+  assert.strictEqual(rotated.body.key.rotatedFrom, original.body.id);
+
+  assert.strictEqual((await invoice(original.body.key)).status, 401);
+  assert.strictEqual((await invoice(rotated.body.key.key)).status, 201);
+  assert.strictEqual((await app.request('POST', url, { key: alice.apiKey, body: {} })).status, 409);
+});
+
+test('keys can only be managed by the agent they belong to, whatever its name', async () => {
+  const lookalike = await app.request('POST', '/auth/api/agents', { body: { name: alice.id } });
+  assert.strictEqual(lookalike.status, 400);
+
+  const mallory = await app.register('mallory');
+  assert.strictEqual((await newKey(mallory.apiKey, {})).status, 403);
+  const revoke = await app.request('DELETE', `/auth/api/agents/${alice.id}/keys/${alice.keyId}`, { key: mallory.apiKey });
+  assert.strictEqual(revoke.status, 403);
+  assert.strictEqual((await invoice(alice.apiKey)).status, 201);
+});
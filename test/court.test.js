@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { startApp, fund } = require('./helpers');
+const eventBus = require('../packages/shared/events');
+const ledger = require('../packages/shared/ledger');
+
+let app;
+const agents = {};
+
+before(async () => {
+  app = await startApp({
+    '/pay': require('../packages/pay/router'),
+    '/court': require('../packages/court/router')
+  });
+  eventBus.start();
+  for (const name of ['payer', 'payee', 'mallory', 'judge']) {
+    agents[name] = await app.register(name);
+    fund(name, 1000);
+  }
+  assert.strictEqual((await call('judge', 'POST', '/court/api/judges', { agent: 'judge', stake: 50 })).status, 201);
+});
+
+after(() => app.close());
+
+function call(agent, method, url, body) {
+  return app.request(method, url, { key: agents[agent].apiKey, body });
+}
+
+async function until(condition) {
+  for (let i = 0; i < 100 && !(await condition()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const invoiceOf = id => call('payer', 'GET', `/pay/api/invoices/${id}`).then(res => res.body);
+
+// A funded invoice the payer has disputed, with the case MoltCourt filed for it
+async function disputedInvoice() {
+  const invoice = await call('payer', 'POST', '/pay/api/invoices', { from: 'payer', to: 'payee', amount: 100, currency: ledger.DEFAULT_CURRENCY });
+  assert.strictEqual(invoice.status, 201);
+  assert.strictEqual((await call('payer', 'POST', `/pay/api/invoices/${invoice.body.id}/fund`, {})).status, 200);
+  assert.strictEqual((await call('payer', 'POST', `/pay/api/invoices/${invoice.body.id}/dispute`, { reason: 'Not delivered' })).status, 200);
+  await until(async () => (await invoiceOf(invoice.body.id)).courtCaseId);
+  return invoiceOf(invoice.body.id);
+}
+
+const fileCase = (agent, body) => call(agent, 'POST', '/court/api/cases', { plaintiff: agent, description: 'Dispute', ...body });
+
+test('cases about an invoice must be between its parties, once per dispute', async () => {
+  const invoice = await disputedInvoice();
+
+  assert.strictEqual((await fileCase('mallory', { defendant: 'payee', relatedInvoiceId: 'no-such-invoice' })).status, 404);
+  assert.strictEqual((await fileCase('mallory', { defendant: 'payee', relatedInvoiceId: invoice.id })).status, 403);
+  assert.strictEqual((await fileCase('payee', { defendant: 'payee', relatedInvoiceId: invoice.id })).status, 403);
+  assert.strictEqual((await fileCase('payee', { defendant: 'payer', relatedInvoiceId: invoice.id })).status, 409);
+
+  const undisputed = await call('payer', 'POST', '/pay/api/invoices', { from: 'payer', to: 'payee', amount: 5, currency: ledger.DEFAULT_CURRENCY });
+  assert.strictEqual((await fileCase('payee', { defendant: 'payer', relatedInvoiceId: undisputed.body.id })).status, 409);
+});
+
+test('only a ruling on the linked case settles the escrow', async () => {
+  const invoice = await disputedInvoice();
+
+  // A ruling on some other case naming the invoice is ignored
+  eventBus.publish('case.ruled', eventBus.check('case.ruled', {
+    caseId: 'forged-case',
+    plaintiff: 'mallory',
+    defendant: 'payer',
+    judge: 'mallory',
+    decision: 'release_to_payee',
+    outcome: 'release_to_payee',
+    payeePercent: 100,
+    relatedInvoiceId: invoice.id,
+    relatedMilestoneId: null
+  }), { source: 'court', actor: 'mallory' });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.strictEqual((await invoiceOf(invoice.id)).status, 'disputed');
+
+  const ruling = await call('judge', 'POST', `/court/api/cases/${invoice.courtCaseId}/ruling`, {
+    judge: 'judge',
+    outcome: 'refund_to_payer',
+    reasoning: 'Nothing was delivered'
+  });
+  assert.strictEqual(ruling.status, 200);
+  await until(async () => (await invoiceOf(invoice.id)).status !== 'disputed');
+  assert.strictEqual((await invoiceOf(invoice.id)).status, 'refunded');
+});
+
+const commitment = (vote, salt) => crypto.createHash('sha256').update(`${vote}:${salt}`).digest('hex');
+
+test('a staked jury votes by commit-reveal and the minority is slashed for the majority', async () => {
+  for (const name of ['juror1', 'juror2']) {
+    agents[name] = await app.register(name);
+    fund(name, 100);
+    assert.strictEqual((await call(name, 'POST', '/court/api/judges', { agent: name, stake: 50 })).status, 201);
+  }
+  // Registered without a stake, so never drawn
+  agents.idle = await app.register('idle');
+  assert.strictEqual((await call('idle', 'POST', '/court/api/judges', { agent: 'idle' })).body.eligible, false);
+
+  const filed = await fileCase('mallory', { defendant: 'payee' });
+  assert.strictEqual((await call('idle', 'POST', `/court/api/cases/${filed.body.id}/jury`, { party: 'idle' })).status, 403);
+  const drawn = await call('payee', 'POST', `/court/api/cases/${filed.body.id}/jury`, { party: 'payee' });
+  assert.strictEqual(drawn.status, 201);
+  assert.strictEqual(drawn.body.status, 'voting');
+  const seats = drawn.body.juryRounds[0].jurors.map(j => j.agent);
+  assert.deepStrictEqual([...seats].sort(), ['judge', 'juror1', 'juror2']);
+
+  const url = action => `/court/api/cases/${filed.body.id}/votes/${action}`;
+  const [minority, ...majority] = seats;
+  const votes = { [minority]: 'defendant', [majority[0]]: 'plaintiff', [majority[1]]: 'plaintiff' };
+
+  assert.strictEqual((await call('idle', 'POST', url('commit'), { juror: 'idle', commitment: commitment('plaintiff', 'x') })).status, 403);
+  assert.strictEqual((await call(minority, 'POST', url('commit'), { juror: minority, commitment: 'not-a-digest' })).status, 400);
+  assert.strictEqual((await call(minority, 'POST', url('commit'), { juror: minority, commitment: commitment(votes[minority], `salt-${minority}`) })).status, 200);
+  assert.strictEqual((await call(minority, 'POST', url('reveal'), { juror: minority, vote: votes[minority], salt: `salt-${minority}` })).status, 409);
+  const unstake = await call(minority, 'POST', `/court/api/judges/${drawn.body.juryRounds[0].jurors[0].judgeId}/unstake`);
+  assert.strictEqual(unstake.status, 409);
+
+  for (const juror of majority) {
+    await call(juror, 'POST', url('commit'), { juror, commitment: commitment(votes[juror], `salt-${juror}`) });
+  }
+  // A reveal must match the commitment
+  assert.strictEqual((await call(majority[0], 'POST', url('reveal'), { juror: majority[0], vote: 'defendant', salt: `salt-${majority[0]}` })).status, 400);
+
+  const balances = () => Object.fromEntries(seats.map(agent => [agent, ledger.balance(ledger.agentAccount(agent))]));
+  const start = balances();
+  let decided;
+  for (const juror of seats) {
+    decided = await call(juror, 'POST', url('reveal'), { juror, vote: votes[juror], salt: `salt-${juror}` });
+    assert.strictEqual(decided.status, 200);
+  }
+
+  const jury = decided.body.juryRounds[0];
+  assert.strictEqual(decided.body.status, 'decided');
+  assert.deepStrictEqual(jury.votes, { defendant: 1, plaintiff: 2 });
+  assert.deepStrictEqual(jury.verdict, { decision: 'plaintiff', outcome: null, payeePercent: null });
+  const seat = agent => jury.jurors.find(j => j.agent === agent);
+  assert.deepStrictEqual([seat(minority).result, seat(minority).slashed], ['minority', 5]);
+  const judges = (await call('idle', 'GET', '/court/api/judges')).body;
+  assert.strictEqual(judges.find(j => j.agent === minority).stake, 45);
+
+  // The slashed 5 is shared by the majority
+  const end = balances();
+  for (const juror of majority) {
+    assert.deepStrictEqual([seat(juror).result, seat(juror).reward], ['majority', 2.5]);
+    assert.strictEqual(end[juror], start[juror] + 2.5);
+  }
+  assert.strictEqual(end[minority], start[minority]);
+
+  // An appeal needs 2n+1 fresh jurors, which this court doesn't have
+  const appeal = await call('mallory', 'POST', `/court/api/cases/${filed.body.id}/appeal`, { party: 'mallory' });
+  assert.strictEqual(appeal.status, 409);
+  assert.match(appeal.body.error, /appeal panel of 7/);
+});
@@ -0,0 +1,187 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, fund } = require('./helpers');
+const ledger = require('../packages/shared/ledger');
+const scheduler = require('../packages/shared/scheduler');
+const storage = require('../packages/shared/storage');
+const scoring = require('../packages/credit/scoring');
+
+const scores = storage.collection('credit', 'scores', { defaultValue: {} });
+const history = storage.collection('credit', 'score-history');
+
+let app;
+let alice;
+
+before(async () => {
+  app = await startApp({ '/credit': require('../packages/credit/router') });
+  alice = await app.register('Alice');
+});
+
+after(() => app.close());
+
+test('looking up a score does not write it', async () => {
+  const lookup = await app.request('GET', '/credit/api/score/@Alice');
+  assert.strictEqual(lookup.status, 200);
+  assert.strictEqual(typeof lookup.body.creditScore, 'number');
+
+  assert.deepStrictEqual(scores.all(), {});
+  assert.deepStrictEqual(history.all(), []);
+});
+
+test('scores are cached under the normalized name', async () => {
+  const application = await app.request('POST', '/credit/api/applications', {
+    key: alice.apiKey,
+    body: { agent: 'alice', amount: 100, purpose: 'Compute', term: 3 }
+  });
+  assert.strictEqual(application.status, 201);
+
+  assert.deepStrictEqual(Object.keys(scores.all()), ['alice']);
+  const lookup = await app.request('GET', '/credit/api/score/ALICE/history');
+  assert.strictEqual(lookup.body.creditScore, application.body.creditScore);
+  assert.strictEqual(lookup.body.changes, 1);
+});
+
+test('escrow verdicts count against the side that lost the escrow', () => {
+  storage.collection('pay', 'invoices').replace([
+    { id: 'inv-1', from: 'payer', to: 'payee', amount: 100 },
+    { id: 'inv-2', from: 'payer', to: 'payee', amount: 100 }
+  ]);
+  const ruled = (id, invoiceId, ruling) => ({
+    id, plaintiff: 'payer', defendant: 'payee', relatedInvoiceId: invoiceId, status: 'resolved', ruling
+  });
+  storage.collection('court', 'cases').replace([
+    ruled('c1', 'inv-1', { decision: 'refund_to_payer', outcome: 'refund_to_payer', payeePercent: 0 }),
+    ruled('c2', 'inv-2', { decision: 'split', outcome: 'split', payeePercent: 30 }),
+    ruled('c3', 'inv-2', { decision: 'split', outcome: 'split', payeePercent: 50 }),
+    { id: 'c4', plaintiff: 'payee', defendant: 'payer', status: 'resolved', ruling: { decision: 'defendant' } }
+  ]);
+
+  const court = agent => scoring.scoreAgent(agent).factors.find(f => f.factor === 'court');
+  assert.deepStrictEqual([court('payee').lost, court('payee').won], [3, 0]);
+  assert.strictEqual(court('payee').code, 'COURT_LOSSES');
+  assert.deepStrictEqual([court('payer').lost, court('payer').won], [0, 3]);
+});
+
+test('only the applicant or the lender an application names can deny it', async () => {
+  const bank = await app.register('bank');
+  const mallory = await app.register('mallory');
+  const apply = body => app.request('POST', '/credit/api/applications', {
+    key: alice.apiKey,
+    body: { agent: 'alice', amount: 50, purpose: 'Compute', term: 3, ...body }
+  });
+  const deny = (key, id) => app.request('POST', `/credit/api/applications/${id}/deny`, { key, body: {} });
+
+  const open = await apply({});
+  assert.strictEqual((await deny(mallory.apiKey, open.body.id)).status, 403);
+  assert.strictEqual((await deny(bank.apiKey, open.body.id)).status, 403);
+  assert.strictEqual((await deny(alice.apiKey, open.body.id)).status, 200);
+
+  const addressed = await apply({ lender: 'bank' });
+  assert.strictEqual(addressed.body.lender, 'bank');
+  const approve = await app.request('POST', `/credit/api/applications/${addressed.body.id}/approve`, { key: mallory.apiKey, body: {} });
+  assert.strictEqual(approve.status, 403);
+  assert.strictEqual((await deny(mallory.apiKey, addressed.body.id)).status, 403);
+  assert.strictEqual((await deny(bank.apiKey, addressed.body.id)).status, 200);
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A loan of `amount` from a fresh lender to a fresh borrower
+async function approvedLoan(name, amount, term, apr) {
+  const borrower = await app.register(`${name}-borrower`);
+  const lender = await app.register(`${name}-lender`);
+  fund(lender.name, amount);
+  fund(borrower.name, amount);
+  const application = await app.request('POST', '/credit/api/applications', {
+    key: borrower.apiKey,
+    body: { agent: borrower.name, amount, purpose: 'Compute', term }
+  });
+  assert.strictEqual(application.status, 201);
+  const approved = await app.request('POST', `/credit/api/applications/${application.body.id}/approve`, {
+    key: lender.apiKey,
+    body: { lender: lender.name, apr }
+  });
+  assert.strictEqual(approved.status, 200);
+  return { borrower, lender, loan: approved.body.loan };
+}
+
+test('schedules amortize the principal in equal instalments with interest on what remains', async () => {
+  const preview = query => app.request('GET', `/credit/api/amortization?${new URLSearchParams(query)}`);
+  assert.strictEqual((await preview({ amount: 100, term: 361 })).status, 400);
+  assert.strictEqual((await preview({ amount: 100, term: 'forever' })).status, 400);
+  assert.strictEqual((await preview({ amount: 100, term: 3, apr: -1 })).status, 400);
+  assert.strictEqual((await preview({ amount: 100, term: '1 year' })).body.installments, 13);
+
+  const free = await preview({ amount: 1000, term: 4, apr: 0 });
+  assert.deepStrictEqual(free.body.schedule.map(i => i.payment), [250, 250, 250, 250]);
+
+  const { body } = await preview({ amount: 1000, term: '90 days', apr: 12 });
+  const rate = 0.12 * 30 / 365;
+  const payment = Math.round(1000 * rate / (1 - Math.pow(1 + rate, -3)) * 100) / 100;
+  assert.strictEqual(body.installments, 3);
+  assert.deepStrictEqual(body.schedule.slice(0, 2).map(i => i.payment), [payment, payment]);
+  assert.strictEqual(body.schedule[0].interest, Math.round(1000 * rate * 100) / 100);
+  assert.ok(body.schedule[1].interest < body.schedule[0].interest);
+  assert.strictEqual(Math.round(body.schedule.reduce((sum, i) => sum + i.principal, 0) * 100) / 100, 1000);
+  assert.strictEqual(body.totalRepayable, Math.round((1000 + body.totalInterest) * 100) / 100);
+});
+
+test('repayments fill the oldest instalment first and paying off completes the loan', async () => {
+  const { borrower, lender, loan } = await approvedLoan('steady', 300, 3, 12);
+  assert.strictEqual(ledger.balance(ledger.agentAccount(borrower.name)), 600);
+  const repay = (key, amount) => app.request('POST', `/credit/api/loans/${loan.id}/repay`, { key, body: { amount } });
+
+  assert.strictEqual((await repay(lender.apiKey, 10)).status, 403);
+  assert.strictEqual((await repay(borrower.apiKey, loan.balance + 1)).status, 400);
+
+  const [first] = loan.schedule;
+  const partial = await repay(borrower.apiKey, first.payment + 1);
+  assert.strictEqual(partial.status, 200);
+  assert.deepStrictEqual(partial.body.schedule.map(i => [i.status, i.paid]), [['paid', first.payment], ['due', 1], ['due', 0]]);
+
+  const rest = await repay(borrower.apiKey, partial.body.balance);
+  assert.strictEqual(rest.body.status, 'completed');
+  assert.strictEqual(rest.body.totalPaid, Math.round((300 + loan.totalInterest) * 100) / 100);
+  assert.strictEqual(ledger.balance(ledger.agentAccount(lender.name)), rest.body.totalPaid);
+  assert.strictEqual((await repay(borrower.apiKey, 1)).status, 400);
+});
+
+test('servicing charges a late fee on overdue instalments and defaults loans past the grace period', async () => {
+  const late = await approvedLoan('late', 100, 2, 12);
+  const lapsed = await approvedLoan('lapsed', 100, 2, 12);
+
+  // Backdate the first instalments: one just overdue, one past the 15-day grace period
+  const loans = storage.collection('credit', 'loans');
+  const backdated = loans.all();
+  backdated.find(l => l.id === late.loan.id).schedule[0].dueAt = new Date(Date.now() - DAY_MS).toISOString();
+  backdated.find(l => l.id === lapsed.loan.id).schedule[0].dueAt = new Date(Date.now() - 16 * DAY_MS).toISOString();
+  loans.replace(backdated);
+
+  // The servicer runs on start
+  scheduler.start();
+  const loanOf = id => app.request('GET', `/credit/api/loans/${id}`).then(res => res.body);
+  for (let i = 0; i < 100 && (await loanOf(lapsed.loan.id)).status !== 'defaulted'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  const overdue = await loanOf(late.loan.id);
+  const fee = Math.round(late.loan.schedule[0].payment * 5) / 100;
+  assert.strictEqual(overdue.status, 'active');
+  assert.deepStrictEqual([overdue.overdueInstallments, overdue.schedule[0].lateFee, overdue.lateFees], [1, fee, fee]);
+  assert.strictEqual(overdue.balance, Math.round((late.loan.balance + fee) * 100) / 100);
+
+  const defaulted = await loanOf(lapsed.loan.id);
+  assert.strictEqual(defaulted.status, 'defaulted');
+  assert.match(defaulted.defaultReason, /^Instalment 1 due .* unpaid after 15 days$/);
+  const scored = await app.request('GET', `/credit/api/score/${lapsed.borrower.name}/history`);
+  assert.strictEqual(scored.body.history[0].trigger, 'loan.defaulted');
+
+  // A defaulted loan can still be paid off, but stays defaulted
+  const recovered = await app.request('POST', `/credit/api/loans/${lapsed.loan.id}/repay`, {
+    key: lapsed.borrower.apiKey,
+    body: { amount: defaulted.balance }
+  });
+  assert.strictEqual(recovered.body.status, 'defaulted');
+  assert.ok(recovered.body.recoveredAt);
+});
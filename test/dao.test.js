@@ -0,0 +1,176 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DAO_TIMELOCK_HOURS = '0';
+// 180 ms, so votes can close within a test
+process.env.DAO_MIN_VOTING_HOURS = '0.00005';
+
+const { startApp, fund } = require('./helpers');
+const eventBus = require('../packages/shared/events');
+const ledger = require('../packages/shared/ledger');
+const storage = require('../packages/shared/storage');
+
+const TREASURY = ledger.poolAccount('dao', 'treasury');
+
+let app;
+const agents = {};
+
+before(async () => {
+  const registry = await startApp({});
+  for (const name of ['guardian', 'alice', 'bob', 'builder']) {
+    agents[name] = await registry.register(name);
+  }
+  await registry.close();
+
+  process.env.DAO_GUARDIANS = agents.guardian.id;
+  app = await startApp({
+    '/pay': require('../packages/pay/router'),
+    '/dao': require('../packages/dao/router')
+  });
+  eventBus.start();
+});
+
+after(() => app.close());
+
+function call(agent, method, url, body) {
+  return app.request(method, url, { key: agents[agent].apiKey, body });
+}
+
+async function until(condition) {
+  for (let i = 0; i < 100 && !(await condition()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Create a proposal, have every named agent vote for `option`, and wait for
+ * voting to end
+ */
+async function decide(body, ballots) {
+  const created = await call('alice', 'POST', '/dao/api/proposals', {
+    creator: 'alice',
+    options: ['yes', 'no'],
+    votingEnds: new Date(Date.now() + 300).toISOString(),
+    ...body
+  });
+  assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+  for (const [agent, ballot] of Object.entries(ballots)) {
+    const vote = await call(agent, 'POST', `/dao/api/proposals/${created.body.id}/vote`, { agent, ...ballot });
+    assert.strictEqual(vote.status, 201, JSON.stringify(vote.body));
+  }
+  await new Promise(resolve => setTimeout(resolve, 350));
+  return created.body;
+}
+
+async function allocate(amount) {
+  const proposal = await decide({
+    title: `Pay the builder ${amount}`,
+    proposalType: 'funding-allocation',
+    templateData: { recipient: 'builder', amount, purpose: 'Tooling' }
+  }, { guardian: { option: 'yes' }, alice: { option: 'yes' }, bob: { option: 'yes' } });
+
+  const executed = await call('bob', 'POST', `/dao/api/proposals/${proposal.id}/execute`, {});
+  assert.strictEqual(executed.status, 200, JSON.stringify(executed.body));
+
+  let invoice;
+  await until(async () => {
+    const invoices = await call('bob', 'GET', '/pay/api/invoices');
+    invoice = invoices.body.find(i => i.proposalId === proposal.id && i.status === 'funded');
+    return invoice;
+  });
+  assert.ok(invoice, 'no funded invoice for the allocation');
+  return invoice;
+}
+
+test('the treasury is a pool account funded by contributions', async () => {
+  fund('alice', 100);
+  const contribution = await call('alice', 'POST', '/dao/api/treasury/contribute', { agent: 'alice', amount: 100 });
+  assert.strictEqual(contribution.status, 201);
+
+  const treasury = await call('bob', 'GET', '/dao/api/treasury');
+  assert.strictEqual(treasury.body.account, TREASURY);
+  assert.strictEqual(treasury.body.balance, 100);
+});
+
+test('registering as "dao" does not give control of treasury invoices', async () => {
+  const squatter = await app.register('dao');
+  const invoice = await allocate(30);
+  assert.strictEqual(ledger.balance(TREASURY), 70);
+
+  const denied = await app.request('POST', `/pay/api/invoices/${invoice.id}/release`, { key: squatter.apiKey, body: {} });
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('dao')), 0);
+
+  const released = await call('guardian', 'POST', `/pay/api/invoices/${invoice.id}/release`, {});
+  assert.strictEqual(released.status, 200);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('builder')), 30);
+});
+
+test('refunded allocations go back to the treasury', async () => {
+  const invoice = await allocate(20);
+  assert.strictEqual(ledger.balance(TREASURY), 50);
+
+  const refunded = await call('builder', 'POST', `/pay/api/invoices/${invoice.id}/refund`, {});
+  assert.strictEqual(refunded.status, 200);
+  assert.strictEqual(ledger.balance(TREASURY), 70);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('dao')), 0);
+});
+
+test('an earlier vote under another spelling counts as already voted', async () => {
+  const proposal = await call('alice', 'POST', '/dao/api/proposals', {
+    title: 'Spelling',
+    creator: 'alice',
+    options: ['yes', 'no']
+  });
+  storage.collection('dao', 'votes').insert({ id: 'legacy-vote', proposalId: proposal.body.id, agent: '@Bob', option: 'yes', weight: 1, votedAt: new Date().toISOString() });
+
+  const again = await call('bob', 'POST', `/dao/api/proposals/${proposal.body.id}/vote`, { agent: 'bob', option: 'no' });
+  assert.strictEqual(again.status, 409);
+});
+
+test('conviction voting is only accepted on funding allocations', async () => {
+  const general = await call('alice', 'POST', '/dao/api/proposals', {
+    title: 'Rename the forum',
+    creator: 'alice',
+    options: ['yes', 'no'],
+    votingMethod: 'conviction'
+  });
+  assert.strictEqual(general.status, 400);
+
+  const funding = await call('alice', 'POST', '/dao/api/proposals', {
+    title: 'Fund the indexer',
+    creator: 'alice',
+    options: ['yes', 'no'],
+    votingMethod: 'conviction',
+    proposalType: 'funding-allocation',
+    templateData: { recipient: 'builder', amount: 5, purpose: 'Indexer' }
+  });
+  assert.strictEqual(funding.status, 201, JSON.stringify(funding.body));
+  assert.strictEqual(funding.body.votingEnds, null);
+});
+
+test('executable proposals refuse proposer-picked electorates and snap votes', async () => {
+  const guild = 'guild-of-one';
+  storage.collection('guild', 'guilds').insert({ id: guild, name: 'Just me', members: [{ agentId: agents.alice.id }] });
+  const parameterUpdate = {
+    title: 'Shrink juries',
+    creator: 'alice',
+    options: ['yes', 'no'],
+    proposalType: 'parameter-update',
+    templateData: { parameterName: 'court.panelSize', currentValue: 3, newValue: 1 }
+  };
+
+  const gated = await call('alice', 'POST', '/dao/api/proposals', { ...parameterUpdate, powerStrategy: 'guild', powerOptions: { guildId: guild } });
+  assert.strictEqual(gated.status, 400);
+  assert.match(gated.body.error, /registered, stake/);
+
+  const rushed = await call('alice', 'POST', '/dao/api/proposals', { ...parameterUpdate, votingEnds: new Date(Date.now() + 50).toISOString() });
+  assert.strictEqual(rushed.status, 400);
+  assert.match(rushed.body.error, /at least/);
+
+  // A guild can still vote on its own general proposals
+  const general = await call('alice', 'POST', '/dao/api/proposals', {
+    title: 'Guild picnic', creator: 'alice', options: ['yes', 'no'], powerStrategy: 'guild', powerOptions: { guildId: guild }
+  });
+  assert.strictEqual(general.status, 201, JSON.stringify(general.body));
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { dataDir, startApp } = require('./helpers');
+const eventBus = require('../packages/shared/events');
+
+const handled = [];
+eventBus.subscribe('test', 'bounty.*', 'record', event => {
+  handled.push(event.type);
+});
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/reef': require('../packages/reef/router'),
+    '/flow': require('../packages/flow/router'),
+    '/spore': require('../packages/spore/router')
+  });
+  eventBus.start();
+});
+
+after(() => app.close());
+
+async function until(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), 'timed out');
+}
+
+test('check() rejects unknown types and missing fields', () => {
+  assert.throws(() => eventBus.check('bounty.exploded', {}), /Unknown event type/);
+  assert.throws(() => eventBus.check('bounty.created', { bountyId: 'b1' }), /missing poster/);
+  const payload = { bountyId: 'b1', poster: 'alice' };
+  assert.strictEqual(eventBus.check('bounty.created', payload), payload);
+});
+
+test('delivery attempts are appended to the delivery log', async () => {
+  eventBus.publish('bounty.created', { bountyId: 'b1', poster: 'alice' }, { source: 'test' });
+  await until(() => handled.length === 1);
+
+  const file = path.join(dataDir, 'events', 'deliveries.log');
+  const entries = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const ops = entries.map(e => e.op);
+  assert.deepStrictEqual(ops.slice(-2), ['add', 'update']);
+  assert.strictEqual(entries[entries.length - 1].changes.status, 'delivered');
+
+  const [delivery] = eventBus.listDeliveries({ subscriber: 'test.record' });
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(delivery.attempts, 1);
+});
+
+test('reef, flow and spore publish their state changes', async () => {
+  const alice = await app.register('alice');
+  const bob = await app.register('bob');
+
+  const spawn = await app.request('POST', '/spore/api/spawn', { key: alice.apiKey, body: { task: 'index' } });
+  assert.strictEqual(spawn.status, 201);
+  const report = await app.request('POST', `/spore/api/agents/${spawn.body.id}/report`, { key: alice.apiKey, body: { output: 1 } });
+  assert.strictEqual(report.status, 201);
+
+  const pool = await app.request('POST', '/reef/api/pools', { key: alice.apiKey, body: { name: 'gpu', type: 'compute' } });
+  assert.strictEqual(pool.status, 201);
+
+  await app.request('POST', '/flow/api/nodes', { key: bob.apiKey, body: { resources: [{ type: 'gpu', available: 4, price: 1 }] } });
+  const request = await app.request('POST', '/flow/api/requests', { key: alice.apiKey, body: { type: 'gpu', amount: 2 } });
+  assert.strictEqual(request.body.flows.length, 1);
+  const close = await app.request('POST', `/flow/api/flows/${request.body.flows[0].id}/close`, { key: alice.apiKey });
+  assert.strictEqual(close.status, 200);
+
+  const types = eventBus.listEvents().map(e => e.type);
+  for (const type of ['spore.spawned', 'spore.reported', 'pool.created', 'flow.opened', 'flow.ended']) {
+    assert.ok(types.includes(type), `${type} was not published`);
+  }
+  const ended = eventBus.listEvents({ type: 'flow.ended' })[0];
+  assert.strictEqual(ended.payload.status, 'closed');
+  assert.strictEqual(ended.actor, 'alice');
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp } = require('./helpers');
+
+let app;
+const agents = {};
+
+before(async () => {
+  app = await startApp({ '/flow': require('../packages/flow/router') });
+  for (const name of ['provider', 'consumer']) {
+    agents[name] = await app.register(name);
+  }
+});
+
+after(() => app.close());
+
+function call(agent, method, url, body) {
+  return app.request(method, url, { key: agents[agent].apiKey, body });
+}
+
+const postNode = (name, available) => call('provider', 'POST', '/flow/api/nodes', { agent: name, resources: [{ type: 'gpu', available, price: 1 }] });
+
+test('re-registering a node keeps capacity committed to active flows', async () => {
+  const first = await postNode('provider', 10);
+  assert.strictEqual(first.status, 200);
+
+  const request = await call('consumer', 'POST', '/flow/api/requests', { agent: 'consumer', type: 'gpu', amount: 6 });
+  assert.strictEqual(request.status, 201);
+  const [flow] = request.body.flows;
+  assert.strictEqual(flow.amount, 6);
+
+  const again = await postNode('@Provider', 10);
+  assert.strictEqual(again.body.id, first.body.id);
+  assert.deepStrictEqual(again.body.resources[0], { type: 'gpu', available: 4, price: 1, capacity: 10, committed: 6 });
+
+  await call('provider', 'POST', `/flow/api/flows/${flow.id}/usage`, { amount: 2 });
+  assert.strictEqual((await call('consumer', 'POST', `/flow/api/flows/${flow.id}/close`)).status, 200);
+
+  const nodes = await call('provider', 'GET', '/flow/api/nodes');
+  assert.strictEqual(nodes.body.length, 1);
+  assert.deepStrictEqual(nodes.body[0].resources[0], { type: 'gpu', available: 8, price: 1, capacity: 8, committed: 0 });
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, fund } = require('./helpers');
+const ledger = require('../packages/shared/ledger');
+const storage = require('../packages/shared/storage');
+
+let app;
+const agents = {};
+
+before(async () => {
+  app = await startApp({
+    '/pay': require('../packages/pay/router'),
+    '/forge': require('../packages/forge/router')
+  });
+  for (const name of ['maker', 'buyer']) {
+    agents[name] = await app.register(name);
+  }
+});
+
+after(() => app.close());
+
+function call(agent, method, url, body) {
+  return app.request(method, url, { key: agents[agent].apiKey, body });
+}
+
+async function invoiceFor(deploymentId) {
+  const invoices = await call('buyer', 'GET', '/pay/api/invoices');
+  return invoices.body.find(i => i.deploymentId === deploymentId);
+}
+
+test('paid deploys are charged through MoltPay and never outrun the balance', async () => {
+  const template = await call('maker', 'POST', '/forge/api/templates', {
+    name: 'Paid bot', creator: 'maker', description: 'Costs money', category: 'test', config: {}, price: 10
+  });
+  assert.strictEqual(template.status, 201);
+  fund('buyer', 25);
+
+  const deploys = await Promise.all([1, 2, 3, 4].map(() => call('buyer', 'POST', `/forge/api/templates/${template.body.id}/deploy`, { deployer: 'buyer' })));
+  const made = deploys.filter(d => d.status === 201);
+  assert.strictEqual(made.length, 2);
+  assert.ok(deploys.filter(d => d.status !== 201).every(d => d.status === 409));
+  for (const { body } of made) {
+    assert.strictEqual(body.payment.amount, 10);
+    const invoice = await invoiceFor(body.id);
+    assert.strictEqual(invoice.id, body.payment.invoiceId);
+    assert.deepStrictEqual([invoice.from, invoice.to, invoice.amount, invoice.status], ['buyer', 'maker', 10, 'released']);
+  }
+
+  assert.strictEqual(ledger.balance(ledger.agentAccount('buyer')), 5);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('maker')), 20);
+  assert.strictEqual((await call('buyer', 'GET', '/forge/api/deployments?deployer=buyer')).body.length, 2);
+
+  const own = await call('maker', 'POST', `/forge/api/templates/${template.body.id}/deploy`, { deployer: 'maker' });
+  assert.strictEqual(own.status, 201);
+  assert.strictEqual(own.body.payment, null);
+});
+
+test('a deployment that fails to save refunds its charge', async () => {
+  const template = await call('maker', 'POST', '/forge/api/templates', {
+    name: 'Flaky bot', creator: 'maker', description: 'Costs money', category: 'test', config: {}, price: 4
+  });
+  fund('buyer', 4);
+  const buyerBefore = ledger.balance(ledger.agentAccount('buyer'));
+  const makerBefore = ledger.balance(ledger.agentAccount('maker'));
+
+  const deployments = storage.collection('forge', 'deployments');
+  deployments.replace = () => {
+    throw new Error('disk full');
+  };
+  let failed;
+  try {
+    failed = await call('buyer', 'POST', `/forge/api/templates/${template.body.id}/deploy`, { deployer: 'buyer' });
+  } finally {
+    delete deployments.replace;
+  }
+
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('buyer')), buyerBefore);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('maker')), makerBefore);
+  const invoices = (await call('buyer', 'GET', '/pay/api/invoices')).body.filter(i => i.description.startsWith(`MoltForge template ${template.body.id}`));
+  assert.deepStrictEqual(invoices.map(i => i.status), ['refunded']);
+});
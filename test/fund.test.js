@@ -0,0 +1,248 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, fund } = require('./helpers');
+const storage = require('../packages/shared/storage');
+const ledger = require('../packages/shared/ledger');
+const {
+  MIN_TRUST,
+  PAIRWISE_THRESHOLD,
+  contributorTrust,
+  contributionsByProject,
+  matchingWeights,
+  distributePool
+} = require('../packages/fund/matching');
+
+const trusted = { alice: 100, bob: 100, carol: 100 };
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('trust scales from MIN_TRUST to 1 with reputation, under any spelling', () => {
+  assert.strictEqual(contributorTrust('nobody', trusted), MIN_TRUST);
+  assert.strictEqual(contributorTrust('@Alice', trusted), 1);
+  close(contributorTrust('dan', { Dan: 25 }), MIN_TRUST + (1 - MIN_TRUST) * 0.5);
+});
+
+test('contributions are totalled per normalized contributor', () => {
+  const byProject = contributionsByProject([
+    { projectId: 'p', agentName: 'Alice', amount: 1 },
+    { projectId: 'p', agentName: '@alice', amount: 3 },
+    { projectId: 'q', agentName: 'bob', amount: 2 }
+  ]);
+  assert.deepStrictEqual([...byProject.get('p')], [['alice', 4]]);
+  assert.deepStrictEqual([...byProject.get('q')], [['bob', 2]]);
+
+  // One contributor under two spellings earns no match
+  assert.strictEqual(matchingWeights(byProject, 'quadratic', trusted).get('p'), 0);
+});
+
+test('quadratic weight is (sum of roots)^2 minus the contributions', () => {
+  const byProject = contributionsByProject([
+    { projectId: 'p', agentName: 'alice', amount: 1 },
+    { projectId: 'p', agentName: 'bob', amount: 4 },
+    { projectId: 'p', agentName: 'carol', amount: 9 },
+    { projectId: 'q', agentName: 'alice', amount: 14 }
+  ]);
+  const weights = matchingWeights(byProject, 'quadratic', trusted);
+  close(weights.get('p'), (1 + 2 + 3) ** 2 - 14);
+  assert.strictEqual(weights.get('q'), 0);
+
+  // Untrusted contributors count at MIN_TRUST
+  close(matchingWeights(byProject, 'quadratic', {}).get('p'), MIN_TRUST * ((1 + 2 + 3) ** 2 - 14));
+});
+
+test('pairwise matching shrinks pairs that back the same projects', () => {
+  const funds = ['p', 'q'].flatMap(projectId => [
+    { projectId, agentName: 'alice', amount: 4 },
+    { projectId, agentName: 'bob', amount: 9 }
+  ]);
+  const byProject = contributionsByProject(funds);
+  const overlap = 2 * 2 * 3;
+  close(matchingWeights(byProject, 'pairwise', trusted).get('p'), 2 * 2 * 3 * PAIRWISE_THRESHOLD / (PAIRWISE_THRESHOLD + overlap));
+  close(matchingWeights(byProject, 'quadratic', trusted).get('p'), 2 * 2 * 3);
+});
+
+test('the pool is scaled down when short and capped projects give way', () => {
+  const weights = new Map([['a', 60], ['b', 30], ['c', 10], ['d', 0]]);
+
+  const scaled = distributePool(weights, 50, 100);
+  assert.deepStrictEqual([...scaled.amounts], [['a', 30], ['b', 15], ['c', 5], ['d', 0]]);
+  assert.strictEqual(scaled.capped.size, 0);
+
+  const capped = distributePool(weights, 100, 40);
+  assert.deepStrictEqual([...capped.amounts], [['a', 40], ['b', 30], ['c', 10], ['d', 0]]);
+  assert.deepStrictEqual([...capped.capped], ['a']);
+
+  const short = distributePool(weights, 60, 30);
+  close(short.amounts.get('a'), 30);
+  close(short.amounts.get('b'), 22.5);
+  close(short.amounts.get('c'), 7.5);
+});
+
+let app;
+const agents = {};
+
+before(async () => {
+  const registry = await startApp({});
+  for (const name of ['admin', 'Donor', 'dao', 'alice', 'bob', 'owner', 'builder', 'sponsor']) {
+    agents[name.toLowerCase()] = await registry.register(name);
+  }
+  await registry.close();
+
+  process.env.FUND_ROUND_CREATORS = agents.admin.id;
+  app = await startApp({ '/fund': require('../packages/fund/router') });
+  for (const name of ['donor', 'alice', 'bob', 'sponsor']) fund(name, 1000);
+});
+
+after(() => app.close());
+
+function call(agent, method, url, body) {
+  return app.request(method, url, { key: agents[agent].apiKey, body });
+}
+
+function createRound(name, fields = {}) {
+  const now = Date.now();
+  return call('admin', 'POST', '/fund/api/rounds', {
+    name,
+    creator: 'admin',
+    startDate: new Date(now - 1000).toISOString(),
+    endDate: new Date(now + 10 * 86400000).toISOString(),
+    totalPool: 100,
+    fundingBudgetPerAgent: 10,
+    ...fields
+  });
+}
+
+// Move one of a round's deadlines into the past
+function expire(roundId, field) {
+  const rounds = storage.collection('fund', 'rounds');
+  const all = rounds.all();
+  all.find(r => r.id === roundId)[field] = new Date(Date.now() - 1000).toISOString();
+  rounds.replace(all);
+}
+
+test('contribution amounts are parsed and held to the budget', async () => {
+  const round = await createRound('Round');
+  assert.strictEqual(round.status, 201);
+
+  // Round creators are listed by id, so holding a well-known name isn't enough
+  const squatted = await call('dao', 'POST', '/fund/api/rounds', {
+    name: 'Mine', creator: 'dao', startDate: round.body.startDate, endDate: round.body.endDate, totalPool: 100
+  });
+  assert.strictEqual(squatted.status, 403);
+
+  const project = await call('donor', 'POST', '/fund/api/projects', {
+    title: 'Tool', description: 'A tool', nominatorAgent: 'Donor', roundId: round.body.id
+  });
+  assert.strictEqual(project.status, 201);
+
+  const contribute = amount => call('donor', 'POST', `/fund/api/projects/${project.body.id}/fund`, { agentName: 'donor', amount });
+  for (const amount of ['abc', '-1', 'Infinity']) {
+    assert.strictEqual((await contribute(amount)).status, 400, `amount ${amount} was accepted`);
+  }
+
+  const first = await contribute('6');
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.body.amount, 6);
+  // String amounts are added, not concatenated, when checking the budget
+  assert.strictEqual((await contribute('6')).status, 400);
+  assert.strictEqual((await contribute(4)).status, 201);
+});
+
+test('an upheld flag refunds the disqualified project and returns its matching', async () => {
+  const round = (await createRound('Flagged')).body;
+  await call('sponsor', 'POST', `/fund/api/rounds/${round.id}/sponsor`, { sponsor: 'sponsor', amount: 100 });
+  const honest = (await call('owner', 'POST', '/fund/api/projects', { title: 'Honest', description: 'd', nominatorAgent: 'owner', roundId: round.id })).body;
+  const shady = (await call('builder', 'POST', '/fund/api/projects', { title: 'Shady', description: 'd', nominatorAgent: 'builder', roundId: round.id })).body;
+  for (const [agent, project, amount] of [['alice', honest, 4], ['bob', honest, 5], ['alice', shady, 3], ['bob', shady, 2]]) {
+    assert.strictEqual((await call(agent, 'POST', `/fund/api/projects/${project.id}/fund`, { agentName: agent, amount })).status, 201);
+  }
+
+  // Nothing can be flagged or paid out before the round is finalized
+  assert.strictEqual((await call('alice', 'POST', `/fund/api/rounds/${round.id}/flags`, { agent: 'alice', projectId: shady.id, reason: 'sybil' })).status, 409);
+  expire(round.id, 'endDate');
+  const finalized = await call('bob', 'POST', `/fund/api/rounds/${round.id}/finalize`);
+  assert.strictEqual(finalized.status, 200);
+  const results = finalized.body.results;
+  const honestResult = results.projects.find(p => p.projectId === honest.id);
+  const shadyResult = results.projects.find(p => p.projectId === shady.id);
+  assert.ok(shadyResult.matchingAmount > 0);
+
+  const flag = await call('alice', 'POST', `/fund/api/rounds/${round.id}/flags`, { agent: 'alice', projectId: shady.id, reason: 'sybil' });
+  assert.strictEqual(flag.status, 201);
+  assert.strictEqual((await call('alice', 'POST', `/fund/api/rounds/${round.id}/flags`, { agent: 'alice', projectId: shady.id, reason: 'again' })).status, 409);
+
+  expire(round.id, 'challengeDeadline');
+  const blocked = await call('bob', 'POST', `/fund/api/rounds/${round.id}/payout`);
+  assert.strictEqual(blocked.status, 409);
+  assert.match(blocked.body.error, /1 flag/);
+
+  const resolveUrl = `/fund/api/rounds/${round.id}/flags/${flag.body.id}/resolve`;
+  assert.strictEqual((await call('dao', 'POST', resolveUrl, { resolver: 'dao', decision: 'upheld' })).status, 403);
+  assert.strictEqual((await call('admin', 'POST', resolveUrl, { resolver: 'admin', decision: 'maybe' })).status, 400);
+  const upheld = await call('admin', 'POST', resolveUrl, { resolver: 'admin', decision: 'upheld', note: 'same wallet' });
+  assert.strictEqual(upheld.status, 200);
+  assert.strictEqual(upheld.body.status, 'upheld');
+  assert.strictEqual((await call('admin', 'POST', resolveUrl, { resolver: 'admin', decision: 'dismissed' })).status, 409);
+
+  const start = {
+    alice: ledger.balance(ledger.agentAccount('alice')),
+    bob: ledger.balance(ledger.agentAccount('bob')),
+    sponsor: ledger.balance(ledger.agentAccount('sponsor'))
+  };
+  const paid = await call('bob', 'POST', `/fund/api/rounds/${round.id}/payout`);
+  assert.strictEqual(paid.status, 200);
+  assert.deepStrictEqual(paid.body.payouts.map(p => [p.projectId, p.mode]), [[honest.id, 'direct'], [shady.id, 'refunded']]);
+
+  close(ledger.balance(ledger.agentAccount('owner')), honestResult.payout);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('builder')), 0);
+  close(ledger.balance(ledger.agentAccount('alice')), start.alice + 3);
+  close(ledger.balance(ledger.agentAccount('bob')), start.bob + 2);
+  // The sponsor gets back everything but the honest project's match
+  close(ledger.balance(ledger.agentAccount('sponsor')), start.sponsor + 100 - honestResult.matchingAmount);
+  close(ledger.balance(ledger.poolAccount('fund', round.id)), 0);
+  close(ledger.balance(ledger.poolAccount('fund', `${round.id}:matching`)), 0);
+});
+
+test('a streamed payout is released as a round creator verifies each milestone', async () => {
+  const round = (await createRound('Streamed')).body;
+  const project = (await call('owner', 'POST', '/fund/api/projects', {
+    title: 'Stream',
+    description: 'd',
+    nominatorAgent: 'owner',
+    roundId: round.id,
+    milestones: [{ title: 'alpha', percent: 40 }, { title: 'beta', percent: 60 }]
+  })).body;
+  await call('alice', 'POST', `/fund/api/projects/${project.id}/fund`, { agentName: 'alice', amount: 10 });
+
+  expire(round.id, 'endDate');
+  await call('bob', 'POST', `/fund/api/rounds/${round.id}/finalize`);
+  expire(round.id, 'challengeDeadline');
+  const paid = await call('bob', 'POST', `/fund/api/rounds/${round.id}/payout`);
+  assert.deepStrictEqual(paid.body.payouts.map(p => [p.mode, p.amount]), [['stream', 10]]);
+
+  const stream = ledger.poolAccount('fund', `${round.id}:${project.id}`);
+  const ownerBefore = ledger.balance(ledger.agentAccount('owner'));
+  assert.strictEqual(ledger.balance(stream), 10);
+
+  const milestone = (index, action, agent, body) =>
+    call(agent, 'POST', `/fund/api/projects/${project.id}/milestones/${index}/${action}`, body);
+  assert.strictEqual((await milestone(0, 'verify', 'admin', { verifier: 'admin' })).status, 409);
+  assert.strictEqual((await milestone(0, 'submit', 'alice', { evidence: 'https://example.com' })).status, 403);
+  assert.strictEqual((await milestone(0, 'submit', 'owner', { evidence: 'https://example.com/alpha' })).status, 200);
+  assert.strictEqual((await milestone(0, 'verify', 'dao', { verifier: 'dao' })).status, 403);
+
+  const first = await milestone(0, 'verify', 'admin', { verifier: 'admin' });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.released, 4);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('owner')), ownerBefore + 4);
+  assert.strictEqual((await milestone(0, 'verify', 'admin', { verifier: 'admin' })).status, 409);
+
+  await milestone(1, 'submit', 'owner', { evidence: 'https://example.com/beta' });
+  const last = await milestone(1, 'verify', 'admin', { verifier: 'admin' });
+  assert.deepStrictEqual(last.body.milestones.map(m => m.status), ['released', 'released']);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('owner')), ownerBefore + 10);
+  assert.strictEqual(ledger.balance(stream), 0);
+});
@@ -0,0 +1,94 @@
+/**
+ * Shared setup for the node:test suites
+ * Requiring this first points storage at a fresh temporary data directory,
+ * so every test file (each runs in its own process) starts from empty state.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moltos-test-'));
+process.env.MOLTOS_DATA_DIR = dataDir;
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const express = require('express');
+const { authenticate } = require('../packages/shared/auth');
+
+/**
+ * Serve package routers the way server.js does, on a free port
+ * @param {Object} mounts - Route prefix -> router, e.g. { '/pay': payRouter }
+ * @returns {Promise<Object>} { request, register, close }
+ */
+async function startApp(mounts) {
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.use('/auth', require('../packages/auth/router'));
+  Object.entries(mounts).forEach(([prefix, router]) => app.use(prefix, router));
+  app.use((err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @param {string} method
+   * @param {string} url - Path on the test server
+   * @param {Object} [options] - { key, body }
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function request(method, url, { key, body } = {}) {
+    const headers = { 'content-type': 'application/json' };
+    if (key) headers.authorization = `Bearer ${key}`;
+    const res = await fetch(base + url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  /**
+   * Register an agent
+   * @param {string} name
+   * @returns {Promise<Object>} The agent, with its apiKey
+   */
+  async function register(name) {
+    const res = await request('POST', '/auth/api/agents', { body: { name } });
+    if (res.status !== 201) {
+      throw new Error(`register ${name}: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return res.body;
+  }
+
+  return {
+    request,
+    register,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Credit an agent from outside MoltOS, as an operator's deposit would
+ * @param {string} agent
+ * @param {number} amount
+ * @returns {Object} The ledger entry
+ */
+function fund(agent, amount) {
+  const ledger = require('../packages/shared/ledger');
+  return ledger.transfer(ledger.EXTERNAL, ledger.agentAccount(agent), amount, { memo: 'Test deposit' });
+}
+
+module.exports = {
+  dataDir,
+  startApp,
+  fund
+};
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp } = require('./helpers');
+const { requireAgent, isActingAgent } = require('../packages/shared/auth');
+
+let app;
+
+before(async () => {
+  app = await startApp({});
+});
+
+after(() => app.close());
+
+test('names that normalize to an existing agent are refused', async () => {
+  await app.register('alice');
+
+  for (const name of ['@alice', '@Alice', ' alice', 'alice ']) {
+    const res = await app.request('POST', '/auth/api/agents', { body: { name } });
+    assert.strictEqual(res.status, 400, name);
+  }
+  const res = await app.request('POST', '/auth/api/agents', { body: { name: 'ALICE' } });
+  assert.strictEqual(res.status, 409);
+});
+
+test('an agent id cannot be registered as a name or pass for its owner', async () => {
+  const victim = await app.register('victim');
+  const lookalike = await app.request('POST', '/auth/api/agents', { body: { name: victim.id } });
+  assert.strictEqual(lookalike.status, 400);
+  const upper = await app.request('POST', '/auth/api/agents', { body: { name: victim.id.toUpperCase() } });
+  assert.strictEqual(upper.status, 400);
+
+  const mallory = await app.register('mallory');
+  const keys = await app.request('POST', `/auth/api/agents/${victim.id}/keys`, { key: mallory.apiKey, body: {} });
+  assert.strictEqual(keys.status, 403);
+  assert.strictEqual(isActingAgent({ agent: { id: mallory.id, name: victim.id } }, victim.id), false);
+});
+
+test('actor fields are stored under the canonical agent name', () => {
+  const req = {
+    agent: { id: 'agent-id', name: 'alice' },
+    apiKey: { scopes: ['*'] },
+    baseUrl: '/dao',
+    body: { agent: '@ALICE ', from: 'agent-id' }
+  };
+  let called = false;
+  requireAgent('agent', 'from', 'creator')(req, {}, () => { called = true; });
+
+  assert.ok(called);
+  assert.deepStrictEqual(req.body, { agent: 'alice', from: 'alice', creator: 'alice' });
+});
+
+test('actor fields naming someone else are rejected', () => {
+  const req = {
+    agent: { id: 'agent-id', name: 'alice' },
+    apiKey: { scopes: ['*'] },
+    baseUrl: '/dao',
+    body: { agent: 'bob' }
+  };
+  const res = {
+    status(code) { this.code = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  requireAgent('agent')(req, res, () => assert.fail('next() called'));
+
+  assert.strictEqual(res.code, 403);
+});
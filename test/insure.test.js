@@ -0,0 +1,215 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, fund } = require('./helpers');
+const eventBus = require('../packages/shared/events');
+const ledger = require('../packages/shared/ledger');
+const storage = require('../packages/shared/storage');
+
+const scores = storage.collection('credit', 'scores', { defaultValue: {} });
+
+let app;
+const agents = {};
+
+before(async () => {
+  const registry = await startApp({});
+  for (const name of ['payer', 'payee', 'backer', 'mallory', 'adjuster', 'arbiter', 'judge']) {
+    agents[name] = await registry.register(name);
+  }
+  await registry.close();
+
+  process.env.INSURE_ADJUSTERS = agents.adjuster.id;
+  app = await startApp({
+    '/pay': require('../packages/pay/router'),
+    '/insure': require('../packages/insure/router'),
+    '/court': require('../packages/court/router')
+  });
+  eventBus.start();
+
+  fund('payer', 1000);
+  fund('payee', 100);
+  fund('backer', 1000);
+  fund('mallory', 100);
+  fund('judge', 100);
+  await call('backer', 'POST', '/insure/api/reserve/contribute', { agent: 'backer', amount: 1000 });
+  await call('judge', 'POST', '/court/api/judges', { agent: 'judge', stake: 50 });
+});
+
+after(() => app.close());
+
+async function call(agent, method, url, body) {
+  return app.request(method, url, { key: agents[agent].apiKey, body });
+}
+
+async function until(condition) {
+  for (let i = 0; i < 100 && !(await condition()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function fundedInvoice() {
+  const invoice = await call('payer', 'POST', '/pay/api/invoices', {
+    from: 'payer',
+    to: 'payee',
+    currency: ledger.DEFAULT_CURRENCY,
+    arbiter: 'arbiter',
+    milestones: [{ title: 'First', amount: 40 }, { title: 'Second', amount: 60 }]
+  });
+  assert.strictEqual(invoice.status, 201);
+  for (const milestone of invoice.body.milestones) {
+    const funded = await call('payer', 'POST', `/pay/api/invoices/${invoice.body.id}/milestones/${milestone.id}/fund`, {});
+    assert.strictEqual(funded.status, 200);
+  }
+  return invoice.body;
+}
+
+function buyPolicy(holder, invoiceId) {
+  return call(holder, 'POST', '/insure/api/policies', { holder, type: 'escrow', coverage: 100, invoiceId });
+}
+
+// The payer disputes a milestone and the arbiter rules on it
+async function arbitrate(invoiceId, milestoneId, ruling) {
+  const url = `/pay/api/invoices/${invoiceId}/milestones/${milestoneId}`;
+  assert.strictEqual((await call('payer', 'POST', `${url}/dispute`, { reason: 'Late' })).status, 200);
+  assert.strictEqual((await call('arbiter', 'POST', `${url}/resolve`, ruling)).status, 200);
+}
+
+function claimsFor(policyId) {
+  return call('backer', 'GET', '/insure/api/claims').then(res => res.body.filter(c => c.policyId === policyId));
+}
+
+test('policies can only link to an existing invoice the holder is party to', async () => {
+  const invoice = await fundedInvoice();
+
+  assert.strictEqual((await buyPolicy('mallory', 'no-such-invoice')).status, 404);
+  assert.strictEqual((await buyPolicy('mallory', invoice.id)).status, 403);
+});
+
+test('an imposed refund pays the payee, not the payer who got the money back', async () => {
+  const invoice = await fundedInvoice();
+  const payerPolicy = await buyPolicy('payer', invoice.id);
+  const payeePolicy = await buyPolicy('payee', invoice.id);
+  assert.strictEqual(payerPolicy.status, 201);
+  assert.strictEqual(payeePolicy.status, 201);
+
+  const [first] = invoice.milestones;
+  await arbitrate(invoice.id, first.id, { outcome: 'refund' });
+  await until(async () => (await claimsFor(payeePolicy.body.id)).length > 0);
+
+  const paid = await claimsFor(payeePolicy.body.id);
+  assert.strictEqual(paid.length, 1);
+  assert.strictEqual(paid[0].payout, 40);
+  assert.deepStrictEqual(await claimsFor(payerPolicy.body.id), []);
+});
+
+test('a refund the payee chooses to make pays nothing', async () => {
+  const invoice = await fundedInvoice();
+  const policy = await buyPolicy('payee', invoice.id);
+  assert.strictEqual(policy.status, 201);
+
+  const [first] = invoice.milestones;
+  assert.strictEqual((await call('payee', 'POST', `/pay/api/invoices/${invoice.id}/milestones/${first.id}/refund`, {})).status, 200);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.deepStrictEqual(await claimsFor(policy.body.id), []);
+});
+
+test('refunds from before the policy was bought do not pay', async () => {
+  const invoice = await fundedInvoice();
+  const [first, second] = invoice.milestones;
+  await arbitrate(invoice.id, first.id, { outcome: 'refund' });
+
+  const policy = await buyPolicy('payee', invoice.id);
+  assert.strictEqual(policy.status, 201);
+  await arbitrate(invoice.id, second.id, { outcome: 'refund' });
+  await until(async () => (await claimsFor(policy.body.id)).length > 0);
+
+  const [claim] = await claimsFor(policy.body.id);
+  assert.strictEqual(claim.lossAmount, 60);
+  assert.strictEqual(claim.payout, 60);
+});
+
+test('a ruling against the counterparty pays only what the holder still lost', async () => {
+  const invoice = await fundedInvoice();
+  const policy = await buyPolicy('payer', invoice.id);
+  assert.strictEqual(policy.status, 201);
+
+  const [, second] = invoice.milestones;
+  const url = `/pay/api/invoices/${invoice.id}/milestones/${second.id}`;
+  assert.strictEqual((await call('payer', 'POST', `${url}/dispute`, { reason: 'Half done' })).status, 200);
+  let caseId;
+  await until(async () => {
+    const current = await call('payer', 'GET', `/pay/api/invoices/${invoice.id}`);
+    caseId = current.body.milestones[1].courtCaseId;
+    return caseId;
+  });
+  const ruling = await call('judge', 'POST', `/court/api/cases/${caseId}/ruling`, {
+    judge: 'judge',
+    outcome: 'split',
+    payeePercent: 25,
+    reasoning: 'A quarter was delivered'
+  });
+  assert.strictEqual(ruling.status, 200);
+  await until(async () => (await claimsFor(policy.body.id)).length > 0);
+
+  const [claim] = await claimsFor(policy.body.id);
+  assert.strictEqual(claim.lossAmount, 15);
+  assert.strictEqual(claim.payout, 15);
+});
+
+test('only appointed agents can register as adjusters', async () => {
+  assert.strictEqual((await call('mallory', 'POST', '/insure/api/adjusters', { agent: 'mallory' })).status, 403);
+  assert.strictEqual((await call('adjuster', 'POST', '/insure/api/adjusters', { agent: 'adjuster' })).status, 201);
+});
+
+test('premiums load for the holder\'s risk and term, and poor credit is declined', async () => {
+  const quote = params => call('mallory', 'GET', `/insure/api/quote?${new URLSearchParams({ holder: 'mallory', type: 'service', coverage: 120, deductible: 20, termDays: 90, ...params })}`);
+  const premiumOf = ({ factors }) => Math.round(100 * 0.02 * Object.values(factors).reduce((product, f) => product * f, 1) * 100) / 100;
+
+  assert.strictEqual((await quote({ deductible: 120 })).status, 400);
+  assert.strictEqual((await quote({ termDays: 45 })).status, 400);
+
+  // No credit history scores 500
+  const unknown = await quote({});
+  assert.strictEqual(unknown.status, 200);
+  assert.deepStrictEqual(
+    [unknown.body.factors.type, unknown.body.factors.term, unknown.body.factors.credit, unknown.body.factors.disputes],
+    [1.5, 3, 1.2727, 1]
+  );
+  assert.strictEqual(unknown.body.premium, premiumOf(unknown.body));
+
+  scores.replace({ mallory: 850 });
+  const trusted = await quote({});
+  assert.strictEqual(trusted.body.factors.credit, 0.7);
+  assert.strictEqual(trusted.body.premium, premiumOf(trusted.body));
+  assert.ok(trusted.body.premium < unknown.body.premium);
+  const capped = await call('mallory', 'POST', '/insure/api/policies', { holder: 'mallory', type: 'service', coverage: 120, deductible: 20, termDays: 90, maxPremium: 1 });
+  assert.strictEqual(capped.status, 409);
+
+  scores.replace({ mallory: 350 });
+  const declined = await call('mallory', 'POST', '/insure/api/policies', { holder: 'mallory', type: 'service', coverage: 120 });
+  assert.strictEqual(declined.status, 403);
+  assert.match(declined.body.error, /credit score 350 is below 400/);
+  scores.replace({});
+});
+
+test('the reserve only writes and releases what keeps it solvent', async () => {
+  const reserveOf = () => call('backer', 'GET', '/insure/api/reserve').then(res => res.body);
+  const reserve = await reserveOf();
+  assert.ok(reserve.exposure > 0);
+  assert.strictEqual(reserve.capacity, Math.round((reserve.capital - reserve.exposure) * 100) / 100);
+
+  const oversized = await call('payer', 'POST', '/insure/api/policies', { holder: 'payer', type: 'escrow', coverage: reserve.capacity * 2 });
+  assert.strictEqual(oversized.status, 409);
+  assert.match(oversized.body.error, /solvency would fall/);
+  assert.strictEqual((await reserveOf()).capital, reserve.capital);
+
+  const withdraw = amount => call('backer', 'POST', '/insure/api/reserve/withdraw', { agent: 'backer', amount });
+  assert.strictEqual((await withdraw(1001)).status, 409);
+  const draining = await withdraw(reserve.capacity + 1);
+  assert.strictEqual(draining.status, 409);
+  assert.match(draining.body.error, /minimum solvency ratio/);
+
+  const withdrawn = await withdraw(10);
+  assert.strictEqual(withdrawn.status, 201);
+  assert.strictEqual(withdrawn.body.reserve.capital, reserve.capital - 10);
+});
@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, fund } = require('./helpers');
+const ledger = require('../packages/shared/ledger');
+const storage = require('../packages/shared/storage');
+
+function assertBalanced() {
+  for (const [currency, total] of Object.entries(ledger.trialBalance())) {
+    assert.strictEqual(total, 0, `${currency} is off by ${total}`);
+  }
+}
+
+test('every entry nets to zero and balances follow the postings', () => {
+  fund('alice', 100);
+  ledger.transfer(ledger.agentAccount('alice'), ledger.agentAccount('bob'), 30.5);
+
+  assert.strictEqual(ledger.balance(ledger.agentAccount('alice')), 69.5);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('bob')), 30.5);
+  assert.strictEqual(ledger.balance(ledger.EXTERNAL), -100);
+  assertBalanced();
+});
+
+test('unbalanced entries and overdrafts are refused without writing', () => {
+  const before = ledger.accountEntries(ledger.agentAccount('carol')).length;
+
+  assert.throws(() => ledger.post([
+    { account: ledger.agentAccount('carol'), amount: 5 },
+    { account: ledger.EXTERNAL, amount: -4 }
+  ]), /do not balance/);
+  assert.throws(() => ledger.transfer(ledger.agentAccount('carol'), ledger.agentAccount('dave'), 1), { status: 409 });
+  assert.throws(() => ledger.transfer(ledger.agentAccount('carol'), ledger.agentAccount('dave'), -1), /positive/);
+  assert.throws(() => ledger.transfer(ledger.agentAccount('carol'), ledger.agentAccount('carol'), 1), /same account/);
+
+  assert.strictEqual(ledger.accountEntries(ledger.agentAccount('carol')).length, before);
+  assertBalanced();
+});
+
+test('holds lock money until captured or released', () => {
+  fund('erin', 50);
+  ledger.hold('erin', 'test:1', 40);
+  assert.throws(() => ledger.hold('erin', 'test:2', 20), { status: 409 });
+
+  ledger.captureHold('erin', 'test:1', ledger.agentAccount('frank'), { amount: 15 });
+  ledger.releaseHold('erin', 'test:1');
+
+  assert.strictEqual(ledger.balance(ledger.holdAccount('erin', 'test:1')), 0);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('erin')), 35);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('frank')), 15);
+  assert.strictEqual(ledger.releaseHold('erin', 'test:1'), null);
+  assertBalanced();
+});
+
+test('accounts are keyed by normalized agent name', () => {
+  assert.strictEqual(ledger.agentAccount('@Alice '), ledger.agentAccount('alice'));
+});
+
+test('deposits need an operator id, not an operator name', async () => {
+  const app = await startApp({});
+  const squatter = await app.register('op');
+  const operator = await app.register('treasurer');
+  await app.close();
+
+  process.env.LEDGER_OPERATORS = `${operator.id}, op`;
+  const withLedger = await startApp({ '/ledger': require('../packages/ledger/router') });
+  try {
+    const denied = await withLedger.request('POST', '/ledger/api/deposits', {
+      key: squatter.apiKey,
+      body: { agent: 'op', amount: 1000 }
+    });
+    assert.strictEqual(denied.status, 403);
+
+    const deposit = await withLedger.request('POST', '/ledger/api/deposits', {
+      key: operator.apiKey,
+      body: { agent: 'gina', amount: 10 }
+    });
+    assert.strictEqual(deposit.status, 201);
+    assert.strictEqual(ledger.balance(ledger.agentAccount('gina')), 10);
+  } finally {
+    await withLedger.close();
+  }
+  assertBalanced();
+});
+
+test('balances come from a running cache, rebuilt only when entries change elsewhere', () => {
+  fund('hana', 20);
+  const entries = storage.collection('ledger', 'entries');
+  const all = entries.all;
+  let copies = 0;
+  entries.all = function () {
+    copies++;
+    return all.call(this);
+  };
+  try {
+    ledger.transfer(ledger.agentAccount('hana'), ledger.agentAccount('ivan'), 5);
+    for (let i = 0; i < 100; i++) ledger.balance(ledger.agentAccount('hana'));
+    assert.strictEqual(copies, 0);
+
+    // A write that didn't go through post() invalidates the cache
+    const stored = all.call(entries);
+    entries.replace(stored.filter(e => !e.postings.some(p => p.account === ledger.agentAccount('ivan'))));
+    assert.strictEqual(ledger.balance(ledger.agentAccount('hana')), 20);
+    assert.strictEqual(ledger.balance(ledger.agentAccount('ivan')), 0);
+  } finally {
+    entries.all = all;
+  }
+  assertBalanced();
+});
+
+test('transfers only go to registered agents', async () => {
+  const app = await startApp({ '/ledger': require('../packages/ledger/router') });
+  try {
+    const jane = await app.register('jane');
+    await app.register('kim');
+    fund('jane', 10);
+
+    const stranded = await app.request('POST', '/ledger/api/transfers', { key: jane.apiKey, body: { to: 'nobody', amount: 5 } });
+    assert.strictEqual(stranded.status, 404);
+    assert.strictEqual(ledger.balance(ledger.agentAccount('jane')), 10);
+
+    const sent = await app.request('POST', '/ledger/api/transfers', { key: jane.apiKey, body: { to: '@Kim', amount: 4 } });
+    assert.strictEqual(sent.status, 201);
+    assert.strictEqual(ledger.balance(ledger.agentAccount('kim')), 4);
+  } finally {
+    await app.close();
+  }
+});
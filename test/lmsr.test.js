@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { lmsrCost, lmsrPrices, lmsrSubsidy, lmsrQuote } = require('../packages/oracle/lmsr');
+
+function close(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+}
+
+function market(liquidity, shares) {
+  return { liquidity, options: shares.map((q, i) => ({ name: `o${i}`, shares: q })) };
+}
+
+test('prices start uniform and always sum to 1', () => {
+  assert.deepStrictEqual(lmsrPrices([0, 0, 0, 0], 50), [0.25, 0.25, 0.25, 0.25]);
+  const prices = lmsrPrices([30, -10, 5], 20);
+  close(prices.reduce((a, b) => a + b, 0), 1);
+  assert.ok(prices[0] > prices[2] && prices[2] > prices[1]);
+  close(prices[0] / prices[1], Math.exp(40 / 20));
+});
+
+test('cost is b·ln(sum(exp(q/b))) and stays finite for large positions', () => {
+  close(lmsrCost([0, 0], 100), 100 * Math.log(2));
+  close(lmsrCost([10, 20, 0], 10), 10 * Math.log(Math.exp(1) + Math.exp(2) + 1));
+  const huge = lmsrCost([1e6, 0], 10);
+  assert.ok(Number.isFinite(huge));
+  close(huge, 1e6, 1e-6);
+});
+
+test('the subsidy covers the worst-case loss, rounded up', () => {
+  const subsidy = lmsrSubsidy(100, 3);
+  assert.ok(subsidy >= 100 * Math.log(3));
+  close(subsidy, 100 * Math.log(3), 1e-8);
+});
+
+test('a buy costs C(after) - C(before), rounded against the trader', () => {
+  const m = market(100, [0, 0]);
+  const quote = lmsrQuote(m, 'o0', 'buy', 50);
+  const exact = lmsrCost([50, 0], 100) - lmsrCost([0, 0], 100);
+
+  assert.ok(quote.amount >= exact && quote.amount - exact < 1e-8);
+  assert.deepStrictEqual(quote.outstanding, [50, 0]);
+  assert.strictEqual(quote.priceBefore, 0.5);
+  assert.ok(quote.priceAfter > 0.5 && quote.averagePrice > 0.5 && quote.averagePrice < quote.priceAfter);
+});
+
+test('selling back what was bought never returns more than was paid', () => {
+  const m = market(37, [12.5, 3]);
+  const buy = lmsrQuote(m, 'o1', 'buy', 7.123);
+  const sell = lmsrQuote(market(37, buy.outstanding), 'o1', 'sell', 7.123);
+  assert.ok(sell.amount <= buy.amount);
+  assert.deepStrictEqual(sell.outstanding, [12.5, 3]);
+});
+
+test('the pool always covers the winning shares', () => {
+  const b = 20;
+  let m = market(b, [0, 0, 0]);
+  let pool = lmsrSubsidy(b, 3);
+  const trades = [['o0', 'buy', 40], ['o1', 'buy', 15], ['o0', 'sell', 25], ['o2', 'buy', 60], ['o1', 'buy', 3.3]];
+
+  for (const [option, side, shares] of trades) {
+    const quote = lmsrQuote(m, option, side, shares);
+    pool += side === 'buy' ? quote.amount : -quote.amount;
+    m = market(b, quote.outstanding);
+    assert.ok(pool >= Math.max(...quote.outstanding) - 1e-8, `pool ${pool} short of ${quote.outstanding}`);
+  }
+});
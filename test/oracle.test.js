@@ -0,0 +1,163 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// 360 ms, so proposals can stand unchallenged within a test
+process.env.ORACLE_CHALLENGE_HOURS = '0.0001';
+
+const { startApp, fund } = require('./helpers');
+const eventBus = require('../packages/shared/events');
+const ledger = require('../packages/shared/ledger');
+const scheduler = require('../packages/shared/scheduler');
+
+let app;
+const agents = {};
+
+before(async () => {
+  app = await startApp({
+    '/oracle': require('../packages/oracle/router'),
+    '/court': require('../packages/court/router')
+  });
+  eventBus.start();
+  for (const name of ['maker', 'alice', 'bob', 'carol', 'judge']) {
+    agents[name] = await app.register(name);
+    fund(name, 100);
+  }
+  assert.strictEqual((await call('judge', 'POST', '/court/api/judges', { agent: 'judge', stake: 50 })).status, 201);
+});
+
+after(() => app.close());
+
+function call(agent, method, url, body) {
+  return app.request(method, url, { key: agents[agent].apiKey, body });
+}
+
+async function until(condition) {
+  for (let i = 0; i < 100 && !(await condition()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const balanceOf = agent => ledger.balance(ledger.agentAccount(agent));
+const marketOf = id => call('maker', 'GET', `/oracle/api/markets/${id}`).then(res => res.body);
+
+async function createMarket(fields = {}) {
+  const res = await call('maker', 'POST', '/oracle/api/markets', {
+    question: 'Will it ship?',
+    creator: 'maker',
+    options: ['yes', 'no'],
+    resolutionDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    ...fields
+  });
+  assert.strictEqual(res.status, 201);
+  return res.body;
+}
+
+async function bet(market, agent, option, amount) {
+  const res = await call(agent, 'POST', `/oracle/api/markets/${market.id}/bet`, { agent, option, amount });
+  assert.strictEqual(res.status, 201);
+}
+
+test('parimutuel markets pay winners pro rata after the creator fee, or refund every stake', async () => {
+  const tooGreedy = await call('maker', 'POST', '/oracle/api/markets', { question: 'Fee?', creator: 'maker', options: ['yes', 'no'], creatorFeePercent: 11 });
+  assert.strictEqual(tooGreedy.status, 400);
+
+  const paid = await createMarket({ creatorFeePercent: 10 });
+  await bet(paid, 'alice', 'yes', 30);
+  await bet(paid, 'bob', 'yes', 10);
+  await bet(paid, 'carol', 'no', 60);
+
+  const unbacked = await createMarket();
+  await bet(unbacked, 'carol', 'no', 20);
+
+  const ambiguous = await createMarket({ creatorFeePercent: 10 });
+  await bet(ambiguous, 'alice', 'yes', 5);
+  await bet(ambiguous, 'carol', 'no', 5);
+
+  assert.strictEqual((await call('alice', 'POST', `/oracle/api/markets/${paid.id}/resolve`, { outcome: 'yes' })).status, 403);
+  for (const [market, body] of [[paid, { outcome: 'yes' }], [unbacked, { outcome: 'yes' }], [ambiguous, { invalid: true }]]) {
+    const proposed = await call('maker', 'POST', `/oracle/api/markets/${market.id}/resolve`, body);
+    assert.strictEqual(proposed.status, 200);
+    assert.strictEqual(proposed.body.status, 'proposed');
+  }
+  assert.strictEqual((await call('bob', 'POST', `/oracle/api/markets/${paid.id}/bet`, { agent: 'bob', option: 'no', amount: 5 })).status, 409);
+  assert.strictEqual(balanceOf('maker'), 70);
+
+  // Proposals stand once their challenge window passes; the sweeper runs on start
+  const deadline = Date.parse((await marketOf(ambiguous.id)).resolution.challengeDeadline);
+  await new Promise(resolve => setTimeout(resolve, Math.max(0, deadline - Date.now()) + 20));
+  scheduler.start();
+  await until(async () => (await marketOf(ambiguous.id)).resolved);
+
+  const settled = await marketOf(paid.id);
+  assert.strictEqual(settled.status, 'resolved');
+  assert.strictEqual(settled.resolution.method, 'unchallenged');
+  assert.deepStrictEqual(
+    [settled.settlement.totalPool, settled.settlement.losingPool, settled.settlement.creatorFee, settled.settlement.refunded],
+    [100, 60, 6, false]
+  );
+
+  const refunded = await marketOf(unbacked.id);
+  assert.strictEqual(refunded.settlement.refunded, true);
+  assert.strictEqual(refunded.settlement.reason, 'No positions on the winning outcome');
+  assert.strictEqual((await marketOf(ambiguous.id)).status, 'invalid');
+
+  // alice: 30 + 54 * 3/4, bob: 10 + 54 * 1/4; carol only gets her unsettled stakes back
+  assert.strictEqual(balanceOf('alice'), 140.5);
+  assert.strictEqual(balanceOf('bob'), 113.5);
+  assert.strictEqual(balanceOf('carol'), 40);
+  // Fee of 6, and all three bonds returned
+  assert.strictEqual(balanceOf('maker'), 106);
+  for (const market of [paid, unbacked, ambiguous]) {
+    assert.strictEqual(ledger.balance(ledger.poolAccount('oracle', market.id)), 0);
+  }
+});
+
+test('a challenged resolution goes to MoltCourt, and the losing side forfeits its bond', async () => {
+  const market = await createMarket();
+  await bet(market, 'alice', 'yes', 10);
+  await bet(market, 'carol', 'no', 10);
+  assert.strictEqual((await call('maker', 'POST', `/oracle/api/markets/${market.id}/resolve`, { outcome: 'yes' })).status, 200);
+
+  const challenge = body => call('carol', 'POST', `/oracle/api/markets/${market.id}/challenge`, body);
+  assert.strictEqual((await call('maker', 'POST', `/oracle/api/markets/${market.id}/challenge`, { outcome: 'no' })).status, 403);
+  assert.strictEqual((await challenge({ outcome: 'yes' })).status, 400);
+  assert.strictEqual((await challenge({ outcome: 'maybe' })).status, 400);
+
+  const start = { maker: balanceOf('maker'), carol: balanceOf('carol') };
+  const disputed = await challenge({ outcome: 'no', reason: 'It slipped' });
+  assert.strictEqual(disputed.status, 200);
+  assert.strictEqual(disputed.body.status, 'disputed');
+  assert.strictEqual(balanceOf('carol'), start.carol - 10);
+  assert.strictEqual((await call('alice', 'POST', `/oracle/api/markets/${market.id}/challenge`, { invalid: true })).status, 409);
+
+  await until(async () => (await marketOf(market.id)).resolution.courtCaseId);
+  const caseId = (await marketOf(market.id)).resolution.courtCaseId;
+  const filed = await call('judge', 'GET', `/court/api/cases/${caseId}`);
+  assert.deepStrictEqual([filed.body.plaintiff, filed.body.defendant, filed.body.relatedMarketId], ['carol', 'maker', market.id]);
+
+  const rule = decision => call('judge', 'POST', `/court/api/cases/${caseId}/ruling`, { judge: 'judge', decision, reasoning: 'Release slipped a week' });
+  assert.strictEqual((await rule('payee')).status, 400);
+  assert.strictEqual((await rule('plaintiff')).status, 200);
+  await until(async () => (await marketOf(market.id)).resolved);
+
+  const resolved = await marketOf(market.id);
+  assert.strictEqual(resolved.outcome, 'no');
+  assert.deepStrictEqual([resolved.resolution.method, resolved.resolution.caseId], ['court', caseId]);
+  // carol wins the pool and both bonds; maker's held bond never comes back
+  assert.strictEqual(balanceOf('carol'), start.carol + 20 + 10);
+  assert.strictEqual(balanceOf('maker'), start.maker);
+  assert.strictEqual(ledger.balance(ledger.holdAccount('maker', `oracle:resolution:${market.id}`)), 0);
+});
+
+test('proposals cannot be challenged once the challenge window closes', async () => {
+  const market = await createMarket();
+  const proposed = await call('maker', 'POST', `/oracle/api/markets/${market.id}/resolve`, { outcome: 'yes' });
+  assert.strictEqual(proposed.status, 200);
+  assert.strictEqual((await call('maker', 'POST', `/oracle/api/markets/${market.id}/resolve`, { outcome: 'no' })).status, 409);
+
+  const deadline = Date.parse(proposed.body.resolution.challengeDeadline);
+  await new Promise(resolve => setTimeout(resolve, Math.max(0, deadline - Date.now()) + 20));
+  const late = await call('carol', 'POST', `/oracle/api/markets/${market.id}/challenge`, { outcome: 'no' });
+  assert.strictEqual(late.status, 409);
+  assert.match(late.body.error, /Challenge window closed/);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const orderbook = require('../packages/flow/orderbook');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+function bid(id, fields = {}) {
+  return {
+    id,
+    agent: 'buyer',
+    type: 'gpu',
+    amount: 10,
+    filled: 0,
+    maxPrice: null,
+    urgency: 'normal',
+    status: 'pending',
+    createdAt: '2026-01-01T00:00:00Z',
+    ...fields
+  };
+}
+
+function node(agent, price, available, updatedAt = '2026-01-01T00:00:00Z') {
+  return { id: agent, agent, updatedAt, resources: [{ type: 'gpu', price, available, capacity: available, committed: 0 }] };
+}
+
+test('bids rank by urgency, then price limit, then age', () => {
+  const bids = [
+    bid('cheap', { maxPrice: 1 }),
+    bid('late', { maxPrice: 5, createdAt: '2026-01-01T06:00:00Z' }),
+    bid('early', { maxPrice: 5 }),
+    bid('unlimited'),
+    bid('urgent', { maxPrice: 0.5, urgency: 'high' })
+  ];
+  assert.deepStrictEqual(bids.sort(orderbook.compareBids).map(b => b.id), ['urgent', 'unlimited', 'early', 'late', 'cheap']);
+});
+
+test('asks are the priced resources with capacity, cheapest and oldest first', () => {
+  const nodes = [
+    node('newer', 2, 5, '2026-01-01T05:00:00Z'),
+    node('older', 2, 5),
+    node('cheapest', 1, 5),
+    node('empty', 0.5, 0),
+    { id: 'free', agent: 'free', resources: [{ type: 'gpu', available: 5 }] }
+  ];
+  assert.deepStrictEqual(orderbook.asksFor(nodes, 'gpu').map(a => a.node.id), ['cheapest', 'older', 'newer']);
+  assert.deepStrictEqual(orderbook.asksFor(nodes, 'cpu'), []);
+});
+
+test('match fills from the cheapest asks at the ask price and commits capacity', () => {
+  const nodes = [node('a', 3, 4), node('b', 1, 6)];
+  const request = bid('r', { amount: 8 });
+  const fills = orderbook.match([request], nodes, NOW);
+
+  assert.deepStrictEqual(fills.map(f => [f.node.id, f.amount, f.price]), [['b', 6, 1], ['a', 2, 3]]);
+  assert.strictEqual(request.filled, 8);
+  assert.strictEqual(request.status, 'fulfilled');
+  assert.deepStrictEqual(nodes[0].resources[0], { type: 'gpu', price: 3, available: 2, capacity: 4, committed: 2 });
+  assert.strictEqual(nodes[1].resources[0].available, 0);
+});
+
+test('match respects maxPrice, skips self-trades and leaves expired bids alone', () => {
+  const nodes = [node('Buyer', 1, 5), node('seller', 4, 5)];
+  const capped = bid('capped', { maxPrice: 3 });
+  const expired = bid('expired', { agent: 'other', expiresAt: '2026-01-01T11:00:00Z' });
+  assert.deepStrictEqual(orderbook.match([capped, expired], nodes, NOW), []);
+  assert.strictEqual(capped.status, 'pending');
+
+  const partial = bid('partial', { maxPrice: 5, amount: 8 });
+  orderbook.match([partial], nodes, NOW);
+  assert.strictEqual(partial.filled, 5);
+  assert.strictEqual(partial.status, 'partially-filled');
+  assert.strictEqual(orderbook.remainingOf(partial), 3);
+});
+
+test('released units return to the node less what the flow used', () => {
+  const resource = { type: 'gpu', price: 1, available: 10, capacity: 10, committed: 0 };
+  orderbook.commitUnits(resource, 6);
+  assert.deepStrictEqual([resource.available, resource.committed], [4, 6]);
+
+  orderbook.releaseUnits(resource, { amount: 6, usage: 2 });
+  assert.deepStrictEqual([resource.capacity, resource.committed, resource.available], [8, 0, 8]);
+});
@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, fund } = require('./helpers');
+const ledger = require('../packages/shared/ledger');
+
+let app;
+let alice;
+let bob;
+
+before(async () => {
+  app = await startApp({ '/pay': require('../packages/pay/router') });
+  alice = await app.register('alice');
+  bob = await app.register('bob');
+});
+
+after(() => app.close());
+
+test('plain invoices need a finite positive amount', async () => {
+  for (const amount of ['abc', -5, 'Infinity', '1e400']) {
+    const res = await app.request('POST', '/pay/api/invoices', {
+      key: alice.apiKey,
+      body: { from: 'alice', to: 'bob', amount, currency: 'USDC' }
+    });
+    assert.strictEqual(res.status, 400, `amount ${amount} was accepted`);
+  }
+
+  const res = await app.request('POST', '/pay/api/invoices', {
+    key: alice.apiKey,
+    body: { from: 'alice', to: 'bob', amount: '12.5', currency: 'USDC' }
+  });
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.amount, 12.5);
+});
+
+function milestonePath(invoice, index, action) {
+  return `/pay/api/invoices/${invoice.id}/milestones/${invoice.milestones[index].id}/${action}`;
+}
+
+test('milestone invoices are funded and released in order, one milestone at a time', async () => {
+  const mismatched = await app.request('POST', '/pay/api/invoices', {
+    key: alice.apiKey,
+    body: { from: 'alice', to: 'bob', currency: 'USDC', amount: 50, milestones: [{ title: 'Design', amount: 20 }, { title: 'Build', amount: 20 }] }
+  });
+  assert.strictEqual(mismatched.status, 400);
+  const untitled = await app.request('POST', '/pay/api/invoices', {
+    key: alice.apiKey,
+    body: { from: 'alice', to: 'bob', currency: 'USDC', milestones: [{ amount: 20 }] }
+  });
+  assert.strictEqual(untitled.status, 400);
+
+  fund('alice', 100);
+  const created = await app.request('POST', '/pay/api/invoices', {
+    key: alice.apiKey,
+    body: { from: 'alice', to: 'bob', currency: 'USDC', milestones: [{ title: 'Design', amount: 20 }, { title: 'Build', amount: 30 }] }
+  });
+  assert.strictEqual(created.status, 201);
+  const invoice = created.body;
+  assert.strictEqual(invoice.amount, 50);
+  assert.deepStrictEqual(invoice.milestones.map(m => [m.index, m.status]), [[0, 'created'], [1, 'created']]);
+
+  // Whole-invoice actions are refused once an invoice has milestones
+  assert.strictEqual((await app.request('POST', `/pay/api/invoices/${invoice.id}/fund`, { key: alice.apiKey, body: {} })).status, 409);
+  assert.strictEqual((await app.request('POST', milestonePath(invoice, 0, 'fund'), { key: bob.apiKey, body: {} })).status, 403);
+
+  for (const index of [0, 1]) {
+    const funded = await app.request('POST', milestonePath(invoice, index, 'fund'), { key: alice.apiKey, body: {} });
+    assert.strictEqual(funded.status, 200);
+    assert.strictEqual(funded.body.status, 'in_progress');
+  }
+  assert.strictEqual(ledger.balance(ledger.agentAccount('alice'), 'USDC'), 50);
+
+  const early = await app.request('POST', milestonePath(invoice, 1, 'release'), { key: alice.apiKey, body: {} });
+  assert.strictEqual(early.status, 409);
+  assert.match(early.body.error, /"Design" must be completed first/);
+
+  const first = await app.request('POST', milestonePath(invoice, 0, 'release'), { key: alice.apiKey, body: {} });
+  assert.deepStrictEqual(first.body.milestones.map(m => m.status), ['released', 'funded']);
+  assert.strictEqual(first.body.status, 'in_progress');
+  assert.strictEqual(ledger.balance(ledger.agentAccount('bob'), 'USDC'), 20);
+
+  const second = await app.request('POST', milestonePath(invoice, 1, 'release'), { key: alice.apiKey, body: {} });
+  assert.strictEqual(second.body.status, 'released');
+  assert.strictEqual(ledger.balance(ledger.agentAccount('bob'), 'USDC'), 50);
+});
+
+test('a disputed milestone holds the invoice until both sides agree on a split', async () => {
+  fund('alice', 40);
+  const invoice = (await app.request('POST', '/pay/api/invoices', {
+    key: alice.apiKey,
+    body: { from: 'alice', to: 'bob', currency: 'USDC', milestones: [{ title: 'Draft', amount: 40 }] }
+  })).body;
+  await app.request('POST', milestonePath(invoice, 0, 'fund'), { key: alice.apiKey, body: {} });
+  const bobBefore = ledger.balance(ledger.agentAccount('bob'), 'USDC');
+  const aliceBefore = ledger.balance(ledger.agentAccount('alice'), 'USDC');
+
+  const disputed = await app.request('POST', milestonePath(invoice, 0, 'dispute'), { key: bob.apiKey, body: { reason: 'Late feedback' } });
+  assert.strictEqual(disputed.body.status, 'disputed');
+  assert.strictEqual((await app.request('POST', milestonePath(invoice, 0, 'release'), { key: bob.apiKey, body: {} })).status, 403);
+
+  // An offer waits for the other side to make the same ruling
+  const offer = await app.request('POST', milestonePath(invoice, 0, 'resolve'), { key: alice.apiKey, body: { outcome: 'split', payeePercent: 25 } });
+  assert.strictEqual(offer.body.milestones[0].status, 'disputed');
+  assert.strictEqual(offer.body.milestones[0].settlementOffer.payeeAmount, 10);
+
+  const settled = await app.request('POST', milestonePath(invoice, 0, 'resolve'), { key: bob.apiKey, body: { outcome: 'split', payeeAmount: 10 } });
+  assert.strictEqual(settled.body.status, 'settled');
+  assert.strictEqual(settled.body.milestones[0].resolution.method, 'settlement');
+  assert.strictEqual(ledger.balance(ledger.agentAccount('bob'), 'USDC'), bobBefore + 10);
+  assert.strictEqual(ledger.balance(ledger.agentAccount('alice'), 'USDC'), aliceBefore + 30);
+});
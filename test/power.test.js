@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, fund } = require('./helpers');
+const ledger = require('../packages/shared/ledger');
+const power = require('../packages/dao/power');
+
+const CURRENCY = 'SNAP';
+
+function stake(agent, amount) {
+  ledger.transfer(ledger.EXTERNAL, ledger.agentAccount(agent), amount, { currency: CURRENCY });
+}
+
+test('stake snapshots pass delegated power on and keep the total', () => {
+  stake('Ann', 10);
+  stake('ben', 5);
+  stake('cat', 2.5);
+
+  const snapshot = power.takeSnapshot('stake', { currency: CURRENCY }, [
+    { from: '@Ben', to: 'ann' },
+    { from: 'cat', to: 'nobody' }
+  ]);
+  assert.deepStrictEqual(snapshot.base, { ann: 10, ben: 5, cat: 2.5 });
+  assert.deepStrictEqual(snapshot.delegatedTo, { ben: 'ann' });
+  assert.deepStrictEqual(snapshot.power, { ann: 15, ben: 0, cat: 2.5 });
+  assert.strictEqual(snapshot.total, 17.5);
+});
+
+test('delegations are one level deep', () => {
+  const snapshot = power.takeSnapshot('stake', { currency: CURRENCY }, [
+    { from: 'ann', to: 'ben' },
+    { from: 'ben', to: 'cat' }
+  ]);
+  assert.deepStrictEqual(snapshot.delegatedTo, { ben: 'cat' });
+  assert.deepStrictEqual(snapshot.power, { ann: 10, ben: 0, cat: 7.5 });
+});
+
+test('unknown strategies and guilds are refused', () => {
+  assert.match(power.validateStrategy('plutocracy'), /powerStrategy must be one of/);
+  assert.match(power.validateStrategy('guild', { guildId: 'missing' }), /existing guild/);
+  assert.match(power.validateStrategy('reputation', { reputationSource: 'rumour' }), /reputationSource/);
+  assert.strictEqual(power.validateStrategy('stake', {}), null);
+});
+
+test('moving stake after a proposal opens does not move its votes', async () => {
+  const app = await startApp({ '/dao': require('../packages/dao/router') });
+  try {
+    const whale = await app.register('whale');
+    const minnow = await app.register('minnow');
+    fund('whale', 100);
+
+    const proposal = await app.request('POST', '/dao/api/proposals', {
+      key: whale.apiKey,
+      body: { title: 'Stake vote', creator: 'whale', options: ['yes', 'no'], powerStrategy: 'stake' }
+    });
+    assert.strictEqual(proposal.status, 201);
+    assert.strictEqual(proposal.body.totalVotingPower, 100);
+
+    ledger.transfer(ledger.agentAccount('whale'), ledger.agentAccount('minnow'), 100);
+
+    const vote = (agent, key) => app.request('POST', `/dao/api/proposals/${proposal.body.id}/vote`, {
+      key,
+      body: { agent, option: 'yes' }
+    });
+    assert.strictEqual((await vote('minnow', minnow.apiKey)).status, 403);
+    const counted = await vote('whale', whale.apiKey);
+    assert.strictEqual(counted.status, 201);
+    assert.strictEqual(counted.body.weight, 100);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, fund } = require('./helpers');
+
+let app;
+const agents = {};
+
+before(async () => {
+  app = await startApp({ '/reef': require('../packages/reef/router') });
+  for (const name of ['donor', 'leech', 'drifter']) {
+    agents[name] = await app.register(name);
+    fund(name, 1000);
+  }
+});
+
+after(() => app.close());
+
+function call(agent, method, url, body) {
+  return app.request(method, url, { key: agents[agent].apiKey, body });
+}
+
+async function createPool(policy, settings = {}) {
+  const pool = await call('donor', 'POST', '/reef/api/pools', { name: policy, type: 'compute', creator: 'donor', policy, ...settings });
+  assert.strictEqual(pool.status, 201);
+  return pool.body.id;
+}
+
+const contribute = (agent, poolId, amount) => call(agent, 'POST', `/reef/api/pools/${poolId}/contribute`, { agent, amount });
+const consume = (agent, poolId, amount) => call(agent, 'POST', `/reef/api/pools/${poolId}/consume`, { agent, amount });
+
+test('a token contribution does not unlock the whole free-rider-limit pool', async () => {
+  const poolId = await createPool('free-rider-limit', { freeRiderLimit: 5 });
+  assert.strictEqual((await contribute('donor', poolId, 100)).status, 201);
+  assert.strictEqual((await contribute('leech', poolId, 0.01)).status, 201);
+
+  const drain = await consume('leech', poolId, 50);
+  assert.strictEqual(drain.status, 409);
+  assert.strictEqual(drain.body.allowance, 5.01);
+  assert.strictEqual((await consume('leech', poolId, 5.01)).status, 201);
+
+  assert.strictEqual((await consume('drifter', poolId, 5.5)).body.allowance, 5);
+
+  const { body } = await call('donor', 'GET', `/reef/api/pools/${poolId}/ledger`);
+  assert.strictEqual(body.available, 95);
+  assert.strictEqual(body.positions.find(p => p.agent === 'donor').allowance, 95);
+});
+
+test('proportional and tit-for-tat pools meter against contributions', async () => {
+  const proportional = await createPool('proportional');
+  await contribute('donor', proportional, 40);
+  await contribute('leech', proportional, 10);
+  assert.strictEqual((await consume('leech', proportional, 10.5)).status, 409);
+  assert.strictEqual((await consume('leech', proportional, 10)).status, 201);
+  assert.strictEqual((await consume('drifter', proportional, 1)).body.allowance, 0);
+
+  const titForTat = await createPool('tit-for-tat', { reciprocity: 2 });
+  await contribute('donor', titForTat, 40);
+  await contribute('leech', titForTat, 10);
+  assert.strictEqual((await consume('leech', titForTat, 21)).body.allowance, 20);
+  assert.strictEqual((await consume('leech', titForTat, 20)).status, 201);
+});
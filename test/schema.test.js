@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { schemaError, validate, applyDefaults } = require('../packages/forge/schema');
+
+const schema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 2, maxLength: 20 },
+    replicas: { type: 'integer', minimum: 1, maximum: 5, default: 1 },
+    mode: { enum: ['fast', 'safe'], default: 'safe' },
+    tags: { type: 'array', items: { type: 'string' }, uniqueItems: true, maxItems: 3 }
+  },
+  required: ['name'],
+  additionalProperties: false
+};
+
+test('a well-formed schema passes and bad ones say where they went wrong', () => {
+  assert.strictEqual(schemaError(schema), null);
+  assert.strictEqual(schemaError({ type: 'object', properties: { x: { format: 'email' } } }), '#/properties/x: unsupported keyword format');
+  assert.strictEqual(schemaError({ type: 'float' }), '#: unknown type float');
+  assert.strictEqual(schemaError({ enum: [] }), '#: enum must be a non-empty array');
+  assert.match(schemaError({ type: 'integer', minimum: 1, default: 0 }), /default does not match/);
+});
+
+test('values are checked against types, bounds, enums and properties', () => {
+  assert.deepStrictEqual(validate(schema, { name: 'bot-1', replicas: 2, tags: ['a'] }), []);
+  assert.deepStrictEqual(validate(schema, { name: 'B', replicas: 1.5, mode: 'slow', tags: ['a', 'a'], extra: true }), [
+    '#/name must be at least 2 characters',
+    '#/replicas must be integer',
+    '#/mode must be one of "fast", "safe"',
+    '#/tags must not repeat items',
+    '#/extra is not a parameter'
+  ]);
+  assert.deepStrictEqual(validate(schema, {}), ['#/name is required']);
+  assert.deepStrictEqual(validate(schema, 'bot'), ['# must be object']);
+});
+
+test('defaults fill in missing properties without touching the input', () => {
+  const given = { name: 'bot' };
+  assert.deepStrictEqual(applyDefaults(schema, given), { name: 'bot', replicas: 1, mode: 'safe' });
+  assert.deepStrictEqual(given, { name: 'bot' });
+});
+
+test('patterns are not supported, and stored ones are never run', () => {
+  for (const pattern of ['^[a-z]+$', '^(a+)+$', 'a*a*a*a*a*a*a*a*a*a*a*a*b']) {
+    assert.strictEqual(schemaError({ type: 'string', pattern }), '#: unsupported keyword pattern');
+  }
+
+  // Schemas saved while patterns were supported fail closed instead of backtracking
+  const started = Date.now();
+  assert.deepStrictEqual(validate({ pattern: 'a*a*a*a*a*a*a*a*a*a*a*a*b' }, 'a'.repeat(40)), ['# cannot be checked against its pattern']);
+  assert.deepStrictEqual(validate({ pattern: '^(a+)+$' }, `${'a'.repeat(40)}!`), ['# cannot be checked against its pattern']);
+  assert.deepStrictEqual(validate({ pattern: '^[a-z]+$' }, 42), []);
+  assert.ok(Date.now() - started < 1000);
+});
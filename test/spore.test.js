@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp } = require('./helpers');
+
+let app;
+let owner;
+
+before(async () => {
+  app = await startApp({ '/spore': require('../packages/spore/router') });
+  owner = await app.register('owner');
+});
+
+after(() => app.close());
+
+function call(method, url, body) {
+  return app.request(method, url, { key: owner.apiKey, body });
+}
+
+test('a spore past its TTL cannot report, even before the supervisor runs', async () => {
+  const spore = await call('POST', '/spore/api/spawn', { task: 'Quick job', ttl: 0.05 });
+  assert.strictEqual(spore.status, 201);
+  await new Promise(resolve => setTimeout(resolve, 80));
+
+  const report = await call('POST', `/spore/api/agents/${spore.body.id}/report`, { output: { done: true } });
+  assert.strictEqual(report.status, 409);
+  assert.match(report.body.error, /expired/);
+
+  const details = await call('GET', `/spore/api/agents/${spore.body.id}`);
+  assert.deepStrictEqual(details.body.results, []);
+});
+
+test('a live spore reports and completes', async () => {
+  const spore = await call('POST', '/spore/api/spawn', { task: 'Long job', ttl: 3600 });
+  const report = await call('POST', `/spore/api/agents/${spore.body.id}/report`, { output: { done: true } });
+  assert.strictEqual(report.status, 201);
+
+  const details = await call('GET', `/spore/api/agents/${spore.body.id}`);
+  assert.strictEqual(details.body.status, 'completed');
+  assert.strictEqual(details.body.results.length, 1);
+});
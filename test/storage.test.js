@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.MOLTOS_JOURNAL_MAX_ENTRIES = '5';
+const { dataDir } = require('./helpers');
+const storage = require('../packages/shared/storage');
+
+function journalLines(name) {
+  const file = path.join(dataDir, 'test', `${name}.journal`);
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('insert appends one journal entry per record', () => {
+  const items = storage.collection('test', 'items');
+  items.insert({ id: 'a', n: 1 });
+  items.insert({ id: 'b', n: 2 });
+
+  const entries = journalLines('items');
+  assert.deepStrictEqual(entries.map(e => e.op), ['base', 'put', 'put']);
+  assert.deepStrictEqual(entries[2].record, { id: 'b', n: 2 });
+  assert.deepStrictEqual(items.all(), [{ id: 'a', n: 1 }, { id: 'b', n: 2 }]);
+  assert.deepStrictEqual(items.get('b'), { id: 'b', n: 2 });
+});
+
+test('insert rejects a duplicate id', () => {
+  const items = storage.collection('test', 'dupes');
+  items.insert({ id: 'a' });
+  assert.throws(() => items.insert({ id: 'a' }), { status: 409 });
+});
+
+test('saving a stale copy fails with 409', () => {
+  const items = storage.collection('test', 'stale');
+  const first = items.all();
+  const second = items.all();
+  first.push({ id: 'a' });
+  items.replace(first);
+  second.push({ id: 'b' });
+  assert.throws(() => items.replace(second), { status: 409 });
+});
+
+test('journals are compacted once they pass the limit', () => {
+  const items = storage.collection('test', 'compacted');
+  for (let i = 0; i < 8; i++) {
+    items.insert({ id: String(i) });
+  }
+
+  const entries = journalLines('compacted');
+  assert.ok(entries.length <= 5, `journal has ${entries.length} entries`);
+  assert.strictEqual(entries[0].op, 'base');
+  assert.strictEqual(items.all().length, 8);
+});
+
+test('a corrupt snapshot is rebuilt from a compacted journal', () => {
+  const items = storage.collection('test', 'recovered');
+  for (let i = 0; i < 8; i++) {
+    items.insert({ id: String(i) });
+  }
+  fs.writeFileSync(path.join(dataDir, 'test', 'recovered.json'), '{ torn');
+
+  assert.deepStrictEqual(items.all().map(r => r.id), ['0', '1', '2', '3', '4', '5', '6', '7']);
+});
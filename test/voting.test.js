@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const voting = require('../packages/dao/voting');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function proposal(votingMethod, options = ['yes', 'no'], extra = {}) {
+  return { votingMethod, options, ...extra };
+}
+
+test('simple votes are weighted and a tie has no winner', () => {
+  const result = voting.tally(proposal('simple'), [
+    { option: 'yes', weight: 2 },
+    { option: 'no', weight: 1 },
+    { option: 'no' }
+  ]);
+  assert.deepStrictEqual(result.tallies, { yes: 2, no: 2 });
+  assert.strictEqual(result.total, 4);
+  assert.strictEqual(result.winner, null);
+
+  const decided = voting.tally(proposal('simple'), [{ option: 'yes', weight: 3 }, { option: 'no', weight: 1 }]);
+  assert.strictEqual(decided.winner, 'yes');
+});
+
+test('quadratic ballots cost n² credits out of a budget scaled by power', () => {
+  const p = proposal('quadratic', ['a', 'b'], { creditBudget: 10 });
+
+  assert.deepStrictEqual(voting.parseBallot(p, { allocations: { a: 3, b: 1 } }, 1).ballot,
+    { allocations: { a: 3, b: 1 }, creditsSpent: 10, creditBudget: 10 });
+  assert.match(voting.parseBallot(p, { allocations: { a: 4 } }, 1).error, /cost 16 credits/);
+  assert.ok(voting.parseBallot(p, { allocations: { a: 4 } }, 2).ballot);
+  assert.match(voting.parseBallot(p, { allocations: { a: 1.5 } }, 1).error, /whole numbers/);
+  assert.match(voting.parseBallot(p, { allocations: { c: 1 } }, 1).error, /Invalid option/);
+
+  const result = voting.tally(p, [{ allocations: { a: 3, b: 1 } }, { allocations: { b: 2 } }]);
+  assert.deepStrictEqual(result.tallies, { a: 3, b: 3 });
+  assert.strictEqual(result.total, 6);
+  assert.strictEqual(result.winner, null);
+});
+
+test('approval voting counts each voter once towards the total', () => {
+  const result = voting.tally(proposal('approval', ['a', 'b', 'c']), [
+    { approvals: ['a', 'b'], weight: 2 },
+    { approvals: ['b'] }
+  ]);
+  assert.deepStrictEqual(result.tallies, { a: 2, b: 3, c: 0 });
+  assert.strictEqual(result.total, 3);
+  assert.strictEqual(result.winner, 'b');
+});
+
+test('instant runoff eliminates the last option and transfers its ballots', () => {
+  const options = ['a', 'b', 'c'];
+  const result = voting.tally(proposal('ranked-choice', options), [
+    { ranking: ['a'], weight: 4 },
+    { ranking: ['b', 'c'], weight: 3 },
+    { ranking: ['c', 'b'], weight: 2 }
+  ]);
+
+  assert.strictEqual(result.rounds.length, 2);
+  assert.deepStrictEqual(result.rounds[0].tallies, { a: 4, b: 3, c: 2 });
+  assert.strictEqual(result.rounds[0].eliminated, 'c');
+  assert.deepStrictEqual(result.rounds[1].tallies, { a: 4, b: 5 });
+  assert.strictEqual(result.winner, 'b');
+  assert.strictEqual(result.total, 9);
+});
+
+test('instant runoff counts exhausted ballots and breaks ties on first-round votes', () => {
+  const { rounds, winner } = voting.instantRunoff(['a', 'b', 'c'], [
+    { ranking: ['a'], weight: 2 },
+    { ranking: ['b'], weight: 2 },
+    { ranking: ['c', 'b'], weight: 1 },
+    { ranking: ['c'], weight: 1 }
+  ]);
+  // A three-way tie in the first round: the option listed last goes
+  assert.strictEqual(rounds[0].eliminated, 'c');
+  assert.deepStrictEqual(rounds[1], { round: 2, tallies: { a: 2, b: 3 }, exhausted: 1, winner: 'b' });
+  assert.strictEqual(winner, 'b');
+});
+
+test('conviction builds and decays with the half-life', () => {
+  const start = Date.parse('2026-01-01T00:00:00Z');
+  const vote = { weight: 8, votedAt: new Date(start).toISOString() };
+
+  assert.strictEqual(voting.convictionOf(vote, start, 24), 0);
+  assert.strictEqual(voting.convictionOf(vote, start + 24 * HOUR_MS, 24), 4);
+  assert.strictEqual(voting.convictionOf(vote, start + 48 * HOUR_MS, 24), 6);
+
+  const withdrawn = { ...vote, withdrawnAt: new Date(start + 24 * HOUR_MS).toISOString() };
+  assert.strictEqual(voting.convictionOf(withdrawn, start + 48 * HOUR_MS, 24), 2);
+
+  const result = voting.tally(proposal('conviction'), [vote, { ...withdrawn, option: 'no' }].map(v => ({ option: 'yes', ...v })),
+    { now: start + 48 * HOUR_MS, halfLifeHours: 24 });
+  assert.deepStrictEqual(result.tallies, { yes: 6, no: 2 });
+  assert.strictEqual(result.winner, 'yes');
+});